@@ -637,6 +637,19 @@ export class ApiPanel {
         `;
     }
 
+    /**
+     * Add a domain unless its URL is known, and select it (e.g. a dev server's URL)
+     */
+    useDomain(name, url) {
+        if (!this.domains.some((d) => d.url === url)) {
+            this.domains.push({ name, url });
+            this.saveDomains();
+        }
+        this.selectedDomain = url;
+        localStorage.setItem('api-selected-domain', url);
+        this.updateDomainSelector();
+    }
+
     show() {
         const panel = document.getElementById('apiPanel');
         if (panel) {
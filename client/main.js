@@ -15,6 +15,20 @@ import { DialogManager } from './src/ui/DialogManager.js';
 import { ResizeManager } from './src/ui/ResizeManager.js';
 import { ThemeManager } from './src/ui/ThemeManager.js';
 import { CodeExecutor } from './src/execution/CodeExecutor.js';
+import { LaunchConfigManager } from './src/execution/LaunchConfigManager.js';
+import { RunHistory } from './src/execution/RunHistory.js';
+import { PackagesPanel } from './src/packages/PackagesPanel.js';
+import { SearchPanel } from './src/search/SearchPanel.js';
+import { QuickInput } from './src/ui/QuickInput.js';
+import { QuickOpen } from './src/ui/QuickOpen.js';
+import { CommandPalette } from './src/ui/CommandPalette.js';
+import { CommandRegistry } from './src/commands/CommandRegistry.js';
+import { PythonSession } from './src/execution/PythonSession.js';
+import { CellRunner } from './src/execution/CellRunner.js';
+import { ReplPanel } from './src/execution/ReplPanel.js';
+import { ProfilerPanel } from './src/execution/ProfilerPanel.js';
+import { ServicesPanel } from './src/execution/ServicesPanel.js';
+import { NotebookManager } from './src/notebook/NotebookManager.js';
 import { EventManager } from './src/events/EventManager.js';
 import { SplitViewManager } from './src/split/SplitViewManager.js';
 import { LSPManager } from './src/lsp/LSPManager.js';
@@ -29,6 +43,12 @@ import { FormatManager } from './src/editor/FormatManager.js';
 import { TypeCheckManager } from './src/editor/TypeCheckManager.js';
 import { ProblemsManager } from './src/ui/ProblemsManager.js';
 import { StatusBarManager } from './src/ui/StatusBarManager.js';
+import { InterpreterSelector } from './src/ui/InterpreterSelector.js';
+import { TerminalManager } from './src/terminal/TerminalManager.js';
+import { ActivityBarManager } from './src/ui/ActivityBarManager.js';
+import { TestExplorer } from './src/testing/TestExplorer.js';
+import { CoverageManager } from './src/testing/CoverageManager.js';
+import { DebugManager } from './src/debug/DebugManager.js';
 import { getFileIcon } from './src/utils/fileIcons.js';
 import {
     closeAllDialogs,
@@ -49,8 +69,20 @@ import './styles/welcome.css';
 import './styles/components/dialogs.css';
 import './styles/components/context-menu.css';
 import './styles/components/template-selector.css';
+import './styles/components/quick-input.css';
 import './styles/themes/light.css';
 import './styles/references-panel.css';
+import './styles/terminal.css';
+import './styles/testing.css';
+import './styles/coverage.css';
+import './styles/debug.css';
+import './styles/run-history.css';
+import './styles/packages.css';
+import './styles/search.css';
+import './styles/session.css';
+import './styles/profiler.css';
+import './styles/services.css';
+import './styles/notebook.css';
 
 // Monaco Editor environment is configured automatically by vite-plugin-monaco-editor
 
@@ -78,6 +110,7 @@ class PythonIDE {
         // Parse workspace folder from URL
         const urlParams = new URLSearchParams(window.location.search);
         this.workspaceFolder = urlParams.get('folder') || '';
+        this.clientId = this.getClientId(); // Runs at once are limited per client on the server
 
         // Split view state
         this.splitViewActive = false;
@@ -91,16 +124,43 @@ class PythonIDE {
         // Theme state
         this.currentTheme = localStorage.getItem('editor-theme') || 'vs-dark';
 
+        // Commands of the IDE; managers register theirs when they are created
+        this.commands = new CommandRegistry();
+
         // Initialize managers first (before using them)
         this.themeManager = new ThemeManager(this);
         this.resizeManager = new ResizeManager();
         this.dialogManager = new DialogManager();
         this.codeExecutor = new CodeExecutor(this);
+        this.pythonSession = new PythonSession(this);
+        this.cellRunner = new CellRunner(this);
+        this.replPanel = new ReplPanel(this);
+        this.profilerPanel = new ProfilerPanel(this);
+        this.coverageManager = new CoverageManager(this);
+        this.servicesPanel = new ServicesPanel(this);
+        this.notebookManager = new NotebookManager(this);
+        this.launchConfigManager = new LaunchConfigManager(this);
         this.contextMenuInstance = new ContextMenu();
         this.formatManager = new FormatManager(this);
         this.typeCheckManager = new TypeCheckManager(this);
         this.problemsManager = new ProblemsManager(this);
         this.statusBarManager = new StatusBarManager(this);
+        this.interpreterSelector = new InterpreterSelector(this);
+        this.terminalManager = new TerminalManager(this);
+        this.activityBar = new ActivityBarManager(this);
+        this.quickInput = new QuickInput();
+        this.quickOpen = new QuickOpen(this);
+        this.commandPalette = new CommandPalette(this);
+        this.searchPanel = new SearchPanel(this);
+        this.activityBar.registerView('search', () => this.searchPanel.onShow());
+        this.testExplorer = new TestExplorer(this);
+        this.activityBar.registerView('testing', () => this.testExplorer.onShow());
+        this.debugManager = new DebugManager(this);
+        this.activityBar.registerView('debug', () => this.debugManager.render());
+        this.runHistory = new RunHistory(this);
+        this.activityBar.registerView('history', () => this.runHistory.onShow());
+        this.packagesPanel = new PackagesPanel(this);
+        this.activityBar.registerView('packages', () => this.packagesPanel.onShow());
 
         // Apply theme after ThemeManager is initialized
         this.applyTheme(this.currentTheme);
@@ -141,6 +201,8 @@ class PythonIDE {
             onFileMove: (draggedItem, targetPath) => this.handleItemMove(draggedItem, targetPath),
             onExternalFileDrop: (files, targetPath, type) =>
                 this.handleExternalFileDrop(files, targetPath, type),
+            onFileRendered: (element, filePath) =>
+                this.coverageManager.decorateExplorerItem(element, filePath),
         });
 
         // Initialize FileOperations
@@ -166,6 +228,7 @@ class PythonIDE {
         this.linkDecorationManager = new LinkDecorationManager(this);
         this.lspResponseHandlers = new LSPResponseHandlers(this);
         this.templateSelector = new TemplateSelector(this);
+        this.registerCommands();
 
         this.initializeEditor();
 
@@ -194,6 +257,19 @@ class PythonIDE {
         return headers;
     }
 
+    /**
+     * Random id of this browser, kept across reloads (sent with run and pip sockets)
+     */
+    getClientId() {
+        let clientId = localStorage.getItem('client-id');
+        if (!clientId) {
+            const bytes = crypto.getRandomValues(new Uint8Array(16));
+            clientId = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+            localStorage.setItem('client-id', clientId);
+        }
+        return clientId;
+    }
+
     buildUrl(path, params = {}) {
         const url = new URL(path, window.location.origin);
         if (this.workspaceFolder && this.workspaceFolder.trim() !== '') {
@@ -215,7 +291,11 @@ class PythonIDE {
 
     async initializeLanguageServer() {
         // Initialize LSPClient with snippets and fallback validation
-        this.lspClientInstance = new LSPClient(this.snippets, () => this.setupBasicValidation());
+        this.lspClientInstance = new LSPClient(
+            this.snippets,
+            () => this.setupBasicValidation(),
+            () => this.buildUrl('/').replace(/^http/, 'ws')
+        );
 
         // Connect LSP diagnostics to Problems panel
         this.lspClientInstance.onDiagnosticsUpdate = (filepath, markers) => {
@@ -238,13 +318,28 @@ class PythonIDE {
             window.dispatchEvent(new CustomEvent('lsp-connected'));
         };
 
-        // Keep reference to languageClient for backward compatibility
+        // Restarted with another interpreter: the new language server needs the open files
+        this.lspClientInstance.onRestarted = () => {
+            this.watchLanguageClient();
+            [...this.openTabs, ...this.rightOpenTabs].forEach(([filepath, tabData]) => {
+                if (filepath.endsWith('.py') && tabData.model) {
+                    this.lspManager.notifyDocumentOpened(filepath, tabData.model.getValue());
+                }
+            });
+            window.dispatchEvent(new CustomEvent('lsp-connected'));
+        };
+
         await this.lspClientInstance.connect();
-        this.languageClient = this.lspClientInstance.languageClient;
         this.messageId = this.lspClientInstance.messageId;
         this.pendingRequests = this.lspClientInstance.pendingRequests;
+        this.watchLanguageClient();
+    }
 
-        // Listen for LSP disconnection
+    /**
+     * Keep reference to languageClient for backward compatibility and listen for LSP disconnection
+     */
+    watchLanguageClient() {
+        this.languageClient = this.lspClientInstance.languageClient;
         if (this.languageClient) {
             this.languageClient.addEventListener('close', () => {
                 window.dispatchEvent(new CustomEvent('lsp-disconnected'));
@@ -633,10 +728,13 @@ class PythonIDE {
     }
 
     async saveFile(filepath) {
-        const tabData = this.openTabs.get(filepath);
+        // Files open only in the right editor are saved too (e.g. before running them)
+        const tabData = this.openTabs.get(filepath) || this.rightOpenTabs.get(filepath);
         if (!tabData) return;
 
         try {
+            // Notebook cell edits are written to the model shortly after typing
+            this.notebookManager.flush(tabData.model);
             const content = tabData.model.getValue();
             await fetch(this.buildUrl(`/api/files/${filepath}`), {
                 method: 'POST',
@@ -645,6 +743,7 @@ class PythonIDE {
             });
 
             tabData.saved = true;
+            this.launchConfigManager.handleFileSaved(filepath);
         } catch (error) {
             console.error('Failed to save file:', error);
         }
@@ -662,10 +761,72 @@ class PythonIDE {
         });
     }
 
+    stopExecution() {
+        this.codeExecutor.stop();
+    }
+
     async handleGoToDefinition(position) {
         await this.lspManager.handleGoToDefinition(position);
     }
 
+    /**
+     * File and run commands (managers register their own)
+     */
+    registerCommands() {
+        const hasActiveFile = () => Boolean(this.activeFile);
+        // Like the explorer buttons: in the selected folder, otherwise at the root
+        const createInSelectedFolder = (type) => {
+            if (!this.selectedItem || this.selectedItem.type !== 'directory') {
+                this.selectedDirectory = '';
+            }
+            this.showCreateDialog(type);
+        };
+
+        this.commands.registerAll([
+            {
+                id: 'file.save',
+                title: 'Save',
+                category: 'File',
+                keybinding: 'Ctrl+S',
+                isEnabled: hasActiveFile,
+                run: () => this.saveFile(this.activeFile),
+            },
+            {
+                id: 'file.newFile',
+                title: 'New File...',
+                category: 'File',
+                run: () => createInSelectedFolder('file'),
+            },
+            {
+                id: 'file.newFolder',
+                title: 'New Folder...',
+                category: 'File',
+                run: () => createInSelectedFolder('folder'),
+            },
+            {
+                id: 'explorer.refresh',
+                title: 'Refresh Explorer',
+                category: 'Explorer',
+                run: () => this.loadFileExplorer(),
+            },
+            {
+                id: 'run.runFile',
+                title: 'Run Python File',
+                category: 'Run',
+                keybinding: 'Ctrl+R',
+                skipInTerminal: true,
+                run: () => this.executeCode(),
+            },
+            {
+                id: 'run.stop',
+                title: 'Stop Running Program',
+                category: 'Run',
+                isEnabled: () => this.codeExecutor.isRunning(),
+                run: () => this.stopExecution(),
+            },
+        ]);
+    }
+
     setupEventListeners() {
         const eventManager = new EventManager(this);
         eventManager.setupAllListeners();
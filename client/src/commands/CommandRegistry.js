@@ -0,0 +1,108 @@
+/**
+ * CommandRegistry - All actions of the IDE by id
+ * Managers register their commands when they are created; the command palette
+ * (Ctrl+Shift+P) lists them and global keyboard shortcuts run them.
+ *
+ * Command: {
+ *   id: 'editor.formatDocument',
+ *   title: 'Format Document',
+ *   category: 'Editor',          // Shown before the title in the palette
+ *   keybinding: 'Ctrl+Shift+P',  // Handled here (Ctrl also matches Cmd)
+ *   editorKeybinding: 'Shift+Alt+F', // Shown only: handled by the Monaco editor
+ *   skipInTerminal: true,        // Leave the keybinding to the terminal's shell
+ *   isEnabled: () => boolean,    // Hidden from the palette and not run when false
+ *   run: (...args) => {},
+ * }
+ */
+export class CommandRegistry {
+    constructor() {
+        this.commands = new Map(); // id -> command
+    }
+
+    /**
+     * Add a command (a command with the same id is replaced)
+     */
+    register(command) {
+        this.commands.set(command.id, {
+            ...command,
+            keys: command.keybinding ? parseKeybinding(command.keybinding) : null,
+        });
+    }
+
+    registerAll(commands) {
+        commands.forEach((command) => this.register(command));
+    }
+
+    get(id) {
+        return this.commands.get(id) || null;
+    }
+
+    /**
+     * Commands that can run now
+     */
+    getEnabled() {
+        return Array.from(this.commands.values()).filter((command) => isEnabled(command));
+    }
+
+    /**
+     * Run a command
+     * @returns {Promise<boolean>} Whether the command exists and is enabled
+     */
+    async execute(id, ...args) {
+        const command = this.commands.get(id);
+        if (!command || !isEnabled(command)) return false;
+
+        try {
+            await command.run(...args);
+        } catch (error) {
+            console.error(`Command ${id} failed:`, error);
+        }
+        return true;
+    }
+
+    /**
+     * Run the command bound to a key press, if any
+     * @param {KeyboardEvent} e - keydown event
+     * @param {boolean} inTerminal - Whether the key was typed into the terminal
+     * @returns {boolean} Whether a command handled it
+     */
+    handleKeydown(e, inTerminal = false) {
+        for (const command of this.commands.values()) {
+            if (!command.keys || !matchesKeys(command.keys, e)) continue;
+            if (inTerminal && command.skipInTerminal) continue;
+
+            // The key stays the IDE's while the command can't run (no browser Save or Reload)
+            e.preventDefault();
+            this.execute(command.id);
+            return true;
+        }
+        return false;
+    }
+}
+
+function isEnabled(command) {
+    return !command.isEnabled || command.isEnabled();
+}
+
+/**
+ * Parse "Ctrl+Shift+P" into the modifiers and key it stands for
+ */
+function parseKeybinding(keybinding) {
+    const parts = keybinding.split('+');
+    const key = parts.pop().toLowerCase();
+    return {
+        key,
+        ctrl: parts.includes('Ctrl'),
+        shift: parts.includes('Shift'),
+        alt: parts.includes('Alt'),
+    };
+}
+
+function matchesKeys(keys, e) {
+    return (
+        e.key.toLowerCase() === keys.key &&
+        (e.ctrlKey || e.metaKey) === keys.ctrl &&
+        e.shiftKey === keys.shift &&
+        e.altKey === keys.alt
+    );
+}
@@ -0,0 +1,223 @@
+import * as monaco from 'monaco-editor';
+
+const STORAGE_KEY = 'breakpoints';
+
+// Editors that show workspace files (not template previews and the like)
+const EDITOR_CONTAINERS = ['editor', 'editor2'];
+
+/**
+ * BreakpointManager - Breakpoints in the editor gutter
+ * Breakpoints are kept per file (workspace-relative path), follow the code as it
+ * is edited and are remembered per workspace folder
+ */
+export class BreakpointManager {
+    /**
+     * @param {Object} context - PythonIDE instance
+     * @param {Function} onChange - Called with the file path whenever its breakpoints change
+     */
+    constructor(context, onChange = () => {}) {
+        this.context = context;
+        this.onChange = onChange;
+        this.breakpoints = new Map(); // filepath -> [{ line, condition }]
+        this.decorations = new Map(); // model URI -> { ids, model }
+
+        this.load();
+
+        monaco.editor.onDidCreateEditor((editor) => {
+            // Wait for the editor to be attached to its container
+            setTimeout(() => this.attachEditor(editor), 0);
+        });
+        monaco.editor.onDidCreateModel((model) => this.attachModel(model));
+    }
+
+    /**
+     * Breakpoints are remembered per workspace folder
+     */
+    getStorageKey() {
+        return `${STORAGE_KEY}:${this.context.workspaceFolder || '/'}`;
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.getStorageKey()) || '{}');
+            Object.entries(saved).forEach(([filepath, breakpoints]) => {
+                this.breakpoints.set(filepath, breakpoints);
+            });
+        } catch (error) {
+            console.error('Failed to load breakpoints:', error);
+        }
+    }
+
+    save() {
+        localStorage.setItem(
+            this.getStorageKey(),
+            JSON.stringify(Object.fromEntries(this.breakpoints))
+        );
+    }
+
+    /**
+     * Workspace file path of a model (null for stdlib and other models)
+     */
+    getFilePath(model) {
+        return model && model.uri.scheme === 'file' ? model.uri.path.replace(/^\//, '') : null;
+    }
+
+    /**
+     * Toggle breakpoints by clicking the glyph margin
+     */
+    attachEditor(editor) {
+        const container = editor.getContainerDomNode();
+        if (!container || !EDITOR_CONTAINERS.includes(container.id)) {
+            return;
+        }
+
+        editor.updateOptions({ glyphMargin: true });
+        editor.onMouseDown((e) => {
+            if (e.target.type !== monaco.editor.MouseTargetType.GUTTER_GLYPH_MARGIN) {
+                return;
+            }
+            const filepath = this.getFilePath(editor.getModel());
+            if (filepath && e.target.position) {
+                this.toggleBreakpoint(filepath, e.target.position.lineNumber);
+            }
+        });
+    }
+
+    /**
+     * Show a file's breakpoints and keep them in place while the file is edited
+     */
+    attachModel(model) {
+        const filepath = this.getFilePath(model);
+        if (!filepath) return;
+
+        this.renderModel(model);
+        model.onDidChangeContent(() => this.syncFromDecorations(model));
+        model.onWillDispose(() => this.decorations.delete(model.uri.toString()));
+    }
+
+    /**
+     * Read breakpoint lines back from decorations after an edit moved them
+     */
+    syncFromDecorations(model) {
+        const filepath = this.getFilePath(model);
+        const entry = this.decorations.get(model.uri.toString());
+        const breakpoints = this.breakpoints.get(filepath);
+        if (!entry || !breakpoints) return;
+
+        const seen = new Set();
+        let changed = false;
+        const updated = [];
+        entry.ids.forEach((id, index) => {
+            const range = model.getDecorationRange(id);
+            const breakpoint = breakpoints[index];
+            if (!range || !breakpoint || seen.has(range.startLineNumber)) {
+                changed = true;
+                return;
+            }
+            seen.add(range.startLineNumber);
+            if (range.startLineNumber !== breakpoint.line) {
+                changed = true;
+            }
+            updated.push({ ...breakpoint, line: range.startLineNumber });
+        });
+
+        if (changed) {
+            this.setBreakpoints(filepath, updated);
+        }
+    }
+
+    /**
+     * Draw breakpoint dots for a model
+     */
+    renderModel(model) {
+        const filepath = this.getFilePath(model);
+        const key = model.uri.toString();
+        const previous = this.decorations.has(key) ? this.decorations.get(key).ids : [];
+        const breakpoints = this.breakpoints.get(filepath) || [];
+
+        const ids = model.deltaDecorations(
+            previous,
+            breakpoints.map((breakpoint) => ({
+                range: new monaco.Range(breakpoint.line, 1, breakpoint.line, 1),
+                options: {
+                    glyphMarginClassName: breakpoint.condition
+                        ? 'debug-breakpoint-glyph conditional'
+                        : 'debug-breakpoint-glyph',
+                    glyphMarginHoverMessage: {
+                        value: breakpoint.condition
+                            ? `Breakpoint (condition: ${breakpoint.condition})`
+                            : 'Breakpoint',
+                    },
+                    stickiness: monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges,
+                },
+            }))
+        );
+        this.decorations.set(key, { ids, model });
+    }
+
+    /**
+     * Breakpoints of a file, sorted by line
+     * @returns {Array} [{ line, condition }]
+     */
+    getBreakpoints(filepath) {
+        return this.breakpoints.get(filepath) || [];
+    }
+
+    /**
+     * All breakpoints
+     * @returns {Map<string, Array>} filepath -> [{ line, condition }]
+     */
+    getAllBreakpoints() {
+        return this.breakpoints;
+    }
+
+    /**
+     * Replace a file's breakpoints
+     */
+    setBreakpoints(filepath, breakpoints) {
+        const sorted = [...breakpoints].sort((a, b) => a.line - b.line);
+        if (sorted.length > 0) {
+            this.breakpoints.set(filepath, sorted);
+        } else {
+            this.breakpoints.delete(filepath);
+        }
+        this.save();
+
+        const model = monaco.editor.getModel(monaco.Uri.file(filepath));
+        if (model) {
+            this.renderModel(model);
+        }
+        this.onChange(filepath);
+    }
+
+    toggleBreakpoint(filepath, line) {
+        const breakpoints = this.getBreakpoints(filepath);
+        if (breakpoints.some((breakpoint) => breakpoint.line === line)) {
+            this.setBreakpoints(
+                filepath,
+                breakpoints.filter((breakpoint) => breakpoint.line !== line)
+            );
+        } else {
+            this.setBreakpoints(filepath, [...breakpoints, { line, condition: '' }]);
+        }
+    }
+
+    /**
+     * Set or clear (empty string) the condition of a breakpoint
+     */
+    setCondition(filepath, line, condition) {
+        this.setBreakpoints(
+            filepath,
+            this.getBreakpoints(filepath).map((breakpoint) =>
+                breakpoint.line === line
+                    ? { ...breakpoint, condition: condition.trim() }
+                    : breakpoint
+            )
+        );
+    }
+
+    removeAll() {
+        const filepaths = Array.from(this.breakpoints.keys());
+        filepaths.forEach((filepath) => this.setBreakpoints(filepath, []));
+    }
+}
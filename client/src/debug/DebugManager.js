@@ -0,0 +1,901 @@
+import * as monaco from 'monaco-editor';
+import { DebugSession } from './DebugSession.js';
+import { BreakpointManager } from './BreakpointManager.js';
+
+const WATCH_STORAGE_KEY = 'debug-watch';
+
+/**
+ * DebugManager - Run and Debug view, debug toolbar and DEBUG CONSOLE tab
+ * Drives a DebugSession: breakpoints from the gutter, stepping, call stack,
+ * variables, watch expressions and a console that evaluates in the paused frame
+ */
+export class DebugManager {
+    constructor(context) {
+        this.context = context;
+        this.session = null;
+        this.state = 'inactive'; // 'inactive' | 'running' | 'paused'
+        this.launchArgs = null;
+        this.frames = [];
+        this.selectedFrameId = null;
+        this.expanded = new Set(); // variable tree paths the user expanded
+        this.currentLine = null; // { model, ids } of the stopped-line highlight
+        this.consoleHistory = [];
+        this.consoleHistoryIndex = 0;
+        this.watches = JSON.parse(localStorage.getItem(WATCH_STORAGE_KEY) || '[]');
+
+        this.breakpointManager = new BreakpointManager(context, (filepath) =>
+            this.handleBreakpointsChanged(filepath)
+        );
+
+        this.elements = {
+            toolbar: document.getElementById('debugToolbar'),
+            variables: document.getElementById('debugVariables'),
+            watch: document.getElementById('debugWatch'),
+            callStack: document.getElementById('debugCallStack'),
+            breakpoints: document.getElementById('debugBreakpoints'),
+            consoleOutput: document.getElementById('debugConsoleOutput'),
+            consoleInput: document.getElementById('debugConsoleInput'),
+        };
+
+        this.initializeActions();
+        this.initializeConsole();
+        this.registerCommands();
+        this.render();
+    }
+
+    /**
+     * Wire the Run and Debug view and debug toolbar buttons
+     */
+    initializeActions() {
+        const actions = {
+            startDebugBtn: () => this.start(),
+            debugContinueBtn: () => this.continueOrPause(),
+            debugStepOverBtn: () => this.step('next'),
+            debugStepIntoBtn: () => this.step('stepIn'),
+            debugStepOutBtn: () => this.step('stepOut'),
+            debugRestartBtn: () => this.restart(),
+            debugStopBtn: () => this.stop(),
+            addWatchBtn: () => this.showWatchInput(),
+            removeAllBreakpointsBtn: () => this.breakpointManager.removeAll(),
+        };
+
+        Object.entries(actions).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    handler();
+                });
+            }
+        });
+    }
+
+    /**
+     * Debug commands and their F5-F11 keybindings
+     */
+    registerCommands() {
+        const isActive = () => this.isActive();
+        const isPaused = () => this.state === 'paused';
+
+        this.context.commands.registerAll([
+            {
+                id: 'debug.start',
+                title: 'Start Debugging',
+                category: 'Debug',
+                keybinding: 'F5',
+                run: () => this.start(),
+            },
+            {
+                id: 'debug.stop',
+                title: 'Stop Debugging',
+                category: 'Debug',
+                keybinding: 'Shift+F5',
+                isEnabled: isActive,
+                run: () => this.stop(),
+            },
+            {
+                id: 'debug.restart',
+                title: 'Restart Debugging',
+                category: 'Debug',
+                keybinding: 'Ctrl+Shift+F5',
+                isEnabled: isActive,
+                run: () => this.restart(),
+            },
+            {
+                id: 'debug.continueOrPause',
+                title: 'Continue / Pause',
+                category: 'Debug',
+                keybinding: 'F6',
+                isEnabled: isActive,
+                run: () => this.continueOrPause(),
+            },
+            {
+                id: 'debug.toggleBreakpoint',
+                title: 'Toggle Breakpoint',
+                category: 'Debug',
+                keybinding: 'F9',
+                run: () => this.toggleBreakpointAtCursor(),
+            },
+            {
+                id: 'debug.stepOver',
+                title: 'Step Over',
+                category: 'Debug',
+                keybinding: 'F10',
+                isEnabled: isPaused,
+                run: () => this.step('next'),
+            },
+            {
+                id: 'debug.stepInto',
+                title: 'Step Into',
+                category: 'Debug',
+                keybinding: 'F11',
+                isEnabled: isPaused,
+                run: () => this.step('stepIn'),
+            },
+            {
+                id: 'debug.stepOut',
+                title: 'Step Out',
+                category: 'Debug',
+                keybinding: 'Shift+F11',
+                isEnabled: isPaused,
+                run: () => this.step('stepOut'),
+            },
+            {
+                id: 'debug.removeAllBreakpoints',
+                title: 'Remove All Breakpoints',
+                category: 'Debug',
+                run: () => this.breakpointManager.removeAll(),
+            },
+        ]);
+    }
+
+    /**
+     * Evaluate what is typed into the DEBUG CONSOLE
+     */
+    initializeConsole() {
+        const input = this.elements.consoleInput;
+        if (!input) return;
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && input.value.trim()) {
+                const expression = input.value;
+                input.value = '';
+                this.consoleHistory.push(expression);
+                this.consoleHistoryIndex = this.consoleHistory.length;
+                this.evaluateInConsole(expression);
+            } else if (e.key === 'ArrowUp' && this.consoleHistoryIndex > 0) {
+                e.preventDefault();
+                this.consoleHistoryIndex--;
+                input.value = this.consoleHistory[this.consoleHistoryIndex];
+            } else if (
+                e.key === 'ArrowDown' &&
+                this.consoleHistoryIndex < this.consoleHistory.length
+            ) {
+                e.preventDefault();
+                this.consoleHistoryIndex++;
+                input.value = this.consoleHistory[this.consoleHistoryIndex] || '';
+            }
+        });
+    }
+
+    buildSocketUrl() {
+        return this.context.buildUrl('/ws/debug').replace(/^http/, 'ws');
+    }
+
+    isActive() {
+        return this.state !== 'inactive';
+    }
+
+    /**
+     * What to debug: follows the run configuration dropdown, except that the
+     * editor buffer can't be debugged so it is saved and debugged in place
+     * @returns {Object|null} Launch arguments, or null if there is nothing to debug
+     */
+    async getLaunchArguments() {
+        const activeFile = this.context.activeFile;
+        const target = this.context.launchConfigManager
+            ? this.context.launchConfigManager.getRunTarget()
+            : { mode: 'file' };
+        const tabData = activeFile ? this.context.openTabs.get(activeFile) : null;
+
+        // Breakpoints are set in files on disk, so save the active file first
+        if (tabData && !tabData.saved && !tabData.isStdlib) {
+            await this.context.saveFile(activeFile);
+        }
+
+        if (target.mode === 'configuration') {
+            return { configuration: target.configuration, file: activeFile };
+        }
+        if (!activeFile || !activeFile.endsWith('.py') || (tabData && tabData.isStdlib)) {
+            return null;
+        }
+        return { mode: target.mode === 'module' ? 'module' : 'file', file: activeFile };
+    }
+
+    /**
+     * Start debugging (or continue if a session is paused)
+     */
+    async start() {
+        if (this.state === 'paused') {
+            this.continueOrPause();
+            return;
+        }
+        if (this.isActive()) return;
+
+        const launchArgs = await this.getLaunchArguments();
+        if (!launchArgs) {
+            this.appendConsole('Open a Python file to start debugging.\n', 'stderr');
+            this.showConsole();
+            return;
+        }
+        await this.launch(launchArgs);
+    }
+
+    /**
+     * Connect, configure breakpoints and run the program under the debugger
+     */
+    async launch(launchArgs) {
+        this.launchArgs = launchArgs;
+        this.clearConsole();
+        this.setState('running');
+        this.showConsole();
+        if (this.context.activityBar) {
+            this.context.activityBar.showView('debug');
+        }
+
+        const session = new DebugSession(this.buildSocketUrl(), {
+            onEvent: (event, body) => this.handleEvent(session, event, body),
+            onClose: () => this.handleSessionEnd(session),
+        });
+        this.session = session;
+
+        try {
+            await session.connect();
+            await session.request('initialize', {
+                clientID: 'py-editor',
+                adapterID: 'python',
+                linesStartAt1: true,
+                columnsStartAt1: true,
+                pathFormat: 'path',
+            });
+            await session.request('launch', launchArgs);
+
+            for (const filepath of this.breakpointManager.getAllBreakpoints().keys()) {
+                await this.sendBreakpoints(filepath);
+            }
+            await session.request('configurationDone');
+        } catch (error) {
+            this.appendConsole(`${error.message}\n`, 'stderr');
+            session.close();
+        }
+    }
+
+    /**
+     * Send a file's breakpoints to the running session
+     */
+    async sendBreakpoints(filepath) {
+        if (!this.session) return;
+
+        const breakpoints = this.breakpointManager.getBreakpoints(filepath);
+        try {
+            await this.session.request('setBreakpoints', {
+                source: { path: filepath },
+                breakpoints: breakpoints.map(({ line, condition }) =>
+                    condition ? { line, condition } : { line }
+                ),
+            });
+        } catch (error) {
+            console.error('Failed to set breakpoints:', error);
+        }
+    }
+
+    handleBreakpointsChanged(filepath) {
+        this.renderBreakpoints();
+        if (this.isActive()) {
+            this.sendBreakpoints(filepath);
+        }
+    }
+
+    /**
+     * Handle events from the debug adapter
+     */
+    handleEvent(session, event, body) {
+        if (session !== this.session) return;
+
+        if (event === 'stopped') {
+            this.handleStopped();
+        } else if (event === 'output') {
+            this.appendConsole(body.output, body.category === 'stderr' ? 'stderr' : 'stdout');
+        } else if (event === 'exited') {
+            this.appendConsole(`Program exited with code ${body.exitCode}\n`, 'status');
+        } else if (event === 'terminated') {
+            session.close();
+        }
+    }
+
+    /**
+     * Program paused: load the call stack and show where it stopped
+     */
+    async handleStopped() {
+        this.setState('paused');
+
+        try {
+            const { stackFrames } = await this.session.request('stackTrace', { threadId: 1 });
+            this.frames = stackFrames;
+        } catch (error) {
+            this.frames = [];
+        }
+
+        if (this.frames.length > 0) {
+            await this.selectFrame(this.frames[0].id);
+        } else {
+            this.render();
+        }
+    }
+
+    /**
+     * Show a stack frame: reveal its line and inspect its variables
+     */
+    async selectFrame(frameId) {
+        this.selectedFrameId = frameId;
+        const frame = this.frames.find((f) => f.id === frameId);
+        if (frame && frame.source && frame.source.path) {
+            await this.revealLine(frame.source.path, frame.line);
+        }
+        this.render();
+    }
+
+    handleSessionEnd(session) {
+        if (session !== this.session) return;
+
+        this.session = null;
+        this.frames = [];
+        this.selectedFrameId = null;
+        this.clearCurrentLine();
+        this.setState('inactive');
+    }
+
+    /**
+     * Continue when paused, pause when running
+     */
+    continueOrPause() {
+        if (this.state === 'paused') {
+            this.step('continue');
+        } else if (this.state === 'running' && this.session) {
+            this.session.request('pause', { threadId: 1 }).catch(() => {});
+        }
+    }
+
+    /**
+     * Resume with continue, next, stepIn or stepOut
+     */
+    async step(command) {
+        if (this.state !== 'paused') return;
+
+        this.frames = [];
+        this.selectedFrameId = null;
+        this.clearCurrentLine();
+        this.setState('running');
+
+        try {
+            await this.session.request(command, { threadId: 1 });
+        } catch (error) {
+            this.appendConsole(`${error.message}\n`, 'stderr');
+        }
+    }
+
+    stop() {
+        if (this.session) {
+            this.session.request('terminate').catch(() => {});
+            this.session.close();
+        }
+    }
+
+    async restart() {
+        const launchArgs = this.launchArgs;
+        if (!launchArgs) return;
+
+        if (this.session) {
+            // End the old session here; its close event is ignored once it's replaced
+            const session = this.session;
+            this.handleSessionEnd(session);
+            session.close();
+        }
+        await this.launch(launchArgs);
+    }
+
+    setState(state) {
+        this.state = state;
+        document.body.classList.toggle('debugging', state !== 'inactive');
+        this.renderToolbar();
+        if (state !== 'paused') {
+            this.render();
+        }
+    }
+
+    /**
+     * Open a file in the focused editor group and highlight the stopped line
+     */
+    async revealLine(filepath, line) {
+        if (filepath.startsWith('/')) return; // Outside the workspace
+
+        const targetEditor = this.context.splitViewActive ? this.context.focusedEditor : 'left';
+        await this.context.fileLoader.openFile(filepath, targetEditor);
+
+        const editor = targetEditor === 'right' ? this.context.rightEditor : this.context.editor;
+        if (editor) {
+            editor.revealLineInCenterIfOutsideViewport(line);
+            editor.setPosition({ lineNumber: line, column: 1 });
+        }
+
+        this.clearCurrentLine();
+        const model = monaco.editor.getModel(monaco.Uri.file(filepath));
+        if (model) {
+            const ids = model.deltaDecorations(
+                [],
+                [
+                    {
+                        range: new monaco.Range(line, 1, line, 1),
+                        options: {
+                            isWholeLine: true,
+                            className: 'debug-current-line',
+                            glyphMarginClassName: 'debug-current-line-glyph',
+                        },
+                    },
+                ]
+            );
+            this.currentLine = { model, ids };
+        }
+    }
+
+    clearCurrentLine() {
+        if (this.currentLine && !this.currentLine.model.isDisposed()) {
+            this.currentLine.model.deltaDecorations(this.currentLine.ids, []);
+        }
+        this.currentLine = null;
+    }
+
+    /**
+     * Toggle a breakpoint on the cursor line of the focused editor (F9)
+     */
+    toggleBreakpointAtCursor() {
+        const editor =
+            this.context.splitViewActive && this.context.focusedEditor === 'right'
+                ? this.context.rightEditor
+                : this.context.editor;
+        if (!editor || !editor.getModel()) return;
+
+        const filepath = this.breakpointManager.getFilePath(editor.getModel());
+        if (filepath) {
+            this.breakpointManager.toggleBreakpoint(filepath, editor.getPosition().lineNumber);
+        }
+    }
+
+    // Views
+
+    render() {
+        this.renderCallStack();
+        this.renderVariables();
+        this.renderWatch();
+        this.renderBreakpoints();
+    }
+
+    renderToolbar() {
+        const toolbar = this.elements.toolbar;
+        if (!toolbar) return;
+
+        toolbar.style.display = this.isActive() ? 'flex' : 'none';
+        const paused = this.state === 'paused';
+
+        const continueButton = document.getElementById('debugContinueBtn');
+        if (continueButton) {
+            continueButton.title = paused ? 'Continue (F5)' : 'Pause (F6)';
+            continueButton.innerHTML = `<i class="codicon codicon-debug-${paused ? 'continue' : 'pause'}"></i>`;
+        }
+        ['debugStepOverBtn', 'debugStepIntoBtn', 'debugStepOutBtn'].forEach((id) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.disabled = !paused;
+            }
+        });
+    }
+
+    renderCallStack() {
+        const container = this.elements.callStack;
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (this.state !== 'paused') {
+            container.appendChild(
+                this.createEmptyMessage(this.state === 'running' ? 'Running' : 'Not debugging')
+            );
+            return;
+        }
+
+        this.frames.forEach((frame) => {
+            const item = document.createElement('div');
+            item.className = 'debug-item debug-frame';
+            item.classList.toggle('selected', frame.id === this.selectedFrameId);
+
+            const name = document.createElement('span');
+            name.className = 'debug-frame-name';
+            name.textContent = frame.name;
+
+            const location = document.createElement('span');
+            location.className = 'debug-frame-location';
+            location.textContent = `${frame.source ? frame.source.name : ''}:${frame.line}`;
+            location.title = frame.source ? `${frame.source.path}:${frame.line}` : '';
+
+            item.append(name, location);
+            item.addEventListener('click', () => this.selectFrame(frame.id));
+            container.appendChild(item);
+        });
+    }
+
+    /**
+     * Variables of the selected frame, as a lazily expanded tree
+     */
+    async renderVariables() {
+        const container = this.elements.variables;
+        if (!container) return;
+
+        if (this.state !== 'paused' || !this.selectedFrameId) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const frameId = this.selectedFrameId;
+        let scopes = [];
+        try {
+            ({ scopes } = await this.session.request('scopes', { frameId }));
+        } catch (error) {
+            return;
+        }
+
+        const fragment = document.createDocumentFragment();
+        for (const scope of scopes) {
+            const path = `scope:${scope.name}`;
+            // Locals start expanded, like VS Code
+            const isExpanded =
+                this.expanded.has(path) ||
+                (scope.name === 'Locals' && !this.expanded.has(`-${path}`));
+            await this.appendVariableNode(
+                fragment,
+                { name: scope.name, value: '', variablesReference: scope.variablesReference },
+                path,
+                0,
+                isExpanded,
+                true
+            );
+        }
+
+        // Frame changed while loading
+        if (frameId !== this.selectedFrameId) return;
+        container.innerHTML = '';
+        container.appendChild(fragment);
+    }
+
+    /**
+     * Append a variable row and, when expanded, its children
+     */
+    async appendVariableNode(parent, variable, path, depth, isExpanded, isScope = false) {
+        const expandable = variable.variablesReference > 0;
+        const item = document.createElement('div');
+        item.className = isScope ? 'debug-item debug-scope' : 'debug-item debug-variable';
+        item.style.paddingLeft = `${depth * 12 + 4}px`;
+
+        const toggle = document.createElement('i');
+        toggle.className = expandable
+            ? `debug-toggle codicon codicon-chevron-${isExpanded ? 'down' : 'right'}`
+            : 'debug-toggle';
+        item.appendChild(toggle);
+
+        const name = document.createElement('span');
+        name.className = 'debug-variable-name';
+        name.textContent = isScope ? variable.name : `${variable.name}: `;
+        item.appendChild(name);
+
+        if (!isScope) {
+            const value = document.createElement('span');
+            value.className = 'debug-variable-value';
+            value.textContent = variable.value;
+            value.title = variable.type ? `${variable.type}: ${variable.value}` : variable.value;
+            item.appendChild(value);
+        }
+
+        if (expandable) {
+            item.addEventListener('click', () => {
+                if (isExpanded) {
+                    this.expanded.delete(path);
+                    this.expanded.add(`-${path}`);
+                } else {
+                    this.expanded.add(path);
+                    this.expanded.delete(`-${path}`);
+                }
+                this.renderVariables();
+            });
+        }
+        parent.appendChild(item);
+
+        if (expandable && isExpanded) {
+            let variables = [];
+            try {
+                ({ variables } = await this.session.request('variables', {
+                    variablesReference: variable.variablesReference,
+                }));
+            } catch (error) {
+                return;
+            }
+            for (const child of variables) {
+                const childPath = `${path}/${child.name}`;
+                await this.appendVariableNode(
+                    parent,
+                    child,
+                    childPath,
+                    depth + 1,
+                    this.expanded.has(childPath)
+                );
+            }
+        }
+    }
+
+    /**
+     * Watch expressions, evaluated in the selected frame
+     */
+    async renderWatch() {
+        const container = this.elements.watch;
+        if (!container) return;
+
+        const frameId = this.selectedFrameId;
+        const rows = await Promise.all(
+            this.watches.map(async (expression, index) => {
+                let value = 'not available';
+                let isError = false;
+                if (this.state === 'paused' && this.session) {
+                    try {
+                        const result = await this.session.request('evaluate', {
+                            expression,
+                            frameId,
+                            context: 'watch',
+                        });
+                        value = result.result;
+                    } catch (error) {
+                        value = error.message;
+                        isError = true;
+                    }
+                }
+                return this.createWatchItem(expression, value, isError, index);
+            })
+        );
+
+        container.innerHTML = '';
+        rows.forEach((row) => container.appendChild(row));
+    }
+
+    createWatchItem(expression, value, isError, index) {
+        const item = document.createElement('div');
+        item.className = 'debug-item debug-variable';
+
+        const name = document.createElement('span');
+        name.className = 'debug-variable-name';
+        name.textContent = `${expression}: `;
+
+        const result = document.createElement('span');
+        result.className = isError ? 'debug-variable-value error' : 'debug-variable-value';
+        result.textContent = value;
+        result.title = value;
+
+        const remove = document.createElement('button');
+        remove.className = 'debug-item-action';
+        remove.title = 'Remove Expression';
+        remove.innerHTML = '<i class="codicon codicon-close"></i>';
+        remove.addEventListener('click', () => {
+            this.watches.splice(index, 1);
+            this.saveWatches();
+            this.renderWatch();
+        });
+
+        item.append(name, result, remove);
+        return item;
+    }
+
+    /**
+     * Inline input at the top of the Watch section for a new expression
+     */
+    showWatchInput() {
+        const container = this.elements.watch;
+        if (!container || container.querySelector('.debug-inline-input')) return;
+
+        const input = this.createInlineInput('Expression to watch', (expression) => {
+            if (expression) {
+                this.watches.push(expression);
+                this.saveWatches();
+            }
+            this.renderWatch();
+        });
+        container.prepend(input);
+        input.focus();
+    }
+
+    saveWatches() {
+        localStorage.setItem(WATCH_STORAGE_KEY, JSON.stringify(this.watches));
+    }
+
+    renderBreakpoints() {
+        const container = this.elements.breakpoints;
+        if (!container) return;
+
+        container.innerHTML = '';
+        const all = this.breakpointManager.getAllBreakpoints();
+        if (all.size === 0) {
+            container.appendChild(this.createEmptyMessage('Click the editor gutter to add one'));
+            return;
+        }
+
+        all.forEach((breakpoints, filepath) => {
+            breakpoints.forEach((breakpoint) => {
+                container.appendChild(this.createBreakpointItem(filepath, breakpoint));
+            });
+        });
+    }
+
+    createBreakpointItem(filepath, breakpoint) {
+        const item = document.createElement('div');
+        item.className = 'debug-item debug-breakpoint';
+        item.title = breakpoint.condition
+            ? `${filepath}:${breakpoint.line} (condition: ${breakpoint.condition})`
+            : `${filepath}:${breakpoint.line}`;
+
+        const icon = document.createElement('i');
+        icon.className = breakpoint.condition
+            ? 'debug-breakpoint-icon conditional'
+            : 'debug-breakpoint-icon';
+
+        const label = document.createElement('span');
+        label.className = 'debug-breakpoint-label';
+        label.textContent = `${filepath.split('/').pop()}:${breakpoint.line}`;
+
+        const condition = document.createElement('span');
+        condition.className = 'debug-breakpoint-condition';
+        condition.textContent = breakpoint.condition || '';
+
+        const edit = document.createElement('button');
+        edit.className = 'debug-item-action';
+        edit.title = 'Edit Condition';
+        edit.innerHTML = '<i class="codicon codicon-edit"></i>';
+        edit.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const input = this.createInlineInput('Break when expression is true', (value) => {
+                if (value !== null) {
+                    this.breakpointManager.setCondition(filepath, breakpoint.line, value);
+                } else {
+                    this.renderBreakpoints();
+                }
+            });
+            input.value = breakpoint.condition || '';
+            item.replaceWith(input);
+            input.focus();
+        });
+
+        const remove = document.createElement('button');
+        remove.className = 'debug-item-action';
+        remove.title = 'Remove Breakpoint';
+        remove.innerHTML = '<i class="codicon codicon-close"></i>';
+        remove.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.breakpointManager.toggleBreakpoint(filepath, breakpoint.line);
+        });
+
+        item.append(icon, label, condition, edit, remove);
+        item.addEventListener('click', () => this.openBreakpoint(filepath, breakpoint.line));
+        return item;
+    }
+
+    async openBreakpoint(filepath, line) {
+        const targetEditor = this.context.splitViewActive ? this.context.focusedEditor : 'left';
+        await this.context.fileLoader.openFile(filepath, targetEditor);
+        const editor = targetEditor === 'right' ? this.context.rightEditor : this.context.editor;
+        if (editor) {
+            editor.setPosition({ lineNumber: line, column: 1 });
+            editor.revealLineInCenter(line);
+            editor.focus();
+        }
+    }
+
+    /**
+     * Text input that commits on Enter (value) and cancels on Escape or blur (null)
+     */
+    createInlineInput(placeholder, onDone) {
+        const input = document.createElement('input');
+        input.className = 'debug-inline-input';
+        input.placeholder = placeholder;
+
+        let done = false;
+        const finish = (value) => {
+            if (done) return;
+            done = true;
+            input.remove();
+            onDone(value);
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                finish(input.value.trim());
+            } else if (e.key === 'Escape') {
+                finish(null);
+            }
+        });
+        input.addEventListener('blur', () => finish(null));
+        return input;
+    }
+
+    createEmptyMessage(text) {
+        const message = document.createElement('div');
+        message.className = 'debug-empty';
+        message.textContent = text;
+        return message;
+    }
+
+    // Debug console
+
+    showConsole() {
+        if (this.context.problemsManager) {
+            this.context.problemsManager.showTab('debug-console');
+        }
+    }
+
+    clearConsole() {
+        if (this.elements.consoleOutput) {
+            this.elements.consoleOutput.innerHTML = '';
+        }
+    }
+
+    /**
+     * Append text to the DEBUG CONSOLE
+     * @param {string} stream - 'stdout', 'stderr', 'input' (echoed expression) or 'status'
+     */
+    appendConsole(text, stream = 'stdout') {
+        const output = this.elements.consoleOutput;
+        if (!output) return;
+
+        const atBottom = output.scrollHeight - output.scrollTop <= output.clientHeight + 20;
+
+        const chunk = document.createElement('span');
+        chunk.className = `debug-console-${stream}`;
+        chunk.textContent = text;
+        output.appendChild(chunk);
+
+        if (atBottom) {
+            output.scrollTop = output.scrollHeight;
+        }
+    }
+
+    /**
+     * Evaluate an expression or statement in the selected frame
+     */
+    async evaluateInConsole(expression) {
+        this.appendConsole(`> ${expression}\n`, 'input');
+
+        if (this.state !== 'paused') {
+            this.appendConsole('The program must be paused to evaluate expressions.\n', 'stderr');
+            return;
+        }
+
+        try {
+            const result = await this.session.request('evaluate', {
+                expression,
+                frameId: this.selectedFrameId,
+                context: 'repl',
+            });
+            if (result.result) {
+                this.appendConsole(`${result.result}\n`);
+            }
+        } catch (error) {
+            this.appendConsole(`${error.message}\n`, 'stderr');
+        }
+
+        // Statements can change variables
+        this.renderVariables();
+        this.renderWatch();
+    }
+}
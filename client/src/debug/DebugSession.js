@@ -0,0 +1,83 @@
+/**
+ * DebugSession - Debug Adapter Protocol client over WebSocket
+ * One session per socket; the server starts a debug adapter for it
+ * (see server/sockets/debugSocket.js)
+ */
+export class DebugSession {
+    /**
+     * @param {string} url - WebSocket URL of the debug channel
+     * @param {Object} handlers - { onEvent(event, body), onClose() }
+     */
+    constructor(url, handlers = {}) {
+        this.url = url;
+        this.onEvent = handlers.onEvent || (() => {});
+        this.onClose = handlers.onClose || (() => {});
+        this.socket = null;
+        this.seq = 0;
+        this.pending = new Map(); // seq -> { resolve, reject }
+    }
+
+    /**
+     * Open the socket
+     */
+    connect() {
+        return new Promise((resolve, reject) => {
+            this.socket = new WebSocket(this.url);
+
+            this.socket.onopen = () => resolve();
+            this.socket.onerror = () => reject(new Error('Failed to connect to the debugger'));
+            this.socket.onmessage = (event) => this.handleMessage(JSON.parse(event.data));
+            this.socket.onclose = () => {
+                this.pending.forEach(({ reject: rejectRequest }) =>
+                    rejectRequest(new Error('Debug session ended'))
+                );
+                this.pending.clear();
+                this.onClose();
+            };
+        });
+    }
+
+    /**
+     * Route responses to their requests and events to the handler
+     */
+    handleMessage(message) {
+        if (message.type === 'response') {
+            const request = this.pending.get(message.request_seq);
+            if (!request) return;
+            this.pending.delete(message.request_seq);
+
+            if (message.success) {
+                request.resolve(message.body || {});
+            } else {
+                request.reject(new Error(message.message || `${message.command} failed`));
+            }
+        } else if (message.type === 'event') {
+            this.onEvent(message.event, message.body || {});
+        }
+    }
+
+    /**
+     * Send a request and wait for its response body
+     * @returns {Promise<Object>} Response body
+     */
+    request(command, args = {}) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            return Promise.reject(new Error('Debug session is not running'));
+        }
+
+        const seq = ++this.seq;
+        return new Promise((resolve, reject) => {
+            this.pending.set(seq, { resolve, reject });
+            this.socket.send(JSON.stringify({ seq, type: 'request', command, arguments: args }));
+        });
+    }
+
+    /**
+     * Close the socket (the server stops the program)
+     */
+    close() {
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+}
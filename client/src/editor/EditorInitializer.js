@@ -46,6 +46,26 @@ export class EditorInitializer {
 
         // Fix Find widget aria-hidden issue
         this.setupFindWidgetFix();
+
+        // Run Selection / Run Cell in the Python session
+        this.setupRunActions();
+
+        // .ipynb files open as notebooks
+        if (this.context.notebookManager) {
+            this.context.notebookManager.attach(this.context.editor);
+        }
+    }
+
+    setupRunActions() {
+        if (this.context.cellRunner) {
+            this.context.cellRunner.registerActions(this.context.editor);
+        }
+        if (this.context.profilerPanel) {
+            this.context.profilerPanel.registerActions(this.context.editor);
+        }
+        if (this.context.coverageManager) {
+            this.context.coverageManager.registerActions(this.context.editor);
+        }
     }
 
     setupFindWidgetFix() {
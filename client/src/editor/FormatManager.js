@@ -10,6 +10,23 @@ export class FormatManager {
         this.formatBtn = document.getElementById('formatBtn');
         this.isFormatting = false;
         this.autoFormatOnSave = localStorage.getItem('auto-format-on-save') === 'true';
+
+        context.commands.registerAll([
+            {
+                id: 'editor.formatDocument',
+                title: 'Format Document',
+                category: 'Editor',
+                editorKeybinding: 'Shift+Alt+F',
+                isEnabled: () => Boolean(context.activeFile),
+                run: () => this.formatDocument(context.focusedEditor || 'left'),
+            },
+            {
+                id: 'editor.toggleFormatOnSave',
+                title: 'Toggle Format on Save',
+                category: 'Editor',
+                run: () => this.setAutoFormatOnSave(!this.autoFormatOnSave),
+            },
+        ]);
     }
 
     /**
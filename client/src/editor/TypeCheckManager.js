@@ -7,6 +7,13 @@ export class TypeCheckManager {
         this.context = context;
         this.typeCheckBtn = document.getElementById('typeCheckBtn');
         this.enabled = localStorage.getItem('type-check-enabled') === 'true';
+
+        context.commands.register({
+            id: 'python.toggleTypeCheck',
+            title: 'Toggle Type Checking (mypy)',
+            category: 'Python',
+            run: () => this.toggle(),
+        });
     }
 
     /**
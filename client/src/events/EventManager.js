@@ -26,6 +26,7 @@ export class EventManager {
     setupButtonListeners() {
         const {
             executeButton,
+            stopButton,
             themeToggleBtn,
             splitToggleBtn,
             newFileBtn,
@@ -41,6 +42,12 @@ export class EventManager {
             });
         }
 
+        if (stopButton) {
+            stopButton.addEventListener('click', () => {
+                this.context.stopExecution();
+            });
+        }
+
         if (themeToggleBtn) {
             themeToggleBtn.addEventListener('click', () => {
                 this.context.toggleTheme();
@@ -101,19 +108,13 @@ export class EventManager {
      */
     setupKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
-            // Ctrl+S / Cmd+S: Save file
-            if ((e.ctrlKey || e.metaKey) && e.key === 's') {
-                e.preventDefault();
-                if (this.context.activeFile) {
-                    this.context.saveFile(this.context.activeFile);
-                }
-            }
+            // Keys typed into the terminal belong to the shell (e.g. Ctrl+R history search)
+            const inTerminal = Boolean(
+                e.target.closest && e.target.closest('.terminal-panel-content')
+            );
 
-            // Ctrl+R / Cmd+R: Execute code
-            if ((e.ctrlKey || e.metaKey) && e.key === 'r') {
-                e.preventDefault();
-                this.context.executeCode();
-            }
+            // Keybindings of the registered commands (Ctrl+S, Ctrl+Shift+P, F5, ...)
+            if (this.context.commands.handleKeydown(e, inTerminal)) return;
 
             // Delete / Cmd+Backspace: Delete selected file/directory
             const isDeleteKey =
@@ -184,7 +185,8 @@ export class EventManager {
      * Setup output panel listeners
      */
     setupOutputPanelListeners() {
-        const { outputPanelClose, outputPanelResizer } = this.getElements();
+        const { outputPanelClose, outputPanelResizer, outputCopyButton, outputPanelContent } =
+            this.getElements();
 
         if (outputPanelClose) {
             outputPanelClose.addEventListener('click', (e) => {
@@ -198,6 +200,23 @@ export class EventManager {
             });
         }
 
+        if (outputCopyButton) {
+            outputCopyButton.addEventListener('click', () => {
+                this.context.codeExecutor.copyOutput(outputPanelContent);
+            });
+        }
+
+        // Copy selected output as plain text, without the colors it is rendered with
+        if (outputPanelContent) {
+            outputPanelContent.addEventListener('copy', (e) => {
+                const selection = window.getSelection().toString();
+                if (selection && e.clipboardData) {
+                    e.preventDefault();
+                    e.clipboardData.setData('text/plain', selection);
+                }
+            });
+        }
+
         if (outputPanelResizer && this.context.outputPanel) {
             this.context.setupOutputPanelResize(
                 outputPanelResizer,
@@ -266,6 +285,7 @@ export class EventManager {
     getElements() {
         return {
             executeButton: this.context.executeButton,
+            stopButton: document.getElementById('stopButton'),
             themeToggleBtn: document.getElementById('themeToggleBtn'),
             splitToggleBtn: document.getElementById('splitToggleBtn'),
             newFileBtn: document.getElementById('newFileBtn'),
@@ -274,6 +294,8 @@ export class EventManager {
             collapseAllBtn: document.getElementById('collapseAllBtn'),
             toggleHiddenBtn: document.getElementById('toggleHiddenBtn'),
             outputPanelClose: document.getElementById('outputPanelClose'),
+            outputCopyButton: document.getElementById('outputCopyButton'),
+            outputPanelContent: document.getElementById('outputPanelContent'),
             outputPanelResizer: document.getElementById('outputPanelResizer'),
         };
     }
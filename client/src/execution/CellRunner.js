@@ -0,0 +1,478 @@
+import * as monaco from 'monaco-editor';
+import { OutputRenderer } from './OutputRenderer.js';
+
+// A cell starts at a "# %%" line (optionally followed by a title, e.g. "# %% Load data")
+const CELL_MARKER = /^\s*#\s*%%/;
+
+// Longest inline result shown after the code; the full value is in the output panel
+const MAX_INLINE_LENGTH = 80;
+
+/**
+ * CellRunner - Run Selection and Run Cell in the editors
+ * Code runs in the shared Python session (see PythonSession), so variables
+ * carry over between runs. Each run is added to the output panel with its
+ * output and value, and the result is shown inline after the code that ran.
+ */
+export class CellRunner {
+    constructor(context) {
+        this.context = context;
+        this.executionCount = 0;
+        this.queue = Promise.resolve(); // Runs are sent one after another
+        this.generation = 0; // Incremented on restart
+        this.outputBlock = null; // Container of session runs in the output panel
+        this.results = new Map(); // model -> { ids, listener } of inline results
+        this.session = context.pythonSession;
+        this.session.on('closed', () => this.appendNote('Python session ended'));
+        this.session.on('restarted', () => {
+            this.generation += 1;
+            this.executionCount = 0;
+            this.clearAllInlineResults();
+            this.appendNote('Python session restarted');
+        });
+
+        // Same setup as program runs: tracebacks on stderr link to the source files
+        this.outputRenderer = new OutputRenderer({
+            onLine: (nodes, text, stream) => {
+                const linker =
+                    this.context.codeExecutor && this.context.codeExecutor.tracebackLinker;
+                if (stream === 'stderr' && linker) {
+                    linker.linkLine(nodes, text);
+                }
+            },
+        });
+
+        monaco.editor.registerCommand('pyeditor.runCell', (accessor, uri, line) => {
+            const model = monaco.editor.getModel(monaco.Uri.parse(uri));
+            if (model) {
+                this.runCellAt(model, line);
+            }
+        });
+
+        monaco.languages.registerCodeLensProvider('python', {
+            provideCodeLenses: (model) => ({
+                lenses: this.getCells(model)
+                    .filter((cell) => cell.hasMarker)
+                    .map((cell) => ({
+                        range: new monaco.Range(cell.startLine, 1, cell.startLine, 1),
+                        command: {
+                            id: 'pyeditor.runCell',
+                            title: '▶ Run Cell',
+                            arguments: [model.uri.toString(), cell.startLine],
+                        },
+                    })),
+                dispose: () => {},
+            }),
+            resolveCodeLens: (model, codeLens) => codeLens,
+        });
+
+        const hasPythonEditor = () => {
+            const model = this.getFocusedEditor() && this.getFocusedEditor().getModel();
+            return Boolean(model) && model.getLanguageId() === 'python';
+        };
+        context.commands.registerAll([
+            {
+                id: 'python.runSelection',
+                title: 'Run Selection/Line in Python Session',
+                category: 'Python',
+                editorKeybinding: 'Shift+Enter',
+                isEnabled: hasPythonEditor,
+                run: () => this.runSelection(this.getFocusedEditor()),
+            },
+            {
+                id: 'python.runCell',
+                title: 'Run Cell in Python Session',
+                category: 'Python',
+                editorKeybinding: 'Ctrl+Enter',
+                isEnabled: hasPythonEditor,
+                run: () => {
+                    const editor = this.getFocusedEditor();
+                    this.runCellAt(editor.getModel(), editor.getPosition().lineNumber);
+                },
+            },
+            {
+                id: 'python.interruptSession',
+                title: 'Interrupt Python Session',
+                category: 'Python',
+                run: () => this.session.interrupt(),
+            },
+            {
+                id: 'python.restartSession',
+                title: 'Restart Python Session',
+                category: 'Python',
+                run: () => this.session.restart(),
+            },
+        ]);
+    }
+
+    /**
+     * Editor of the focused group (commands run from the palette act on it)
+     */
+    getFocusedEditor() {
+        return this.context.splitViewActive && this.context.focusedEditor === 'right'
+            ? this.context.rightEditor
+            : this.context.editor;
+    }
+
+    /**
+     * Add the Run Selection / Run Cell actions to an editor (left or right)
+     */
+    registerActions(editor) {
+        editor.addAction({
+            id: 'python-run-selection',
+            label: 'Run Selection/Line in Python Session',
+            keybindings: [monaco.KeyMod.Shift | monaco.KeyCode.Enter],
+            precondition: 'editorLangId == python',
+            contextMenuGroupId: 'navigation',
+            contextMenuOrder: 0,
+            run: (ed) => this.runSelection(ed),
+        });
+
+        editor.addAction({
+            id: 'python-run-cell',
+            label: 'Run Cell in Python Session',
+            keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyCode.Enter],
+            precondition: 'editorLangId == python',
+            contextMenuGroupId: 'navigation',
+            contextMenuOrder: 0.1,
+            run: (ed) => this.runCellAt(ed.getModel(), ed.getPosition().lineNumber),
+        });
+
+        editor.addAction({
+            id: 'python-run-cell-advance',
+            label: 'Run Cell and Advance',
+            keybindings: [monaco.KeyMod.Alt | monaco.KeyCode.Enter],
+            precondition: 'editorLangId == python',
+            run: (ed) => this.runCellAt(ed.getModel(), ed.getPosition().lineNumber, ed),
+        });
+
+        editor.addAction({
+            id: 'python-interrupt-session',
+            label: 'Interrupt Python Session',
+            run: () => this.session.interrupt(),
+        });
+
+        editor.addAction({
+            id: 'python-restart-session',
+            label: 'Restart Python Session',
+            run: () => this.session.restart(),
+        });
+    }
+
+    /**
+     * Split a model into cells at "# %%" lines
+     * Code before the first marker is a cell of its own; without markers the file is one cell
+     * @returns {Array<Object>} [{ startLine, endLine, hasMarker }]
+     */
+    getCells(model) {
+        const lineCount = model.getLineCount();
+        const cells = [];
+        for (let line = 1; line <= lineCount; line++) {
+            if (CELL_MARKER.test(model.getLineContent(line))) {
+                if (cells.length > 0) {
+                    cells[cells.length - 1].endLine = line - 1;
+                } else if (line > 1) {
+                    cells.push({ startLine: 1, endLine: line - 1, hasMarker: false });
+                }
+                cells.push({ startLine: line, endLine: lineCount, hasMarker: true });
+            }
+        }
+        return cells.length > 0 ? cells : [{ startLine: 1, endLine: lineCount, hasMarker: false }];
+    }
+
+    /**
+     * Run the selected text, or the current line if nothing is selected
+     */
+    runSelection(editor) {
+        const model = editor.getModel();
+        const selection = editor.getSelection();
+        if (!model || !selection) return;
+
+        if (selection.isEmpty()) {
+            const line = selection.startLineNumber;
+            this.runCode(model, model.getLineContent(line), line, line);
+            // Continue with the next line, like a console
+            if (line < model.getLineCount()) {
+                editor.setPosition({ lineNumber: line + 1, column: 1 });
+                editor.revealLine(line + 1);
+            }
+            return;
+        }
+
+        // Trailing whitespace of the selection would only add an empty line
+        const endLine =
+            selection.endColumn === 1 && selection.endLineNumber > selection.startLineNumber
+                ? selection.endLineNumber - 1
+                : selection.endLineNumber;
+        this.runCode(model, model.getValueInRange(selection), selection.startLineNumber, endLine);
+    }
+
+    /**
+     * Run the cell that contains a line
+     * @param {Object} advanceEditor - Editor to move to the next cell afterwards (optional)
+     */
+    runCellAt(model, line, advanceEditor = null) {
+        if (!model) return;
+
+        const cell = this.getCells(model).find((c) => line >= c.startLine && line <= c.endLine);
+        if (!cell) return;
+
+        const code = model.getValueInRange(
+            new monaco.Range(cell.startLine, 1, cell.endLine, model.getLineMaxColumn(cell.endLine))
+        );
+        this.runCode(model, code, cell.startLine, cell.endLine);
+
+        if (advanceEditor && cell.endLine < model.getLineCount()) {
+            const next = cell.endLine + 1;
+            advanceEditor.setPosition({ lineNumber: next, column: 1 });
+            advanceEditor.revealLineInCenterIfOutsideViewport(next);
+        }
+    }
+
+    /**
+     * Workspace path of a model (null for stdlib and other models)
+     */
+    getFilePath(model) {
+        return model.uri.scheme === 'file' ? model.uri.path.replace(/^\//, '') : null;
+    }
+
+    /**
+     * Run code from a model in the session and show the outcome
+     * Runs wait for the previous ones, so each one's output stays under its own header
+     */
+    runCode(model, code, startLine, endLine) {
+        if (!code.trim()) return;
+
+        // The output panel belongs to the program while it runs
+        if (this.context.codeExecutor.isRunning()) {
+            this.showInlineResult(
+                model,
+                endLine,
+                'Wait for the running program to finish',
+                'error'
+            );
+            return;
+        }
+
+        const generation = this.generation;
+        this.showInlineResult(model, endLine, 'Queued…', 'running');
+        this.queue = this.queue.then(() => {
+            // Runs queued before a restart are dropped with the old session
+            if (generation !== this.generation) {
+                this.showInlineResult(model, endLine, 'Cancelled (session restarted)', 'error');
+                return null;
+            }
+            return this.executeCode(model, code, startLine, endLine);
+        });
+    }
+
+    async executeCode(model, code, startLine, endLine) {
+        const file = this.getFilePath(model);
+        const entry = this.startEntry(file, startLine, endLine);
+        this.showInlineResult(model, endLine, 'Running…', 'running');
+
+        let response;
+        try {
+            response = await this.session.execute(code, { file, line: startLine }, (text, stream) =>
+                this.appendOutput(text, stream)
+            );
+        } catch (error) {
+            this.finishEntry(entry, null);
+            this.showInlineResult(model, endLine, error.message, 'error');
+            return;
+        }
+
+        this.finishEntry(entry, response);
+        if (response.error) {
+            const { type, message } = response.error;
+            this.showInlineResult(model, endLine, message ? `${type}: ${message}` : type, 'error');
+        } else if (response.result !== null) {
+            this.showInlineResult(model, endLine, response.result, 'value');
+        } else {
+            const seconds = (response.executionTime / 1000).toFixed(2);
+            this.showInlineResult(model, endLine, `✓ ${seconds}s`, 'done');
+        }
+    }
+
+    /**
+     * Output panel content, with the session's runs in it
+     * A program run or history entry shown in between replaces them, so a new block starts
+     */
+    getOutputBlock() {
+        const { outputPanel } = this.context;
+        const outputPanelContent = document.getElementById('outputPanelContent');
+        if (outputPanel) {
+            outputPanel.style.display = 'flex';
+        }
+        if (this.context.problemsManager) {
+            this.context.problemsManager.showOutputTab();
+        }
+
+        if (!this.outputBlock || !outputPanelContent.contains(this.outputBlock)) {
+            outputPanelContent.className = 'output-panel-content';
+            outputPanelContent.textContent = '';
+            this.outputBlock = document.createElement('div');
+            this.outputBlock.className = 'session-output';
+            outputPanelContent.appendChild(this.outputBlock);
+        }
+        return this.outputBlock;
+    }
+
+    /**
+     * Add a run to the output panel: "In [*] file:lines", then its output as it arrives
+     */
+    startEntry(file, startLine, endLine) {
+        const block = this.getOutputBlock();
+        const entry = document.createElement('div');
+        entry.className = 'session-entry';
+
+        const lines = startLine === endLine ? `${startLine}` : `${startLine}-${endLine}`;
+        const header = document.createElement('div');
+        header.className = 'output-status session-entry-header';
+        header.textContent = `In [*] ${file || 'untitled'}:${lines}`;
+        entry.appendChild(header);
+
+        const output = document.createElement('div');
+        output.className = 'session-entry-output';
+        entry.appendChild(output);
+        block.appendChild(entry);
+
+        const linker = this.context.codeExecutor.tracebackLinker;
+        if (linker) {
+            linker.startRun({ tempFile: null, workspacePath: this.session.workspacePath, file });
+        }
+        this.outputRenderer.attach(output);
+        this.scrollOutput(true);
+        return { header, output, file, lines };
+    }
+
+    /**
+     * Number the run and show its value (Out [n]) once it is done
+     */
+    finishEntry(entry, response) {
+        this.executionCount += 1;
+        entry.header.textContent = `In [${this.executionCount}] ${entry.file || 'untitled'}:${entry.lines}`;
+
+        if (response && response.result !== null) {
+            const result = document.createElement('div');
+            result.className = 'session-entry-result';
+            result.textContent = `Out[${this.executionCount}]: ${response.result}`;
+            entry.output.parentElement.appendChild(result);
+        }
+        if (response && response.error) {
+            entry.header.classList.add('failed');
+        }
+        this.scrollOutput(false);
+    }
+
+    appendOutput(text, stream) {
+        const atBottom = this.isOutputAtBottom();
+        this.outputRenderer.write(text, stream);
+        this.scrollOutput(atBottom);
+    }
+
+    /**
+     * Add a status line (session ended or restarted) below the runs
+     */
+    appendNote(text) {
+        if (!this.outputBlock || !this.outputBlock.isConnected) return;
+
+        const note = document.createElement('div');
+        note.className = 'output-status';
+        note.textContent = `[${text}]`;
+        this.outputBlock.appendChild(note);
+        this.scrollOutput(true);
+    }
+
+    isOutputAtBottom() {
+        const content = document.getElementById('outputPanelContent');
+        return content.scrollHeight - content.scrollTop <= content.clientHeight + 20;
+    }
+
+    scrollOutput(force) {
+        const content = document.getElementById('outputPanelContent');
+        if (content && (force || this.isOutputAtBottom())) {
+            content.scrollTop = content.scrollHeight;
+        }
+    }
+
+    /**
+     * Show a result after the last line that ran, replacing the one already there
+     * @param {string} kind - running, value, done or error
+     */
+    showInlineResult(model, line, text, kind) {
+        if (model.isDisposed()) return;
+
+        const firstLine = text.split('\n')[0];
+        const shown =
+            firstLine.length > MAX_INLINE_LENGTH || firstLine !== text
+                ? `${firstLine.slice(0, MAX_INLINE_LENGTH)}…`
+                : firstLine;
+        const prefix = kind === 'value' ? '= ' : '';
+
+        const state = this.getResultState(model);
+        const kept = state.ids.filter((id) => {
+            const range = model.getDecorationRange(id);
+            return range && range.startLineNumber !== line;
+        });
+        const removed = state.ids.filter((id) => !kept.includes(id));
+        const [added] = model.deltaDecorations(removed, [
+            {
+                range: new monaco.Range(
+                    line,
+                    model.getLineMaxColumn(line),
+                    line,
+                    model.getLineMaxColumn(line)
+                ),
+                options: {
+                    after: {
+                        content: `  ${prefix}${shown}`,
+                        inlineClassName: `session-inline-result ${kind}`,
+                    },
+                    hoverMessage: { value: '```\n' + text + '\n```' },
+                },
+            },
+        ]);
+        state.ids = [...kept, added];
+    }
+
+    /**
+     * Inline results of a model; they are removed when their line is edited
+     */
+    getResultState(model) {
+        if (!this.results.has(model)) {
+            const state = { ids: [], listener: null };
+            state.listener = model.onDidChangeContent((e) => {
+                const edited = state.ids.filter((id) => {
+                    const range = model.getDecorationRange(id);
+                    return (
+                        !range ||
+                        e.changes.some(
+                            (change) =>
+                                range.startLineNumber >= change.range.startLineNumber &&
+                                range.startLineNumber <= change.range.endLineNumber
+                        )
+                    );
+                });
+                if (edited.length > 0) {
+                    model.deltaDecorations(edited, []);
+                    state.ids = state.ids.filter((id) => !edited.includes(id));
+                }
+            });
+            model.onWillDispose(() => {
+                state.listener.dispose();
+                this.results.delete(model);
+            });
+            this.results.set(model, state);
+        }
+        return this.results.get(model);
+    }
+
+    clearAllInlineResults() {
+        this.results.forEach((state, model) => {
+            if (!model.isDisposed()) {
+                model.deltaDecorations(state.ids, []);
+            }
+            state.ids = [];
+        });
+    }
+}
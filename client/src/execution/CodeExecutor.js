@@ -1,78 +1,559 @@
 /**
  * CodeExecutor.js
  * Handles code execution and output display
+ * Output is streamed from the server over WebSocket as the program runs,
+ * and typed input is written to the program's stdin while it is running.
+ * Figures shown with matplotlib appear inline, and the workspace files a run
+ * created or modified are listed when it ends
  */
 
+import { OutputRenderer } from './OutputRenderer.js';
+import { TracebackLinker } from './TracebackLinker.js';
+
+// Files a run wrote that are opened in the browser rather than the editor
+const IMAGE_FILE_PATTERN = /\.(png|jpe?g|gif|svg|webp|bmp)$/i;
+
 export class CodeExecutor {
     constructor(context = null) {
         this.context = context;
+        this.socket = null; // Active execution socket (one run at a time)
+        this.runId = null; // Server-side ID of the active run (used to stop it)
+        this.stdinInput = null; // Inline input field shown while a program runs
+        this.tracebackLinker = context ? new TracebackLinker(context) : null;
+        // Tracebacks go to stderr; their frames become links to the source files
+        this.outputRenderer = new OutputRenderer({
+            onLine: (nodes, text, stream) => {
+                if (stream === 'stderr' && this.tracebackLinker) {
+                    this.tracebackLinker.linkLine(nodes, text);
+                }
+            },
+        });
+    }
+
+    /**
+     * Build WebSocket URL for the streaming execution channel
+     */
+    buildSocketUrl() {
+        if (this.context) {
+            return this.context
+                .buildUrl('/ws/execute', { client: this.context.clientId })
+                .replace(/^http/, 'ws');
+        }
+        const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return `${wsProtocol}//${window.location.host}/ws/execute`;
+    }
+
+    /**
+     * Check whether a program is currently running
+     */
+    isRunning() {
+        return this.socket !== null;
+    }
+
+    /**
+     * Toggle Run/Stop buttons while a program is running
+     * The Stop button replaces Run in the focused editor group (see tabs.css)
+     */
+    setRunningState(running) {
+        const editorArea = document.getElementById('editorArea');
+        if (editorArea) {
+            editorArea.classList.toggle('execution-running', running);
+        }
+    }
+
+    /**
+     * Stop the active run (server sends SIGINT, then SIGKILL to the process group)
+     * A run still waiting in the server's queue is given up by closing its socket
+     */
+    async stop() {
+        if (!this.runId) {
+            if (this.socket) {
+                this.socket.close();
+            }
+            return;
+        }
+
+        const path = `/api/execute/${encodeURIComponent(this.runId)}`;
+        const url = this.context ? this.context.buildUrl(path) : path;
+        const headers = this.context
+            ? this.context.getFetchHeaders()
+            : { 'Content-Type': 'application/json' };
+
+        try {
+            await fetch(url, { method: 'DELETE', headers });
+        } catch (error) {
+            console.error('Failed to stop execution:', error);
+        }
     }
 
     /**
      * Execute Python code
+     * Runs what is selected in the run configuration dropdown: the active file's
+     * buffer (default), the saved file in place or as a module, or a configuration
      * @param {string} activeFile - Currently active file path
      * @param {Map} openTabs - Map of open tabs
      * @param {HTMLElement} outputPanel - Output panel element
      * @param {HTMLElement} outputPanelContent - Output content element
      */
     async execute(activeFile, openTabs, outputPanel, outputPanelContent) {
-        if (!activeFile || !activeFile.endsWith('.py')) {
+        if (this.isRunning()) {
             return;
         }
 
-        const tabData = openTabs.get(activeFile);
+        const target =
+            this.context && this.context.launchConfigManager
+                ? this.context.launchConfigManager.getRunTarget()
+                : { mode: 'buffer' };
+        const tabData = activeFile ? openTabs.get(activeFile) : null;
+        let runMessage;
+
+        if (target.mode === 'configuration') {
+            // Configurations run files from disk, so save the active file first
+            if (tabData && !tabData.saved && !tabData.isStdlib) {
+                await this.context.saveFile(activeFile);
+            }
+            runMessage = { type: 'run', configuration: target.configuration, file: activeFile };
+        } else {
+            if (!activeFile || !activeFile.endsWith('.py') || !tabData) {
+                return;
+            }
 
-        if (!tabData) {
+            if (target.mode === 'buffer') {
+                runMessage = {
+                    type: 'run',
+                    code: tabData.model.getValue(),
+                    filename: activeFile.split('/').pop(),
+                    file: activeFile,
+                };
+            } else {
+                // Run the saved file from its real location (file or -m module)
+                if (!tabData.saved) {
+                    await this.context.saveFile(activeFile);
+                }
+                runMessage = { type: 'run', mode: target.mode, file: activeFile };
+            }
+        }
+
+        const label =
+            target.mode === 'configuration'
+                ? `Executing "${target.configuration}"...`
+                : 'Executing...';
+        await this.run(runMessage, activeFile, label, outputPanel, outputPanelContent);
+    }
+
+    /**
+     * Run a program from the run history again, with the same input
+     * @param {Object} entry - History entry: { id, file }
+     */
+    async rerun(entry, outputPanel, outputPanelContent) {
+        if (this.isRunning()) {
             return;
         }
+        await this.run(
+            { type: 'rerun', runId: entry.id },
+            entry.file,
+            `Re-running ${entry.file || 'program'}...`,
+            outputPanel,
+            outputPanelContent
+        );
+    }
 
-        const code = tabData.model.getValue();
-        const filename = activeFile.split('/').pop();
+    /**
+     * Start a run over the execution socket and stream its output to the panel
+     * @param {Object} runMessage - 'run' or 'rerun' message (see server/sockets/executionSocket.js)
+     * @param {string} file - Workspace file the run is for (tracebacks map back to it)
+     * @param {string} label - Shown until the program starts
+     */
+    async run(runMessage, file, label, outputPanel, outputPanelContent) {
+        if (outputPanel && outputPanelContent) {
+            outputPanel.style.display = 'flex';
+            outputPanelContent.className = 'output-panel-content';
+            outputPanelContent.textContent = label;
 
-        try {
-            if (outputPanel && outputPanelContent) {
-                outputPanel.style.display = 'flex';
-                outputPanelContent.className = 'output-panel-content';
-                outputPanelContent.textContent = 'Executing...';
-
-                // Show OUTPUT tab and expand panel
-                if (this.context && this.context.problemsManager) {
-                    this.context.problemsManager.showOutputTab();
+            // Show OUTPUT tab and expand panel
+            if (this.context && this.context.problemsManager) {
+                this.context.problemsManager.showOutputTab();
+            }
+        }
+
+        await new Promise((resolve) => {
+            let hasOutput = false;
+            let started = false;
+            let finished = false;
+
+            try {
+                this.socket = new WebSocket(this.buildSocketUrl());
+            } catch (error) {
+                this.showError(outputPanelContent, error.message);
+                this.socket = null;
+                resolve();
+                return;
+            }
+
+            const socket = this.socket;
+            this.setRunningState(true);
+
+            const finish = () => {
+                finished = true;
+                if (this.socket === socket) {
+                    this.socket = null;
+                    this.runId = null;
+                    this.setRunningState(false);
+                    this.removeInputLine();
                 }
+                if (socket.readyState === WebSocket.OPEN) {
+                    socket.close();
+                }
+                resolve();
+            };
+
+            socket.onopen = () => {
+                socket.send(JSON.stringify(runMessage));
+            };
+
+            socket.onmessage = (event) => {
+                const message = JSON.parse(event.data);
+
+                if (message.type === 'queued') {
+                    // Too many runs on the server: wait for a free slot
+                    if (outputPanelContent) {
+                        outputPanelContent.textContent =
+                            message.ahead > 0
+                                ? `Queued, ${message.ahead} ahead...`
+                                : 'Queued, starting next...';
+                    }
+                } else if (message.type === 'started') {
+                    started = true;
+                    this.runId = message.runId;
+                    if (this.tracebackLinker) {
+                        this.tracebackLinker.startRun({
+                            tempFile: message.tempFile,
+                            workspacePath: message.workspacePath,
+                            file,
+                        });
+                    }
+                    if (outputPanelContent) {
+                        outputPanelContent.textContent = '';
+                        this.outputRenderer.attach(outputPanelContent);
+                        this.createInputLine(outputPanelContent, socket);
+                    }
+                } else if (message.type === 'stdout' || message.type === 'stderr') {
+                    hasOutput = true;
+                    this.appendOutput(outputPanelContent, message.data, message.type);
+                } else if (message.type === 'figure') {
+                    hasOutput = true;
+                    this.appendFigure(outputPanelContent, this.runId, message);
+                } else if (message.type === 'exit') {
+                    const succeeded = message.status === 'exited' && message.exitCode === 0;
+                    const files = message.files || [];
+                    if (!hasOutput && succeeded && outputPanelContent) {
+                        outputPanelContent.textContent = 'Code executed successfully (no output)';
+                    }
+                    this.appendFiles(outputPanelContent, files);
+                    this.appendStatus(outputPanelContent, message);
+                    finish();
+                    if (files.length > 0 && this.context) {
+                        this.context.loadFileExplorer();
+                    }
+                    // The run is in the history by the time its exit arrives
+                    if (this.context && this.context.runHistory) {
+                        this.context.runHistory.refresh();
+                    }
+                } else if (message.type === 'error') {
+                    this.showError(outputPanelContent, message.message);
+                    finish();
+                }
+            };
+
+            socket.onerror = () => {
+                this.showError(outputPanelContent, 'Connection to execution server lost');
+                finish();
+            };
+
+            socket.onclose = () => {
+                if (!finished && !started && outputPanelContent) {
+                    outputPanelContent.textContent = 'Run cancelled';
+                }
+                finish();
+            };
+        });
+    }
+
+    /**
+     * Create the inline stdin field at the end of the output
+     * Enter sends the line, Ctrl+D closes stdin (EOF), Ctrl+C stops the run
+     */
+    createInputLine(outputPanelContent, socket) {
+        this.removeInputLine();
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'output-stdin-input';
+        input.placeholder = 'Type input and press Enter';
+        input.spellcheck = false;
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                const line = input.value + '\n';
+                input.value = '';
+                // Echo the input like a terminal would
+                this.appendOutput(outputPanelContent, line, 'stdin');
+                socket.send(JSON.stringify({ type: 'stdin', data: line }));
+            } else if (e.ctrlKey && e.key === 'd') {
+                e.preventDefault();
+                socket.send(JSON.stringify({ type: 'stdin-eof' }));
+                this.removeInputLine();
+            } else if (
+                e.ctrlKey &&
+                e.key === 'c' &&
+                input.selectionStart === input.selectionEnd // Keep Ctrl+C as copy for selections
+            ) {
+                e.preventDefault();
+                this.stop();
             }
+        });
+
+        outputPanelContent.appendChild(input);
+        this.stdinInput = input;
+    }
+
+    /**
+     * Remove the inline stdin field (run finished or stdin closed)
+     */
+    removeInputLine() {
+        if (this.stdinInput) {
+            this.stdinInput.remove();
+            this.stdinInput = null;
+        }
+    }
+
+    /**
+     * Append a chunk of program output to the panel
+     * Output is styled per stream (stdout, stderr, echoed stdin), with ANSI colors
+     * and carriage-return progress bars rendered (see OutputRenderer)
+     */
+    appendOutput(outputPanelContent, text, stream = 'stdout') {
+        if (!outputPanelContent) return;
+
+        // Keep following the output only if the user hasn't scrolled up
+        const atBottom =
+            outputPanelContent.scrollHeight - outputPanelContent.scrollTop <=
+            outputPanelContent.clientHeight + 20;
+
+        if (this.outputRenderer.container !== outputPanelContent) {
+            this.outputRenderer.attach(outputPanelContent);
+        }
+
+        // Output always goes before the input field so the field stays at the end
+        const before =
+            this.stdinInput && this.stdinInput.parentElement === outputPanelContent
+                ? this.stdinInput
+                : null;
+        this.outputRenderer.write(text, stream, before);
+
+        if (atBottom) {
+            outputPanelContent.scrollTop = outputPanelContent.scrollHeight;
+        }
+    }
+
+    /**
+     * Show a figure the run saved (served from the run's artifact folder)
+     * @param {string} runId - Run the figure belongs to
+     * @param {Object} figure - { name } from a 'figure' message or history chunk
+     */
+    appendFigure(outputPanelContent, runId, figure) {
+        if (!outputPanelContent || !runId) return;
+
+        const path = `/api/runs/${encodeURIComponent(runId)}/artifacts/${encodeURIComponent(figure.name)}`;
+        const url = this.context ? this.context.buildUrl(path) : path;
 
-            const url = this.context ? this.context.buildUrl('/api/execute') : '/api/execute';
-            const headers = this.context
-                ? this.context.getFetchHeaders()
-                : { 'Content-Type': 'application/json' };
+        // Keep following the output (once the image has its height) unless scrolled up
+        const atBottom =
+            outputPanelContent.scrollHeight - outputPanelContent.scrollTop <=
+            outputPanelContent.clientHeight + 20;
+        const followOutput = () => {
+            if (atBottom) outputPanelContent.scrollTop = outputPanelContent.scrollHeight;
+        };
+
+        const container = document.createElement('div');
+        container.className = 'output-figure';
+        const image = document.createElement('img');
+        image.src = url;
+        image.alt = figure.name;
+        image.title = `${figure.name} (click to open in a new tab)`;
+        image.addEventListener('click', () => window.open(url, '_blank'));
+        image.addEventListener('load', followOutput);
+        image.addEventListener('error', () => {
+            container.textContent = `[Figure ${figure.name} is no longer available]`;
+        });
+        container.appendChild(image);
+
+        if (this.outputRenderer.container !== outputPanelContent) {
+            this.outputRenderer.attach(outputPanelContent);
+        }
+        const before =
+            this.stdinInput && this.stdinInput.parentElement === outputPanelContent
+                ? this.stdinInput
+                : null;
+        this.outputRenderer.appendElement(container, before);
+        followOutput();
+    }
+
+    /**
+     * List the workspace files a run created or modified; clicking one opens it
+     * @param {Array<Object>} files - [{ path, change: 'created' | 'modified' }]
+     */
+    appendFiles(outputPanelContent, files) {
+        if (!outputPanelContent || files.length === 0) return;
+
+        const list = document.createElement('div');
+        list.className = 'output-files';
+
+        const title = document.createElement('div');
+        title.className = 'output-files-title';
+        title.textContent = `Files written by the run (${files.length}):`;
+        list.appendChild(title);
+
+        files.forEach((file) => {
+            const item = document.createElement('div');
+            item.className = `output-file ${file.change}`;
+            item.title = IMAGE_FILE_PATTERN.test(file.path)
+                ? 'Open in a new tab'
+                : 'Open in the editor';
+
+            const name = document.createElement('span');
+            name.className = 'output-file-path';
+            name.textContent = file.path;
+            const change = document.createElement('span');
+            change.className = 'output-file-change';
+            change.textContent = file.change;
+            item.appendChild(name);
+            item.appendChild(change);
+
+            item.addEventListener('click', () => this.openFile(file.path));
+            list.appendChild(item);
+        });
+
+        outputPanelContent.appendChild(list);
+    }
+
+    /**
+     * Open a file written by a run: images in a new tab, other files in the editor
+     */
+    openFile(filepath) {
+        if (!this.context) return;
 
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: headers,
-                body: JSON.stringify({ code, filename }),
+        if (IMAGE_FILE_PATTERN.test(filepath)) {
+            window.open(
+                this.context.buildUrl(`/api/download/${encodeURIComponent(filepath)}`),
+                '_blank'
+            );
+        } else {
+            this.context.openFile(filepath);
+        }
+    }
+
+    /**
+     * Show a run from the run history in the panel (its output and how it ended)
+     * @param {Object} record - Run from GET /api/runs/:id
+     */
+    showRun(record, outputPanel, outputPanelContent) {
+        if (this.isRunning() || !outputPanel || !outputPanelContent) {
+            return;
+        }
+
+        outputPanel.style.display = 'flex';
+        outputPanelContent.className = 'output-panel-content';
+        outputPanelContent.textContent = '';
+        if (this.context && this.context.problemsManager) {
+            this.context.problemsManager.showOutputTab();
+        }
+
+        this.outputRenderer.attach(outputPanelContent);
+        if (this.tracebackLinker) {
+            this.tracebackLinker.startRun({
+                tempFile: record.tempFile,
+                workspacePath: record.workspacePath,
+                file: record.file,
             });
+        }
 
-            const result = await response.json();
-
-            if (outputPanelContent) {
-                // exitCode 0 means success
-                if (result.exitCode === 0) {
-                    outputPanelContent.className = 'output-panel-content';
-                    outputPanelContent.textContent =
-                        result.output || 'Code executed successfully (no output)';
-                } else {
-                    outputPanelContent.className = 'output-panel-content error';
-                    // Show stderr if available, otherwise show output
-                    outputPanelContent.textContent =
-                        result.error || result.output || 'Execution failed';
-                }
+        const header = document.createElement('div');
+        header.className = 'output-status output-history-header';
+        header.textContent = `[History] ${record.label || record.file || 'Program'} started ${new Date(record.startedAt).toLocaleString()}`;
+        outputPanelContent.appendChild(header);
+
+        record.output.forEach((chunk) => {
+            if (chunk.stream === 'figure') {
+                this.appendFigure(outputPanelContent, record.id, { name: chunk.data });
+            } else {
+                this.appendOutput(outputPanelContent, chunk.data, chunk.stream);
             }
+        });
+        if (record.truncated) {
+            const truncated = document.createElement('div');
+            truncated.className = 'output-status';
+            truncated.textContent = '[Output was cut off]';
+            outputPanelContent.appendChild(truncated);
+        }
+        this.appendFiles(outputPanelContent, record.files || []);
+        this.appendStatus(outputPanelContent, record);
+    }
+
+    /**
+     * Copy the output as plain text, as it is shown (without escape sequences)
+     */
+    async copyOutput(outputPanelContent) {
+        if (!outputPanelContent) return;
+
+        try {
+            await navigator.clipboard.writeText(outputPanelContent.innerText);
         } catch (error) {
-            if (outputPanelContent) {
-                outputPanelContent.className = 'output-panel-content error';
-                outputPanelContent.textContent = 'Failed to execute code: ' + error.message;
+            console.error('Failed to copy output:', error);
+        }
+    }
+
+    /**
+     * Append a line describing how the run ended (exited, killed, timed out)
+     */
+    appendStatus(outputPanelContent, result) {
+        if (!outputPanelContent) return;
+
+        const seconds = ((result.executionTime || 0) / 1000).toFixed(2);
+        const status = document.createElement('div');
+        status.className = `output-status ${result.status}`;
+
+        if (result.status === 'killed') {
+            status.textContent = `[Stopped] Run was killed after ${seconds}s`;
+        } else if (result.status === 'timeout') {
+            status.textContent = `[Timed out] Run exceeded the time limit after ${seconds}s`;
+        } else {
+            status.textContent = `[Done] Exited with code ${result.exitCode} in ${seconds}s`;
+            if (result.exitCode !== 0) {
+                status.classList.add('failed');
             }
         }
+
+        outputPanelContent.appendChild(status);
+
+        // Sandbox limits (CPU time, memory, ...) that ended the run
+        if (result.limit) {
+            const limit = document.createElement('div');
+            limit.className = 'output-status limit';
+            limit.textContent = `[Limit] ${result.limit.message}`;
+            outputPanelContent.appendChild(limit);
+        }
+        outputPanelContent.scrollTop = outputPanelContent.scrollHeight;
+    }
+
+    /**
+     * Show an execution failure message in the panel
+     */
+    showError(outputPanelContent, message) {
+        if (!outputPanelContent) return;
+        outputPanelContent.className = 'output-panel-content error';
+        outputPanelContent.textContent = 'Failed to execute code: ' + message;
     }
 
     /**
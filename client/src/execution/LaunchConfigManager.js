@@ -0,0 +1,191 @@
+const ADD_CONFIGURATION = '__add__';
+const STORAGE_KEY = 'launch-configuration';
+
+// Built-in entries that run the active file (values can't clash with configuration names)
+const RUN_MODES = [
+    { value: '', label: 'Current File', mode: 'buffer' },
+    { value: '__file__', label: 'Current File (in place)', mode: 'file' },
+    { value: '__module__', label: 'Current File as Module', mode: 'module' },
+];
+
+const LAUNCH_TEMPLATE = {
+    configurations: [
+        {
+            name: 'Current File with Arguments',
+            program: '${file}',
+            args: [],
+            env: {},
+        },
+        {
+            name: 'Module',
+            module: 'package.module',
+            args: [],
+            cwd: '.',
+            timeout: 30,
+        },
+    ],
+};
+
+/**
+ * LaunchConfigManager - Run configurations dropdown beside the Run button
+ * Configurations are stored in the workspace (.pyeditor/launch.json) and run
+ * on the server with their own program/module, args, env, cwd and timeout
+ */
+export class LaunchConfigManager {
+    constructor(context) {
+        this.context = context;
+        this.select = document.getElementById('launchConfigSelect');
+        this.configurations = [];
+        this.launchFile = '.pyeditor/launch.json';
+        // Empty selection runs the editor buffer (default Run behavior)
+        this.selected = localStorage.getItem(this.getStorageKey()) || '';
+
+        if (this.select) {
+            this.select.addEventListener('change', () => this.handleChange());
+            // Pick up edits to launch.json made since the last load
+            this.select.addEventListener('focus', () => this.load());
+        }
+
+        this.load();
+    }
+
+    /**
+     * Selection is remembered per workspace folder
+     */
+    getStorageKey() {
+        return `${STORAGE_KEY}:${this.context.workspaceFolder || '/'}`;
+    }
+
+    /**
+     * Load configurations from the server
+     */
+    async load() {
+        try {
+            const response = await fetch(this.context.buildUrl('/api/launch-configurations'), {
+                headers: this.context.getFetchHeaders(),
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load run configurations');
+            }
+
+            this.configurations = data.configurations;
+            this.launchFile = data.path;
+        } catch (error) {
+            console.error('Failed to load run configurations:', error);
+            this.configurations = [];
+        }
+
+        this.render();
+    }
+
+    /**
+     * Render dropdown options
+     */
+    render() {
+        if (!this.select) return;
+
+        // Forget a selection whose configuration was removed from launch.json
+        const exists =
+            RUN_MODES.some((m) => m.value === this.selected) ||
+            this.configurations.some((c) => c.name === this.selected);
+        if (!exists) {
+            this.setSelected('');
+        }
+
+        this.select.innerHTML = '';
+        RUN_MODES.forEach((m) => this.select.appendChild(new Option(m.label, m.value)));
+
+        if (this.configurations.length > 0) {
+            this.appendSeparator();
+            this.configurations.forEach((config) => {
+                this.select.appendChild(new Option(config.name, config.name));
+            });
+        }
+
+        this.appendSeparator();
+        this.select.appendChild(new Option('Add Configuration...', ADD_CONFIGURATION));
+
+        this.select.value = this.selected;
+        this.select.title = `Run: ${this.select.options[this.select.selectedIndex].text}`;
+    }
+
+    /**
+     * Append a disabled separator line to the dropdown
+     */
+    appendSeparator() {
+        const separator = new Option('──────────', '');
+        separator.disabled = true;
+        this.select.appendChild(separator);
+    }
+
+    /**
+     * Handle dropdown selection
+     */
+    async handleChange() {
+        if (this.select.value === ADD_CONFIGURATION) {
+            // Keep the previous selection; this entry is an action, not a configuration
+            this.select.value = this.selected;
+            await this.openLaunchFile();
+            return;
+        }
+
+        this.setSelected(this.select.value);
+        this.render();
+    }
+
+    /**
+     * Remember the selected configuration
+     */
+    setSelected(name) {
+        this.selected = name;
+        localStorage.setItem(this.getStorageKey(), name);
+    }
+
+    /**
+     * What the Run button should run
+     * @returns {Object} { mode: 'buffer' | 'file' | 'module' } for the active file,
+     *     or { mode: 'configuration', configuration } for a saved configuration
+     */
+    getRunTarget() {
+        const runMode = RUN_MODES.find((m) => m.value === this.selected);
+        if (runMode) {
+            return { mode: runMode.mode };
+        }
+        return { mode: 'configuration', configuration: this.selected };
+    }
+
+    /**
+     * Open launch.json in the editor, creating it from a template if needed
+     */
+    async openLaunchFile() {
+        try {
+            const response = await fetch(this.context.buildUrl(`/api/files/${this.launchFile}`), {
+                headers: this.context.getFetchHeaders(),
+            });
+
+            if (!response.ok) {
+                await fetch(this.context.buildUrl(`/api/files/${this.launchFile}`), {
+                    method: 'POST',
+                    headers: this.context.getFetchHeaders(),
+                    body: JSON.stringify({ content: JSON.stringify(LAUNCH_TEMPLATE, null, 4) }),
+                });
+                await this.context.loadFileExplorer();
+            }
+
+            await this.context.openFile(this.launchFile);
+        } catch (error) {
+            console.error('Failed to open launch.json:', error);
+        }
+    }
+
+    /**
+     * Reload configurations after launch.json is saved in the editor
+     */
+    handleFileSaved(filepath) {
+        if (filepath === this.launchFile) {
+            this.load();
+        }
+    }
+}
@@ -0,0 +1,262 @@
+// Escape sequences: CSI (ESC [ ... final byte), OSC (ESC ] ... BEL or ESC \) and
+// two-character escapes such as ESC ( B
+// eslint-disable-next-line no-control-regex
+const ESCAPE_PATTERN = /\x1b(?:\[([0-?]*)[ -/]*([@-~])|\][^\x07\x1b]*(?:\x07|\x1b\\)|[ -/]*[0-~])/y;
+
+// An escape sequence cut off at the end of a chunk (completed by the next one)
+// eslint-disable-next-line no-control-regex
+const INCOMPLETE_ESCAPE_PATTERN = /\x1b(?:\[[0-?]*[ -/]*|\][^\x07\x1b]*\x1b?|[ -/]*)$/;
+
+// Longer "incomplete" sequences are shown as text rather than held back forever
+const MAX_PARTIAL_ESCAPE = 256;
+
+/**
+ * Color of an extended (38;5;n / 48;5;n) or true color (38;2;r;g;b) parameter list
+ * @returns {Object} { color, length } - CSS color (null if invalid) and parameters used
+ */
+function parseExtendedColor(params, index) {
+    if (params[index] === 5) {
+        const n = params[index + 1];
+        if (n === undefined || n > 255) return { color: null, length: 2 };
+        if (n < 16) return { color: `var(--ansi-${n})`, length: 2 };
+        if (n >= 232) {
+            const level = 8 + (n - 232) * 10;
+            return { color: `rgb(${level}, ${level}, ${level})`, length: 2 };
+        }
+        // 6x6x6 color cube
+        const steps = [0, 95, 135, 175, 215, 255];
+        const cube = n - 16;
+        const rgb = [Math.floor(cube / 36), Math.floor(cube / 6) % 6, cube % 6].map(
+            (i) => steps[i]
+        );
+        return { color: `rgb(${rgb.join(', ')})`, length: 2 };
+    }
+    if (params[index] === 2) {
+        const rgb = params.slice(index + 1, index + 4);
+        if (rgb.length < 3) return { color: null, length: 4 };
+        return { color: `rgb(${rgb.join(', ')})`, length: 4 };
+    }
+    return { color: null, length: 1 };
+}
+
+/**
+ * Apply SGR (Select Graphic Rendition) parameters to a text style
+ * @param {Object} style - Current style, updated in place
+ * @param {Array<number>} params - Parameters of ESC [ ... m
+ */
+function applySgr(style, params) {
+    if (params.length === 0) params = [0];
+
+    for (let i = 0; i < params.length; i++) {
+        const code = params[i];
+        if (code === 0) {
+            Object.keys(style).forEach((key) => delete style[key]);
+        } else if (code === 1) {
+            style.bold = true;
+        } else if (code === 2) {
+            style.dim = true;
+        } else if (code === 3) {
+            style.italic = true;
+        } else if (code === 4) {
+            style.underline = true;
+        } else if (code === 7) {
+            style.inverse = true;
+        } else if (code === 9) {
+            style.strike = true;
+        } else if (code === 22) {
+            delete style.bold;
+            delete style.dim;
+        } else if (code === 23) {
+            delete style.italic;
+        } else if (code === 24) {
+            delete style.underline;
+        } else if (code === 27) {
+            delete style.inverse;
+        } else if (code === 29) {
+            delete style.strike;
+        } else if (code >= 30 && code <= 37) {
+            style.fg = `var(--ansi-${code - 30})`;
+        } else if (code >= 90 && code <= 97) {
+            style.fg = `var(--ansi-${code - 90 + 8})`;
+        } else if (code === 39) {
+            delete style.fg;
+        } else if (code >= 40 && code <= 47) {
+            style.bg = `var(--ansi-${code - 40})`;
+        } else if (code >= 100 && code <= 107) {
+            style.bg = `var(--ansi-${code - 100 + 8})`;
+        } else if (code === 49) {
+            delete style.bg;
+        } else if (code === 38 || code === 48) {
+            const { color, length } = parseExtendedColor(params, i + 1);
+            if (color) {
+                style[code === 38 ? 'fg' : 'bg'] = color;
+            }
+            i += length;
+        }
+    }
+}
+
+/**
+ * OutputRenderer - Renders program output the way a terminal would show it
+ * ANSI colors and text styles (SGR) become styled spans, a carriage return
+ * starts the current line over (progress bars) and other escape sequences are
+ * dropped. Each stream (stdout, stderr, ...) keeps its own style.
+ */
+export class OutputRenderer {
+    /**
+     * @param {Object} options - { onLine(nodes, text, stream) } called for every completed line
+     *     with its elements and plain text (without the newline)
+     */
+    constructor(options = {}) {
+        this.onLine = options.onLine || (() => {});
+        this.attach(null);
+    }
+
+    /**
+     * Start rendering into an (empty) container
+     */
+    attach(container) {
+        this.container = container;
+        this.streams = new Map(); // stream -> { style, partial }
+        this.styleKeys = new WeakMap(); // span -> stream and style it was rendered with
+        this.line = { nodes: [], text: '', stream: null, overwrite: false };
+    }
+
+    getStream(stream) {
+        if (!this.streams.has(stream)) {
+            this.streams.set(stream, { style: {}, partial: '' });
+        }
+        return this.streams.get(stream);
+    }
+
+    /**
+     * Render a chunk of output
+     * @param {string} text - Output text, possibly with escape sequences
+     * @param {string} stream - Stream name, used as the output-<stream> class
+     * @param {Node} before - Insert before this node (null to append)
+     */
+    write(text, stream = 'stdout', before = null) {
+        if (!this.container) return;
+
+        const state = this.getStream(stream);
+        let content = state.partial + text;
+        const incomplete = content.match(INCOMPLETE_ESCAPE_PATTERN);
+        state.partial = '';
+        if (incomplete && incomplete[0].length <= MAX_PARTIAL_ESCAPE) {
+            state.partial = incomplete[0];
+            content = content.slice(0, incomplete.index);
+        }
+
+        let start = 0;
+        const flushText = (end) => {
+            if (end > start) {
+                this.appendText(content.slice(start, end), stream, state.style, before);
+            }
+        };
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            if (char === '\n') {
+                flushText(i);
+                this.endLine(stream, state.style, before);
+                start = i + 1;
+            } else if (char === '\r') {
+                flushText(i);
+                // Cleared when the next text arrives, so "text\r\n" keeps the text
+                if (content[i + 1] !== '\n') {
+                    this.line.overwrite = true;
+                }
+                start = i + 1;
+            } else if (char === '\x1b') {
+                flushText(i);
+                ESCAPE_PATTERN.lastIndex = i;
+                const match = ESCAPE_PATTERN.exec(content);
+                if (match) {
+                    this.handleEscape(match, state.style);
+                    i += match[0].length - 1;
+                }
+                start = i + 1;
+            }
+        }
+        flushText(content.length);
+    }
+
+    /**
+     * Insert an element (e.g. a figure) after the output so far; text continues below it
+     * @param {HTMLElement} element - Element to insert
+     * @param {Node} before - Insert before this node (null to append)
+     */
+    appendElement(element, before = null) {
+        if (!this.container) return;
+        this.container.insertBefore(element, before);
+        this.line = { nodes: [], text: '', stream: null, overwrite: false };
+    }
+
+    /**
+     * Apply colors and text styles; erasing the line (ESC [ 2K) starts it over,
+     * other sequences (cursor movement and the like) are ignored
+     */
+    handleEscape(match, style) {
+        const [, params, final] = match;
+        if (final === 'm') {
+            const codes = params ? params.split(/[;:]/).map((p) => parseInt(p) || 0) : [];
+            applySgr(style, codes);
+        } else if (final === 'K' && params === '2') {
+            this.line.overwrite = true;
+        }
+    }
+
+    /**
+     * Append text to the current line, continuing the last span if it has the same style
+     */
+    appendText(text, stream, style, before) {
+        if (this.line.overwrite) {
+            this.line.nodes.forEach((node) => node.remove());
+            this.line = { nodes: [], text: '', stream: null, overwrite: false };
+        }
+
+        const key = `${stream}|${JSON.stringify(style)}`;
+        const last = this.line.nodes[this.line.nodes.length - 1];
+        if (last && this.styleKeys.get(last) === key && last.nextSibling === before) {
+            last.textContent += text;
+        } else {
+            const span = this.createSpan(stream, style);
+            this.styleKeys.set(span, key);
+            span.textContent = text;
+            this.container.insertBefore(span, before);
+            this.line.nodes.push(span);
+        }
+
+        this.line.text += text;
+        this.line.stream = this.line.stream || stream;
+    }
+
+    /**
+     * Finish the current line; the newline stays in the line's last span
+     */
+    endLine(stream, style, before) {
+        const { nodes, text } = this.line;
+        this.line.overwrite = false;
+        this.appendText('\n', stream, style, before);
+        this.line = { nodes: [], text: '', stream: null, overwrite: false };
+        this.onLine(nodes, text, stream);
+    }
+
+    createSpan(stream, style) {
+        const span = document.createElement('span');
+        span.className = `output-${stream}`;
+
+        const fg = style.inverse ? style.bg || 'var(--ansi-inverse-fg)' : style.fg;
+        const bg = style.inverse ? style.fg || 'var(--ansi-inverse-bg)' : style.bg;
+        if (fg) span.style.color = fg;
+        if (bg) span.style.backgroundColor = bg;
+        if (style.bold) span.style.fontWeight = 'bold';
+        if (style.dim) span.style.opacity = '0.7';
+        if (style.italic) span.style.fontStyle = 'italic';
+
+        const lines = [style.underline && 'underline', style.strike && 'line-through'];
+        const decoration = lines.filter(Boolean).join(' ');
+        if (decoration) span.style.textDecoration = decoration;
+        return span;
+    }
+}
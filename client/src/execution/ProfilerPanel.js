@@ -0,0 +1,417 @@
+import { OutputRenderer } from './OutputRenderer.js';
+import { TracebackLinker } from './TracebackLinker.js';
+
+const MAX_ROWS = 500; // Hot spots shown in the table
+const MIN_FLAME_WIDTH = 0.002; // Flame graph frames narrower than this share are left out
+
+// Table columns: key is the sort key, numeric columns sort highest first
+const COLUMNS = [
+    { key: 'name', label: 'Function' },
+    { key: 'file', label: 'Location' },
+    { key: 'calls', label: 'Calls', numeric: true },
+    { key: 'ownTime', label: 'Own Time', numeric: true },
+    { key: 'ownShare', label: 'Own %', numeric: true },
+    { key: 'cumulativeTime', label: 'Cumulative', numeric: true },
+    { key: 'cumulativeShare', label: 'Cumulative %', numeric: true },
+];
+
+/**
+ * Format seconds for the table and tooltips
+ */
+function formatTime(seconds) {
+    if (seconds >= 1) return `${seconds.toFixed(2)} s`;
+    return `${(seconds * 1000).toFixed(1)} ms`;
+}
+
+function formatShare(share) {
+    return `${(share * 100).toFixed(1)}%`;
+}
+
+/**
+ * ProfilerPanel - PROFILER tab of the bottom panel
+ * "Run with Profiler" runs the active file in place under cProfile on the server
+ * (POST /api/profile) and shows where the time went: a sortable hot-spot table
+ * (own and cumulative time, call counts) and a flame graph of the call tree.
+ * Rows and frames link back to the function's source line; the program's own
+ * output goes to the OUTPUT tab.
+ */
+export class ProfilerPanel {
+    constructor(context) {
+        this.context = context;
+        this.profile = null; // { totalTime, functions, flame } of the last run
+        this.sort = { key: 'cumulativeTime', descending: true };
+        this.view = 'table';
+        this.zoom = null; // Flame graph node shown full width
+        this.running = false;
+
+        this.elements = {
+            summary: document.getElementById('profilerSummary'),
+            table: document.getElementById('profilerTable'),
+            flame: document.getElementById('profilerFlame'),
+            runButton: document.getElementById('profilerRunButton'),
+        };
+
+        this.tracebackLinker = new TracebackLinker(context);
+        this.outputRenderer = new OutputRenderer({
+            onLine: (nodes, text, stream) => {
+                if (stream === 'stderr') {
+                    this.tracebackLinker.linkLine(nodes, text);
+                }
+            },
+        });
+
+        if (this.elements.runButton) {
+            this.elements.runButton.addEventListener('click', () => this.profileActiveFile());
+        }
+        document.querySelectorAll('[data-profiler-view]').forEach((button) => {
+            button.addEventListener('click', () => this.showView(button.dataset.profilerView));
+        });
+
+        context.commands.register({
+            id: 'python.runWithProfiler',
+            title: 'Run with Profiler',
+            category: 'Python',
+            run: () => this.profileActiveFile(),
+        });
+    }
+
+    /**
+     * Add the Run with Profiler action to an editor (left or right)
+     */
+    registerActions(editor) {
+        editor.addAction({
+            id: 'python-run-with-profiler',
+            label: 'Run with Profiler',
+            precondition: 'editorLangId == python',
+            contextMenuGroupId: 'navigation',
+            contextMenuOrder: 0.2,
+            run: () => this.profileActiveFile(),
+        });
+    }
+
+    /**
+     * Profile the active file (saved first, since it runs from disk)
+     */
+    async profileActiveFile() {
+        const filepath = this.context.activeFile;
+        if (!filepath || !filepath.endsWith('.py') || this.context.isStdlibFile(filepath)) {
+            this.setSummary('Open a Python file of the workspace to profile it');
+            this.context.problemsManager.showTab('profiler');
+            return;
+        }
+
+        const tabData =
+            this.context.openTabs.get(filepath) || this.context.rightOpenTabs.get(filepath);
+        if (tabData && !tabData.saved) {
+            await this.context.saveFile(filepath);
+        }
+        await this.run(filepath);
+    }
+
+    /**
+     * Run a workspace file under the profiler and show the result
+     * @param {string} filepath - Python file relative to the workspace folder
+     */
+    async run(filepath) {
+        if (this.running) return;
+
+        this.running = true;
+        this.setSummary(`Profiling ${filepath}...`);
+        this.context.problemsManager.showTab('profiler');
+
+        try {
+            const response = await fetch(this.context.buildUrl('/api/profile'), {
+                method: 'POST',
+                headers: this.context.getFetchHeaders(),
+                body: JSON.stringify({ file: filepath }),
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to profile');
+            }
+
+            this.showOutput(data, filepath);
+            this.profile = data.profile;
+            this.zoom = null;
+
+            if (!this.profile) {
+                this.setSummary(`${filepath} could not be profiled: see OUTPUT`);
+                this.context.problemsManager.showOutputTab();
+                return;
+            }
+
+            const failed = data.exitCode !== 0 ? ` · exited with code ${data.exitCode}` : '';
+            this.setSummary(
+                `${filepath} · ${formatTime(this.profile.totalTime)} · ` +
+                    `${this.profile.functions.length} functions${failed}`
+            );
+            this.render();
+        } catch (error) {
+            this.setSummary(`Profiling failed: ${error.message}`);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Write the program's output to the OUTPUT tab, with links in tracebacks
+     */
+    showOutput(data, filepath) {
+        const outputPanelContent = document.getElementById('outputPanelContent');
+        if (!outputPanelContent) return;
+
+        outputPanelContent.className = 'output-panel-content';
+        outputPanelContent.textContent = '';
+        this.outputRenderer.attach(outputPanelContent);
+        this.tracebackLinker.startRun({
+            tempFile: null,
+            workspacePath: data.workspacePath,
+            file: filepath,
+        });
+
+        this.outputRenderer.write(`$ profile ${filepath}\n`, 'stdin');
+        if (data.output) {
+            this.outputRenderer.write(data.output, 'stdout');
+        }
+        if (data.error) {
+            this.outputRenderer.write(data.error, 'stderr');
+        }
+        if (data.limit) {
+            this.outputRenderer.write(`\n${data.limit.message}\n`, 'stderr');
+        } else if (data.status === 'timeout') {
+            this.outputRenderer.write('\nProfiling stopped: the run timed out\n', 'stderr');
+        } else if (data.status === 'incomplete') {
+            this.outputRenderer.write('\nIncomplete profile: the report was cut off\n', 'stderr');
+        }
+    }
+
+    setSummary(text) {
+        if (this.elements.summary) {
+            this.elements.summary.textContent = text;
+        }
+    }
+
+    /**
+     * Switch between the hot-spot table and the flame graph
+     * @param {string} view - 'table' or 'flame'
+     */
+    showView(view) {
+        this.view = view;
+        document.querySelectorAll('[data-profiler-view]').forEach((button) => {
+            button.classList.toggle('active', button.dataset.profilerView === view);
+        });
+        this.elements.table.style.display = view === 'table' ? '' : 'none';
+        this.elements.flame.style.display = view === 'flame' ? '' : 'none';
+        this.render();
+    }
+
+    render() {
+        if (!this.profile) return;
+
+        if (this.view === 'flame') {
+            this.renderFlameGraph();
+        } else {
+            this.renderTable();
+        }
+    }
+
+    /**
+     * Functions with their shares of the total time, sorted by the selected column
+     */
+    getRows() {
+        const total = this.profile.totalTime || 1;
+        const { key, descending } = this.sort;
+        const rows = this.profile.functions.map((fn) => ({
+            ...fn,
+            ownShare: fn.ownTime / total,
+            cumulativeShare: fn.cumulativeTime / total,
+        }));
+
+        rows.sort((a, b) => {
+            const left = a[key] === null ? '' : a[key];
+            const right = b[key] === null ? '' : b[key];
+            const order =
+                typeof left === 'number' ? left - right : String(left).localeCompare(right);
+            return descending ? -order : order;
+        });
+        return rows;
+    }
+
+    renderTable() {
+        const container = this.elements.table;
+        container.innerHTML = '';
+
+        const table = document.createElement('table');
+        table.className = 'profiler-table';
+
+        const headerRow = table.createTHead().insertRow();
+        COLUMNS.forEach((column) => {
+            const th = document.createElement('th');
+            th.textContent = column.label;
+            th.classList.toggle('numeric', Boolean(column.numeric));
+            if (column.key === this.sort.key) {
+                th.classList.add('sorted');
+                th.textContent += this.sort.descending ? ' ▾' : ' ▴';
+            }
+            th.addEventListener('click', () => this.sortBy(column));
+            headerRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        const rows = this.getRows();
+        rows.slice(0, MAX_ROWS).forEach((fn) => {
+            const row = body.insertRow();
+            row.className = fn.file ? 'profiler-row linked' : 'profiler-row';
+            row.title = fn.file ? `Go to ${fn.file}:${fn.line}` : fn.name;
+
+            const calls =
+                fn.calls === fn.primitiveCalls ? `${fn.calls}` : `${fn.calls}/${fn.primitiveCalls}`;
+            const cells = [
+                fn.name,
+                fn.file ? `${fn.file}:${fn.line}` : '',
+                calls,
+                formatTime(fn.ownTime),
+                formatShare(fn.ownShare),
+                formatTime(fn.cumulativeTime),
+                formatShare(fn.cumulativeShare),
+            ];
+            cells.forEach((text, index) => {
+                const cell = row.insertCell();
+                cell.textContent = text;
+                cell.classList.toggle('numeric', Boolean(COLUMNS[index].numeric));
+            });
+
+            row.addEventListener('click', () => this.openFunction(fn));
+        });
+
+        container.appendChild(table);
+
+        if (rows.length > MAX_ROWS) {
+            const more = document.createElement('div');
+            more.className = 'profiler-more';
+            more.textContent = `Showing ${MAX_ROWS} of ${rows.length} functions`;
+            container.appendChild(more);
+        }
+    }
+
+    /**
+     * Sort by a column; clicking the sorted column again reverses the order
+     */
+    sortBy(column) {
+        if (this.sort.key === column.key) {
+            this.sort.descending = !this.sort.descending;
+        } else {
+            this.sort = { key: column.key, descending: Boolean(column.numeric) };
+        }
+        this.renderTable();
+    }
+
+    /**
+     * Draw the call tree as rows of frames, callers on top of their callees
+     * Clicking a frame zooms into it (its callers stay above at full width),
+     * double-clicking opens its source
+     */
+    renderFlameGraph() {
+        const container = this.elements.flame;
+        container.innerHTML = '';
+
+        const root = this.profile.flame;
+        if (!root) {
+            container.textContent = 'No call tree was recorded.';
+            return;
+        }
+
+        const path = this.findPath(root, this.zoom || root) || [root];
+        const zoomed = path[path.length - 1];
+        const graph = document.createElement('div');
+        graph.className = 'flame-graph';
+
+        // Callers of the zoomed frame, dimmed and full width
+        path.slice(0, -1).forEach((node, depth) => {
+            graph.appendChild(this.createFrame(node, depth, 0, 1, true));
+        });
+
+        let maxDepth = path.length;
+        const draw = (node, depth, left, width) => {
+            if (width < MIN_FLAME_WIDTH) return;
+
+            graph.appendChild(this.createFrame(node, depth, left, width, false));
+            maxDepth = Math.max(maxDepth, depth + 1);
+
+            let childLeft = left;
+            node.children.forEach((child) => {
+                const childWidth = zoomed.time > 0 ? child.time / zoomed.time : 0;
+                draw(child, depth + 1, childLeft, childWidth);
+                childLeft += childWidth;
+            });
+        };
+        draw(zoomed, path.length - 1, 0, 1);
+
+        graph.style.height = `calc(${maxDepth} * var(--flame-row-height))`;
+        container.appendChild(graph);
+    }
+
+    /**
+     * Frames from the root down to a node, or null if it isn't in the tree
+     */
+    findPath(node, target) {
+        if (node === target) return [node];
+        for (const child of node.children) {
+            const path = this.findPath(child, target);
+            if (path) return [node, ...path];
+        }
+        return null;
+    }
+
+    createFrame(node, depth, left, width, dimmed) {
+        const fn = this.profile.functions[node.function];
+        const frame = document.createElement('div');
+        frame.className = `flame-frame ${this.getFrameKind(fn)}`;
+        frame.classList.toggle('dimmed', dimmed);
+        frame.style.left = `${left * 100}%`;
+        frame.style.width = `${width * 100}%`;
+        frame.style.top = `calc(${depth} * var(--flame-row-height))`;
+        frame.textContent = fn.name;
+
+        const share = this.profile.totalTime > 0 ? node.time / this.profile.totalTime : 0;
+        const location = fn.file ? `\n${fn.file}:${fn.line}` : '';
+        frame.title = `${fn.name}${location}\n${formatTime(node.time)} (${formatShare(share)})`;
+
+        frame.addEventListener('click', () => {
+            this.zoom = node === this.profile.flame ? null : node;
+            this.renderFlameGraph();
+        });
+        frame.addEventListener('dblclick', () => this.openFunction(fn));
+        return frame;
+    }
+
+    /**
+     * Frame color: the workspace's own code stands out from libraries and built-ins
+     */
+    getFrameKind(fn) {
+        if (!fn.file) return 'builtin';
+        return fn.file.startsWith('/') ? 'library' : 'workspace';
+    }
+
+    /**
+     * Open a function's source line in the focused editor group
+     * Absolute paths are only opened when they are standard library files
+     */
+    async openFunction(fn) {
+        if (!fn.file || (fn.file.startsWith('/') && !this.context.isStdlibFile(fn.file))) {
+            return;
+        }
+
+        const targetEditor = this.context.splitViewActive ? this.context.focusedEditor : 'left';
+        await this.context.fileLoader.openFile(fn.file, targetEditor);
+
+        const editor = targetEditor === 'right' ? this.context.rightEditor : this.context.editor;
+        if (editor) {
+            const line = Math.max(fn.line, 1);
+            editor.setPosition({ lineNumber: line, column: 1 });
+            editor.revealLineInCenter(line);
+            editor.focus();
+        }
+    }
+}
@@ -0,0 +1,181 @@
+/**
+ * PythonSession - Client of the persistent Python session over WebSocket
+ * The server keeps one Python process per socket (see server/sockets/sessionSocket.js),
+ * so code run through the same session shares its variables and imports; Run
+ * Cell and the REPL both use this one. The socket is opened on the first run
+ * and reopened if the session ends. Notebooks each have their own session,
+ * started in the notebook's folder.
+ */
+export class PythonSession {
+    /**
+     * @param {Object} context - App context (buildUrl)
+     * @param {Object} options - { cwd } workspace folder to start the session in
+     */
+    constructor(context, options = {}) {
+        this.context = context;
+        this.cwd = options.cwd || '';
+        this.listeners = { started: [], closed: [], restarted: [] };
+        this.lastOutput = null; // Output handler of the last run (for output written after it)
+        this.socket = null;
+        this.connecting = null; // Promise while the socket is opening
+        this.seq = 0;
+        this.pending = new Map(); // seq -> { command, resolve, reject, onOutput }
+        this.workspacePath = null; // Reported by the session when it starts
+    }
+
+    /**
+     * Listen to the session: 'started' (body), 'closed' (process ended) or 'restarted'
+     */
+    on(event, callback) {
+        this.listeners[event].push(callback);
+    }
+
+    emit(event, ...args) {
+        this.listeners[event].forEach((callback) => callback(...args));
+    }
+
+    buildSocketUrl() {
+        const params = this.cwd ? { cwd: this.cwd } : {};
+        return this.context.buildUrl('/ws/session', params).replace(/^http/, 'ws');
+    }
+
+    isConnected() {
+        return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * Whether code is running (or waiting to run) in the session
+     */
+    isBusy() {
+        return [...this.pending.values()].some((request) => request.command === 'execute');
+    }
+
+    /**
+     * Open the socket unless it is already open
+     */
+    connect() {
+        if (this.isConnected()) return Promise.resolve();
+        if (this.connecting) return this.connecting;
+
+        this.connecting = new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.buildSocketUrl());
+            this.socket = socket;
+
+            socket.onopen = () => {
+                this.connecting = null;
+                resolve();
+            };
+            socket.onerror = () => {
+                this.connecting = null;
+                reject(new Error('Failed to connect to the Python session'));
+            };
+            socket.onmessage = (event) => this.handleMessage(JSON.parse(event.data));
+            socket.onclose = () => {
+                if (this.socket !== socket) return;
+                this.socket = null;
+                this.connecting = null;
+                this.rejectPending('Python session ended');
+                this.emit('closed');
+            };
+        });
+        return this.connecting;
+    }
+
+    rejectPending(message) {
+        this.pending.forEach(({ reject }) => reject(new Error(message)));
+        this.pending.clear();
+    }
+
+    /**
+     * Route responses to their requests and output to the run that wrote it
+     */
+    handleMessage(message) {
+        if (message.type === 'response') {
+            const request = this.pending.get(message.request_seq);
+            if (!request) return;
+            this.pending.delete(message.request_seq);
+
+            if (message.success) {
+                request.resolve(message.body || {});
+            } else {
+                request.reject(new Error(message.message || `${message.command} failed`));
+            }
+        } else if (message.event === 'output') {
+            this.routeOutput(message.body.output, message.body.category);
+        } else if (message.event === 'display') {
+            // Rich output of display() in notebook runs: the MIME bundle instead of text
+            this.routeOutput(message.body.data, 'display');
+        } else if (message.event === 'started') {
+            this.workspacePath = message.body.workspacePath;
+            this.emit('started', message.body);
+        }
+    }
+
+    /**
+     * Runs are executed in order, so output belongs to the oldest run still waiting
+     */
+    routeOutput(text, stream) {
+        const running = [...this.pending.values()].find((request) => request.onOutput);
+        if (running) {
+            this.lastOutput = running.onOutput;
+        }
+        if (this.lastOutput) {
+            this.lastOutput(text, stream);
+        }
+    }
+
+    /**
+     * Send a request and wait for its response body
+     */
+    async request(command, args = {}, onOutput = null) {
+        await this.connect();
+
+        const seq = ++this.seq;
+        return new Promise((resolve, reject) => {
+            this.pending.set(seq, { command, resolve, reject, onOutput });
+            this.socket.send(JSON.stringify({ seq, type: 'request', command, arguments: args }));
+        });
+    }
+
+    /**
+     * Run code in the session
+     * @param {string} code - Python source
+     * @param {Object} location - { file, line } the code comes from (tracebacks point there)
+     * @param {Function} onOutput - Called with (text, stream) for the output of the code
+     * @param {Object} options - { rich } MIME bundles for results and display() (notebooks)
+     * @returns {Promise<Object>} { result, data, error, executionTime }
+     */
+    execute(code, location = {}, onOutput = () => {}, options = {}) {
+        return this.request(
+            'execute',
+            { code, file: location.file, line: location.line || 1, rich: !!options.rich },
+            onOutput
+        );
+    }
+
+    /**
+     * Interrupt the running code (KeyboardInterrupt); variables are kept
+     */
+    async interrupt() {
+        if (!this.isConnected()) return;
+        await this.request('interrupt');
+    }
+
+    /**
+     * Replace the session with a new one; runs waiting for it fail
+     */
+    async restart() {
+        this.rejectPending('Python session restarted');
+        this.lastOutput = null;
+        this.emit('restarted');
+        if (this.isConnected()) {
+            await this.request('restart');
+        }
+    }
+
+    close() {
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+}
@@ -0,0 +1,404 @@
+import * as monaco from 'monaco-editor';
+import { OutputRenderer } from './OutputRenderer.js';
+import { TracebackLinker } from './TracebackLinker.js';
+
+const HISTORY_KEY = 'python-repl-history';
+const MAX_HISTORY = 200;
+
+// Document the language server sees for completions: earlier inputs, then the current one
+const COMPLETION_DOCUMENT = '.pyeditor/repl.py';
+const MAX_COMPLETION_INPUTS = 100;
+
+/**
+ * ReplPanel - PYTHON REPL tab of the bottom panel
+ * Input runs in the shared Python session (see PythonSession), so definitions
+ * stay around between inputs and are also visible to Run Cell. The input is a
+ * small Monaco editor: Enter runs complete input (a block ends with an empty
+ * line), Shift+Enter adds a line, Up/Down go through the history and
+ * completions come from the language server.
+ */
+export class ReplPanel {
+    constructor(context) {
+        this.context = context;
+        this.session = context.pythonSession;
+        this.editor = null; // Created when the tab is first shown
+        this.history = this.loadHistory();
+        this.historyIndex = this.history.length; // history.length = the input being typed
+        this.draft = ''; // Input being typed while browsing the history
+        this.completionInputs = []; // Inputs that ran without errors
+        this.busy = 0; // Inputs running or waiting in the session
+
+        this.elements = {
+            output: document.getElementById('replOutput'),
+            input: document.getElementById('replInput'),
+            prompt: document.getElementById('replPrompt'),
+        };
+
+        this.tracebackLinker = new TracebackLinker(context);
+        this.outputRenderer = new OutputRenderer({
+            onLine: (nodes, text, stream) => {
+                if (stream === 'stderr') {
+                    this.tracebackLinker.linkLine(nodes, text);
+                }
+            },
+        });
+
+        const buttons = {
+            replRestartButton: () => this.session.restart(),
+            replInterruptButton: () => this.session.interrupt(),
+            replClearButton: () => this.clear(),
+        };
+        Object.entries(buttons).forEach(([id, onClick]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', (e) => {
+                    e.stopPropagation(); // Clicks in the header also toggle the panel
+                    onClick();
+                });
+            }
+        });
+
+        this.session.on('started', (body) => {
+            this.appendStatus(`Python ${body.pythonVersion} session started`);
+        });
+        this.session.on('closed', () => this.appendStatus('Python session ended'));
+        this.session.on('restarted', () => {
+            this.completionInputs = [];
+            this.appendStatus('Restarting Python session…');
+        });
+
+        context.commands.register({
+            id: 'python.showRepl',
+            title: 'Show Python REPL',
+            category: 'Python',
+            run: () => this.show(),
+        });
+    }
+
+    /**
+     * Create the input editor once the tab is visible
+     */
+    onShow() {
+        if (!this.editor && this.elements.input) {
+            this.createEditor();
+        }
+        if (this.editor) {
+            this.editor.layout();
+            this.editor.focus();
+        }
+    }
+
+    /**
+     * Switch to the PYTHON REPL tab
+     */
+    show() {
+        if (this.context.problemsManager) {
+            this.context.problemsManager.showTab('repl');
+        }
+    }
+
+    createEditor() {
+        const model = monaco.editor.createModel(
+            '',
+            'python',
+            monaco.Uri.parse('inmemory://repl/input.py')
+        );
+        this.editor = monaco.editor.create(this.elements.input, {
+            model,
+            theme: this.context.currentTheme,
+            fontSize: 13,
+            lineNumbers: 'off',
+            glyphMargin: false,
+            folding: false,
+            lineDecorationsWidth: 0,
+            lineNumbersMinChars: 0,
+            minimap: { enabled: false },
+            overviewRulerLanes: 0,
+            hideCursorInOverviewRuler: true,
+            renderLineHighlight: 'none',
+            scrollBeyondLastLine: false,
+            scrollbar: { vertical: 'auto', horizontal: 'hidden', alwaysConsumeMouseWheel: false },
+            wordWrap: 'on',
+            tabSize: 4,
+            insertSpaces: true,
+            autoIndent: 'full',
+            hover: { enabled: false },
+            automaticLayout: true,
+        });
+
+        if (this.context.lspManager) {
+            this.context.lspManager.registerVirtualDocument(model, (m, position) =>
+                this.getCompletionDocument(m, position)
+            );
+        }
+
+        const notSuggesting = '!suggestWidgetVisible';
+        this.addKey('repl-submit', monaco.KeyCode.Enter, notSuggesting, () => this.onEnter());
+        this.addKey('repl-run', monaco.KeyMod.CtrlCmd | monaco.KeyCode.Enter, null, () =>
+            this.submit()
+        );
+        this.addKey('repl-history-previous', monaco.KeyCode.UpArrow, notSuggesting, () =>
+            this.browseHistory(-1)
+        );
+        this.addKey('repl-history-next', monaco.KeyCode.DownArrow, notSuggesting, () =>
+            this.browseHistory(1)
+        );
+        this.addKey(
+            'repl-interrupt',
+            monaco.KeyMod.WinCtrl | monaco.KeyCode.KeyC,
+            '!editorHasSelection',
+            () => this.interruptOrDiscard()
+        );
+        this.addKey('repl-clear', monaco.KeyMod.WinCtrl | monaco.KeyCode.KeyL, null, () =>
+            this.clear()
+        );
+
+        // The input grows with its content, up to a few lines
+        this.editor.onDidContentSizeChange(() => this.updateInputHeight());
+        this.updateInputHeight();
+    }
+
+    addKey(id, keybinding, keybindingContext, run) {
+        this.editor.addAction({
+            id,
+            label: id,
+            keybindings: [keybinding],
+            keybindingContext: keybindingContext || undefined,
+            run,
+        });
+    }
+
+    updateInputHeight() {
+        const height = Math.min(Math.max(this.editor.getContentHeight(), 19), 200);
+        this.elements.input.style.height = `${height}px`;
+        this.editor.layout();
+    }
+
+    getInput() {
+        return this.editor.getModel().getValue();
+    }
+
+    setInput(text) {
+        const model = this.editor.getModel();
+        model.setValue(text);
+        const lastLine = model.getLineCount();
+        this.editor.setPosition({ lineNumber: lastLine, column: model.getLineMaxColumn(lastLine) });
+    }
+
+    /**
+     * Enter runs the input when it is complete, like the interactive interpreter:
+     * a single line runs unless it opens a block or a bracket, a block runs after an empty line
+     */
+    onEnter() {
+        const model = this.editor.getModel();
+        const position = this.editor.getPosition();
+        const atEnd =
+            position.lineNumber === model.getLineCount() &&
+            position.column === model.getLineMaxColumn(position.lineNumber);
+
+        if (atEnd && this.isComplete(this.getInput())) {
+            this.submit();
+        } else {
+            this.editor.trigger('keyboard', 'type', { text: '\n' });
+        }
+    }
+
+    isComplete(code) {
+        const lines = code.split('\n');
+        if (lines.length > 1) {
+            return lines[lines.length - 1].trim() === '';
+        }
+
+        const line = code.trim();
+        if (!line || line.endsWith(':') || line.endsWith('\\')) {
+            return !line;
+        }
+
+        // An open triple-quoted string continues on the next line
+        if ((line.match(/"""|'''/g) || []).length % 2 === 1) {
+            return false;
+        }
+
+        // Strings and comments don't count towards open brackets
+        const stripped = line
+            .replace(/"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/g, '')
+            .replace(/#.*$/, '');
+        let depth = 0;
+        for (const char of stripped) {
+            if ('([{'.includes(char)) depth += 1;
+            if (')]}'.includes(char)) depth -= 1;
+        }
+        return depth <= 0;
+    }
+
+    /**
+     * Run the input and add it to the history
+     */
+    async submit() {
+        const code = this.getInput().replace(/\s+$/, '');
+        this.setInput('');
+        this.historyIndex = this.history.length;
+        this.draft = '';
+
+        this.appendInput(code);
+        if (!code.trim()) return;
+
+        this.addToHistory(code);
+        this.setBusy(1);
+
+        // Each input's output goes into its own block, in the order the inputs run
+        const block = document.createElement('div');
+        block.className = 'repl-entry-output';
+        this.elements.output.appendChild(block);
+
+        const write = (text, stream) => {
+            if (this.outputRenderer.container !== block) {
+                this.outputRenderer.attach(block);
+                this.tracebackLinker.startRun({
+                    tempFile: null,
+                    workspacePath: this.session.workspacePath,
+                    file: null,
+                });
+            }
+            const atBottom = this.isAtBottom();
+            this.outputRenderer.write(text, stream);
+            this.scrollToBottom(atBottom);
+        };
+
+        try {
+            const response = await this.session.execute(code, {}, write);
+            if (response.result !== null) {
+                write(`${response.result}\n`, 'result');
+            }
+            if (!response.error) {
+                this.completionInputs = [...this.completionInputs, code].slice(
+                    -MAX_COMPLETION_INPUTS
+                );
+            }
+        } catch (error) {
+            this.appendStatus(error.message);
+        } finally {
+            this.setBusy(-1);
+        }
+    }
+
+    /**
+     * Ctrl+C: interrupt running code, otherwise discard the input (like KeyboardInterrupt)
+     */
+    interruptOrDiscard() {
+        if (this.busy > 0) {
+            this.session.interrupt();
+            return;
+        }
+        if (this.getInput()) {
+            this.appendInput(this.getInput());
+            this.appendStatus('KeyboardInterrupt');
+            this.setInput('');
+        }
+    }
+
+    setBusy(change) {
+        this.busy += change;
+        if (this.elements.prompt) {
+            this.elements.prompt.classList.toggle('busy', this.busy > 0);
+        }
+    }
+
+    /**
+     * Up/Down on the first/last line of the input go through the history
+     */
+    browseHistory(direction) {
+        const position = this.editor.getPosition();
+        const lineCount = this.editor.getModel().getLineCount();
+        const atEdge =
+            direction < 0 ? position.lineNumber === 1 : position.lineNumber === lineCount;
+        const index = this.historyIndex + direction;
+
+        if (!atEdge || index < 0 || index > this.history.length) {
+            this.editor.trigger('keyboard', direction < 0 ? 'cursorUp' : 'cursorDown', null);
+            return;
+        }
+
+        if (this.historyIndex === this.history.length) {
+            this.draft = this.getInput();
+        }
+        this.historyIndex = index;
+        this.setInput(index === this.history.length ? this.draft : this.history[index]);
+    }
+
+    loadHistory() {
+        try {
+            const history = JSON.parse(localStorage.getItem(HISTORY_KEY) || '[]');
+            return Array.isArray(history) ? history : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    addToHistory(code) {
+        if (this.history[this.history.length - 1] !== code) {
+            this.history.push(code);
+            this.history = this.history.slice(-MAX_HISTORY);
+            localStorage.setItem(HISTORY_KEY, JSON.stringify(this.history));
+        }
+        this.historyIndex = this.history.length;
+    }
+
+    /**
+     * Completion document: the inputs that ran, so their names complete, then the input
+     */
+    getCompletionDocument(model, position) {
+        const previous = this.completionInputs.join('\n');
+        const offset = previous ? previous.split('\n').length : 0;
+        return {
+            filePath: COMPLETION_DOCUMENT,
+            content: previous ? `${previous}\n${model.getValue()}` : model.getValue(),
+            position: { lineNumber: position.lineNumber + offset, column: position.column },
+        };
+    }
+
+    /**
+     * Echo input with >>> and ... prompts
+     */
+    appendInput(code) {
+        const echo = document.createElement('div');
+        echo.className = 'repl-input-echo';
+        echo.textContent = code
+            .split('\n')
+            .map((line, index) => `${index === 0 ? '>>>' : '...'} ${line}`)
+            .join('\n');
+        this.appendElement(echo);
+    }
+
+    appendStatus(text) {
+        const status = document.createElement('div');
+        status.className = 'repl-status';
+        status.textContent = text;
+        this.appendElement(status);
+    }
+
+    appendElement(element) {
+        if (!this.elements.output) return;
+        this.elements.output.appendChild(element);
+        this.scrollToBottom(true);
+    }
+
+    isAtBottom() {
+        const output = this.elements.output;
+        return output.scrollHeight - output.scrollTop <= output.clientHeight + 20;
+    }
+
+    scrollToBottom(force) {
+        const output = this.elements.output;
+        if (output && force) {
+            output.scrollTop = output.scrollHeight;
+        }
+    }
+
+    clear() {
+        if (this.elements.output) {
+            this.elements.output.innerHTML = '';
+        }
+        this.outputRenderer.attach(null);
+    }
+}
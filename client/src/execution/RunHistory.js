@@ -0,0 +1,336 @@
+import * as monaco from 'monaco-editor';
+import { OutputRenderer } from './OutputRenderer.js';
+
+// Status icons (codicons) of finished runs
+const STATUS_ICONS = {
+    passed: 'pass',
+    failed: 'error',
+    killed: 'debug-stop',
+    timeout: 'watch',
+};
+
+/**
+ * RunHistory - Run History sidebar view
+ * Runs are kept per workspace folder on the server (see /api/runs); a run can be
+ * reopened in the output panel, compared with another run or run again with
+ * the same input
+ */
+export class RunHistory {
+    constructor(context) {
+        this.context = context;
+        this.container = document.getElementById('runHistoryList');
+        this.summaryElement = document.getElementById('runHistorySummary');
+        this.runs = [];
+        this.loaded = false; // Fetched once the view has been shown
+        this.compareWith = null; // Run selected for compare
+
+        const refreshButton = document.getElementById('refreshHistoryBtn');
+        if (refreshButton) {
+            refreshButton.addEventListener('click', () => this.refresh(true));
+        }
+        const clearButton = document.getElementById('clearHistoryBtn');
+        if (clearButton) {
+            clearButton.addEventListener('click', () => this.clear());
+        }
+    }
+
+    /**
+     * Load the history the first time the view is shown
+     */
+    onShow() {
+        if (!this.loaded) {
+            this.refresh(true);
+        }
+    }
+
+    /**
+     * Reload the list (only once the view has been shown, unless forced)
+     */
+    async refresh(force = false) {
+        if (!this.loaded && !force) return;
+
+        try {
+            const response = await fetch(this.context.buildUrl('/api/runs'), {
+                headers: this.context.getFetchHeaders(),
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load run history');
+            }
+
+            this.runs = data.runs;
+            this.loaded = true;
+            if (this.compareWith && !this.runs.some((run) => run.id === this.compareWith.id)) {
+                this.compareWith = null;
+            }
+            this.render();
+        } catch (error) {
+            this.showSummary(error.message, true);
+        }
+    }
+
+    /**
+     * Load a run with its output
+     */
+    async loadRun(id) {
+        const response = await fetch(this.context.buildUrl(`/api/runs/${encodeURIComponent(id)}`), {
+            headers: this.context.getFetchHeaders(),
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load run');
+        }
+        return data;
+    }
+
+    async clear() {
+        if (!confirm('Clear the run history of this workspace?')) return;
+
+        try {
+            await fetch(this.context.buildUrl('/api/runs'), {
+                method: 'DELETE',
+                headers: this.context.getFetchHeaders(),
+            });
+        } catch (error) {
+            console.error('Failed to clear run history:', error);
+        }
+        this.compareWith = null;
+        await this.refresh(true);
+    }
+
+    showSummary(text, isError = false) {
+        if (!this.summaryElement) return;
+        this.summaryElement.textContent = text;
+        this.summaryElement.classList.toggle('error', isError);
+    }
+
+    render() {
+        if (!this.container) return;
+        this.container.innerHTML = '';
+
+        if (this.compareWith) {
+            this.showSummary(`Select a run to compare with ${this.describe(this.compareWith)}`);
+        } else {
+            this.showSummary(this.runs.length === 1 ? '1 run' : `${this.runs.length} runs`);
+        }
+
+        if (this.runs.length === 0) {
+            const message = document.createElement('div');
+            message.className = 'run-history-empty';
+            message.textContent = 'Runs of your programs will appear here.';
+            this.container.appendChild(message);
+            return;
+        }
+
+        this.runs.forEach((run) => this.container.appendChild(this.createItem(run)));
+    }
+
+    /**
+     * passed, failed, killed or timeout
+     */
+    getOutcome(run) {
+        if (run.status === 'killed' || run.status === 'timeout') {
+            return run.status;
+        }
+        return run.exitCode === 0 ? 'passed' : 'failed';
+    }
+
+    /**
+     * Short description of a run, e.g. "app.py at 10:31:02"
+     */
+    describe(run) {
+        const name = run.label || (run.file ? run.file.split('/').pop() : 'Program');
+        return `${name} at ${new Date(run.startedAt).toLocaleTimeString()}`;
+    }
+
+    createItem(run) {
+        const outcome = this.getOutcome(run);
+        const item = document.createElement('div');
+        item.className = `run-history-item run-${outcome}`;
+        if (this.compareWith && this.compareWith.id === run.id) {
+            item.classList.add('compare-selected');
+        }
+
+        const icon = document.createElement('i');
+        icon.className = `run-history-status codicon codicon-${STATUS_ICONS[outcome]}`;
+        item.appendChild(icon);
+
+        const details = document.createElement('div');
+        details.className = 'run-history-details';
+
+        const label = document.createElement('div');
+        label.className = 'run-history-label';
+        label.textContent = run.label || run.file || 'Program';
+        details.appendChild(label);
+
+        const seconds = ((run.executionTime || 0) / 1000).toFixed(2);
+        const exit =
+            outcome === 'killed' || outcome === 'timeout' ? outcome : `exit ${run.exitCode}`;
+        const meta = document.createElement('div');
+        meta.className = 'run-history-meta';
+        meta.textContent = `${new Date(run.startedAt).toLocaleString()} · ${exit} · ${seconds}s`;
+        details.appendChild(meta);
+        item.appendChild(details);
+
+        item.title = [
+            run.label ? `Configuration: ${run.label}` : null,
+            run.file ? `File: ${run.file}` : null,
+            `Mode: ${run.mode}`,
+            run.rerunOf ? 'Re-run of an earlier run' : null,
+            run.limit ? run.limit.message : null,
+            run.truncated ? 'Output was cut off' : null,
+        ]
+            .filter(Boolean)
+            .join('\n');
+
+        let compareTitle = this.compareWith ? 'Compare with Selected' : 'Select for Compare';
+        if (item.classList.contains('compare-selected')) {
+            compareTitle = 'Cancel Compare';
+        }
+        item.appendChild(this.createAction('diff', compareTitle, () => this.compare(run)));
+        item.appendChild(this.createAction('debug-rerun', 'Re-run', () => this.rerun(run)));
+
+        item.addEventListener('click', () => this.open(run));
+        return item;
+    }
+
+    createAction(icon, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'run-history-action';
+        button.title = title;
+        button.innerHTML = `<i class="codicon codicon-${icon}"></i>`;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    getOutputPanelContent() {
+        return document.getElementById('outputPanelContent');
+    }
+
+    /**
+     * Show a run's output in the output panel
+     */
+    async open(run) {
+        const executor = this.context.codeExecutor;
+        if (executor.isRunning()) {
+            this.showSummary('Wait for the running program to finish', true);
+            return;
+        }
+
+        try {
+            const record = await this.loadRun(run.id);
+            executor.showRun(record, this.context.outputPanel, this.getOutputPanelContent());
+        } catch (error) {
+            this.showSummary(error.message, true);
+        }
+    }
+
+    async rerun(run) {
+        const executor = this.context.codeExecutor;
+        if (executor.isRunning()) {
+            this.showSummary('Wait for the running program to finish', true);
+            return;
+        }
+        await executor.rerun(run, this.context.outputPanel, this.getOutputPanelContent());
+    }
+
+    /**
+     * Select a run, then compare it with the next one picked
+     */
+    async compare(run) {
+        if (!this.compareWith || this.compareWith.id === run.id) {
+            this.compareWith = this.compareWith ? null : run;
+            this.render();
+            return;
+        }
+
+        const original = this.compareWith;
+        this.compareWith = null;
+        this.render();
+
+        try {
+            const [left, right] = await Promise.all([
+                this.loadRun(original.id),
+                this.loadRun(run.id),
+            ]);
+            this.showDiff(left, right);
+        } catch (error) {
+            this.showSummary(error.message, true);
+        }
+    }
+
+    /**
+     * Output of a run as it was shown: no escape sequences, progress bars at their last state
+     * (figures are compared by name)
+     */
+    getPlainText(record) {
+        const container = document.createElement('div');
+        const renderer = new OutputRenderer();
+        renderer.attach(container);
+        record.output.forEach((chunk) => {
+            if (chunk.stream === 'figure') {
+                renderer.write(`[Figure: ${chunk.data}]\n`, 'figure');
+            } else {
+                renderer.write(chunk.data, chunk.stream);
+            }
+        });
+        return container.textContent;
+    }
+
+    /**
+     * Compare the output of two runs side by side
+     */
+    showDiff(original, modified) {
+        const dialog = document.createElement('div');
+        dialog.className = 'input-dialog run-diff-dialog';
+        dialog.innerHTML = `
+            <div class="run-diff-content">
+                <div class="run-diff-header">
+                    <span class="run-diff-title"></span>
+                    <button class="run-history-action run-diff-close" title="Close">
+                        <i class="codicon codicon-close"></i>
+                    </button>
+                </div>
+                <div class="run-diff-editor"></div>
+            </div>
+        `;
+        dialog.querySelector('.run-diff-title').textContent =
+            `${this.describe(original)} ↔ ${this.describe(modified)}`;
+        document.body.appendChild(dialog);
+
+        const originalModel = monaco.editor.createModel(this.getPlainText(original), 'plaintext');
+        const modifiedModel = monaco.editor.createModel(this.getPlainText(modified), 'plaintext');
+        const diffEditor = monaco.editor.createDiffEditor(
+            dialog.querySelector('.run-diff-editor'),
+            {
+                readOnly: true,
+                automaticLayout: true,
+                minimap: { enabled: false },
+                scrollBeyondLastLine: false,
+            }
+        );
+        diffEditor.setModel({ original: originalModel, modified: modifiedModel });
+        diffEditor.getModifiedEditor().focus();
+
+        const close = () => {
+            diffEditor.dispose();
+            originalModel.dispose();
+            modifiedModel.dispose();
+            dialog.remove();
+        };
+
+        dialog.querySelector('.run-diff-close').addEventListener('click', close);
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) close();
+        });
+        // Handled here before the global Escape handler removes the dialog
+        dialog.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') close();
+        });
+    }
+}
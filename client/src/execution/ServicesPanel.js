@@ -0,0 +1,382 @@
+import { OutputRenderer } from './OutputRenderer.js';
+
+const RECONNECT_DELAY = 3000;
+
+const STATUS_LABELS = {
+    starting: 'Starting',
+    running: 'Running',
+    stopping: 'Stopping',
+    stopped: 'Stopped',
+    exited: 'Exited',
+};
+
+/**
+ * ServicesPanel - SERVICES tab of the bottom panel
+ * Starts long-running dev servers of the workspace folder on the server
+ * (`uvicorn APP --port PORT [--reload]`, POST /api/services) and shows their live
+ * logs, with restart, stop and remove. Services keep running when the page is
+ * closed; their status and logs come over /ws/services (see
+ * server/sockets/serviceSocket.js). Once a service started here is up, its URL
+ * is selected as the API panel's domain so its routes can be tried right away.
+ */
+export class ServicesPanel {
+    constructor(context) {
+        this.context = context;
+        this.services = new Map(); // id -> { service, element, listItem, renderer }
+        this.activeId = null;
+        this.socket = null;
+        this.shown = false; // Connected once the tab has been shown
+        this.pendingDomains = new Set(); // Started here: select the URL in the API panel when up
+
+        this.elements = {
+            appInput: document.getElementById('serviceAppInput'),
+            portInput: document.getElementById('servicePortInput'),
+            reloadCheckbox: document.getElementById('serviceReloadCheckbox'),
+            startButton: document.getElementById('serviceStartButton'),
+            message: document.getElementById('servicesMessage'),
+            logs: document.getElementById('servicesLogs'),
+            list: document.getElementById('servicesListItems'),
+        };
+
+        this.initializeActions();
+
+        context.commands.register({
+            id: 'services.show',
+            title: 'Show Services',
+            category: 'View',
+            run: () => this.show(),
+        });
+    }
+
+    /**
+     * Wire the start form of the SERVICES tab
+     */
+    initializeActions() {
+        const { appInput, portInput, startButton } = this.elements;
+
+        if (startButton) {
+            startButton.addEventListener('click', () => this.startFromForm());
+        }
+        [appInput, portInput].forEach((input) => {
+            if (input) {
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        this.startFromForm();
+                    }
+                });
+            }
+        });
+    }
+
+    /**
+     * Show the SERVICES tab
+     */
+    show() {
+        if (this.context.problemsManager) {
+            this.context.problemsManager.showTab('services');
+        }
+    }
+
+    /**
+     * Called by ProblemsManager when the SERVICES tab becomes visible
+     */
+    onShow() {
+        this.shown = true;
+        this.connect();
+    }
+
+    /**
+     * Follow the services of the workspace folder (the server sends them all on connect)
+     */
+    connect() {
+        if (this.socket) return;
+
+        const url = this.context.buildUrl('/ws/services').replace(/^http/, 'ws');
+        const socket = new WebSocket(url);
+        this.socket = socket;
+
+        socket.onmessage = (event) => {
+            const message = JSON.parse(event.data);
+
+            if (message.type === 'services') {
+                this.setServices(message.services);
+            } else if (message.type === 'status') {
+                this.updateService(message.service);
+            } else if (message.type === 'output') {
+                const entry = this.services.get(message.id);
+                if (entry) {
+                    this.writeLog(entry, message.text, message.stream);
+                }
+            } else if (message.type === 'removed') {
+                this.removeEntry(message.id);
+            }
+        };
+
+        socket.onclose = () => {
+            if (this.socket === socket) {
+                this.socket = null;
+                setTimeout(() => this.shown && this.connect(), RECONNECT_DELAY);
+            }
+        };
+    }
+
+    /**
+     * Start a service with the app, port and reload of the form
+     */
+    async startFromForm() {
+        const { appInput, portInput, reloadCheckbox } = this.elements;
+        const app = appInput ? appInput.value.trim() : '';
+        if (!app) {
+            this.setMessage('Enter the app to serve, e.g. main:app', true);
+            return;
+        }
+        const port = portInput && portInput.value.trim() ? Number(portInput.value) : undefined;
+
+        await this.startService({
+            app,
+            port,
+            reload: reloadCheckbox ? reloadCheckbox.checked : false,
+        });
+    }
+
+    /**
+     * Start a service on the server
+     * @param {Object} settings - { app, port, reload, args }
+     */
+    async startService(settings) {
+        this.connect();
+        this.setMessage(`Starting ${settings.app}...`);
+        try {
+            const data = await this.request('/api/services', 'POST', settings);
+            this.pendingDomains.add(data.service.id);
+            this.updateService(data.service);
+            this.activate(data.service.id);
+            this.setMessage('');
+        } catch (error) {
+            this.setMessage(error.message, true);
+        }
+    }
+
+    async restartService(id) {
+        try {
+            await this.request(`/api/services/${id}/restart`, 'POST');
+            this.pendingDomains.add(id);
+        } catch (error) {
+            this.setMessage(error.message, true);
+        }
+    }
+
+    async stopService(id) {
+        try {
+            await this.request(`/api/services/${id}/stop`, 'POST');
+        } catch (error) {
+            this.setMessage(error.message, true);
+        }
+    }
+
+    async removeService(id) {
+        try {
+            await this.request(`/api/services/${id}`, 'DELETE');
+            this.removeEntry(id);
+        } catch (error) {
+            this.setMessage(error.message, true);
+        }
+    }
+
+    /**
+     * Call a services route
+     * @throws {Error} With the server's message if the request failed
+     */
+    async request(path, method, body = undefined) {
+        const response = await fetch(this.context.buildUrl(path), {
+            method,
+            headers: this.context.getFetchHeaders(),
+            body: body ? JSON.stringify(body) : undefined,
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Service request failed');
+        }
+        return data;
+    }
+
+    /**
+     * Replace the list with the services the server sent on connect (logs follow)
+     */
+    setServices(services) {
+        Array.from(this.services.keys()).forEach((id) => this.removeEntry(id));
+        services.forEach((service) => this.updateService(service));
+        if (!this.activeId && services.length > 0) {
+            this.activate(services[services.length - 1].id);
+        }
+    }
+
+    /**
+     * Add a service or show its new status
+     */
+    updateService(service) {
+        let entry = this.services.get(service.id);
+        if (!entry) {
+            entry = this.createEntry(service);
+            this.services.set(service.id, entry);
+        }
+        entry.service = service;
+        this.renderListItem(entry);
+
+        if (service.status === 'running' && this.pendingDomains.has(service.id)) {
+            this.pendingDomains.delete(service.id);
+            this.useInApiPanel(service, false);
+        } else if (service.status === 'exited' || service.status === 'stopped') {
+            this.pendingDomains.delete(service.id);
+        }
+    }
+
+    /**
+     * Create the log view and list item of a service
+     */
+    createEntry(service) {
+        const element = document.createElement('div');
+        element.className = 'services-log';
+        element.style.display = 'none';
+        this.elements.logs.appendChild(element);
+
+        const renderer = new OutputRenderer();
+        renderer.attach(element);
+
+        const listItem = document.createElement('div');
+        listItem.className = 'services-list-item';
+        listItem.innerHTML = `
+            <span class="services-status"></span>
+            <span class="services-name"></span>
+            <span class="services-actions">
+                <button class="services-action" data-action="api" title="Use in API Panel">
+                    <i class="codicon codicon-globe"></i>
+                </button>
+                <button class="services-action" data-action="restart" title="Restart">
+                    <i class="codicon codicon-debug-restart"></i>
+                </button>
+                <button class="services-action" data-action="stop" title="Stop">
+                    <i class="codicon codicon-debug-stop"></i>
+                </button>
+                <button class="services-action" data-action="remove" title="Stop and Remove">
+                    <i class="codicon codicon-close"></i>
+                </button>
+            </span>
+        `;
+
+        listItem.addEventListener('click', () => this.activate(service.id));
+        listItem.querySelectorAll('.services-action').forEach((button) => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const { service: current } = this.services.get(service.id);
+                const action = button.dataset.action;
+                if (action === 'api') {
+                    this.useInApiPanel(current, true);
+                } else if (action === 'restart') {
+                    this.restartService(current.id);
+                } else if (action === 'stop') {
+                    this.stopService(current.id);
+                } else if (action === 'remove') {
+                    this.removeService(current.id);
+                }
+            });
+        });
+
+        this.elements.list.appendChild(listItem);
+        return { service, element, listItem, renderer };
+    }
+
+    /**
+     * Show the name and status of a service in the list
+     */
+    renderListItem(entry) {
+        const { service, listItem } = entry;
+        const active = ['starting', 'running', 'stopping'].includes(service.status);
+
+        listItem.dataset.status = service.status;
+        listItem.querySelector('.services-name').textContent = `${service.app} :${service.port}`;
+
+        let title = `${service.url} - ${STATUS_LABELS[service.status] || service.status}`;
+        if (service.status === 'exited' && service.exitCode !== null) {
+            title += ` (exit code ${service.exitCode})`;
+        }
+        listItem.title = title;
+
+        listItem.querySelector('[data-action="stop"]').style.display = active ? '' : 'none';
+        listItem.querySelector('[data-action="restart"]').title = active ? 'Restart' : 'Start';
+        listItem.querySelector('[data-action="restart"] .codicon').className = active
+            ? 'codicon codicon-debug-restart'
+            : 'codicon codicon-play';
+    }
+
+    writeLog(entry, text, stream) {
+        const { element } = entry;
+        const atBottom = element.scrollHeight - element.scrollTop - element.clientHeight < 20;
+        entry.renderer.write(text, stream);
+        if (atBottom) {
+            element.scrollTop = element.scrollHeight;
+        }
+    }
+
+    removeEntry(id) {
+        const entry = this.services.get(id);
+        if (!entry) return;
+
+        entry.element.remove();
+        entry.listItem.remove();
+        this.services.delete(id);
+        this.pendingDomains.delete(id);
+
+        if (this.activeId === id) {
+            this.activeId = null;
+            const last = Array.from(this.services.keys()).pop();
+            if (last) {
+                this.activate(last);
+            }
+        }
+    }
+
+    /**
+     * Show the log of a service
+     */
+    activate(id) {
+        if (!this.services.has(id)) return;
+
+        this.activeId = id;
+        this.services.forEach((entry, entryId) => {
+            const active = entryId === id;
+            entry.element.style.display = active ? '' : 'none';
+            entry.listItem.classList.toggle('active', active);
+            if (active) {
+                entry.element.scrollTop = entry.element.scrollHeight;
+            }
+        });
+    }
+
+    /**
+     * Select a service's URL as the API panel's domain
+     * @param {boolean} open - Also open the API panel
+     */
+    useInApiPanel(service, open) {
+        const { apiPanel } = this.context;
+        if (!apiPanel) return;
+
+        apiPanel.useDomain(`${service.app} (localhost:${service.port})`, service.url);
+        if (open) {
+            apiPanel.show();
+            const apiToggleBtn = document.getElementById('apiToggleBtn');
+            if (apiToggleBtn) {
+                apiToggleBtn.classList.add('active');
+            }
+        }
+    }
+
+    setMessage(text, isError = false) {
+        const { message } = this.elements;
+        if (!message) return;
+        message.textContent = text;
+        message.classList.toggle('error', isError);
+    }
+}
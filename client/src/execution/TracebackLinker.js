@@ -0,0 +1,187 @@
+import * as monaco from 'monaco-editor';
+
+// A traceback frame, e.g. '  File "/tmp/exec_123_main.py", line 4, in <module>'
+const FRAME_PATTERN = /^(\s*File ")([^"]+)(", line (\d+))/;
+
+/**
+ * TracebackLinker - Turns Python tracebacks in program output into links
+ * Frame paths are mapped back to workspace files (the temp file of a buffer run
+ * is the file that was run), and the line that raised is marked in the editor
+ */
+export class TracebackLinker {
+    constructor(context) {
+        this.context = context;
+        this.run = null; // { tempFile, workspacePath, file } of the current run
+        this.frames = null; // Frames of the traceback being read: [{ path, line }]
+        this.error = null; // { path, line, message } of the last uncaught exception
+        this.decoration = null; // { model, ids } of the error line decoration
+
+        // Files opened after the run still show where it failed
+        monaco.editor.onDidCreateModel((model) => {
+            if (this.error && this.getFilePath(model) === this.error.path) {
+                this.decorate(model);
+            }
+        });
+    }
+
+    /**
+     * Start mapping paths for a new run and clear the previous run's error
+     * @param {Object} run - { tempFile, workspacePath } from the server and the file that was run
+     */
+    startRun(run) {
+        this.run = run;
+        this.frames = null;
+        this.error = null;
+        this.clearDecoration();
+    }
+
+    /**
+     * Workspace file path of a model (null for stdlib and other models)
+     */
+    getFilePath(model) {
+        return model.uri.scheme === 'file' ? model.uri.path.replace(/^\//, '') : null;
+    }
+
+    /**
+     * Map a path from a traceback to a file the editor can open
+     * @returns {string|null} Workspace-relative path, stdlib path, or null
+     */
+    resolvePath(filepath) {
+        const { tempFile, workspacePath, file } = this.run || {};
+        if (tempFile && filepath === tempFile) {
+            return file || null;
+        }
+        if (workspacePath && filepath.startsWith(`${workspacePath}/`)) {
+            return filepath.slice(workspacePath.length + 1);
+        }
+        return this.context.isStdlibFile(filepath) ? filepath : null;
+    }
+
+    /**
+     * Read a completed line of stderr and link it if it is a traceback frame
+     * @param {Array<HTMLElement>} nodes - Elements the line was rendered into
+     * @param {string} text - Plain text of the line (without the newline)
+     */
+    linkLine(nodes, text) {
+        this.readLine(text);
+
+        // Colored lines (e.g. tracebacks formatted by rich) are left as they are
+        const line = this.renderLine(text);
+        if (nodes.length === 1 && line.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+            nodes[0].textContent = '';
+            nodes[0].appendChild(line);
+            nodes[0].appendChild(document.createTextNode('\n'));
+        }
+    }
+
+    /**
+     * A line of output, as a link if it is a frame in a file that can be opened
+     */
+    renderLine(line) {
+        const match = line.match(FRAME_PATTERN);
+        const filepath = match ? this.resolvePath(match[2]) : null;
+        if (!filepath) {
+            return document.createTextNode(line);
+        }
+
+        const lineNumber = parseInt(match[4]);
+        // Show the source file instead of the temp file it was run from
+        const shownPath = match[2] === this.run.tempFile ? filepath : match[2];
+        const fragment = document.createDocumentFragment();
+        const link = document.createElement('span');
+        link.className = 'output-traceback-link';
+        link.textContent = `${match[1]}${shownPath}${match[3]}`;
+        link.title = `Open ${filepath}:${lineNumber}`;
+        link.addEventListener('click', () => this.openLocation(filepath, lineNumber));
+
+        fragment.appendChild(link);
+        fragment.appendChild(document.createTextNode(line.slice(match[0].length)));
+        return fragment;
+    }
+
+    /**
+     * Follow the traceback structure: frames, then the exception line
+     */
+    readLine(line) {
+        if (line.startsWith('Traceback (most recent call last):')) {
+            this.frames = [];
+            return;
+        }
+
+        const match = line.match(FRAME_PATTERN);
+        if (match) {
+            // SyntaxError tracebacks start with the frame, without the header
+            this.frames = this.frames || [];
+            this.frames.push({ path: this.resolvePath(match[2]), line: parseInt(match[4]) });
+            return;
+        }
+
+        // The first unindented line after the frames names the exception
+        if (this.frames && this.frames.length > 0 && line && !/^\s/.test(line)) {
+            const frame = [...this.frames].reverse().find((f) => f.path && !f.path.startsWith('/'));
+            this.frames = null;
+            if (frame) {
+                this.markError({ ...frame, message: line });
+            }
+        }
+    }
+
+    /**
+     * Mark the line that raised in the editor (innermost workspace frame)
+     */
+    markError(error) {
+        this.clearDecoration();
+        this.error = error;
+
+        const model = monaco.editor.getModel(monaco.Uri.file(error.path));
+        if (model) {
+            this.decorate(model);
+        }
+    }
+
+    decorate(model) {
+        this.clearDecoration();
+        const { line, message } = this.error;
+        const ids = model.deltaDecorations(
+            [],
+            [
+                {
+                    range: new monaco.Range(line, 1, line, 1),
+                    options: {
+                        isWholeLine: true,
+                        className: 'run-error-line',
+                        linesDecorationsClassName: 'run-error-line-margin',
+                        hoverMessage: { value: message },
+                        overviewRuler: {
+                            color: '#f14c4c',
+                            position: monaco.editor.OverviewRulerLane.Right,
+                        },
+                    },
+                },
+            ]
+        );
+        this.decoration = { model, ids };
+    }
+
+    clearDecoration() {
+        if (this.decoration && !this.decoration.model.isDisposed()) {
+            this.decoration.model.deltaDecorations(this.decoration.ids, []);
+        }
+        this.decoration = null;
+    }
+
+    /**
+     * Open a file in the focused editor group and reveal a line
+     */
+    async openLocation(filepath, line) {
+        const targetEditor = this.context.splitViewActive ? this.context.focusedEditor : 'left';
+        await this.context.fileLoader.openFile(filepath, targetEditor);
+
+        const editor = targetEditor === 'right' ? this.context.rightEditor : this.context.editor;
+        if (editor) {
+            editor.setPosition({ lineNumber: line, column: 1 });
+            editor.revealLineInCenter(line);
+            editor.focus();
+        }
+    }
+}
@@ -111,6 +111,32 @@ export class ContextMenu {
         }, 0);
     }
 
+    /**
+     * Show a menu of arbitrary items at a position
+     * @param {Object} position - { left, top } or { left, bottom } in pixels (bottom opens
+     *     the menu upwards, e.g. from the status bar)
+     * @param {Array} menuItems - Array of menu item objects (see renderMenuItems)
+     */
+    showItems(position, menuItems) {
+        this.close();
+
+        const menu = document.createElement('div');
+        menu.className = 'context-menu';
+        Object.entries(position).forEach(([side, value]) => {
+            menu.style[side] = value + 'px';
+        });
+
+        this.renderMenuItems(menu, menuItems);
+        document.body.appendChild(menu);
+        this.currentMenu = menu;
+
+        // Close menu when clicking outside
+        this.closeHandler = this.close.bind(this);
+        setTimeout(() => {
+            document.addEventListener('click', this.closeHandler, { once: true });
+        }, 0);
+    }
+
     /**
      * Render menu items into the menu container
      * @param {HTMLElement} menu - The menu container element
@@ -28,6 +28,7 @@ export class FileExplorer {
         this.onContextMenu = options.onContextMenu || (() => {});
         this.onFileMove = options.onFileMove || (() => {});
         this.onExternalFileDrop = options.onExternalFileDrop || (() => {});
+        this.onFileRendered = options.onFileRendered || (() => {});
     }
 
     /**
@@ -274,6 +275,9 @@ export class FileExplorer {
         // Drag and drop events
         this.setupDragEvents(element, item);
 
+        // Extra decorations (e.g. coverage badges)
+        this.onFileRendered(element, item.path);
+
         container.appendChild(element);
     }
 
@@ -5,8 +5,10 @@ import * as monaco from 'monaco-editor';
  * Handles communication with Python language server via WebSocket
  */
 export class LSPClient {
-    constructor(snippets, getFallbackValidation) {
+    constructor(snippets, getFallbackValidation, getSocketUrl = null) {
         this.languageClient = null;
+        // The server picks the language server's interpreter by the workspace folder in the URL
+        this.getSocketUrl = getSocketUrl;
         this.messageId = 1;
         this.pendingRequests = new Map();
         this.snippets = snippets;
@@ -20,6 +22,9 @@ export class LSPClient {
 
         // Callback for when LSP is initialized
         this.onInitialized = null;
+        // Callback for when LSP is initialized again after restart()
+        this.onRestarted = null;
+        this.restarting = false;
     }
 
     /**
@@ -35,7 +40,9 @@ export class LSPClient {
     async connect() {
         try {
             const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-            const wsUrl = `${wsProtocol}//${window.location.host}`;
+            const wsUrl = this.getSocketUrl
+                ? this.getSocketUrl()
+                : `${wsProtocol}//${window.location.host}`;
 
             this.languageClient = new WebSocket(wsUrl);
 
@@ -193,6 +200,15 @@ export class LSPClient {
                 params: {},
             });
 
+            // Providers stay registered across restarts, only documents have to be reopened
+            if (this.restarting) {
+                this.restarting = false;
+                if (this.onRestarted) {
+                    this.onRestarted();
+                }
+                return;
+            }
+
             // Call the initialization callback to register providers
             if (this.onInitialized) {
                 this.onInitialized();
@@ -1105,6 +1121,26 @@ export class LSPClient {
         this.unusedDecorations.set(model, newDecorations);
     }
 
+    /**
+     * Connect to a new language server process, e.g. after the interpreter changed
+     * Documents are forgotten: onRestarted should open them again
+     */
+    restart() {
+        if (this.languageClient) {
+            // Closing on purpose: no fallback validation
+            this.languageClient.onclose = null;
+            this.languageClient.onerror = null;
+            this.languageClient.close();
+            this.languageClient = null;
+        }
+        this.pendingRequests.clear();
+        if (this.openedDocuments) {
+            this.openedDocuments.clear();
+        }
+        this.restarting = true;
+        this.connect();
+    }
+
     /**
      * Disconnect from LSP server
      */
@@ -7,19 +7,39 @@ import * as monaco from 'monaco-editor';
 export class LSPManager {
     constructor(context) {
         this.context = context;
+        this.virtualDocuments = new Map(); // model -> getDocument(model, position)
+    }
+
+    /**
+     * Give the language server a document for a model that is not a workspace file
+     * (e.g. the REPL input), so completions for it come from the same LSP path
+     * @param {Function} getDocument - (model, position) => { filePath, content, position }
+     *     where position is the position in that document
+     */
+    registerVirtualDocument(model, getDocument) {
+        this.virtualDocuments.set(model, getDocument);
+        model.onWillDispose(() => this.virtualDocuments.delete(model));
     }
 
     /**
      * Get completion items at position
      */
     async getCompletionItems(model, position) {
-        const filePath = this.context.activeFile;
+        let filePath = this.context.activeFile;
+        let content = model.getValue();
+
+        const getDocument = this.virtualDocuments.get(model);
+        if (getDocument && this.context.lspClientInstance?.isConnected()) {
+            const document = getDocument(model, position);
+            ({ filePath, content, position } = document);
+            this.notifyDocumentOpened(filePath, content);
+            this.notifyDocumentChanged(filePath, content);
+        }
+
         if (!filePath || !this.context.lspClientInstance?.isConnected()) {
             return this.context.getBasicCompletions();
         }
 
-        const content = model.getValue();
-
         try {
             const response = await Promise.race([
                 this.context.lspClientInstance.getCompletionItems(filePath, content, position),
@@ -0,0 +1,305 @@
+import { PythonSession } from '../execution/PythonSession.js';
+import { createCell, parseNotebook, serializeNotebook } from './notebookFormat.js';
+
+// Edits are written to the file's model after this long without another edit
+const WRITE_DELAY = 300;
+
+/**
+ * NotebookDocument - A notebook open in the editor
+ * The tab's Monaco model (the .ipynb JSON) stays the file's content, so saving
+ * and unsaved-changes tracking work like for any other file: cell edits and
+ * outputs are written back to it. Code cells run in the notebook's own Python
+ * session (its kernel), started in the notebook's folder; outputs are stored
+ * in the cells in nbformat (streams, results and displays as MIME bundles,
+ * errors with their traceback).
+ *
+ * Events for views: 'reset' (cells replaced), 'cell' (a cell's outputs or run
+ * state changed), 'source' (a cell was edited) and 'kernel' (kernel started,
+ * busy or ended).
+ */
+export class NotebookDocument {
+    /**
+     * @param {Object} context - App context
+     * @param {monaco.editor.ITextModel} model - Model of the .ipynb file
+     * @param {string} filepath - Workspace path of the notebook
+     */
+    constructor(context, model, filepath) {
+        this.context = context;
+        this.model = model;
+        this.filepath = filepath;
+        this.listeners = { reset: [], cell: [], source: [], kernel: [] };
+        this.states = new Map(); // cell -> 'queued' | 'running'
+        this.queue = Promise.resolve();
+        this.generation = 0; // Bumped by restarts, so queued cells of the old kernel don't run
+        this.executionCount = 0;
+        this.writing = false; // The model is being changed by this document
+        this.writeTimer = null;
+        this.kernelInfo = null; // Body of the kernel's started event
+
+        const folder = filepath.includes('/') ? filepath.slice(0, filepath.lastIndexOf('/')) : '';
+        this.kernel = new PythonSession(context, { cwd: folder });
+        this.kernel.on('started', (body) => {
+            this.kernelInfo = body;
+            this.emit('kernel');
+        });
+        this.kernel.on('closed', () => {
+            this.kernelInfo = null;
+            this.emit('kernel');
+        });
+
+        this.load();
+        this.contentListener = model.onDidChangeContent(() => {
+            // Changed elsewhere (e.g. replaced on disk): read the cells again
+            if (!this.writing) {
+                this.load();
+                this.emit('reset');
+            }
+        });
+    }
+
+    on(event, callback) {
+        this.listeners[event].push(callback);
+        return () => {
+            this.listeners[event] = this.listeners[event].filter((c) => c !== callback);
+        };
+    }
+
+    emit(event, ...args) {
+        this.listeners[event].forEach((callback) => callback(...args));
+    }
+
+    load() {
+        try {
+            this.notebook = parseNotebook(this.model.getValue());
+            this.error = null;
+        } catch (error) {
+            this.notebook = null;
+            this.error = error;
+        }
+    }
+
+    get cells() {
+        return this.notebook ? this.notebook.cells : [];
+    }
+
+    /**
+     * Write the cells to the model soon (edits come in keystroke by keystroke)
+     */
+    changed() {
+        clearTimeout(this.writeTimer);
+        this.writeTimer = setTimeout(() => this.flush(), WRITE_DELAY);
+    }
+
+    /**
+     * Write pending changes to the model now (before saving)
+     */
+    flush() {
+        clearTimeout(this.writeTimer);
+        this.writeTimer = null;
+        if (!this.notebook || this.model.isDisposed()) return;
+
+        const content = serializeNotebook(this.notebook);
+        if (content === this.model.getValue()) return;
+
+        this.writing = true;
+        try {
+            // An edit rather than setValue, so the file can still be undone as text
+            this.model.pushEditOperations(
+                [],
+                [{ range: this.model.getFullModelRange(), text: content }],
+                () => null
+            );
+        } finally {
+            this.writing = false;
+        }
+    }
+
+    setSource(cell, source) {
+        cell.source = source;
+        this.changed();
+        this.emit('source', cell);
+    }
+
+    insertCell(index, type = 'code', source = '') {
+        const cell = createCell(type, source);
+        this.cells.splice(index, 0, cell);
+        this.changed();
+        this.emit('reset');
+        return cell;
+    }
+
+    deleteCell(cell) {
+        const index = this.cells.indexOf(cell);
+        if (index === -1) return;
+        this.cells.splice(index, 1);
+        this.changed();
+        this.emit('reset');
+    }
+
+    moveCell(cell, offset) {
+        const index = this.cells.indexOf(cell);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.cells.length) return;
+        this.cells.splice(index, 1);
+        this.cells.splice(target, 0, cell);
+        this.changed();
+        this.emit('reset');
+    }
+
+    /**
+     * Turn a cell into a code or markdown cell, keeping its source
+     */
+    setCellType(cell, type) {
+        const index = this.cells.indexOf(cell);
+        if (index === -1 || cell.cell_type === type) return;
+        const replacement = createCell(type, cell.source);
+        if (cell.id) replacement.id = cell.id;
+        this.cells.splice(index, 1, replacement);
+        this.changed();
+        this.emit('reset');
+    }
+
+    clearOutputs(cells = this.cells) {
+        cells
+            .filter((cell) => cell.cell_type === 'code')
+            .forEach((cell) => {
+                cell.outputs = [];
+                cell.execution_count = null;
+                this.emit('cell', cell);
+            });
+        this.changed();
+    }
+
+    getState(cell) {
+        return this.states.get(cell) || null;
+    }
+
+    setState(cell, state) {
+        if (state) {
+            this.states.set(cell, state);
+        } else {
+            this.states.delete(cell);
+        }
+        this.emit('cell', cell);
+        this.emit('kernel');
+    }
+
+    isBusy() {
+        return this.states.size > 0;
+    }
+
+    /**
+     * Run code cells, one after another, in the kernel
+     * @param {Array<Object>} cells - Cells to run (markdown cells are skipped)
+     * @returns {Promise} Resolves when the last of them finished
+     */
+    run(cells) {
+        const generation = this.generation;
+        const runs = cells
+            .filter((cell) => cell.cell_type === 'code' && !this.states.has(cell))
+            .map((cell) => {
+                this.setState(cell, 'queued');
+                this.queue = this.queue.then(() => {
+                    if (generation !== this.generation) return null;
+                    // Cells deleted or cancelled while waiting are not run
+                    if (this.states.has(cell) && this.cells.includes(cell)) {
+                        return this.runCell(cell);
+                    }
+                    this.setState(cell, null);
+                    return null;
+                });
+                return this.queue;
+            });
+        return Promise.all(runs);
+    }
+
+    async runCell(cell) {
+        this.setState(cell, 'running');
+        cell.outputs = [];
+        cell.execution_count = null;
+        this.emit('cell', cell);
+
+        const onOutput = (payload, stream) => {
+            if (stream === 'display') {
+                cell.outputs.push({ output_type: 'display_data', data: payload, metadata: {} });
+            } else {
+                const last = cell.outputs[cell.outputs.length - 1];
+                if (last && last.output_type === 'stream' && last.name === stream) {
+                    last.text += payload;
+                } else {
+                    cell.outputs.push({ output_type: 'stream', name: stream, text: payload });
+                }
+            }
+            this.emit('cell', cell);
+        };
+
+        try {
+            const response = await this.kernel.execute(cell.source, {}, onOutput, { rich: true });
+            this.executionCount += 1;
+            cell.execution_count = this.executionCount;
+            if (response.data) {
+                cell.outputs.push({
+                    output_type: 'execute_result',
+                    data: response.data,
+                    metadata: {},
+                    execution_count: this.executionCount,
+                });
+            }
+            if (response.error) {
+                cell.outputs.push({
+                    output_type: 'error',
+                    ename: response.error.type,
+                    evalue: response.error.message,
+                    traceback: response.error.traceback || [],
+                });
+                // Like Jupyter, an error stops the cells queued after it
+                this.cancelQueued();
+            }
+        } catch (error) {
+            cell.outputs.push({
+                output_type: 'stream',
+                name: 'stderr',
+                text: `${error.message}\n`,
+            });
+            this.cancelQueued();
+        } finally {
+            this.setState(cell, null);
+            this.changed();
+        }
+    }
+
+    cancelQueued() {
+        [...this.states.entries()]
+            .filter(([, state]) => state === 'queued')
+            .forEach(([cell]) => this.setState(cell, null));
+    }
+
+    interrupt() {
+        this.cancelQueued();
+        return this.kernel.interrupt();
+    }
+
+    /**
+     * Start over with a new kernel: all variables are lost, queued cells don't run
+     */
+    async restart() {
+        this.generation += 1;
+        this.executionCount = 0;
+        this.queue = Promise.resolve();
+        [...this.states.keys()].forEach((cell) => this.setState(cell, null));
+        await this.kernel.restart();
+    }
+
+    /**
+     * The notebook was closed: end its kernel
+     */
+    dispose() {
+        clearTimeout(this.writeTimer);
+        this.contentListener.dispose();
+        this.generation += 1;
+        this.kernel.close();
+        Object.keys(this.listeners).forEach((event) => {
+            this.listeners[event] = [];
+        });
+    }
+}
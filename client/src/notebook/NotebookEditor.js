@@ -0,0 +1,590 @@
+import * as monaco from 'monaco-editor';
+import { marked } from 'marked';
+import DOMPurify from 'dompurify';
+import { OutputRenderer } from '../execution/OutputRenderer.js';
+import { TracebackLinker } from '../execution/TracebackLinker.js';
+
+// Representation shown for rich output, best first (like Jupyter)
+const MIME_ORDER = [
+    'text/html',
+    'image/svg+xml',
+    'image/png',
+    'image/jpeg',
+    'text/markdown',
+    'application/json',
+    'text/latex',
+    'text/plain',
+];
+
+const MIN_CELL_HEIGHT = 19;
+
+let modelCount = 0; // Cell models need unique URIs
+
+/**
+ * NotebookEditor - Shows a notebook in place of an editor's text
+ * One per editor (left and right); it covers the editor while a notebook's
+ * model is open in it. Code cells are Monaco editors (Shift+Enter runs and
+ * moves to the next cell, Ctrl+Enter runs, Alt+Enter runs and adds a cell
+ * below), markdown cells are rendered until double-clicked. Cell content and
+ * outputs live in the NotebookDocument; this only renders them.
+ */
+export class NotebookEditor {
+    /**
+     * @param {Object} context - App context
+     * @param {monaco.editor.IStandaloneCodeEditor} hostEditor - Editor the notebook covers
+     */
+    constructor(context, hostEditor) {
+        this.context = context;
+        this.hostEditor = hostEditor;
+        this.document = null;
+        this.entries = new Map(); // cell -> { element, editor, outputs, count, frame }
+        this.selected = null;
+        this.unsubscribe = [];
+        this.scrollPositions = new WeakMap(); // document -> scrollTop
+
+        this.tracebackLinker = new TracebackLinker(context);
+        this.element = this.createElement();
+        hostEditor.getDomNode().closest('.editor-container').appendChild(this.element);
+    }
+
+    createElement() {
+        const element = document.createElement('div');
+        element.className = 'notebook-editor';
+        element.style.display = 'none';
+        element.innerHTML = `
+            <div class="notebook-toolbar">
+                <button class="notebook-toolbar-button" data-action="add-code" title="Add Code Cell">
+                    <i class="codicon codicon-add"></i> Code
+                </button>
+                <button class="notebook-toolbar-button" data-action="add-markdown" title="Add Markdown Cell">
+                    <i class="codicon codicon-add"></i> Markdown
+                </button>
+                <span class="notebook-toolbar-separator"></span>
+                <button class="notebook-toolbar-button" data-action="run-all" title="Run All">
+                    <i class="codicon codicon-run-all"></i> Run All
+                </button>
+                <button class="notebook-toolbar-button" data-action="interrupt" title="Interrupt Kernel">
+                    <i class="codicon codicon-debug-stop"></i>
+                </button>
+                <button class="notebook-toolbar-button" data-action="restart" title="Restart Kernel">
+                    <i class="codicon codicon-debug-restart"></i>
+                </button>
+                <button class="notebook-toolbar-button" data-action="clear" title="Clear All Outputs">
+                    <i class="codicon codicon-clear-all"></i>
+                </button>
+                <span class="notebook-kernel-status"></span>
+            </div>
+            <div class="notebook-error" style="display: none;">
+                <div class="notebook-error-message"></div>
+                <button class="notebook-toolbar-button" data-action="open-as-text">Open as Text</button>
+            </div>
+            <div class="notebook-cells"></div>
+        `;
+
+        this.cellsElement = element.querySelector('.notebook-cells');
+        this.statusElement = element.querySelector('.notebook-kernel-status');
+
+        const actions = {
+            'add-code': () => this.addCell('code'),
+            'add-markdown': () => this.addCell('markdown'),
+            'run-all': () => this.document.run(this.document.cells),
+            interrupt: () => this.document.interrupt(),
+            restart: () => this.document.restart(),
+            clear: () => this.document.clearOutputs(),
+            'open-as-text': () => this.context.notebookManager.openAsText(this.document.model),
+        };
+        ['.notebook-toolbar', '.notebook-error'].forEach((selector) => {
+            element.querySelector(selector).addEventListener('click', (e) => {
+                const button = e.target.closest('[data-action]');
+                if (button && this.document) {
+                    actions[button.dataset.action]();
+                }
+            });
+        });
+        return element;
+    }
+
+    /**
+     * Show a notebook over the editor
+     * @param {NotebookDocument} notebookDocument
+     */
+    show(notebookDocument) {
+        if (this.document !== notebookDocument) {
+            this.detach();
+            this.document = notebookDocument;
+            this.unsubscribe = [
+                notebookDocument.on('reset', () => this.render()),
+                notebookDocument.on('cell', (cell) => this.updateCell(cell)),
+                notebookDocument.on('source', (cell) => this.updateSource(cell)),
+                notebookDocument.on('kernel', () => this.updateStatus()),
+            ];
+            this.render();
+            this.cellsElement.scrollTop = this.scrollPositions.get(notebookDocument) || 0;
+        }
+        this.element.style.display = 'flex';
+    }
+
+    /**
+     * Uncover the editor (another file is open in it)
+     */
+    hide() {
+        this.detach();
+        this.element.style.display = 'none';
+    }
+
+    detach() {
+        if (this.document) {
+            this.scrollPositions.set(this.document, this.cellsElement.scrollTop);
+        }
+        this.unsubscribe.forEach((unsubscribe) => unsubscribe());
+        this.unsubscribe = [];
+        this.clearCells();
+        this.document = null;
+    }
+
+    dispose() {
+        this.detach();
+        this.element.remove();
+    }
+
+    clearCells() {
+        this.entries.forEach((entry) => {
+            cancelAnimationFrame(entry.frame);
+            this.disposeEditor(entry);
+        });
+        this.entries.clear();
+        this.cellsElement.innerHTML = '';
+    }
+
+    disposeEditor(entry) {
+        if (entry.editor) {
+            const model = entry.editor.getModel();
+            entry.editor.dispose();
+            model.dispose();
+            entry.editor = null;
+        }
+    }
+
+    /**
+     * Render all cells (after the notebook was loaded or cells were added, moved or removed)
+     */
+    render() {
+        this.clearCells();
+        const { error, cells } = this.document;
+
+        const errorElement = this.element.querySelector('.notebook-error');
+        errorElement.style.display = error ? 'flex' : 'none';
+        if (error) {
+            errorElement.querySelector('.notebook-error-message').textContent =
+                `This notebook can't be opened: ${error.message}`;
+        }
+
+        cells.forEach((cell, index) => {
+            const entry = this.createCellElement(cell);
+            this.entries.set(cell, entry);
+            this.cellsElement.appendChild(this.createAddButtons(index));
+            this.cellsElement.appendChild(entry.element);
+        });
+        if (!error) {
+            this.cellsElement.appendChild(this.createAddButtons(cells.length));
+        }
+
+        if (!cells.includes(this.selected)) {
+            this.selected = null;
+        }
+        this.updateStatus();
+    }
+
+    /**
+     * "+ Code / + Markdown" buttons that insert a cell at an index
+     */
+    createAddButtons(index) {
+        const element = document.createElement('div');
+        element.className = 'notebook-add-cell';
+        [
+            ['code', 'Code'],
+            ['markdown', 'Markdown'],
+        ].forEach(([type, label]) => {
+            const button = document.createElement('button');
+            button.className = 'notebook-add-cell-button';
+            button.innerHTML = `<i class="codicon codicon-add"></i> ${label}`;
+            button.addEventListener('click', () => this.insertCell(index, type));
+            element.appendChild(button);
+        });
+        return element;
+    }
+
+    createCellElement(cell) {
+        const element = document.createElement('div');
+        element.className = `notebook-cell ${cell.cell_type}`;
+        element.innerHTML = `
+            <div class="notebook-cell-gutter">
+                <button class="notebook-cell-run" title="Run Cell (Ctrl+Enter)">
+                    <i class="codicon codicon-play"></i>
+                </button>
+                <div class="notebook-cell-count"></div>
+            </div>
+            <div class="notebook-cell-main">
+                <div class="notebook-cell-toolbar">
+                    <button data-cell-action="type" title="Change Cell Type"></button>
+                    <button data-cell-action="up" title="Move Cell Up"><i class="codicon codicon-arrow-up"></i></button>
+                    <button data-cell-action="down" title="Move Cell Down"><i class="codicon codicon-arrow-down"></i></button>
+                    <button data-cell-action="delete" title="Delete Cell"><i class="codicon codicon-trash"></i></button>
+                </div>
+                <div class="notebook-cell-body"></div>
+                <div class="notebook-cell-outputs"></div>
+            </div>
+        `;
+
+        const entry = {
+            element,
+            editor: null,
+            body: element.querySelector('.notebook-cell-body'),
+            outputs: element.querySelector('.notebook-cell-outputs'),
+            count: element.querySelector('.notebook-cell-count'),
+            frame: null,
+        };
+
+        element.querySelector('[data-cell-action="type"]').textContent =
+            cell.cell_type === 'code' ? 'M↓' : '{ }';
+        element.classList.toggle('selected', cell === this.selected);
+        element.addEventListener('mousedown', () => this.select(cell));
+
+        const cellActions = {
+            type: () => {
+                const type = cell.cell_type === 'code' ? 'markdown' : 'code';
+                this.document.setCellType(cell, type);
+            },
+            up: () => this.document.moveCell(cell, -1),
+            down: () => this.document.moveCell(cell, 1),
+            delete: () => this.document.deleteCell(cell),
+        };
+        element.querySelector('.notebook-cell-toolbar').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-cell-action]');
+            if (button) {
+                cellActions[button.dataset.cellAction]();
+            }
+        });
+        element.querySelector('.notebook-cell-run').addEventListener('click', () => {
+            this.runCell(cell);
+        });
+
+        if (cell.cell_type === 'code') {
+            this.createCellEditor(cell, entry, 'python');
+            this.renderOutputs(cell, entry);
+        } else if (cell.cell_type === 'markdown') {
+            this.renderMarkdown(cell, entry);
+            entry.body.addEventListener('dblclick', () => this.editMarkdown(cell));
+        } else {
+            // Raw cells are kept as they are
+            entry.body.textContent = cell.source;
+            entry.body.classList.add('notebook-raw');
+        }
+        this.updateCount(cell, entry);
+        return entry;
+    }
+
+    createCellEditor(cell, entry, language) {
+        modelCount += 1;
+        const extension = language === 'python' ? 'py' : 'md';
+        const model = monaco.editor.createModel(
+            cell.source,
+            language,
+            monaco.Uri.parse(`inmemory://notebook/cell-${modelCount}.${extension}`)
+        );
+        entry.body.innerHTML = '';
+        const editor = monaco.editor.create(entry.body, {
+            model,
+            theme: this.context.currentTheme,
+            fontSize: 13,
+            lineNumbers: 'off',
+            glyphMargin: false,
+            folding: false,
+            lineDecorationsWidth: 6,
+            lineNumbersMinChars: 0,
+            minimap: { enabled: false },
+            overviewRulerLanes: 0,
+            hideCursorInOverviewRuler: true,
+            renderLineHighlight: 'none',
+            scrollBeyondLastLine: false,
+            scrollbar: { vertical: 'hidden', horizontal: 'auto', alwaysConsumeMouseWheel: false },
+            wordWrap: language === 'markdown' ? 'on' : 'off',
+            tabSize: 4,
+            insertSpaces: true,
+            automaticLayout: true,
+        });
+        entry.editor = editor;
+
+        if (language === 'python' && this.context.lspManager) {
+            this.context.lspManager.registerVirtualDocument(model, (m, position) =>
+                this.getCompletionDocument(cell, m, position)
+            );
+        }
+
+        editor.onDidChangeModelContent(() => {
+            this.document.setSource(cell, model.getValue());
+        });
+        editor.onDidFocusEditorText(() => this.select(cell));
+        editor.onDidContentSizeChange(() => this.updateEditorHeight(entry));
+        this.updateEditorHeight(entry);
+
+        const addKey = (id, keybinding, run) => {
+            editor.addAction({
+                id: `notebook-${id}`,
+                label: id,
+                keybindings: [keybinding],
+                keybindingContext: '!suggestWidgetVisible',
+                run,
+            });
+        };
+        addKey('run-advance', monaco.KeyMod.Shift | monaco.KeyCode.Enter, () =>
+            this.runCell(cell, 'advance')
+        );
+        addKey('run', monaco.KeyMod.CtrlCmd | monaco.KeyCode.Enter, () => this.runCell(cell));
+        addKey('run-insert', monaco.KeyMod.Alt | monaco.KeyCode.Enter, () =>
+            this.runCell(cell, 'insert')
+        );
+        if (language === 'markdown') {
+            addKey('render', monaco.KeyCode.Escape, () => this.renderMarkdown(cell, entry));
+        }
+        return editor;
+    }
+
+    updateEditorHeight(entry) {
+        if (!entry.editor) return;
+        const height = Math.max(entry.editor.getContentHeight(), MIN_CELL_HEIGHT);
+        entry.body.style.height = `${height}px`;
+        entry.editor.layout();
+    }
+
+    /**
+     * Completion document: the code cells up to this one, so names defined above complete
+     */
+    getCompletionDocument(cell, model, position) {
+        const cells = this.document.cells;
+        const previous = cells
+            .slice(0, cells.indexOf(cell))
+            .filter((c) => c.cell_type === 'code')
+            .map((c) => c.source)
+            .join('\n');
+        const offset = previous ? previous.split('\n').length : 0;
+        return {
+            filePath: this.document.filepath.replace(/\.ipynb$/i, '.ipynb.py'),
+            content: previous ? `${previous}\n${model.getValue()}` : model.getValue(),
+            position: { lineNumber: position.lineNumber + offset, column: position.column },
+        };
+    }
+
+    renderMarkdown(cell, entry) {
+        this.disposeEditor(entry);
+        entry.element.classList.remove('editing');
+        entry.body.className = 'notebook-cell-body notebook-markdown';
+        if (cell.source.trim()) {
+            this.renderHtml(entry.body, marked.parse(cell.source));
+        } else {
+            entry.body.innerHTML = '<span class="notebook-placeholder">Double-click to edit</span>';
+        }
+        entry.body.style.height = '';
+    }
+
+    editMarkdown(cell) {
+        const entry = this.entries.get(cell);
+        if (!entry || entry.editor) return;
+        entry.element.classList.add('editing');
+        entry.body.className = 'notebook-cell-body';
+        this.createCellEditor(cell, entry, 'markdown').focus();
+    }
+
+    /**
+     * Another view changed a cell's source (the notebook is open in both editors)
+     */
+    updateSource(cell) {
+        const entry = this.entries.get(cell);
+        if (!entry) return;
+        if (entry.editor && entry.editor.getValue() !== cell.source) {
+            entry.editor.setValue(cell.source);
+        } else if (!entry.editor && cell.cell_type === 'markdown') {
+            this.renderMarkdown(cell, entry);
+        }
+    }
+
+    select(cell) {
+        if (this.selected === cell) return;
+        this.selected = cell;
+        this.entries.forEach((entry, c) => {
+            entry.element.classList.toggle('selected', c === cell);
+        });
+    }
+
+    focusCell(cell) {
+        this.select(cell);
+        const entry = this.entries.get(cell);
+        if (!entry) return;
+        entry.element.scrollIntoView({ block: 'nearest' });
+        if (entry.editor) {
+            entry.editor.focus();
+        }
+    }
+
+    addCell(type) {
+        const index = this.selected
+            ? this.document.cells.indexOf(this.selected) + 1
+            : this.document.cells.length;
+        this.insertCell(index, type);
+    }
+
+    insertCell(index, type) {
+        const cell = this.document.insertCell(index, type);
+        if (type === 'markdown') {
+            this.editMarkdown(cell);
+        }
+        this.focusCell(cell);
+    }
+
+    /**
+     * Run a cell (markdown cells are rendered)
+     * @param {string} then - 'advance' to move to the next cell, 'insert' to add one below
+     */
+    runCell(cell, then = null) {
+        if (cell.cell_type === 'markdown') {
+            this.renderMarkdown(cell, this.entries.get(cell));
+        } else {
+            this.document.run([cell]);
+        }
+
+        const cells = this.document.cells;
+        const index = cells.indexOf(cell);
+        if (then === 'insert' || (then === 'advance' && index === cells.length - 1)) {
+            this.insertCell(index + 1, 'code');
+        } else if (then === 'advance') {
+            this.focusCell(cells[index + 1]);
+        }
+    }
+
+    /**
+     * A cell's outputs or run state changed
+     */
+    updateCell(cell) {
+        const entry = this.entries.get(cell);
+        if (!entry) return;
+        this.updateCount(cell, entry);
+
+        // Output can come in many small pieces: render once per frame
+        if (!entry.frame) {
+            entry.frame = requestAnimationFrame(() => {
+                entry.frame = null;
+                this.renderOutputs(cell, entry);
+            });
+        }
+    }
+
+    updateCount(cell, entry) {
+        if (cell.cell_type !== 'code') return;
+        const state = this.document.getState(cell);
+        entry.element.classList.toggle('running', state === 'running');
+        entry.element.classList.toggle('queued', state === 'queued');
+        entry.count.textContent = state ? '[*]' : `[${cell.execution_count || ' '}]`;
+    }
+
+    updateStatus() {
+        if (!this.document) return;
+        const { kernelInfo } = this.document;
+        const kernel = kernelInfo ? `Python ${kernelInfo.pythonVersion}` : 'Python';
+        let state = kernelInfo ? 'Idle' : 'Not started';
+        if (this.document.isBusy()) {
+            state = 'Busy';
+        }
+        this.statusElement.textContent = `${kernel} · ${state}`;
+        this.statusElement.classList.toggle('busy', this.document.isBusy());
+    }
+
+    renderOutputs(cell, entry) {
+        entry.outputs.innerHTML = '';
+        this.tracebackLinker.startRun({
+            tempFile: null,
+            workspacePath: this.document.kernel.workspacePath,
+            file: null,
+        });
+        (cell.outputs || []).forEach((output) => {
+            const element = this.renderOutput(output);
+            if (element) {
+                entry.outputs.appendChild(element);
+            }
+        });
+    }
+
+    renderOutput(output) {
+        if (output.output_type === 'stream') {
+            return this.renderText(output.text, output.name);
+        }
+        if (output.output_type === 'error') {
+            const traceback = output.traceback.length
+                ? output.traceback.map((line) => line.replace(/\n?$/, '\n')).join('')
+                : `${output.ename}: ${output.evalue}\n`;
+            return this.renderText(traceback, 'stderr');
+        }
+        if (output.data) {
+            return this.renderData(output.data, output.output_type === 'execute_result');
+        }
+        return null;
+    }
+
+    /**
+     * Text output, with ANSI colors and links for traceback frames
+     */
+    renderText(text, stream) {
+        const element = document.createElement('pre');
+        element.className = 'notebook-output-text';
+        const renderer = new OutputRenderer({
+            onLine: (nodes, line, lineStream) => {
+                if (lineStream === 'stderr') {
+                    this.tracebackLinker.linkLine(nodes, line);
+                }
+            },
+        });
+        renderer.attach(element);
+        renderer.write(text, stream);
+        return element;
+    }
+
+    /**
+     * A MIME bundle, shown in its best representation
+     */
+    renderData(data, isResult) {
+        const mime = MIME_ORDER.find((type) => data[type] !== undefined);
+        if (!mime) return null;
+        const value = data[mime];
+
+        if (mime === 'text/plain' || mime === 'text/latex') {
+            return this.renderText(value, isResult ? 'result' : 'stdout');
+        }
+
+        const element = document.createElement('div');
+        element.className = 'notebook-output-rich';
+        if (mime === 'image/png' || mime === 'image/jpeg') {
+            const image = document.createElement('img');
+            image.src = `data:${mime};base64,${value.replace(/\s/g, '')}`;
+            element.appendChild(image);
+        } else if (mime === 'application/json') {
+            element.appendChild(this.renderText(JSON.stringify(value, null, 2), 'stdout'));
+        } else if (mime === 'text/markdown') {
+            element.classList.add('notebook-markdown');
+            this.renderHtml(element, marked.parse(value));
+        } else {
+            this.renderHtml(element, value);
+        }
+        return element;
+    }
+
+    /**
+     * HTML from the notebook (markdown, outputs of its code): scripts and event
+     * handlers are removed, and links open in a new tab instead of leaving the editor
+     */
+    renderHtml(element, html) {
+        element.innerHTML = DOMPurify.sanitize(html);
+        element.querySelectorAll('a[href]').forEach((link) => {
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+        });
+    }
+}
@@ -0,0 +1,93 @@
+import { NotebookDocument } from './NotebookDocument.js';
+import { NotebookEditor } from './NotebookEditor.js';
+import { isNotebookFile } from './notebookFormat.js';
+
+/**
+ * NotebookManager - Opens .ipynb files as notebooks
+ * Notebook tabs hold the file's JSON in a Monaco model like any other tab;
+ * while one is the editor's model, a NotebookEditor covers the editor. Each
+ * open notebook has one NotebookDocument (cells and kernel), shared by the
+ * left and right editor and ended when its model is disposed (tab closed).
+ */
+export class NotebookManager {
+    constructor(context) {
+        this.context = context;
+        this.documents = new Map(); // model -> NotebookDocument
+        this.views = new Map(); // editor -> NotebookEditor
+        this.textModels = new WeakSet(); // Notebooks opened as text
+    }
+
+    /**
+     * Show notebooks opened in an editor as notebooks
+     * @param {monaco.editor.IStandaloneCodeEditor} editor - Left or right editor
+     */
+    attach(editor) {
+        editor.onDidChangeModel(() => this.update(editor));
+        editor.onDidDispose(() => {
+            const view = this.views.get(editor);
+            if (view) {
+                view.dispose();
+                this.views.delete(editor);
+            }
+        });
+        this.update(editor);
+    }
+
+    /**
+     * Workspace path of a model, if it is a notebook
+     */
+    getNotebookPath(model) {
+        if (!model || model.uri.scheme !== 'file') return null;
+        const filepath = model.uri.path.replace(/^\//, '');
+        return isNotebookFile(filepath) ? filepath : null;
+    }
+
+    update(editor) {
+        const model = editor.getModel();
+        const filepath = this.getNotebookPath(model);
+        const view = this.views.get(editor);
+
+        if (!filepath || this.textModels.has(model)) {
+            if (view) view.hide();
+            return;
+        }
+
+        if (!view) {
+            this.views.set(editor, new NotebookEditor(this.context, editor));
+        }
+        this.views.get(editor).show(this.getDocument(model, filepath));
+    }
+
+    getDocument(model, filepath) {
+        if (!this.documents.has(model)) {
+            const notebookDocument = new NotebookDocument(this.context, model, filepath);
+            this.documents.set(model, notebookDocument);
+            model.onWillDispose(() => {
+                this.views.forEach((view) => {
+                    if (view.document === notebookDocument) view.hide();
+                });
+                notebookDocument.dispose();
+                this.documents.delete(model);
+            });
+        }
+        return this.documents.get(model);
+    }
+
+    /**
+     * Show a notebook's JSON in the editors instead (e.g. a notebook that can't be read)
+     */
+    openAsText(model) {
+        this.textModels.add(model);
+        this.views.forEach((view, editor) => this.update(editor));
+    }
+
+    /**
+     * Write pending cell edits to the model before it is saved
+     */
+    flush(model) {
+        const notebookDocument = this.documents.get(model);
+        if (notebookDocument) {
+            notebookDocument.flush();
+        }
+    }
+}
@@ -0,0 +1,166 @@
+/**
+ * notebookFormat.js
+ * Reading and writing Jupyter notebooks (.ipynb, nbformat 4)
+ *
+ * In memory, cell sources and text outputs are plain strings; in the file,
+ * multi-line text is a list of lines, and keys are sorted with one space of
+ * indentation, the way Jupyter writes notebooks (so saving a notebook that
+ * was not changed does not change the file).
+ */
+
+// Output data stored as a list of lines in the file (other types are base64 strings or JSON)
+const isMultilineMime = (mime) => mime.startsWith('text/') || mime === 'image/svg+xml';
+
+const DEFAULT_METADATA = {
+    kernelspec: { display_name: 'Python 3', language: 'python', name: 'python3' },
+    language_info: { name: 'python' },
+};
+
+/**
+ * Check whether a file is a notebook
+ * @param {string} filepath - File path
+ * @returns {boolean}
+ */
+export function isNotebookFile(filepath) {
+    return /\.ipynb$/i.test(filepath || '');
+}
+
+function joinText(value) {
+    return Array.isArray(value) ? value.join('') : value || '';
+}
+
+function splitLines(text) {
+    return text.split(/(?<=\n)/).filter((line) => line !== '');
+}
+
+function createCellId() {
+    return Math.random().toString(36).substr(2, 8);
+}
+
+/**
+ * Create an empty cell
+ * @param {string} type - 'code' or 'markdown'
+ * @param {string} source - Cell source
+ */
+export function createCell(type = 'code', source = '') {
+    const cell = { cell_type: type, id: createCellId(), metadata: {}, source };
+    if (type === 'code') {
+        cell.execution_count = null;
+        cell.outputs = [];
+    }
+    return cell;
+}
+
+/**
+ * Content of a new notebook file
+ * @returns {string} Notebook JSON with one empty code cell
+ */
+export function createNotebookContent() {
+    return serializeNotebook({
+        cells: [createCell('code')],
+        metadata: DEFAULT_METADATA,
+        nbformat: 4,
+        nbformat_minor: 5,
+    });
+}
+
+function readOutput(output) {
+    const result = { ...output };
+    if (output.output_type === 'stream') {
+        result.text = joinText(output.text);
+    }
+    if (output.data) {
+        result.data = Object.fromEntries(
+            Object.entries(output.data).map(([mime, value]) => [
+                mime,
+                isMultilineMime(mime) ? joinText(value) : value,
+            ])
+        );
+    }
+    return result;
+}
+
+function writeOutput(output) {
+    const result = { ...output };
+    if (output.output_type === 'stream') {
+        result.text = splitLines(output.text);
+    }
+    if (output.data) {
+        result.data = Object.fromEntries(
+            Object.entries(output.data).map(([mime, value]) => [
+                mime,
+                isMultilineMime(mime) && typeof value === 'string' ? splitLines(value) : value,
+            ])
+        );
+    }
+    return result;
+}
+
+/**
+ * Parse notebook JSON
+ * An empty file is an empty notebook, so new files can be opened as notebooks.
+ * @param {string} text - File content
+ * @returns {Object} { cells, metadata, nbformat, nbformat_minor } with string sources
+ * @throws {Error} If the content is not a notebook
+ */
+export function parseNotebook(text) {
+    if (!text.trim()) {
+        return { cells: [], metadata: DEFAULT_METADATA, nbformat: 4, nbformat_minor: 5 };
+    }
+
+    const notebook = JSON.parse(text);
+    if (!notebook || !Array.isArray(notebook.cells)) {
+        throw new Error('Not a Jupyter notebook (no cells)');
+    }
+    if (notebook.nbformat < 4) {
+        throw new Error(`Notebook format ${notebook.nbformat} is not supported (needs 4)`);
+    }
+
+    return {
+        ...notebook,
+        metadata: notebook.metadata || {},
+        cells: notebook.cells.map((cell) => {
+            const result = { ...cell, source: joinText(cell.source) };
+            if (cell.cell_type === 'code') {
+                result.outputs = (cell.outputs || []).map(readOutput);
+            }
+            return result;
+        }),
+    };
+}
+
+function sortKeys(value) {
+    if (Array.isArray(value)) {
+        return value.map(sortKeys);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.keys(value)
+                .sort()
+                .map((key) => [key, sortKeys(value[key])])
+        );
+    }
+    return value;
+}
+
+/**
+ * Write a notebook back to JSON
+ * @param {Object} notebook - Notebook from parseNotebook
+ * @returns {string} File content
+ */
+export function serializeNotebook(notebook) {
+    const content = {
+        ...notebook,
+        cells: notebook.cells.map((cell) => {
+            const result = { ...cell, source: splitLines(cell.source) };
+            if (notebook.nbformat_minor < 5) {
+                delete result.id; // Cell ids are new in nbformat 4.5
+            }
+            if (cell.cell_type === 'code') {
+                result.outputs = cell.outputs.map(writeOutput);
+            }
+            return result;
+        }),
+    };
+    return `${JSON.stringify(sortKeys(content), null, 1)}\n`;
+}
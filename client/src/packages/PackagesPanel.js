@@ -0,0 +1,323 @@
+import { OutputRenderer } from '../execution/OutputRenderer.js';
+
+// Files pip can install requirements from
+const REQUIREMENTS_PATTERN = /(^|\/)(requirements[^/]*\.txt|pyproject\.toml)$/;
+
+/**
+ * PackagesPanel - Packages sidebar view
+ * Lists the packages installed in the workspace folder's interpreter and runs pip
+ * in its virtual environment (install, upgrade, uninstall, requirements files),
+ * streaming pip's output to the OUTPUT panel. Air-gapped servers install from a
+ * wheelhouse folder. The language server is restarted after changes so
+ * completions know the new packages
+ */
+export class PackagesPanel {
+    constructor(context) {
+        this.context = context;
+        this.container = document.getElementById('packagesList');
+        this.summaryElement = document.getElementById('packagesSummary');
+        this.installInput = document.getElementById('packageInstallInput');
+        this.filterInput = document.getElementById('packageFilterInput');
+        this.offlineCheckbox = document.getElementById('packageOfflineCheckbox');
+        this.wheelhouseInput = document.getElementById('packageWheelhouseInput');
+        this.wheelhouseOption = document.getElementById('packagesWheelhouse');
+
+        this.packages = [];
+        this.interpreter = null;
+        this.serverWheelhouse = null; // PIP_WHEELHOUSE of the server, always used when set
+        this.loaded = false; // Fetched once the view has been shown
+        this.socket = null; // Active pip run (one at a time)
+        this.outputRenderer = new OutputRenderer();
+
+        this.initializeActions();
+    }
+
+    /**
+     * Wire the toolbar buttons and inputs of the Packages view
+     */
+    initializeActions() {
+        const actions = {
+            refreshPackagesBtn: () => this.refresh(true),
+            installRequirementsBtn: () => this.installRequirements(),
+            packageInstallBtn: () => this.installFromInput(),
+        };
+        Object.entries(actions).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+
+        if (this.installInput) {
+            this.installInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.installFromInput();
+                }
+            });
+        }
+        if (this.filterInput) {
+            this.filterInput.addEventListener('input', () => this.render());
+        }
+        if (this.offlineCheckbox) {
+            this.offlineCheckbox.addEventListener('change', () => this.updateWheelhouseOption());
+        }
+    }
+
+    /**
+     * Load the packages the first time the view is shown
+     */
+    onShow() {
+        if (!this.loaded) {
+            this.refresh(true);
+        }
+    }
+
+    /**
+     * Reload the list (only once the view has been shown, unless forced)
+     */
+    async refresh(force = false) {
+        if (!this.loaded && !force) return;
+
+        this.setSummary('Loading packages...');
+        try {
+            const response = await fetch(this.context.buildUrl('/api/packages'), {
+                headers: this.context.getFetchHeaders(),
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load packages');
+            }
+
+            this.loaded = true;
+            this.interpreter = data.interpreter;
+            this.serverWheelhouse = data.wheelhouse;
+            this.setPackages(data.packages);
+            this.updateWheelhouseOption();
+        } catch (error) {
+            this.setSummary(error.message, true);
+        }
+    }
+
+    setPackages(packages) {
+        this.packages = packages;
+        this.setSummary(this.getSummaryText());
+        this.render();
+    }
+
+    getSummaryText() {
+        if (!this.interpreter) return '';
+
+        const version = this.interpreter.version ? `Python ${this.interpreter.version}` : 'Python';
+        const count = `${this.packages.length} package${this.packages.length === 1 ? '' : 's'}`;
+        if (!this.interpreter.venv) {
+            return `${version} (server) · ${count} · choose a virtual environment to install`;
+        }
+        return `${version} (${this.interpreter.venv}) · ${count}`;
+    }
+
+    setSummary(text, isError = false) {
+        if (!this.summaryElement) return;
+        this.summaryElement.textContent = text;
+        this.summaryElement.classList.toggle('error', isError);
+    }
+
+    /**
+     * The wheelhouse option is replaced by a note when the server has its own wheelhouse
+     */
+    updateWheelhouseOption() {
+        if (!this.wheelhouseOption) return;
+
+        this.wheelhouseOption.classList.toggle('server', Boolean(this.serverWheelhouse));
+        this.wheelhouseOption.title = this.serverWheelhouse
+            ? `Packages are installed from the server's wheelhouse: ${this.serverWheelhouse}`
+            : 'Install from a folder of wheels in the workspace instead of the package index';
+        if (this.wheelhouseInput) {
+            this.wheelhouseInput.disabled = !this.offlineCheckbox.checked;
+        }
+    }
+
+    /**
+     * Wheelhouse folder (workspace-relative) to install from, or null for the index
+     */
+    getWheelhouse() {
+        if (this.serverWheelhouse || !this.offlineCheckbox || !this.offlineCheckbox.checked) {
+            return null;
+        }
+        return this.wheelhouseInput.value.trim() || null;
+    }
+
+    /**
+     * Render the installed packages, filtered by the filter input
+     */
+    render() {
+        if (!this.container) return;
+        this.container.innerHTML = '';
+
+        const filter = this.filterInput ? this.filterInput.value.trim().toLowerCase() : '';
+        const packages = this.packages.filter((pkg) => pkg.name.toLowerCase().includes(filter));
+
+        if (packages.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'packages-empty';
+            empty.textContent = filter ? 'No matching packages.' : 'No packages installed.';
+            this.container.appendChild(empty);
+            return;
+        }
+
+        const canChange = Boolean(this.interpreter && this.interpreter.venv);
+        packages.forEach((pkg) => {
+            const item = document.createElement('div');
+            item.className = 'packages-item';
+
+            const name = document.createElement('span');
+            name.className = 'packages-name';
+            name.textContent = pkg.name;
+            const version = document.createElement('span');
+            version.className = 'packages-version';
+            version.textContent = pkg.version;
+            item.append(name, version);
+
+            if (canChange) {
+                item.append(
+                    this.createAction('arrow-up', `Upgrade ${pkg.name}`, () =>
+                        this.runPip({ type: 'install', packages: [pkg.name], upgrade: true })
+                    ),
+                    this.createAction('trash', `Uninstall ${pkg.name}`, () => {
+                        if (confirm(`Uninstall ${pkg.name} ${pkg.version}?`)) {
+                            this.runPip({ type: 'uninstall', packages: [pkg.name] });
+                        }
+                    })
+                );
+            }
+            this.container.appendChild(item);
+        });
+    }
+
+    createAction(icon, title, handler) {
+        const button = document.createElement('button');
+        button.className = 'action-button packages-action';
+        button.title = title;
+        button.innerHTML = `<i class="codicon codicon-${icon}"></i>`;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            handler();
+        });
+        return button;
+    }
+
+    /**
+     * Install what is typed in the input (several packages separated by spaces)
+     */
+    installFromInput() {
+        const packages = this.installInput.value.split(/\s+/).filter(Boolean);
+        if (packages.length === 0) return;
+
+        this.runPip({ type: 'install', packages }).then((succeeded) => {
+            if (succeeded) {
+                this.installInput.value = '';
+            }
+        });
+    }
+
+    /**
+     * Install from a requirements file or pyproject.toml (the active one, if it is one)
+     */
+    installRequirements() {
+        const activeFile = this.context.activeFile || '';
+        const suggestion = REQUIREMENTS_PATTERN.test(activeFile) ? activeFile : 'requirements.txt';
+        const file = prompt(
+            'Install requirements from (requirements.txt or pyproject.toml):',
+            suggestion
+        );
+        if (!file || !file.trim()) return;
+
+        this.runPip({ type: 'requirements', file: file.trim() });
+    }
+
+    /**
+     * Run pip over the packages socket and stream its output to the OUTPUT panel
+     * @param {Object} message - Package request (see server/sockets/packageSocket.js)
+     * @returns {Promise<boolean>} Whether pip succeeded
+     */
+    runPip(message) {
+        if (this.socket) {
+            alert('pip is already running');
+            return Promise.resolve(false);
+        }
+
+        const outputPanelContent = document.getElementById('outputPanelContent');
+        if (outputPanelContent) {
+            outputPanelContent.className = 'output-panel-content';
+            outputPanelContent.textContent = '';
+            this.outputRenderer.attach(outputPanelContent);
+        }
+        if (this.context.problemsManager) {
+            this.context.problemsManager.showOutputTab();
+        }
+        const write = (text, stream = 'stdout') => {
+            if (outputPanelContent) {
+                this.outputRenderer.write(text, stream);
+                outputPanelContent.scrollTop = outputPanelContent.scrollHeight;
+            }
+        };
+
+        const wheelhouse = message.type === 'uninstall' ? null : this.getWheelhouse();
+        const url = this.context
+            .buildUrl('/ws/packages', { client: this.context.clientId })
+            .replace(/^http/, 'ws');
+
+        return new Promise((resolve) => {
+            const socket = new WebSocket(url);
+            let succeeded = false;
+            this.socket = socket;
+            this.setSummary('Running pip...');
+
+            socket.onopen = () => {
+                socket.send(JSON.stringify(wheelhouse ? { ...message, wheelhouse } : message));
+            };
+
+            socket.onmessage = (event) => {
+                const data = JSON.parse(event.data);
+
+                if (data.type === 'queued') {
+                    this.setSummary(`pip is queued, ${data.ahead} ahead...`);
+                } else if (data.type === 'started') {
+                    write(`$ pip ${data.args.join(' ')}\n`, 'stdin');
+                    this.setSummary('Running pip...');
+                } else if (data.type === 'output') {
+                    write(data.data);
+                } else if (data.type === 'exit') {
+                    succeeded = data.status === 'exited' && data.exitCode === 0;
+                    write(
+                        succeeded
+                            ? '\n[Done] pip finished\n'
+                            : `\n[Failed] pip exited with code ${data.exitCode}\n`,
+                        succeeded ? 'stdout' : 'stderr'
+                    );
+                    if (data.packages) {
+                        this.setPackages(data.packages);
+                    }
+                    // Completions and imports should see the changed packages
+                    if (this.context.lspClientInstance) {
+                        this.context.lspClientInstance.restart();
+                    }
+                    socket.close();
+                } else if (data.type === 'error') {
+                    write(`${data.message}\n`, 'stderr');
+                    this.setSummary(data.message, true);
+                    socket.close();
+                }
+            };
+
+            socket.onclose = () => {
+                this.socket = null;
+                if (succeeded || !this.summaryElement.classList.contains('error')) {
+                    this.setSummary(this.getSummaryText());
+                }
+                resolve(succeeded);
+            };
+        });
+    }
+}
@@ -0,0 +1,466 @@
+import { getFileIcon } from '../utils/fileIcons.js';
+
+const SEARCH_DELAY = 300; // Search this long after the last keystroke
+
+/**
+ * SearchPanel - Search sidebar view (find in files)
+ * Searches the files of the workspace folder on the server over /ws/search (see
+ * server/sockets/searchSocket.js) with match case, whole word and regex options and
+ * include/exclude globs; folders the .gitignore files ignore are skipped. Results
+ * stream in grouped by file, and clicking a match opens it in the editor.
+ * With the replace field open each match shows what it will become, and Replace All
+ * (POST /api/search/replace) writes exactly the files shown, except those dismissed
+ */
+export class SearchPanel {
+    constructor(context) {
+        this.context = context;
+        this.queryInput = document.getElementById('searchQueryInput');
+        this.replaceInput = document.getElementById('searchReplaceInput');
+        this.replaceBox = document.getElementById('searchReplaceBox');
+        this.replaceToggle = document.getElementById('searchReplaceToggle');
+        this.includeInput = document.getElementById('searchIncludeInput');
+        this.excludeInput = document.getElementById('searchExcludeInput');
+        this.summaryElement = document.getElementById('searchSummary');
+        this.container = document.getElementById('searchResults');
+
+        this.options = {
+            caseSensitive: false,
+            wholeWord: false,
+            regex: false,
+            useIgnoreFiles: true,
+        };
+        this.replaceMode = false;
+        this.socket = null;
+        this.connecting = null; // Promise of the open socket
+        this.searchId = 0;
+        this.searching = false;
+        this.search = null; // Options of the shown results
+        this.results = new Map(); // path -> { matches, element }
+        this.matchCount = 0;
+        this.searchTimer = null;
+
+        this.initializeActions();
+
+        context.commands.register({
+            id: 'search.findInFiles',
+            title: 'Find in Files',
+            category: 'Search',
+            keybinding: 'Ctrl+Shift+F',
+            skipInTerminal: true,
+            run: () => this.show(),
+        });
+    }
+
+    /**
+     * Wire the inputs, option toggles and toolbar buttons of the Search view
+     */
+    initializeActions() {
+        const actions = {
+            refreshSearchBtn: () => this.runSearch(),
+            clearSearchBtn: () => this.clear(),
+            collapseSearchBtn: () => this.collapseAll(),
+            searchReplaceAllBtn: () => this.replaceAll(),
+        };
+        Object.entries(actions).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+
+        document.querySelectorAll('.search-option[data-option]').forEach((button) => {
+            button.classList.toggle('active', this.options[button.dataset.option]);
+            button.addEventListener('click', () => {
+                const option = button.dataset.option;
+                this.options[option] = !this.options[option];
+                button.classList.toggle('active', this.options[option]);
+                this.runSearch();
+            });
+        });
+
+        if (this.replaceToggle) {
+            this.replaceToggle.addEventListener('click', () => this.toggleReplace());
+        }
+
+        [this.queryInput, this.replaceInput, this.includeInput, this.excludeInput].forEach(
+            (input) => {
+                if (!input) return;
+                input.addEventListener('input', () => this.scheduleSearch());
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        this.runSearch();
+                    }
+                });
+            }
+        );
+    }
+
+    /**
+     * Called by ActivityBarManager when the view is shown
+     */
+    onShow() {
+        if (this.queryInput) {
+            this.queryInput.focus();
+            this.queryInput.select();
+        }
+    }
+
+    /**
+     * Show the Search view (Ctrl+Shift+F), searching for the editor's selection if any
+     */
+    show() {
+        const editor =
+            this.context.splitViewActive && this.context.focusedEditor === 'right'
+                ? this.context.rightEditor
+                : this.context.editor;
+        const selection = editor && editor.getSelection();
+        if (
+            selection &&
+            !selection.isEmpty() &&
+            selection.startLineNumber === selection.endLineNumber
+        ) {
+            this.queryInput.value = editor.getModel().getValueInRange(selection);
+            this.runSearch();
+        }
+        this.context.activityBar.showView('search');
+    }
+
+    toggleReplace() {
+        this.replaceMode = !this.replaceMode;
+        this.replaceBox.style.display = this.replaceMode ? '' : 'none';
+        this.replaceToggle.querySelector('.codicon').className = this.replaceMode
+            ? 'codicon codicon-chevron-down'
+            : 'codicon codicon-chevron-right';
+        if (this.replaceMode) {
+            this.replaceInput.focus();
+        }
+        this.runSearch();
+    }
+
+    /**
+     * Options of a search of what the form says (null when there is nothing to search for)
+     */
+    getSearchOptions() {
+        const query = this.queryInput.value;
+        if (!query) return null;
+
+        const search = {
+            query,
+            ...this.options,
+            include: this.includeInput.value,
+            exclude: this.excludeInput.value,
+        };
+        if (this.replaceMode) {
+            search.replace = this.replaceInput.value;
+        }
+        return search;
+    }
+
+    scheduleSearch() {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.runSearch(), SEARCH_DELAY);
+    }
+
+    /**
+     * Search the workspace folder; results of an earlier search still coming are dropped
+     */
+    async runSearch() {
+        clearTimeout(this.searchTimer);
+        const search = this.getSearchOptions();
+
+        this.searchId++;
+        this.resetResults(search);
+        if (!search) {
+            this.cancel();
+            return;
+        }
+
+        this.searching = true;
+        this.setSummary('Searching...');
+        try {
+            const socket = await this.connect();
+            socket.send(JSON.stringify({ type: 'search', id: this.searchId, ...search }));
+        } catch (error) {
+            this.searching = false;
+            this.setSummary(error.message, true);
+        }
+    }
+
+    cancel() {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify({ type: 'cancel' }));
+        }
+        this.searching = false;
+    }
+
+    /**
+     * Open the search socket (kept open between searches)
+     * @returns {Promise<WebSocket>}
+     */
+    connect() {
+        if (this.connecting) {
+            return this.connecting;
+        }
+
+        this.connecting = new Promise((resolve, reject) => {
+            const url = this.context.buildUrl('/ws/search').replace(/^http/, 'ws');
+            const socket = new WebSocket(url);
+            this.socket = socket;
+
+            socket.onopen = () => resolve(socket);
+            socket.onerror = () => reject(new Error('Could not connect to the search server'));
+            socket.onmessage = (event) => this.handleMessage(JSON.parse(event.data));
+            socket.onclose = () => {
+                if (this.socket === socket) {
+                    this.socket = null;
+                    this.connecting = null;
+                    if (this.searching) {
+                        this.searching = false;
+                        this.setSummary('Search stopped: connection lost', true);
+                    }
+                }
+            };
+        });
+        return this.connecting;
+    }
+
+    handleMessage(message) {
+        if (message.id !== this.searchId) return;
+
+        if (message.type === 'file') {
+            this.addFile(message.path, message.matches);
+            this.setSummary(this.getSummaryText());
+        } else if (message.type === 'done') {
+            this.searching = false;
+            let text = this.getSummaryText();
+            if (message.limitHit) {
+                text += ' · the result limit was hit, narrow the search to see all';
+            }
+            this.setSummary(text);
+        } else if (message.type === 'error') {
+            this.searching = false;
+            this.setSummary(message.message, true);
+        }
+    }
+
+    getSummaryText() {
+        if (this.results.size === 0) {
+            return this.searching ? 'Searching...' : 'No results found.';
+        }
+        const matches = `${this.matchCount} result${this.matchCount === 1 ? '' : 's'}`;
+        const files = `${this.results.size} file${this.results.size === 1 ? '' : 's'}`;
+        return `${matches} in ${files}${this.searching ? ' (searching...)' : ''}`;
+    }
+
+    setSummary(text, isError = false) {
+        if (!this.summaryElement) return;
+        this.summaryElement.textContent = text;
+        this.summaryElement.classList.toggle('error', isError);
+    }
+
+    resetResults(search) {
+        this.search = search;
+        this.results.clear();
+        this.matchCount = 0;
+        this.container.innerHTML = '';
+        this.setSummary('');
+    }
+
+    clear() {
+        this.searchId++;
+        this.cancel();
+        this.queryInput.value = '';
+        this.replaceInput.value = '';
+        this.resetResults(null);
+    }
+
+    collapseAll() {
+        this.results.forEach(({ element }) => element.classList.add('collapsed'));
+    }
+
+    /**
+     * Add the matches of a file to the results
+     */
+    addFile(filepath, matches) {
+        const name = filepath.split('/').pop();
+        const folder = filepath.slice(0, -name.length - 1);
+
+        const element = document.createElement('div');
+        element.className = 'search-file';
+
+        const header = document.createElement('div');
+        header.className = 'search-file-header';
+        header.title = filepath;
+        header.innerHTML = `
+            <i class="codicon codicon-chevron-down search-chevron"></i>
+            <span class="search-file-icon">${getFileIcon(name)}</span>
+            <span class="search-file-name"></span>
+            <span class="search-file-folder"></span>
+            <span class="search-count"></span>
+            <button class="search-dismiss" title="Dismiss">
+                <i class="codicon codicon-close"></i>
+            </button>
+        `;
+        header.querySelector('.search-file-name').textContent = name;
+        header.querySelector('.search-file-folder').textContent = folder;
+        header.querySelector('.search-count').textContent = matches.length;
+        header.addEventListener('click', () => element.classList.toggle('collapsed'));
+        header.querySelector('.search-dismiss').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.dismissFile(filepath);
+        });
+        element.appendChild(header);
+
+        const list = document.createElement('div');
+        list.className = 'search-matches';
+        matches.forEach((match) => list.appendChild(this.createMatchItem(filepath, match)));
+        element.appendChild(list);
+
+        this.container.appendChild(element);
+        this.results.set(filepath, { matches, element });
+        this.matchCount += matches.length;
+    }
+
+    /**
+     * Line preview of a match; with replace, the match struck through and what replaces it
+     */
+    createMatchItem(filepath, match) {
+        const item = document.createElement('div');
+        item.className = 'search-match';
+        item.title = `${filepath}:${match.line}:${match.column}`;
+
+        const parts = [
+            ['search-match-before', match.before],
+            ['search-match-text', match.text],
+        ];
+        if (match.replacement !== undefined) {
+            parts.push(['search-match-replacement', match.replacement]);
+            item.classList.add('replacing');
+        }
+        parts.push(['search-match-after', match.after]);
+
+        parts.forEach(([className, text]) => {
+            const span = document.createElement('span');
+            span.className = className;
+            span.textContent = text;
+            item.appendChild(span);
+        });
+
+        item.addEventListener('click', () => this.openMatch(filepath, match));
+        return item;
+    }
+
+    /**
+     * Leave a file out of the results (and of Replace All)
+     */
+    dismissFile(filepath) {
+        const result = this.results.get(filepath);
+        if (!result) return;
+
+        result.element.remove();
+        this.results.delete(filepath);
+        this.matchCount -= result.matches.length;
+        this.setSummary(this.getSummaryText());
+    }
+
+    /**
+     * Open a file with the match selected
+     */
+    async openMatch(filepath, match) {
+        const targetEditor = this.context.splitViewActive ? this.context.focusedEditor : 'left';
+        await this.context.fileLoader.openFile(filepath, targetEditor);
+
+        const editor = targetEditor === 'right' ? this.context.rightEditor : this.context.editor;
+        if (editor) {
+            editor.setSelection({
+                startLineNumber: match.line,
+                startColumn: match.column,
+                endLineNumber: match.line,
+                endColumn: match.column + match.length,
+            });
+            editor.revealLineInCenter(match.line);
+            editor.focus();
+        }
+    }
+
+    /**
+     * Replace the matches in the files shown, as previewed
+     * Unsaved changes of those files are saved first, and open files are updated after
+     */
+    async replaceAll() {
+        const search = this.search;
+        if (!search || search.replace === undefined || this.searching || this.results.size === 0) {
+            return;
+        }
+
+        const files = Array.from(this.results.keys());
+        const fileText = `${files.length} file${files.length === 1 ? '' : 's'}`;
+        const replacement = search.replace ? `"${search.replace}"` : 'nothing';
+        if (
+            !confirm(`Replace ${this.matchCount} occurrences in ${fileText} with ${replacement}?`)
+        ) {
+            return;
+        }
+
+        try {
+            for (const filepath of files) {
+                const tabData = this.getTabData(filepath);
+                if (tabData && !tabData.saved) {
+                    await this.context.saveFile(filepath);
+                }
+            }
+
+            const response = await fetch(this.context.buildUrl('/api/search/replace'), {
+                method: 'POST',
+                headers: this.context.getFetchHeaders(),
+                body: JSON.stringify({ ...search, files }),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Replace failed');
+            }
+
+            for (const { path: filepath } of data.files) {
+                await this.reloadOpenFile(filepath);
+            }
+            this.resetResults(search);
+            this.setSummary(
+                `Replaced ${data.replacementCount} occurrence${data.replacementCount === 1 ? '' : 's'} ` +
+                    `in ${data.files.length} file${data.files.length === 1 ? '' : 's'}`
+            );
+        } catch (error) {
+            this.setSummary(error.message, true);
+        }
+    }
+
+    getTabData(filepath) {
+        return this.context.openTabs.get(filepath) || this.context.rightOpenTabs.get(filepath);
+    }
+
+    /**
+     * Load a file changed on the server into its open model (as an edit, so it can be undone)
+     */
+    async reloadOpenFile(filepath) {
+        const tabData = this.getTabData(filepath);
+        if (!tabData) return;
+
+        const response = await fetch(this.context.buildUrl(`/api/files/${filepath}`), {
+            headers: this.context.getFetchHeaders(),
+        });
+        if (!response.ok) return;
+        const data = await response.json();
+
+        const { model } = tabData;
+        model.pushEditOperations(
+            [],
+            [{ range: model.getFullModelRange(), text: data.content }],
+            () => null
+        );
+        [this.context.openTabs, this.context.rightOpenTabs].forEach((tabs) => {
+            if (tabs.has(filepath)) {
+                tabs.get(filepath).saved = true;
+            }
+        });
+    }
+}
@@ -10,6 +10,13 @@ import { UnifiedTabManager } from '../tabs/UnifiedTabManager.js';
 export class SplitViewManager {
     constructor(context) {
         this.context = context;
+
+        context.commands.register({
+            id: 'view.toggleSplitEditor',
+            title: 'Toggle Split Editor',
+            category: 'View',
+            run: () => this.toggleSplit(),
+        });
     }
 
     /**
@@ -45,6 +52,9 @@ export class SplitViewManager {
                     <button class="execute-btn" id="executeButton2" title="Run Code (Ctrl+R)" style="display: none;">
                         <i class="codicon codicon-play"></i>
                     </button>
+                    <button class="stop-btn" id="stopButton2" title="Stop Execution">
+                        <i class="codicon codicon-debug-stop"></i>
+                    </button>
                     <button class="split-toggle-btn" id="splitToggleBtn2" title="Close Split Editor" style="display: none;">
                         <i class="codicon codicon-screen-normal"></i>
                     </button>
@@ -130,6 +140,14 @@ export class SplitViewManager {
             });
         }
 
+        // Setup right stop button
+        const stopButton2 = document.getElementById('stopButton2');
+        if (stopButton2) {
+            stopButton2.addEventListener('click', () => {
+                this.context.stopExecution();
+            });
+        }
+
         // Setup right split toggle button
         const splitToggleBtn2 = document.getElementById('splitToggleBtn2');
         if (splitToggleBtn2) {
@@ -164,6 +182,22 @@ export class SplitViewManager {
             this.context.formatManager.initializeRightEditor();
         }
 
+        // Run Selection / Run Cell actions for right editor
+        if (this.context.cellRunner) {
+            this.context.cellRunner.registerActions(this.context.rightEditor);
+        }
+        if (this.context.profilerPanel) {
+            this.context.profilerPanel.registerActions(this.context.rightEditor);
+        }
+        if (this.context.coverageManager) {
+            this.context.coverageManager.registerActions(this.context.rightEditor);
+        }
+
+        // Notebooks for right editor
+        if (this.context.notebookManager) {
+            this.context.notebookManager.attach(this.context.rightEditor);
+        }
+
         // Update button icon
         this.context.updateSplitButtonIcon();
     }
@@ -192,6 +192,11 @@ export class UnifiedTabManager {
         const tabData = openTabs.get(filepath);
         const isStdlib = tabData?.isStdlib || false;
 
+        // Quick open lists recently opened files first
+        if (this.context.quickOpen && !isStdlib) {
+            this.context.quickOpen.addRecentFile(filepath);
+        }
+
         if (filePathBar && this.context.updateFilePathDisplayForElement) {
             this.context.updateFilePathDisplayForElement(filePathBar, filepath, isStdlib);
         }
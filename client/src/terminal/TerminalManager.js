@@ -0,0 +1,294 @@
+import { Terminal } from '@xterm/xterm';
+import { FitAddon } from '@xterm/addon-fit';
+import '@xterm/xterm/css/xterm.css';
+
+const DARK_THEME = {
+    background: '#1e1e1e',
+    foreground: '#cccccc',
+    cursor: '#aeafad',
+    selectionBackground: '#264f78',
+};
+
+const LIGHT_THEME = {
+    background: '#ffffff',
+    foreground: '#333333',
+    cursor: '#333333',
+    selectionBackground: '#add6ff',
+};
+
+/**
+ * TerminalManager - Manages the TERMINAL tab of the bottom panel
+ * Each terminal instance is an xterm.js view attached to its own shell
+ * on the server (one WebSocket per instance, see server/sockets/terminalSocket.js)
+ */
+export class TerminalManager {
+    constructor(context) {
+        this.context = context;
+        this.terminals = new Map(); // id -> { id, name, term, fitAddon, socket, element, listItem }
+        this.activeId = null;
+        this.nextNumber = 1;
+
+        this.container = document.getElementById('terminalInstances');
+        this.list = document.getElementById('terminalListItems');
+
+        // Refit the visible terminal whenever the panel is resized
+        this.resizeObserver = new ResizeObserver(() => this.fitActive());
+        if (this.container) {
+            this.resizeObserver.observe(this.container);
+        }
+
+        this.initializeActions();
+
+        context.commands.registerAll([
+            {
+                id: 'terminal.show',
+                title: 'Show Terminal',
+                category: 'Terminal',
+                keybinding: 'Ctrl+`',
+                run: () => this.show(),
+            },
+            {
+                id: 'terminal.new',
+                title: 'Create New Terminal',
+                category: 'Terminal',
+                run: () => {
+                    const hasTerminals = this.terminals.size > 0;
+                    this.show(); // Creates the first terminal
+                    if (hasTerminals) {
+                        this.createTerminal();
+                    }
+                },
+            },
+        ]);
+    }
+
+    /**
+     * Wire the New/Kill buttons of the terminal list
+     */
+    initializeActions() {
+        const newButton = document.getElementById('newTerminalButton');
+        const killButton = document.getElementById('killTerminalButton');
+
+        if (newButton) {
+            newButton.addEventListener('click', () => this.createTerminal());
+        }
+        if (killButton) {
+            killButton.addEventListener('click', () => this.killTerminal(this.activeId));
+        }
+    }
+
+    /**
+     * Build WebSocket URL for a new shell with the given initial size
+     */
+    buildSocketUrl(cols, rows) {
+        return this.context.buildUrl('/ws/terminal', { cols, rows }).replace(/^http/, 'ws');
+    }
+
+    /**
+     * Show the TERMINAL tab, creating a first terminal if none exist
+     */
+    show() {
+        if (this.context.problemsManager) {
+            this.context.problemsManager.showTab('terminal');
+        }
+    }
+
+    /**
+     * Called by ProblemsManager when the TERMINAL tab becomes visible
+     */
+    onShow() {
+        if (this.terminals.size === 0) {
+            this.createTerminal();
+            return;
+        }
+        this.fitActive();
+        this.focusActive();
+    }
+
+    /**
+     * Create a new terminal instance and make it active
+     */
+    createTerminal() {
+        const id = `terminal-${this.nextNumber}`;
+        const name = `${this.nextNumber}: shell`;
+        this.nextNumber++;
+
+        const element = document.createElement('div');
+        element.className = 'terminal-instance';
+        this.container.appendChild(element);
+
+        const term = new Terminal({
+            cursorBlink: true,
+            fontFamily: "Menlo, Monaco, 'Courier New', monospace",
+            fontSize: 13,
+            scrollback: 5000,
+            theme: this.getTheme(),
+        });
+        const fitAddon = new FitAddon();
+        term.loadAddon(fitAddon);
+        term.open(element);
+
+        const instance = { id, name, term, fitAddon, socket: null, element, listItem: null };
+        this.terminals.set(id, instance);
+        instance.listItem = this.createListItem(instance);
+
+        this.activate(id);
+        this.connect(instance);
+        return instance;
+    }
+
+    /**
+     * Attach a terminal instance to a new shell on the server
+     */
+    connect(instance) {
+        const { term } = instance;
+        const socket = new WebSocket(this.buildSocketUrl(term.cols, term.rows));
+        instance.socket = socket;
+
+        const send = (message) => {
+            if (socket.readyState === WebSocket.OPEN) {
+                socket.send(JSON.stringify(message));
+            }
+        };
+
+        socket.onmessage = (event) => {
+            const message = JSON.parse(event.data);
+
+            if (message.type === 'output') {
+                term.write(message.data);
+            } else if (message.type === 'ready') {
+                const shell = message.shell.split('/').pop();
+                this.rename(instance, `${instance.name.split(':')[0]}: ${shell}`);
+            } else if (message.type === 'exit') {
+                term.write(`\r\n\x1b[2m[Process exited with code ${message.exitCode}]\x1b[0m\r\n`);
+            } else if (message.type === 'error') {
+                term.write(`\r\n\x1b[31m${message.message}\x1b[0m\r\n`);
+            }
+        };
+
+        socket.onclose = () => {
+            instance.listItem.classList.add('exited');
+        };
+
+        term.onData((data) => send({ type: 'input', data }));
+        term.onResize(({ cols, rows }) => send({ type: 'resize', cols, rows }));
+    }
+
+    /**
+     * Create the entry for a terminal in the instance list
+     */
+    createListItem(instance) {
+        const item = document.createElement('div');
+        item.className = 'terminal-list-item';
+        item.innerHTML = `
+            <i class="codicon codicon-terminal"></i>
+            <span class="terminal-list-name"></span>
+            <button class="terminal-list-close" title="Kill Terminal">
+                <i class="codicon codicon-close"></i>
+            </button>
+        `;
+        item.querySelector('.terminal-list-name').textContent = instance.name;
+
+        item.addEventListener('click', () => this.activate(instance.id));
+        item.querySelector('.terminal-list-close').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.killTerminal(instance.id);
+        });
+
+        this.list.appendChild(item);
+        return item;
+    }
+
+    /**
+     * Update the display name of a terminal
+     */
+    rename(instance, name) {
+        instance.name = name;
+        instance.listItem.querySelector('.terminal-list-name').textContent = name;
+    }
+
+    /**
+     * Show a terminal instance and hide the others
+     */
+    activate(id) {
+        if (!this.terminals.has(id)) return;
+
+        this.activeId = id;
+        this.terminals.forEach((instance) => {
+            const active = instance.id === id;
+            instance.element.style.display = active ? 'block' : 'none';
+            instance.listItem.classList.toggle('active', active);
+        });
+
+        this.fitActive();
+        this.focusActive();
+    }
+
+    /**
+     * Kill a terminal's shell and remove the instance
+     */
+    killTerminal(id) {
+        const instance = this.terminals.get(id);
+        if (!instance) return;
+
+        // Closing the socket kills the shell on the server
+        if (instance.socket) {
+            instance.socket.onclose = null;
+            instance.socket.close();
+        }
+        instance.term.dispose();
+        instance.element.remove();
+        instance.listItem.remove();
+        this.terminals.delete(id);
+
+        if (this.activeId === id) {
+            this.activeId = null;
+            const remaining = Array.from(this.terminals.keys());
+            if (remaining.length > 0) {
+                this.activate(remaining[remaining.length - 1]);
+            }
+        }
+    }
+
+    /**
+     * Resize the active terminal to fill the panel
+     */
+    fitActive() {
+        const instance = this.terminals.get(this.activeId);
+        // Skip while hidden: xterm cannot measure a zero-size element
+        if (!instance || instance.element.offsetWidth === 0) return;
+
+        try {
+            instance.fitAddon.fit();
+        } catch (error) {
+            console.error('Failed to fit terminal:', error);
+        }
+    }
+
+    /**
+     * Move keyboard focus to the active terminal
+     */
+    focusActive() {
+        const instance = this.terminals.get(this.activeId);
+        if (instance) {
+            instance.term.focus();
+        }
+    }
+
+    /**
+     * Get the xterm color theme for the current editor theme
+     */
+    getTheme() {
+        return this.context.currentTheme === 'vs' ? LIGHT_THEME : DARK_THEME;
+    }
+
+    /**
+     * Update terminal colors when the editor theme changes
+     */
+    updateTheme() {
+        const theme = this.getTheme();
+        this.terminals.forEach((instance) => {
+            instance.term.options.theme = theme;
+        });
+    }
+}
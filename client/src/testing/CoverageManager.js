@@ -0,0 +1,295 @@
+import * as monaco from 'monaco-editor';
+import { OutputRenderer } from '../execution/OutputRenderer.js';
+import { TracebackLinker } from '../execution/TracebackLinker.js';
+
+/**
+ * CoverageManager - Line coverage in the editor gutter and the explorer
+ * "Run with Coverage" runs the active file in place (POST /api/coverage) and
+ * "Run All Tests with Coverage" the pytest suite (POST /api/tests/run); the
+ * server records which lines of the workspace files ran. Covered and uncovered
+ * lines are marked in every open file and files show their coverage in the
+ * explorer. The last run's coverage stays until the next run or Clear Coverage,
+ * on files opened later too.
+ */
+export class CoverageManager {
+    constructor(context) {
+        this.context = context;
+        this.files = new Map(); // filepath -> { executed, missing }
+        this.decorations = new Map(); // model URI -> { ids, model }
+        this.running = false;
+
+        this.tracebackLinker = new TracebackLinker(context);
+        this.outputRenderer = new OutputRenderer({
+            onLine: (nodes, text, stream) => {
+                if (stream === 'stderr') {
+                    this.tracebackLinker.linkLine(nodes, text);
+                }
+            },
+        });
+
+        monaco.editor.onDidCreateModel((model) => this.attachModel(model));
+
+        context.commands.registerAll([
+            {
+                id: 'python.runWithCoverage',
+                title: 'Run with Coverage',
+                category: 'Python',
+                run: () => this.runActiveFile(),
+            },
+            {
+                id: 'python.clearCoverage',
+                title: 'Clear Coverage',
+                category: 'Python',
+                isEnabled: () => this.files.size > 0,
+                run: () => this.clear(),
+            },
+        ]);
+    }
+
+    /**
+     * Add the coverage actions to an editor (left or right)
+     */
+    registerActions(editor) {
+        editor.addAction({
+            id: 'python-run-with-coverage',
+            label: 'Run with Coverage',
+            precondition: 'editorLangId == python',
+            contextMenuGroupId: 'navigation',
+            contextMenuOrder: 0.3,
+            run: () => this.runActiveFile(),
+        });
+
+        editor.addAction({
+            id: 'python-clear-coverage',
+            label: 'Clear Coverage',
+            run: () => this.clear(),
+        });
+    }
+
+    /**
+     * Workspace file path of a model (null for stdlib and other models)
+     */
+    getFilePath(model) {
+        return model && model.uri.scheme === 'file' ? model.uri.path.replace(/^\//, '') : null;
+    }
+
+    /**
+     * Run the active file with coverage (saved first, since it runs from disk)
+     */
+    async runActiveFile() {
+        const filepath = this.context.activeFile;
+        if (this.running || !filepath || !filepath.endsWith('.py')) return;
+        if (this.context.isStdlibFile(filepath)) return;
+
+        const tabData =
+            this.context.openTabs.get(filepath) || this.context.rightOpenTabs.get(filepath);
+        if (tabData && !tabData.saved) {
+            await this.context.saveFile(filepath);
+        }
+
+        this.running = true;
+        this.startOutput(filepath);
+        try {
+            const response = await fetch(this.context.buildUrl('/api/coverage'), {
+                method: 'POST',
+                headers: this.context.getFetchHeaders(),
+                body: JSON.stringify({ file: filepath }),
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to run with coverage');
+            }
+
+            this.tracebackLinker.startRun({
+                tempFile: null,
+                workspacePath: data.workspacePath,
+                file: filepath,
+            });
+            if (data.output) {
+                this.outputRenderer.write(data.output, 'stdout');
+            }
+            if (data.error) {
+                this.outputRenderer.write(data.error, 'stderr');
+            }
+            if (data.limit) {
+                this.outputRenderer.write(`\n${data.limit.message}\n`, 'stderr');
+            } else if (data.status === 'incomplete') {
+                this.outputRenderer.write(
+                    '\nIncomplete coverage: the report was cut off\n',
+                    'stderr'
+                );
+            }
+
+            this.setCoverage(data.coverage);
+            this.outputRenderer.write(`\n${this.getSummaryText()}\n`, 'stdout');
+        } catch (error) {
+            this.outputRenderer.write(`${error.message}\n`, 'stderr');
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Clear the OUTPUT panel for a run and show it
+     */
+    startOutput(filepath) {
+        const outputPanelContent = document.getElementById('outputPanelContent');
+        if (outputPanelContent) {
+            outputPanelContent.className = 'output-panel-content';
+            outputPanelContent.textContent = '';
+            this.outputRenderer.attach(outputPanelContent);
+        }
+        this.outputRenderer.write(`$ coverage ${filepath}\n`, 'stdin');
+        if (this.context.problemsManager) {
+            this.context.problemsManager.showOutputTab();
+        }
+    }
+
+    /**
+     * Replace the coverage shown with a run's coverage
+     * @param {Object|null} coverage - { files: [{ path, executed, missing }] } from the server
+     */
+    setCoverage(coverage) {
+        this.files = new Map(
+            (coverage ? coverage.files : []).map((file) => [
+                file.path,
+                { executed: file.executed, missing: file.missing },
+            ])
+        );
+        this.render();
+    }
+
+    /**
+     * Remove the coverage marks from the editors and the explorer
+     */
+    clear() {
+        this.files = new Map();
+        this.render();
+    }
+
+    render() {
+        monaco.editor.getModels().forEach((model) => this.renderModel(model));
+        this.updateExplorer();
+    }
+
+    /**
+     * Covered lines of a file
+     * @returns {Object|null} { covered, total, percent }, null if the last run didn't use it
+     */
+    getFileSummary(filepath) {
+        const file = this.files.get(filepath);
+        if (!file) return null;
+
+        const covered = file.executed.length;
+        const total = covered + file.missing.length;
+        const percent = total > 0 ? Math.floor((covered / total) * 100) : 100;
+        return { covered, total, percent };
+    }
+
+    /**
+     * Coverage of all files of the last run, e.g. "Coverage: 85% (34 of 40 lines in 3 files)"
+     */
+    getSummaryText() {
+        let covered = 0;
+        let total = 0;
+        this.files.forEach((file) => {
+            covered += file.executed.length;
+            total += file.executed.length + file.missing.length;
+        });
+
+        if (this.files.size === 0) {
+            return 'Coverage: no workspace files were run';
+        }
+        const percent = total > 0 ? Math.floor((covered / total) * 100) : 100;
+        return `Coverage: ${percent}% (${covered} of ${total} lines in ${this.files.size} files)`;
+    }
+
+    /**
+     * Mark a file's lines when it is opened, and forget the marks when it is closed
+     */
+    attachModel(model) {
+        if (!this.getFilePath(model)) return;
+
+        this.renderModel(model);
+        model.onWillDispose(() => this.decorations.delete(model.uri.toString()));
+    }
+
+    /**
+     * Draw covered (green) and uncovered (red) bars in a model's gutter
+     */
+    renderModel(model) {
+        const filepath = this.getFilePath(model);
+        if (!filepath) return;
+
+        const key = model.uri.toString();
+        const previous = this.decorations.has(key) ? this.decorations.get(key).ids : [];
+        const file = this.files.get(filepath);
+        const lineCount = model.getLineCount();
+
+        const decorate = (lines, className, overviewColor) => {
+            let overviewRuler;
+            if (overviewColor) {
+                overviewRuler = {
+                    color: overviewColor,
+                    position: monaco.editor.OverviewRulerLane.Left,
+                };
+            }
+            const options = {
+                linesDecorationsClassName: className,
+                overviewRuler,
+                stickiness: monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges,
+            };
+            return lines
+                .filter((line) => line <= lineCount)
+                .map((line) => ({ range: new monaco.Range(line, 1, line, 1), options }));
+        };
+
+        let decorations = [];
+        if (file) {
+            decorations = [
+                ...decorate(file.executed, 'coverage-line-covered'),
+                ...decorate(file.missing, 'coverage-line-missing', 'rgba(241, 76, 76, 0.7)'),
+            ];
+        }
+        const ids = model.deltaDecorations(previous, decorations);
+        this.decorations.set(key, { ids, model });
+    }
+
+    /**
+     * Show coverage badges on the files in the explorer
+     */
+    updateExplorer() {
+        if (!this.context.fileExplorer) return;
+
+        this.context.fileExplorer
+            .querySelectorAll('.file-item[data-type="file"]')
+            .forEach((element) => this.decorateExplorerItem(element, element.dataset.path));
+    }
+
+    /**
+     * Add (or remove) the coverage badge of one explorer file item
+     */
+    decorateExplorerItem(element, filepath) {
+        const existing = element.querySelector('.coverage-badge');
+        if (existing) {
+            existing.remove();
+        }
+
+        const summary = this.getFileSummary(filepath);
+        if (!summary) return;
+
+        const badge = document.createElement('span');
+        badge.className = 'coverage-badge';
+        if (summary.percent >= 80) {
+            badge.classList.add('high');
+        } else if (summary.percent >= 50) {
+            badge.classList.add('medium');
+        } else {
+            badge.classList.add('low');
+        }
+        badge.textContent = `${summary.percent}%`;
+        badge.title = `${summary.covered} of ${summary.total} lines covered`;
+        element.appendChild(badge);
+    }
+}
@@ -0,0 +1,626 @@
+import * as monaco from 'monaco-editor';
+
+const MARKER_OWNER = 'pytest';
+
+// Status icons (codicons) for tests and their parent file/class nodes
+const STATUS_ICONS = {
+    running: 'loading codicon-modifier-spin',
+    failed: 'error',
+    error: 'error',
+    passed: 'pass',
+    skipped: 'debug-step-over',
+    none: 'circle-large-outline',
+};
+
+// When a file or class mixes outcomes, the worst one is shown
+const STATUS_PRIORITY = ['running', 'error', 'failed', 'passed', 'skipped', 'none'];
+
+// Traceback locations: "tests/test_app.py:12: in test_get" (pytest --tb=short)
+// and 'File "/path/app.py", line 12, in get' (Python tracebacks)
+const LOCATION_PATTERNS = [/^(\S[^:]*?\.py):(\d+)/, /File "([^"]+?\.py)", line (\d+)/];
+
+/**
+ * TestExplorer - Testing sidebar view backed by pytest on the server
+ * Tests are shown as file -> class -> test, can be run all at once, one by one
+ * or just the ones that failed, and failures are shown in the editor and the
+ * Problems panel
+ */
+export class TestExplorer {
+    constructor(context) {
+        this.context = context;
+        this.container = document.getElementById('testExplorer');
+        this.summaryElement = document.getElementById('testSummary');
+
+        this.tests = []; // [{ nodeid, path, line, name }]
+        this.collectErrors = []; // [{ nodeid, path, message, traceback }]
+        this.results = new Map(); // nodeid -> { outcome, message, traceback, path, line, duration }
+        this.running = new Set(); // nodeids currently running
+        this.collapsed = new Set(); // tree node IDs the user collapsed
+        this.expandedDetails = new Set(); // nodeids with their traceback shown
+        this.markersByFile = new Map(); // filepath -> monaco markers
+        this.lastOutput = '';
+        this.discovered = false;
+        this.isBusy = false;
+
+        this.initializeActions();
+
+        // Files opened after a run still get their failure markers
+        monaco.editor.onDidCreateModel((model) => {
+            const filepath = this.getFilePathFromUri(model.uri);
+            if (filepath && this.markersByFile.has(filepath)) {
+                monaco.editor.setModelMarkers(
+                    model,
+                    MARKER_OWNER,
+                    this.markersByFile.get(filepath)
+                );
+            }
+        });
+    }
+
+    /**
+     * Wire the toolbar buttons of the Testing view
+     */
+    initializeActions() {
+        const actions = {
+            runAllTestsBtn: () => this.runTests([]),
+            runTestsWithCoverageBtn: () => this.runTests([], { coverage: true }),
+            runFailedTestsBtn: () => this.runFailed(),
+            refreshTestsBtn: () => this.discover(),
+            showTestOutputBtn: () => this.showOutput(),
+        };
+
+        Object.entries(actions).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+
+        this.context.commands.registerAll([
+            {
+                id: 'testing.runAll',
+                title: 'Run All Tests',
+                category: 'Test',
+                run: () => this.runTests([]),
+            },
+            {
+                id: 'testing.runAllWithCoverage',
+                title: 'Run All Tests with Coverage',
+                category: 'Test',
+                run: () => this.runTests([], { coverage: true }),
+            },
+            {
+                id: 'testing.rerunFailed',
+                title: 'Rerun Failed Tests',
+                category: 'Test',
+                run: () => this.runFailed(),
+            },
+            {
+                id: 'testing.refresh',
+                title: 'Refresh Tests',
+                category: 'Test',
+                run: () => this.discover(),
+            },
+            {
+                id: 'testing.showOutput',
+                title: 'Show Test Output',
+                category: 'Test',
+                run: () => this.showOutput(),
+            },
+        ]);
+    }
+
+    /**
+     * Called when the Testing view is shown; discovers tests the first time
+     */
+    onShow() {
+        if (!this.discovered) {
+            this.discover();
+        }
+    }
+
+    /**
+     * Discover tests in the workspace folder
+     */
+    async discover() {
+        if (this.isBusy) return;
+        this.isBusy = true;
+        this.setSummary('Discovering tests...');
+
+        try {
+            const response = await fetch(this.context.buildUrl('/api/tests'), {
+                headers: this.context.getFetchHeaders(),
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to discover tests');
+            }
+
+            this.tests = data.tests;
+            this.collectErrors = data.errors;
+            this.lastOutput = data.output;
+            this.discovered = true;
+
+            // Drop results of tests that no longer exist
+            const nodeids = new Set(this.tests.map((test) => test.nodeid));
+            Array.from(this.results.keys()).forEach((nodeid) => {
+                if (!nodeids.has(nodeid)) {
+                    this.results.delete(nodeid);
+                }
+            });
+
+            this.setSummary(this.getSummaryText());
+        } catch (error) {
+            console.error('Failed to discover tests:', error);
+            this.setSummary(error.message, true);
+        } finally {
+            this.isBusy = false;
+        }
+
+        this.render();
+        this.updateMarkers();
+    }
+
+    /**
+     * Run tests by node ID (all tests when the list is empty)
+     * @param {string[]} nodeids - Test, class or file node IDs
+     * @param {Object} options - { coverage }: also show which lines the tests ran
+     */
+    async runTests(nodeids, options = {}) {
+        if (this.isBusy) return;
+        this.isBusy = true;
+
+        const affected = this.getAffectedTests(nodeids);
+        let hasNewTests = false;
+        affected.forEach((nodeid) => this.running.add(nodeid));
+        this.setSummary('Running tests...');
+        this.render();
+
+        try {
+            const response = await fetch(this.context.buildUrl('/api/tests/run'), {
+                method: 'POST',
+                headers: this.context.getFetchHeaders(),
+                body: JSON.stringify({ nodeids, coverage: Boolean(options.coverage) }),
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to run tests');
+            }
+
+            // Results replace only the tests that were part of this run
+            affected.forEach((nodeid) => this.results.delete(nodeid));
+            data.results.forEach((result) => this.results.set(result.nodeid, result));
+            this.collectErrors = data.errors;
+            this.lastOutput = data.output;
+
+            // Tests added since the last discovery show up after a run
+            const known = new Set(this.tests.map((test) => test.nodeid));
+            hasNewTests = data.results.some((result) => !known.has(result.nodeid));
+
+            let summary = this.getSummaryText();
+            if (options.coverage && this.context.coverageManager) {
+                this.context.coverageManager.setCoverage(data.coverage);
+                summary += ` · ${this.context.coverageManager.getSummaryText()}`;
+            }
+            this.setSummary(summary);
+        } catch (error) {
+            console.error('Failed to run tests:', error);
+            this.setSummary(error.message, true);
+        } finally {
+            this.isBusy = false;
+            this.running.clear();
+        }
+
+        if (hasNewTests) {
+            await this.discover();
+            return;
+        }
+
+        this.render();
+        this.updateMarkers();
+    }
+
+    /**
+     * Rerun tests whose last result was a failure or error
+     */
+    runFailed() {
+        const failed = Array.from(this.results.values())
+            .filter((result) => result.outcome === 'failed' || result.outcome === 'error')
+            .map((result) => result.nodeid);
+
+        if (failed.length > 0) {
+            this.runTests(failed);
+        }
+    }
+
+    /**
+     * Tests covered by a list of node IDs (a file or class covers its tests)
+     */
+    getAffectedTests(nodeids) {
+        if (nodeids.length === 0) {
+            return this.tests.map((test) => test.nodeid);
+        }
+        return this.tests
+            .map((test) => test.nodeid)
+            .filter((nodeid) =>
+                nodeids.some((id) => nodeid === id || nodeid.startsWith(`${id}::`))
+            );
+    }
+
+    /**
+     * Build the file -> class -> test tree from node IDs
+     * @returns {Array} Root nodes: { id, label, children, test? }
+     */
+    buildTree() {
+        const roots = [];
+        const nodes = new Map();
+
+        const getNode = (id, label, siblings) => {
+            if (!nodes.has(id)) {
+                const node = { id, label, children: [] };
+                nodes.set(id, node);
+                siblings.push(node);
+            }
+            return nodes.get(id);
+        };
+
+        this.tests.forEach((test) => {
+            const parts = test.nodeid.split('::');
+            let siblings = roots;
+            let id = '';
+
+            // File and class nodes; the last part is the test itself
+            parts.slice(0, -1).forEach((part, index) => {
+                id = index === 0 ? part : `${id}::${part}`;
+                siblings = getNode(id, part, siblings).children;
+            });
+
+            siblings.push({ id: test.nodeid, label: parts[parts.length - 1], children: [], test });
+        });
+
+        return roots;
+    }
+
+    /**
+     * Status of a tree node: its own result, or the worst status of its tests
+     */
+    getNodeStatus(node) {
+        if (node.test) {
+            if (this.running.has(node.id)) return 'running';
+            const result = this.results.get(node.id);
+            return result ? result.outcome : 'none';
+        }
+
+        const statuses = node.children.map((child) => this.getNodeStatus(child));
+        return STATUS_PRIORITY.find((status) => statuses.includes(status)) || 'none';
+    }
+
+    /**
+     * Render the test tree
+     */
+    render() {
+        if (!this.container) return;
+
+        this.container.innerHTML = '';
+
+        this.collectErrors.forEach((error) => {
+            this.container.appendChild(this.createCollectErrorItem(error));
+        });
+
+        const roots = this.buildTree();
+        if (roots.length === 0 && this.collectErrors.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'test-explorer-empty';
+            empty.textContent = this.discovered
+                ? 'No tests found. pytest looks for test_*.py files.'
+                : 'Open the Testing view to discover tests.';
+            this.container.appendChild(empty);
+            return;
+        }
+
+        roots.forEach((node) => this.renderNode(node, 0));
+    }
+
+    /**
+     * Render a tree node and, unless collapsed, its children
+     */
+    renderNode(node, depth) {
+        const status = this.getNodeStatus(node);
+        const item = document.createElement('div');
+        item.className = `test-item test-${status}`;
+        item.style.paddingLeft = `${depth * 12 + 6}px`;
+        item.title = node.id;
+
+        const toggle = document.createElement('i');
+        const isCollapsed = this.collapsed.has(node.id);
+        toggle.className = node.test
+            ? 'test-toggle'
+            : `test-toggle codicon codicon-chevron-${isCollapsed ? 'right' : 'down'}`;
+        item.appendChild(toggle);
+
+        const icon = document.createElement('i');
+        icon.className = `test-status codicon codicon-${STATUS_ICONS[status] || STATUS_ICONS.none}`;
+        item.appendChild(icon);
+
+        const label = document.createElement('span');
+        label.className = 'test-label';
+        label.textContent = node.label;
+        item.appendChild(label);
+
+        const result = node.test ? this.results.get(node.id) : null;
+        if (result && result.duration !== undefined && status !== 'running') {
+            const duration = document.createElement('span');
+            duration.className = 'test-duration';
+            duration.textContent = `${Math.round(result.duration * 1000)}ms`;
+            item.appendChild(duration);
+        }
+
+        const runButton = document.createElement('button');
+        runButton.className = 'test-run-button';
+        runButton.title = 'Run Test';
+        runButton.innerHTML = '<i class="codicon codicon-play"></i>';
+        runButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.runTests([node.id]);
+        });
+        item.appendChild(runButton);
+
+        item.addEventListener('click', () => {
+            if (node.test) {
+                this.openTest(node);
+            } else {
+                this.toggleNode(node.id);
+            }
+        });
+
+        this.container.appendChild(item);
+
+        if (result && (result.outcome === 'failed' || result.outcome === 'error')) {
+            this.container.appendChild(this.createFailureDetails(result, depth + 1));
+        }
+
+        if (!isCollapsed) {
+            node.children.forEach((child) => this.renderNode(child, depth + 1));
+        }
+    }
+
+    /**
+     * Failure message, with the traceback shown when the message is clicked
+     */
+    createFailureDetails(result, depth) {
+        const details = document.createElement('div');
+        details.className = 'test-failure';
+        details.style.paddingLeft = `${depth * 12 + 24}px`;
+
+        const message = document.createElement('div');
+        message.className = 'test-failure-message';
+        message.textContent = result.message || result.outcome;
+        message.title = 'Show traceback';
+        message.addEventListener('click', () => {
+            if (this.expandedDetails.has(result.nodeid)) {
+                this.expandedDetails.delete(result.nodeid);
+            } else {
+                this.expandedDetails.add(result.nodeid);
+            }
+            this.render();
+        });
+        details.appendChild(message);
+
+        if (this.expandedDetails.has(result.nodeid) && result.traceback) {
+            details.appendChild(this.createTraceback(result.traceback));
+        }
+
+        return details;
+    }
+
+    /**
+     * Import errors and other problems that stop a file from being collected
+     */
+    createCollectErrorItem(error) {
+        const item = document.createElement('div');
+        item.className = 'test-collect-error';
+
+        const header = document.createElement('div');
+        header.className = 'test-item test-error';
+        header.innerHTML =
+            '<i class="test-toggle"></i><i class="test-status codicon codicon-error"></i>';
+
+        const label = document.createElement('span');
+        label.className = 'test-label';
+        label.textContent = `${error.path}: ${error.message || 'collection failed'}`;
+        header.appendChild(label);
+        header.addEventListener('click', () => this.openLocation(error.path, 1));
+
+        item.appendChild(header);
+        if (error.traceback) {
+            item.appendChild(this.createTraceback(error.traceback));
+        }
+        return item;
+    }
+
+    /**
+     * Traceback text with file locations turned into links
+     */
+    createTraceback(traceback) {
+        const pre = document.createElement('pre');
+        pre.className = 'test-traceback';
+
+        traceback.split('\n').forEach((line) => {
+            const location = this.parseLocation(line);
+            if (location) {
+                const link = document.createElement('span');
+                link.className = 'test-traceback-link';
+                link.textContent = line;
+                link.title = `Open ${location.path}:${location.line}`;
+                link.addEventListener('click', () =>
+                    this.openLocation(location.path, location.line)
+                );
+                pre.appendChild(link);
+            } else {
+                pre.appendChild(document.createTextNode(line));
+            }
+            pre.appendChild(document.createTextNode('\n'));
+        });
+
+        return pre;
+    }
+
+    /**
+     * Find a file location in a traceback line
+     * @returns {Object|null} { path, line }
+     */
+    parseLocation(line) {
+        for (const pattern of LOCATION_PATTERNS) {
+            const match = line.match(pattern);
+            if (match) {
+                return { path: match[1], line: parseInt(match[2]) };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Open a test at its definition, or at the failing line if it failed
+     */
+    openTest(node) {
+        const result = this.results.get(node.id);
+        if (result && result.path && (result.outcome === 'failed' || result.outcome === 'error')) {
+            this.openLocation(result.path, result.line);
+        } else {
+            this.openLocation(node.test.path, node.test.line);
+        }
+    }
+
+    /**
+     * Open a file in the focused editor group and reveal a line
+     * Absolute paths are only opened when they are standard library files
+     */
+    async openLocation(filepath, line) {
+        if (filepath.startsWith('/') && !this.context.isStdlibFile(filepath)) {
+            return;
+        }
+
+        const targetEditor = this.context.splitViewActive ? this.context.focusedEditor : 'left';
+        await this.context.fileLoader.openFile(filepath, targetEditor);
+
+        const editor = targetEditor === 'right' ? this.context.rightEditor : this.context.editor;
+        if (editor) {
+            editor.setPosition({ lineNumber: line, column: 1 });
+            editor.revealLineInCenter(line);
+            editor.focus();
+        }
+    }
+
+    /**
+     * Show failures as editor markers and in the Problems panel
+     */
+    updateMarkers() {
+        const markersByFile = new Map();
+
+        this.results.forEach((result) => {
+            if ((result.outcome !== 'failed' && result.outcome !== 'error') || !result.path) {
+                return;
+            }
+            if (result.path.startsWith('/')) return;
+
+            const markers = markersByFile.get(result.path) || [];
+            markers.push({
+                severity: monaco.MarkerSeverity.Error,
+                startLineNumber: result.line,
+                startColumn: 1,
+                endLineNumber: result.line,
+                endColumn: 1000,
+                message: `${result.nodeid}: ${result.message || result.outcome}`,
+                source: MARKER_OWNER,
+            });
+            markersByFile.set(result.path, markers);
+        });
+
+        // Clear markers of files that no longer have failures
+        this.markersByFile.forEach((markers, filepath) => {
+            if (!markersByFile.has(filepath)) {
+                this.setModelMarkers(filepath, []);
+            }
+        });
+        markersByFile.forEach((markers, filepath) => this.setModelMarkers(filepath, markers));
+        this.markersByFile = markersByFile;
+
+        if (this.context.problemsManager) {
+            this.context.problemsManager.setSourceDiagnostics(MARKER_OWNER, markersByFile);
+        }
+    }
+
+    /**
+     * Set markers on a file's model if it is open
+     */
+    setModelMarkers(filepath, markers) {
+        const model = monaco.editor.getModel(monaco.Uri.file(filepath));
+        if (model) {
+            monaco.editor.setModelMarkers(model, MARKER_OWNER, markers);
+        }
+    }
+
+    /**
+     * Workspace file path of a model (null for stdlib and other models)
+     */
+    getFilePathFromUri(uri) {
+        return uri.scheme === 'file' ? uri.path.replace(/^\//, '') : null;
+    }
+
+    /**
+     * Expand or collapse a file/class node
+     */
+    toggleNode(id) {
+        if (this.collapsed.has(id)) {
+            this.collapsed.delete(id);
+        } else {
+            this.collapsed.add(id);
+        }
+        this.render();
+    }
+
+    /**
+     * Summary line, e.g. "3 passed, 1 failed, 1 skipped"
+     */
+    getSummaryText() {
+        const counts = { passed: 0, failed: 0, error: 0, skipped: 0 };
+        this.results.forEach((result) => {
+            counts[result.outcome] = (counts[result.outcome] || 0) + 1;
+        });
+
+        const parts = Object.entries(counts)
+            .filter(([, count]) => count > 0)
+            .map(([outcome, count]) => `${count} ${outcome}`);
+
+        if (parts.length === 0) {
+            return `${this.tests.length} test${this.tests.length === 1 ? '' : 's'}`;
+        }
+        return parts.join(', ');
+    }
+
+    /**
+     * Update the summary line above the tree
+     */
+    setSummary(text, isError = false) {
+        if (!this.summaryElement) return;
+        this.summaryElement.textContent = text;
+        this.summaryElement.classList.toggle('error', isError);
+    }
+
+    /**
+     * Show pytest's console output of the last run in the OUTPUT panel
+     */
+    showOutput() {
+        const outputPanelContent = document.getElementById('outputPanelContent');
+        if (!outputPanelContent) return;
+
+        outputPanelContent.className = 'output-panel-content';
+        outputPanelContent.textContent = this.lastOutput || 'No test output yet.';
+
+        if (this.context.problemsManager) {
+            this.context.problemsManager.showOutputTab();
+        }
+    }
+}
@@ -0,0 +1,66 @@
+/**
+ * ActivityBarManager - Switches sidebar views (Explorer, Testing, ...)
+ * Buttons (.activity-bar-item[data-view]) are matched to .sidebar-view[data-view]
+ */
+export class ActivityBarManager {
+    constructor(context) {
+        this.context = context;
+        this.activityBar = document.getElementById('activityBar');
+        this.sidebar = document.getElementById('sidebar');
+        this.activeView = 'explorer';
+        this.viewCallbacks = new Map(); // view name -> callback when the view is shown
+
+        if (this.activityBar) {
+            this.activityBar.querySelectorAll('.activity-bar-item').forEach((item) => {
+                item.addEventListener('click', () => this.handleClick(item.dataset.view));
+
+                // "View: Show Testing", ... (the title without its keybinding)
+                context.commands.register({
+                    id: `view.show.${item.dataset.view}`,
+                    title: `Show ${item.title.replace(/\s*\(.*\)$/, '')}`,
+                    category: 'View',
+                    run: () => this.showView(item.dataset.view),
+                });
+            });
+        }
+    }
+
+    /**
+     * Register a callback that runs each time a view is shown
+     */
+    registerView(viewName, onShow) {
+        this.viewCallbacks.set(viewName, onShow);
+    }
+
+    /**
+     * Clicking the active view toggles the sidebar, like VS Code
+     */
+    handleClick(viewName) {
+        if (viewName === this.activeView && this.sidebar.style.display !== 'none') {
+            this.sidebar.style.display = 'none';
+            return;
+        }
+        this.showView(viewName);
+    }
+
+    /**
+     * Show a sidebar view
+     */
+    showView(viewName) {
+        this.activeView = viewName;
+        this.sidebar.style.display = '';
+
+        this.activityBar.querySelectorAll('.activity-bar-item').forEach((item) => {
+            item.classList.toggle('active', item.dataset.view === viewName);
+        });
+
+        this.sidebar.querySelectorAll('.sidebar-view').forEach((view) => {
+            view.style.display = view.dataset.view === viewName ? '' : 'none';
+        });
+
+        const onShow = this.viewCallbacks.get(viewName);
+        if (onShow) {
+            onShow();
+        }
+    }
+}
@@ -0,0 +1,95 @@
+import { fuzzyMatch } from '../utils/fuzzyMatch.js';
+
+const RECENT_STORAGE_KEY = 'command-palette-recent';
+const MAX_RECENT = 10;
+
+/**
+ * CommandPalette - Ctrl+Shift+P list of every command of the registry
+ * It is quick open with a ">" prefix (deleting it goes back to files), like VS Code.
+ * Commands are fuzzy-matched on "Category: Title", show their keybinding, and the
+ * recently used ones come first
+ */
+export class CommandPalette {
+    constructor(context) {
+        this.context = context;
+
+        context.commands.register({
+            id: 'workbench.showCommands',
+            title: 'Show All Commands',
+            category: 'View',
+            keybinding: 'Ctrl+Shift+P',
+            run: () => this.show(),
+        });
+    }
+
+    show() {
+        this.context.quickOpen.show('>');
+    }
+
+    getRecentCommands() {
+        try {
+            return JSON.parse(localStorage.getItem(RECENT_STORAGE_KEY) || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    addRecentCommand(id) {
+        const recent = this.getRecentCommands().filter((commandId) => commandId !== id);
+        recent.unshift(id);
+        localStorage.setItem(RECENT_STORAGE_KEY, JSON.stringify(recent.slice(0, MAX_RECENT)));
+    }
+
+    getLabel(command) {
+        return command.category ? `${command.category}: ${command.title}` : command.title;
+    }
+
+    /**
+     * Items for what is typed after ">"
+     */
+    getItems(query) {
+        const commands = this.context.commands
+            .getEnabled()
+            .filter((command) => command.id !== 'workbench.showCommands');
+        const recentIds = this.getRecentCommands();
+
+        const results = commands
+            .map((command) => ({ command, match: fuzzyMatch(query, this.getLabel(command)) }))
+            .filter(({ match }) => match);
+
+        const recent = recentIds
+            .map((id) => results.find(({ command }) => command.id === id))
+            .filter(Boolean);
+        const others = results.filter(({ command }) => !recentIds.includes(command.id));
+        others.sort((a, b) =>
+            query.trim()
+                ? b.match.score - a.match.score
+                : this.getLabel(a.command).localeCompare(this.getLabel(b.command))
+        );
+
+        const items = [];
+        [
+            ['recently used', recent],
+            ['other commands', others],
+        ].forEach(([separator, group]) => {
+            group.forEach(({ command, match }, index) => {
+                items.push({
+                    label: this.getLabel(command),
+                    labelHighlights: match.positions,
+                    detail: command.keybinding || command.editorKeybinding || '',
+                    separator: index === 0 && recent.length > 0 ? separator : '',
+                    commandId: command.id,
+                });
+            });
+        });
+        return items;
+    }
+
+    /**
+     * Run the chosen command
+     */
+    run(item) {
+        this.addRecentCommand(item.commandId);
+        this.context.commands.execute(item.commandId);
+    }
+}
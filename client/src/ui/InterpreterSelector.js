@@ -0,0 +1,153 @@
+/**
+ * InterpreterSelector - Python interpreter of the workspace folder in the status bar
+ * Clicking it lists python3 and the folder's virtual environments, and can create
+ * a new one. Runs, syntax checks and the language server use the chosen interpreter;
+ * the language server is restarted when it changes
+ */
+export class InterpreterSelector {
+    constructor(context) {
+        this.context = context;
+        this.item = document.getElementById('pythonVersion');
+        this.label = this.item ? this.item.querySelector('span') : null;
+        this.interpreter = null;
+
+        if (this.item) {
+            this.item.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showMenu();
+            });
+        }
+
+        this.load();
+    }
+
+    /**
+     * Call an interpreter API of the workspace folder
+     * @throws {Error} With the server's message if the request failed
+     */
+    async request(path, options = {}) {
+        const response = await fetch(this.context.buildUrl(path), {
+            headers: this.context.getFetchHeaders(),
+            ...options,
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Request failed');
+        }
+        return data;
+    }
+
+    /**
+     * Show the interpreter in use
+     */
+    async load() {
+        try {
+            const data = await this.request('/api/interpreters');
+            this.render(data.interpreters.find((candidate) => candidate.venv === data.selected));
+        } catch (error) {
+            console.error('Failed to load interpreters:', error);
+        }
+    }
+
+    describe(interpreter) {
+        const version = interpreter.version ? `Python ${interpreter.version}` : 'Python';
+        return interpreter.venv ? `${version} (${interpreter.venv})` : version;
+    }
+
+    render(interpreter) {
+        if (!interpreter || !this.label) return;
+
+        this.interpreter = interpreter;
+        this.label.textContent = this.describe(interpreter);
+        this.item.title = `Interpreter: ${interpreter.path}\nClick to change`;
+    }
+
+    /**
+     * List the interpreters above the status bar item
+     */
+    async showMenu() {
+        let data;
+        try {
+            data = await this.request('/api/interpreters');
+        } catch (error) {
+            alert('Failed to load interpreters: ' + error.message);
+            return;
+        }
+
+        const menuItems = data.interpreters.map((interpreter) => ({
+            text: interpreter.venv
+                ? `${this.describe(interpreter)}  ${interpreter.venv}/bin/python`
+                : `${this.describe(interpreter)}  ${interpreter.path}`,
+            class: interpreter.venv === data.selected ? 'selected' : '',
+            action: () => this.select(interpreter.venv),
+        }));
+        menuItems.push(
+            { separator: true },
+            { text: 'Create Virtual Environment...', action: () => this.createVenv() }
+        );
+
+        const rect = this.item.getBoundingClientRect();
+        this.context.contextMenuInstance.showItems(
+            { left: rect.left, bottom: window.innerHeight - rect.top },
+            menuItems
+        );
+    }
+
+    /**
+     * Choose an interpreter
+     * @param {string|null} venv - Virtual environment folder, null for python3
+     */
+    async select(venv) {
+        if (this.interpreter && this.interpreter.venv === venv) return;
+
+        try {
+            const data = await this.request('/api/interpreter', {
+                method: 'PUT',
+                body: JSON.stringify({ venv }),
+            });
+            this.applyInterpreter(data.interpreter);
+        } catch (error) {
+            alert('Failed to select interpreter: ' + error.message);
+        }
+    }
+
+    /**
+     * Create a virtual environment in the workspace folder and choose it
+     */
+    async createVenv() {
+        const name = prompt('Virtual environment folder (in the workspace):', '.venv');
+        if (!name || !name.trim()) return;
+
+        const previous = this.label ? this.label.textContent : '';
+        if (this.label) {
+            this.label.textContent = `Creating ${name.trim()}...`;
+        }
+
+        try {
+            const data = await this.request('/api/venvs', {
+                method: 'POST',
+                body: JSON.stringify({ path: name.trim() }),
+            });
+            this.applyInterpreter(data.interpreter);
+            this.context.loadFileExplorer();
+        } catch (error) {
+            if (this.label) {
+                this.label.textContent = previous;
+            }
+            alert('Failed to create virtual environment: ' + error.message);
+        }
+    }
+
+    /**
+     * Show the new interpreter and let the language server analyze code with it
+     */
+    applyInterpreter(interpreter) {
+        this.render(interpreter);
+        if (this.context.lspClientInstance) {
+            this.context.lspClientInstance.restart();
+        }
+        if (this.context.packagesPanel) {
+            this.context.packagesPanel.refresh();
+        }
+    }
+}
@@ -10,12 +10,34 @@ export class ProblemsManager {
         this.problemsPanel = document.getElementById('problemsPanelContent');
         this.problemsCountBadge = document.getElementById('problemsCount');
         this.allDiagnostics = new Map(); // filepath -> diagnostics[]
+        this.sourceDiagnostics = new Map(); // source (e.g. 'pytest') -> Map(filepath -> diagnostics[])
         this.outputPanel = document.getElementById('outputPanel');
         this.isCollapsed = true; // Start collapsed
 
         this.initializeTabs();
         this.initializeToggle();
         this.initializeCollapsedState();
+
+        context.commands.registerAll(
+            [
+                ['output', 'Show Output'],
+                ['problems', 'Show Problems'],
+                ['debug-console', 'Show Debug Console'],
+                ['profiler', 'Show Profiler'],
+            ].map(([tabName, title]) => ({
+                id: `view.show.${tabName}`,
+                title,
+                category: 'View',
+                run: () => this.showTab(tabName),
+            }))
+        );
+        context.commands.register({
+            id: 'view.closePanel',
+            title: 'Close Panel',
+            category: 'View',
+            isEnabled: () => !this.isCollapsed,
+            run: () => this.collapsePanel(),
+        });
     }
 
     /**
@@ -67,6 +89,15 @@ export class ProblemsManager {
      * Switch to OUTPUT tab and show panel
      */
     showOutputTab() {
+        this.showTab('output');
+    }
+
+    /**
+     * Switch to a panel tab and show panel
+     * @param {string} tabName - 'output', 'problems', 'debug-console', 'terminal', 'repl',
+     *     'profiler' or 'services'
+     */
+    showTab(tabName) {
         // Store current flex before any changes
         const currentFlex = this.outputPanel.style.flex;
 
@@ -75,21 +106,7 @@ export class ProblemsManager {
             this.expandPanel();
         }
 
-        // Switch to OUTPUT tab
-        const tabs = document.querySelectorAll('.output-panel-tab');
-        const outputContent = document.getElementById('outputPanelContent');
-        const problemsContent = document.getElementById('problemsPanelContent');
-
-        tabs.forEach((tab) => {
-            if (tab.dataset.tab === 'output') {
-                tab.classList.add('active');
-            } else {
-                tab.classList.remove('active');
-            }
-        });
-
-        outputContent.style.display = 'block';
-        problemsContent.style.display = 'none';
+        this.selectTab(tabName);
 
         // Restore size if it was already expanded
         if (!this.isCollapsed && currentFlex && currentFlex !== '0 0 30px') {
@@ -97,33 +114,41 @@ export class ProblemsManager {
         }
     }
 
+    /**
+     * Mark a tab active and show its content
+     * Tab buttons (data-tab) are matched to content elements (data-panel)
+     */
+    selectTab(tabName) {
+        this.outputPanel.querySelectorAll('.output-panel-tab').forEach((tab) => {
+            tab.classList.toggle('active', tab.dataset.tab === tabName);
+        });
+
+        this.outputPanel.querySelectorAll('[data-panel]').forEach((content) => {
+            content.style.display = content.dataset.panel === tabName ? '' : 'none';
+        });
+
+        // Terminals need to be measured once they are visible
+        if (tabName === 'terminal' && this.context.terminalManager) {
+            this.context.terminalManager.onShow();
+        }
+        // The REPL input editor is created and measured the same way
+        if (tabName === 'repl' && this.context.replPanel) {
+            this.context.replPanel.onShow();
+        }
+        // Services are followed once the tab has been opened
+        if (tabName === 'services' && this.context.servicesPanel) {
+            this.context.servicesPanel.onShow();
+        }
+    }
+
     /**
      * Initialize tab switching functionality
      */
     initializeTabs() {
-        const tabs = document.querySelectorAll('.output-panel-tab');
-        const outputContent = document.getElementById('outputPanelContent');
-        const problemsContent = document.getElementById('problemsPanelContent');
-
-        tabs.forEach((tab) => {
+        this.outputPanel.querySelectorAll('.output-panel-tab').forEach((tab) => {
             tab.addEventListener('click', (e) => {
                 e.stopPropagation(); // Prevent header click
-
-                // Remove active class from all tabs
-                tabs.forEach((t) => t.classList.remove('active'));
-
-                // Add active class to clicked tab
-                tab.classList.add('active');
-
-                // Show corresponding panel
-                const tabType = tab.dataset.tab;
-                if (tabType === 'output') {
-                    outputContent.style.display = 'block';
-                    problemsContent.style.display = 'none';
-                } else if (tabType === 'problems') {
-                    outputContent.style.display = 'none';
-                    problemsContent.style.display = 'block';
-                }
+                this.selectTab(tab.dataset.tab);
             });
         });
     }
@@ -141,13 +166,44 @@ export class ProblemsManager {
         this.render();
     }
 
+    /**
+     * Replace all diagnostics reported by a non-LSP source (e.g. test runs)
+     * @param {string} source - Diagnostic source name
+     * @param {Map<string, Array>} diagnosticsByFile - filepath -> diagnostics[]
+     */
+    setSourceDiagnostics(source, diagnosticsByFile) {
+        if (diagnosticsByFile && diagnosticsByFile.size > 0) {
+            this.sourceDiagnostics.set(source, diagnosticsByFile);
+        } else {
+            this.sourceDiagnostics.delete(source);
+        }
+
+        this.render();
+    }
+
+    /**
+     * Merge LSP diagnostics with diagnostics from other sources
+     * @returns {Map<string, Array>} filepath -> diagnostics[]
+     */
+    getMergedDiagnostics() {
+        const merged = new Map(this.allDiagnostics);
+        this.sourceDiagnostics.forEach((diagnosticsByFile) => {
+            diagnosticsByFile.forEach((diagnostics, filepath) => {
+                merged.set(filepath, [...(merged.get(filepath) || []), ...diagnostics]);
+            });
+        });
+        return merged;
+    }
+
     /**
      * Render the problems panel
      */
     render() {
+        const allDiagnostics = this.getMergedDiagnostics();
+
         // Calculate total problem count
         let totalProblems = 0;
-        this.allDiagnostics.forEach((diags) => {
+        allDiagnostics.forEach((diags) => {
             totalProblems += diags.length;
         });
 
@@ -168,7 +224,7 @@ export class ProblemsManager {
         }
 
         let html = '';
-        this.allDiagnostics.forEach((diagnostics, filepath) => {
+        allDiagnostics.forEach((diagnostics, filepath) => {
             diagnostics.forEach((diagnostic) => {
                 const severityClass = this.getSeverityClass(diagnostic.severity);
                 const severityIcon = this.getSeverityIcon(diagnostic.severity);
@@ -275,6 +331,7 @@ export class ProblemsManager {
      */
     clear() {
         this.allDiagnostics.clear();
+        this.sourceDiagnostics.clear();
         this.render();
     }
 }
@@ -0,0 +1,258 @@
+const MAX_ITEMS = 200; // Items rendered at once
+
+/**
+ * QuickInput - Input box with a filtered list at the top of the editor, like VS Code's
+ * quick open. Callers give the items for what is typed; Up/Down (and PageUp/PageDown)
+ * move the selection, Enter accepts it and Escape or clicking elsewhere closes it.
+ *
+ * Items: { label, description, detail, icon (HTML), labelHighlights,
+ * descriptionHighlights (character indexes), separator (label of a group starting at
+ * the item) }
+ */
+export class QuickInput {
+    constructor() {
+        this.element = null;
+        this.input = null;
+        this.list = null;
+        this.items = [];
+        this.selectedIndex = 0;
+        this.options = null;
+        this.previousFocus = null; // Focused again when closed with Escape or Enter
+    }
+
+    /**
+     * Create the widget the first time it is shown
+     */
+    createElement() {
+        this.element = document.createElement('div');
+        this.element.className = 'quick-input';
+        this.element.style.display = 'none';
+        this.element.innerHTML = `
+            <input type="text" class="quick-input-box" spellcheck="false" />
+            <div class="quick-input-list"></div>
+        `;
+        this.input = this.element.querySelector('.quick-input-box');
+        this.list = this.element.querySelector('.quick-input-list');
+
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.input.addEventListener('blur', () => {
+            // Clicking an item blurs the input first; let the click land
+            setTimeout(() => {
+                if (this.element.contains(document.activeElement)) return;
+                this.hide(false);
+            }, 150);
+        });
+        // Keep the focus in the input when an item is clicked
+        this.list.addEventListener('mousedown', (e) => e.preventDefault());
+
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Show the widget
+     * @param {Object} options - { placeholder, value, emptyText, getItems(value)
+     *     returning the items for what is typed, onAccept(item, value), selectValue
+     *     (false to put the cursor after the value instead of selecting it) }
+     */
+    show(options) {
+        if (!this.element) {
+            this.createElement();
+        }
+        if (!this.isVisible()) {
+            this.previousFocus = document.activeElement;
+        }
+        this.options = options;
+        this.input.placeholder = options.placeholder || '';
+        this.input.value = options.value || '';
+        this.element.style.display = '';
+        this.update();
+        this.input.focus();
+        if (options.selectValue === false) {
+            this.input.setSelectionRange(this.input.value.length, this.input.value.length);
+        } else {
+            this.input.select();
+        }
+    }
+
+    /**
+     * @param {boolean} restoreFocus - Focus what was focused before it was shown
+     */
+    hide(restoreFocus = true) {
+        if (!this.isVisible()) return;
+
+        this.element.style.display = 'none';
+        this.options = null;
+        if (restoreFocus && this.previousFocus && document.body.contains(this.previousFocus)) {
+            this.previousFocus.focus();
+        }
+        this.previousFocus = null;
+    }
+
+    isVisible() {
+        return Boolean(this.element) && this.element.style.display !== 'none';
+    }
+
+    /**
+     * Set the value as if typed (e.g. to switch to another mode by prefix)
+     */
+    setValue(value) {
+        if (!this.isVisible()) return;
+        this.input.value = value;
+        this.update();
+    }
+
+    /**
+     * Show the items for what is typed
+     */
+    update() {
+        if (!this.options) return;
+
+        this.items = this.options.getItems(this.input.value) || [];
+        this.selectedIndex = 0;
+        this.render();
+    }
+
+    /**
+     * Items changed while shown (e.g. loaded from the server)
+     */
+    refresh() {
+        if (this.isVisible()) {
+            this.update();
+        }
+    }
+
+    render() {
+        this.list.innerHTML = '';
+
+        if (this.items.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'quick-input-empty';
+            empty.textContent = (this.options && this.options.emptyText) || 'No matching results';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        this.items.slice(0, MAX_ITEMS).forEach((item, index) => {
+            const row = document.createElement('div');
+            row.className = 'quick-input-item';
+            row.classList.toggle('selected', index === this.selectedIndex);
+            if (item.separator) {
+                row.classList.add('has-separator');
+                row.dataset.separator = item.separator;
+            }
+
+            if (item.icon) {
+                const icon = document.createElement('span');
+                icon.className = 'quick-input-icon';
+                icon.innerHTML = item.icon;
+                row.appendChild(icon);
+            }
+            row.appendChild(
+                this.createLabel('quick-input-label', item.label, item.labelHighlights)
+            );
+            if (item.description) {
+                row.appendChild(
+                    this.createLabel(
+                        'quick-input-description',
+                        item.description,
+                        item.descriptionHighlights
+                    )
+                );
+            }
+            if (item.detail) {
+                row.appendChild(this.createLabel('quick-input-detail', item.detail));
+            }
+
+            row.addEventListener('mousemove', () => this.select(index, false));
+            row.addEventListener('click', () => {
+                this.selectedIndex = index;
+                this.accept();
+            });
+            this.list.appendChild(row);
+        });
+    }
+
+    /**
+     * Text with the given character indexes highlighted
+     */
+    createLabel(className, text, highlights = []) {
+        const element = document.createElement('span');
+        element.className = className;
+
+        const highlighted = new Set(highlights);
+        let run = '';
+        let runHighlighted = false;
+        const flush = () => {
+            if (!run) return;
+            if (runHighlighted) {
+                const mark = document.createElement('span');
+                mark.className = 'quick-input-highlight';
+                mark.textContent = run;
+                element.appendChild(mark);
+            } else {
+                element.appendChild(document.createTextNode(run));
+            }
+            run = '';
+        };
+        text.split('').forEach((char, index) => {
+            if (highlighted.has(index) !== runHighlighted) {
+                flush();
+                runHighlighted = !runHighlighted;
+            }
+            run += char;
+        });
+        flush();
+        return element;
+    }
+
+    handleKeydown(e) {
+        const count = Math.min(this.items.length, MAX_ITEMS);
+        const page = 10;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (count > 0) {
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.select((this.selectedIndex + step + count) % count);
+            }
+        } else if (e.key === 'PageDown' || e.key === 'PageUp') {
+            e.preventDefault();
+            const step = e.key === 'PageDown' ? page : -page;
+            this.select(Math.max(0, Math.min(count - 1, this.selectedIndex + step)));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.accept();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            this.hide();
+        }
+    }
+
+    select(index, scroll = true) {
+        if (index === this.selectedIndex) return;
+
+        const rows = this.list.querySelectorAll('.quick-input-item');
+        if (rows[this.selectedIndex]) {
+            rows[this.selectedIndex].classList.remove('selected');
+        }
+        this.selectedIndex = index;
+        if (rows[index]) {
+            rows[index].classList.add('selected');
+            if (scroll) {
+                rows[index].scrollIntoView({ block: 'nearest' });
+            }
+        }
+    }
+
+    accept() {
+        const item = this.items[this.selectedIndex];
+        if (!item || !this.options) return;
+
+        const { onAccept } = this.options;
+        const value = this.input.value;
+        this.hide();
+        onAccept(item, value);
+    }
+}
@@ -0,0 +1,236 @@
+import { getFileIcon } from '../utils/fileIcons.js';
+import { matchPath } from '../utils/fuzzyMatch.js';
+
+const RECENT_STORAGE_KEY = 'quick-open-recent';
+const MAX_RECENT = 30;
+const MAX_RESULTS = 100;
+// "main.py:42" or "main.py:42:8" goes to a line (and column), ":42" in the active file
+const LINE_SUFFIX = /^(.*?)(?::(\d+)(?::(\d+))?)?\s*$/;
+
+/**
+ * QuickOpen - Ctrl+P file finder
+ * Fuzzy-matches what is typed against every file of the workspace folder (the
+ * server keeps the list, GET /api/file-index) with recently opened files first, and
+ * opens the chosen file in the focused editor group. A :line suffix goes to that line,
+ * and a ">" prefix lists commands instead (see CommandPalette.js)
+ */
+export class QuickOpen {
+    constructor(context) {
+        this.context = context;
+        this.files = [];
+        this.limitHit = false;
+        this.loaded = false; // The file list of the folder has been fetched
+
+        context.commands.register({
+            id: 'workbench.quickOpen',
+            title: 'Go to File...',
+            category: 'File',
+            keybinding: 'Ctrl+P',
+            skipInTerminal: true,
+            run: () => this.show(),
+        });
+    }
+
+    getStorageKey() {
+        return `${RECENT_STORAGE_KEY}:${this.context.workspaceFolder || '/'}`;
+    }
+
+    /**
+     * Recently opened files of the workspace folder, most recent first
+     */
+    getRecentFiles() {
+        try {
+            return JSON.parse(localStorage.getItem(this.getStorageKey()) || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Remember a file that was opened (called when a tab becomes active)
+     */
+    addRecentFile(filepath) {
+        const recent = this.getRecentFiles().filter((file) => file !== filepath);
+        recent.unshift(filepath);
+        localStorage.setItem(this.getStorageKey(), JSON.stringify(recent.slice(0, MAX_RECENT)));
+    }
+
+    /**
+     * Show the file finder
+     * @param {string} value - Initial text (">" for the command palette)
+     */
+    show(value = '') {
+        const { commandPalette } = this.context;
+        this.loaded = false;
+        this.context.quickInput.show({
+            placeholder: 'Search files by name (append :<line> to go to a line, > for commands)',
+            value,
+            selectValue: value !== '>',
+            emptyText: 'No matching results',
+            getItems: (text) =>
+                text.startsWith('>') ? commandPalette.getItems(text.slice(1)) : this.getItems(text),
+            onAccept: (item) => (item.commandId ? commandPalette.run(item) : this.open(item)),
+        });
+        this.loadFiles();
+    }
+
+    /**
+     * Fetch the files of the workspace folder (the server caches the list)
+     */
+    async loadFiles() {
+        try {
+            const response = await fetch(this.context.buildUrl('/api/file-index'), {
+                headers: this.context.getFetchHeaders(),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to list files');
+            }
+
+            this.files = data.files;
+            this.limitHit = data.limitHit;
+            this.loaded = true;
+            this.context.quickInput.refresh();
+        } catch (error) {
+            console.error('Failed to load the file list:', error);
+        }
+    }
+
+    /**
+     * Recently opened files that still exist (as far as the file list knows)
+     */
+    getExistingRecentFiles() {
+        const recent = this.getRecentFiles();
+        if (!this.loaded || this.limitHit) return recent;
+
+        const files = new Set(this.files);
+        return recent.filter((file) => files.has(file));
+    }
+
+    /**
+     * Split "path:line:column" into its parts
+     */
+    parseQuery(text) {
+        const [, query, line, column] = text.trim().match(LINE_SUFFIX);
+        return {
+            query: query.trim(),
+            line: line ? Number(line) : null,
+            column: column ? Number(column) : null,
+        };
+    }
+
+    getItems(text) {
+        const { query, line, column } = this.parseQuery(text);
+        const recent = this.getExistingRecentFiles();
+
+        if (!query) {
+            if (line !== null) {
+                return this.getGoToLineItems(line, column);
+            }
+            const files = recent.length > 0 ? recent : this.files.slice(0, MAX_RESULTS);
+            return files.map((filepath, index) =>
+                this.createItem(filepath, [], line, column, {
+                    separator: index === 0 && recent.length > 0 ? 'recently opened' : '',
+                })
+            );
+        }
+
+        // Recently opened files first, then the other files, best matches first
+        const recentSet = new Set(recent);
+        const byScore = (a, b) =>
+            b.score - a.score ||
+            a.filepath.length - b.filepath.length ||
+            a.filepath.localeCompare(b.filepath);
+        const matchAll = (files) =>
+            files
+                .map((filepath) => ({ filepath, ...matchPath(query, filepath) }))
+                .filter((result) => result.positions)
+                .sort(byScore);
+
+        const recentMatches = matchAll(recent);
+        const fileMatches = matchAll(this.files.filter((file) => !recentSet.has(file)));
+
+        const items = [];
+        [
+            ['recently opened', recentMatches],
+            ['file results', fileMatches],
+        ].forEach(([separator, matches]) => {
+            matches.forEach((result, index) => {
+                items.push(
+                    this.createItem(result.filepath, result.positions, line, column, {
+                        separator: index === 0 && recentMatches.length > 0 ? separator : '',
+                    })
+                );
+            });
+        });
+        return items.slice(0, MAX_RESULTS);
+    }
+
+    /**
+     * ":42" - go to a line of the active file
+     */
+    getGoToLineItems(line, column) {
+        const filepath = this.getActiveFile();
+        if (!filepath) return [];
+
+        const position = column !== null ? `${line}:${column}` : `${line}`;
+        return [
+            {
+                ...this.createItem(filepath, [], line, column),
+                label: `Go to line ${position}`,
+                description: filepath,
+                icon: '<i class="codicon codicon-go-to-file"></i>',
+            },
+        ];
+    }
+
+    /**
+     * List item of a file with the matched characters of its name and folder highlighted
+     */
+    createItem(filepath, positions, line, column, extra = {}) {
+        const nameStart = filepath.lastIndexOf('/') + 1;
+        const name = filepath.slice(nameStart);
+
+        return {
+            label: name,
+            description: nameStart > 0 ? filepath.slice(0, nameStart - 1) : '',
+            labelHighlights: positions.filter((i) => i >= nameStart).map((i) => i - nameStart),
+            descriptionHighlights: positions.filter((i) => i < nameStart - 1),
+            icon: getFileIcon(name),
+            filepath,
+            line,
+            column,
+            ...extra,
+        };
+    }
+
+    getTargetEditor() {
+        return this.context.splitViewActive ? this.context.focusedEditor : 'left';
+    }
+
+    getActiveFile() {
+        return this.getTargetEditor() === 'right'
+            ? this.context.rightActiveFile
+            : this.context.activeFile;
+    }
+
+    /**
+     * Open the chosen file in the focused editor group, at its line if given
+     */
+    async open(item) {
+        const targetEditor = this.getTargetEditor();
+        if (item.filepath !== this.getActiveFile()) {
+            await this.context.fileLoader.openFile(item.filepath, targetEditor);
+        }
+
+        const editor = targetEditor === 'right' ? this.context.rightEditor : this.context.editor;
+        if (!editor) return;
+
+        if (item.line !== null) {
+            const position = { lineNumber: Math.max(item.line, 1), column: item.column || 1 };
+            editor.setPosition(position);
+            editor.revealPositionInCenter(editor.getPosition());
+        }
+        editor.focus();
+    }
+}
@@ -1,4 +1,5 @@
 import * as monaco from 'monaco-editor';
+import { createNotebookContent } from '../notebook/notebookFormat.js';
 
 /**
  * TemplateSelector - 새 파일 생성 시 템플릿 선택 UI
@@ -20,6 +21,14 @@ export class TemplateSelector {
                 language: 'python',
                 hasTemplates: true,
             },
+            {
+                id: 'notebook',
+                label: 'Jupyter Notebook',
+                extension: '.ipynb',
+                language: 'json',
+                hasTemplates: false,
+                content: createNotebookContent(), // 빈 코드 셀 하나
+            },
             {
                 id: 'text',
                 label: 'Text',
@@ -379,8 +388,12 @@ export class TemplateSelector {
         } else {
             templateSection.classList.add('hidden');
             previewSection.classList.add('full-width');
-            // 빈 파일 미리보기
-            this.updatePreviewForFileType(currentFileType, '', targetEditor);
+            // 빈 파일 미리보기 (노트북은 기본 내용)
+            this.updatePreviewForFileType(
+                currentFileType,
+                currentFileType.content || '',
+                targetEditor
+            );
         }
     }
 
@@ -514,8 +527,8 @@ export class TemplateSelector {
         }
 
         try {
-            // 선택된 템플릿 내용으로 파일 생성 (Python만 템플릿 사용, 나머지는 빈 파일)
-            let content = '';
+            // 선택된 템플릿 내용으로 파일 생성 (Python만 템플릿 사용, 나머지는 빈 파일 또는 기본 내용)
+            let content = currentFileType.content || '';
             if (currentFileType.hasTemplates && this.selectedTemplate) {
                 content = this.selectedTemplate.content;
             }
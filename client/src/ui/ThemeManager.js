@@ -6,6 +6,13 @@ import * as monaco from 'monaco-editor';
 export class ThemeManager {
     constructor(context) {
         this.context = context;
+
+        context.commands.register({
+            id: 'view.toggleTheme',
+            title: 'Toggle Light/Dark Theme',
+            category: 'Preferences',
+            run: () => this.toggleTheme(),
+        });
     }
 
     toggleTheme() {
@@ -17,6 +24,11 @@ export class ThemeManager {
         if (this.context.apiPanel) {
             this.context.apiPanel.updateTheme(this.context.currentTheme);
         }
+
+        // Update terminal colors
+        if (this.context.terminalManager) {
+            this.context.terminalManager.updateTheme();
+        }
     }
 
     applyTheme(theme) {
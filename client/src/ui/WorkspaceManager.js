@@ -7,6 +7,28 @@ import { ApiPanel } from '../../api-panel.js';
 export class WorkspaceManager {
     constructor(context) {
         this.context = context;
+
+        context.commands.registerAll([
+            {
+                id: 'explorer.toggleHiddenFiles',
+                title: 'Toggle Hidden Files',
+                category: 'Explorer',
+                run: () => this.toggleHiddenFiles(),
+            },
+            {
+                id: 'explorer.collapseAll',
+                title: 'Collapse Folders',
+                category: 'Explorer',
+                run: () => this.collapseAllFolders(),
+            },
+            {
+                id: 'view.toggleApiPanel',
+                title: 'Toggle API Request Panel',
+                category: 'View',
+                isEnabled: () => Boolean(context.apiPanel),
+                run: () => this.toggleApiPanel(),
+            },
+        ]);
     }
 
     initializeWorkspaceSection() {
@@ -57,18 +79,24 @@ export class WorkspaceManager {
         // Setup toggle button
         const apiToggleBtn = document.getElementById('apiToggleBtn');
         if (apiToggleBtn) {
-            apiToggleBtn.addEventListener('click', () => {
-                this.context.apiPanel.toggle();
-                // Update button active state
-                const isVisible = document.getElementById('apiPanel').classList.contains('show');
-                apiToggleBtn.classList.toggle('active', isVisible);
-            });
+            apiToggleBtn.addEventListener('click', () => this.toggleApiPanel());
         }
 
         // Apply current theme
         this.context.apiPanel.updateTheme(this.context.currentTheme);
     }
 
+    toggleApiPanel() {
+        this.context.apiPanel.toggle();
+
+        // Update button active state
+        const apiToggleBtn = document.getElementById('apiToggleBtn');
+        if (apiToggleBtn) {
+            const isVisible = document.getElementById('apiPanel').classList.contains('show');
+            apiToggleBtn.classList.toggle('active', isVisible);
+        }
+    }
+
     collapseAllFolders() {
         // Find all expanded folders in file explorer (not workspace header)
         const expandedFolders = document.querySelectorAll(
@@ -38,6 +38,8 @@ export function getFileIcon(filename) {
         case 'py':
         case 'pyi': // Python stub files
             return pythonIcon();
+        case 'ipynb':
+            return icon('notebook', '#f37626');
         case 'js':
             return icon('symbol-method', '#f0db4f');
         case 'jsx':
@@ -128,6 +130,7 @@ export function getFileIcon(filename) {
 export function getFileIconColor(ext) {
     const colors = {
         py: '#3776ab',
+        ipynb: '#f37626',
         js: '#f0db4f',
         jsx: '#f0db4f',
         ts: '#3178c6',
@@ -175,6 +178,7 @@ export function getLanguageFromFile(filepath) {
     const languageMap = {
         py: 'python',
         pyi: 'python', // Python stub files
+        ipynb: 'json', // Shown as a notebook (see NotebookManager); the model holds the JSON
         js: 'javascript',
         jsx: 'javascript',
         ts: 'typescript',
@@ -0,0 +1,113 @@
+/**
+ * fuzzyMatch.js
+ * Fuzzy matching for quick open: the characters of the query must appear in order,
+ * and matches at word starts and runs of consecutive characters score higher
+ */
+
+const WORD_SEPARATORS = '/\\_-. ';
+
+/**
+ * Score for matching a character at a position of the target
+ */
+function positionBonus(target, index) {
+    if (index === 0) return 8;
+    const previous = target[index - 1];
+    if (previous === '/' || previous === '\\') return 8;
+    if (WORD_SEPARATORS.includes(previous)) return 6;
+    const char = target[index];
+    if (char !== char.toLowerCase() && previous === previous.toLowerCase()) return 4; // camelCase
+    return 0;
+}
+
+/**
+ * Whether the characters of the query appear in order in the target (lowercase both)
+ */
+function isSubsequence(query, target) {
+    let index = 0;
+    for (const char of query) {
+        index = target.indexOf(char, index);
+        if (index === -1) return false;
+        index++;
+    }
+    return true;
+}
+
+/**
+ * Match a query against a string, ignoring case
+ * @param {string} query - What was typed (spaces are ignored)
+ * @param {string} target - String to match
+ * @returns {Object|null} { score, positions } with the matched indexes of target, or
+ *     null if it doesn't match
+ */
+export function fuzzyMatch(query, target) {
+    const pattern = query.replace(/\s+/g, '').toLowerCase();
+    const lower = target.toLowerCase();
+    if (!pattern) return { score: 0, positions: [] };
+    if (!isSubsequence(pattern, lower)) return null;
+
+    // best[i * cols + j]: best score with pattern[i] matched at target[j]
+    const rows = pattern.length;
+    const cols = target.length;
+    const best = new Float64Array(rows * cols).fill(-Infinity);
+    const from = new Int32Array(rows * cols).fill(-1);
+
+    for (let i = 0; i < rows; i++) {
+        let bestBefore = -Infinity; // Best of row i - 1 up to j - 2 (a gap before j)
+        let bestBeforeIndex = -1;
+        for (let j = i; j < cols; j++) {
+            if (i > 0 && j >= 2 && best[(i - 1) * cols + j - 2] > bestBefore) {
+                bestBefore = best[(i - 1) * cols + j - 2];
+                bestBeforeIndex = j - 2;
+            }
+            if (lower[j] !== pattern[i]) continue;
+
+            const bonus = 1 + positionBonus(target, j);
+            if (i === 0) {
+                best[i * cols + j] = bonus - Math.min(j, 10) * 0.1; // Earlier is better
+                continue;
+            }
+            const consecutive = j > 0 ? best[(i - 1) * cols + j - 1] + bonus + 5 : -Infinity;
+            const gapped = bestBefore + bonus - 1;
+            if (consecutive >= gapped) {
+                best[i * cols + j] = consecutive;
+                from[i * cols + j] = j - 1;
+            } else {
+                best[i * cols + j] = gapped;
+                from[i * cols + j] = bestBeforeIndex;
+            }
+        }
+    }
+
+    let end = -1;
+    for (let j = rows - 1; j < cols; j++) {
+        if (end === -1 || best[(rows - 1) * cols + j] > best[(rows - 1) * cols + end]) {
+            end = j;
+        }
+    }
+    if (end === -1 || best[(rows - 1) * cols + end] === -Infinity) return null;
+
+    const positions = [];
+    for (let i = rows - 1, j = end; i >= 0; i--) {
+        positions.unshift(j);
+        j = from[i * cols + j];
+    }
+    return { score: best[(rows - 1) * cols + end], positions };
+}
+
+/**
+ * Match a query against a file path, preferring matches in the file name
+ * @returns {Object|null} { score, positions } with indexes of the path
+ */
+export function matchPath(query, filepath) {
+    const nameStart = filepath.lastIndexOf('/') + 1;
+    if (!query.includes('/')) {
+        const nameMatch = fuzzyMatch(query, filepath.slice(nameStart));
+        if (nameMatch) {
+            return {
+                score: nameMatch.score + 100,
+                positions: nameMatch.positions.map((index) => index + nameStart),
+            };
+        }
+    }
+    return fuzzyMatch(query, filepath);
+}
@@ -32,8 +32,19 @@ function getBasePath(req) {
     }
 }
 
+function resolveWithinBase(basePath, relativePath) {
+    const fullPath = path.resolve(basePath, relativePath);
+
+    if (fullPath !== basePath && !fullPath.startsWith(basePath + path.sep)) {
+        throw new Error('Access denied: Path outside workspace');
+    }
+
+    return fullPath;
+}
+
 module.exports = {
     WORKSPACE_ROOT,
     validateAndResolvePath,
     getBasePath,
+    resolveWithinBase,
 };
@@ -0,0 +1,169 @@
+/**
+ * Integration Tests - Code Coverage Scenarios
+ * Tests real user scenarios for finding code that a script or the tests never run
+ */
+
+const fs = require('fs').promises;
+const request = require('supertest');
+const express = require('express');
+
+// Mock pathUtils so the workspace folder is the test workspace
+jest.mock('../../utils/pathUtils', () => require('../helpers/mockPathUtils'));
+
+const coverageRouter = require('../../routes/coverage');
+const testingRouter = require('../../routes/testing');
+const { createTestStructure } = require('../helpers/testUtils');
+
+const PRICING = `"""Pricing rules"""
+
+
+def price(amount, member=False):
+    if member:
+        return amount * 0.9
+    return amount
+
+
+def refund(amount):
+    # Not used yet
+    return -amount
+`;
+
+const CHECKOUT = `import sys
+
+from pricing import price
+
+total = price(100, member=True)
+print(total)
+if len(sys.argv) > 1:
+    print("verbose")
+`;
+
+const PRICING_TESTS = `from pricing import price, refund
+
+
+def test_price():
+    assert price(10) == 10
+
+
+def test_refund():
+    assert refund(5) == -5
+`;
+
+function findFile(coverage, filePath) {
+    return coverage.files.find((f) => f.path === filePath);
+}
+
+describe('User Scenario: Code Coverage', () => {
+    let app;
+
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api', coverageRouter);
+        app.use('/api', testingRouter);
+    });
+
+    beforeEach(async () => {
+        await createTestStructure({
+            'pricing.py': PRICING,
+            'checkout.py': CHECKOUT,
+            tests: { 'test_pricing.py': PRICING_TESTS },
+        });
+    });
+
+    describe('Scenario: Developer runs a script with coverage', () => {
+        it('should report executed and missing lines of the workspace files it used', async () => {
+            const response = await request(app)
+                .post('/api/coverage')
+                .send({ file: 'checkout.py' })
+                .expect(200);
+            const { coverage } = response.body;
+
+            expect(response.body.exitCode).toBe(0);
+            expect(response.body.output).toBe('90.0\n');
+            expect(coverage.files.map((f) => f.path)).toEqual(['checkout.py', 'pricing.py']);
+
+            expect(findFile(coverage, 'checkout.py')).toEqual({
+                path: 'checkout.py',
+                executed: [1, 3, 5, 6, 7],
+                missing: [8],
+            });
+            // Blank lines, comments and the docstring's own line don't count
+            expect(findFile(coverage, 'pricing.py')).toEqual({
+                path: 'pricing.py',
+                executed: [1, 4, 5, 6, 10],
+                missing: [7, 12],
+            });
+        });
+
+        it('should keep the coverage of a script that fails', async () => {
+            await createTestStructure({
+                'crash.py': 'from pricing import refund\n\nrefund(1)\nraise SystemExit(3)\n',
+            });
+
+            const response = await request(app)
+                .post('/api/coverage')
+                .send({ file: 'crash.py' })
+                .expect(200);
+
+            expect(response.body.exitCode).toBe(3);
+            expect(findFile(response.body.coverage, 'pricing.py').executed).toContain(12);
+        });
+
+        it('should report coverage cut off while it was written as incomplete', async () => {
+            await createTestStructure({ 'main.py': 'print("done")\n' });
+            const { readFile } = fs;
+            jest.spyOn(fs, 'readFile').mockImplementation((file, ...args) =>
+                /coverage_[^/]*\.json$/.test(String(file))
+                    ? Promise.resolve('{"files": [{"path": "main.py", "exec')
+                    : readFile(file, ...args)
+            );
+
+            try {
+                const response = await request(app)
+                    .post('/api/coverage')
+                    .send({ file: 'main.py' })
+                    .expect(200);
+
+                expect(response.body).toMatchObject({ coverage: null, status: 'incomplete' });
+                expect(response.body.output).toBe('done\n');
+            } finally {
+                jest.restoreAllMocks();
+            }
+        });
+
+        it('should refuse files outside the workspace', async () => {
+            const response = await request(app)
+                .post('/api/coverage')
+                .send({ file: '../outside.py' })
+                .expect(500);
+
+            expect(response.body.error).toBe('Access denied: Path outside workspace');
+        });
+    });
+
+    describe('Scenario: Developer runs the test suite with coverage', () => {
+        it('should return test results together with the coverage of the code under test', async () => {
+            const response = await request(app)
+                .post('/api/tests/run')
+                .send({ coverage: true })
+                .expect(200);
+            const { coverage } = response.body;
+
+            expect(response.body.summary.passed).toBe(2);
+            expect(findFile(coverage, 'pricing.py')).toMatchObject({
+                executed: [1, 4, 5, 7, 10, 12],
+                missing: [6],
+            });
+            expect(findFile(coverage, 'tests/test_pricing.py').missing).toEqual([]);
+            expect(findFile(coverage, 'checkout.py')).toBeUndefined();
+        });
+
+        it('should not collect coverage unless asked', async () => {
+            const response = await request(app).post('/api/tests/run').send({}).expect(200);
+
+            expect(response.body.summary.passed).toBe(2);
+            expect(response.body.coverage).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,346 @@
+/**
+ * Integration Tests - Debugger Scenarios
+ * Tests real user scenarios for debugging programs over the Debug Adapter Protocol
+ */
+
+const http = require('http');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const WebSocket = require('ws');
+
+// Mock pathUtils so the workspace folder is the test workspace
+jest.mock('../../utils/pathUtils', () => require('../helpers/mockPathUtils'));
+
+const debugService = require('../../services/debugService');
+const interpreterService = require('../../services/interpreterService');
+const { handleDebugSocket } = require('../../sockets/debugSocket');
+const { createTestStructure, waitFor } = require('../helpers/testUtils');
+
+const APP = [
+    'from helpers import double',
+    '',
+    'config = {"name": "demo", "items": [1, 2, 3]}',
+    'total = 0',
+    'for i in range(3):',
+    '    total += double(i)',
+    'print("total", total)',
+].join('\n');
+
+const HELPERS = ['def double(x):', '    y = x * 2', '    return y'].join('\n');
+
+/**
+ * Minimal DAP client: numbered requests, promise per response, collected events
+ */
+class DebugClient {
+    constructor(port) {
+        this.ws = new WebSocket(`ws://localhost:${port}/ws/debug`);
+        this.seq = 0;
+        this.pending = new Map();
+        this.events = [];
+        this.output = '';
+        this.closed = new Promise((resolve) => this.ws.on('close', resolve));
+
+        this.ws.on('message', (raw) => {
+            const message = JSON.parse(raw);
+            if (message.type === 'response' && this.pending.has(message.request_seq)) {
+                this.pending.get(message.request_seq)(message);
+                this.pending.delete(message.request_seq);
+            } else if (message.type === 'event') {
+                this.events.push(message);
+                if (message.event === 'output') {
+                    this.output += message.body.output;
+                }
+            }
+        });
+    }
+
+    open() {
+        if (this.ws.readyState === WebSocket.OPEN) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve, reject) => {
+            this.ws.on('open', resolve);
+            this.ws.on('error', reject);
+        });
+    }
+
+    request(command, args = {}) {
+        const seq = ++this.seq;
+        return new Promise((resolve) => {
+            this.pending.set(seq, resolve);
+            this.ws.send(JSON.stringify({ seq, type: 'request', command, arguments: args }));
+        });
+    }
+
+    /**
+     * Wait for the next event with the given name (after those already seen)
+     */
+    async waitForEvent(name, from = 0) {
+        await waitFor(() => this.events.slice(from).some((e) => e.event === name), 10000);
+        return this.events.slice(from).find((e) => e.event === name);
+    }
+
+    /**
+     * Resume with a command and wait until the program stops again
+     */
+    async step(command) {
+        const from = this.events.length;
+        await this.request(command, { threadId: 1 });
+        return this.waitForEvent('stopped', from);
+    }
+
+    /**
+     * initialize, launch, set breakpoints and start the program
+     */
+    async start(launchArgs, breakpoints = {}) {
+        await this.open();
+        await this.request('initialize', { adapterID: 'python' });
+        const launch = await this.request('launch', launchArgs);
+        if (!launch.success) {
+            return launch;
+        }
+        for (const [path, lines] of Object.entries(breakpoints)) {
+            await this.request('setBreakpoints', {
+                source: { path },
+                breakpoints: lines.map((line) => (typeof line === 'object' ? line : { line })),
+            });
+        }
+        await this.request('configurationDone');
+        return launch;
+    }
+
+    async topFrame() {
+        const response = await this.request('stackTrace', { threadId: 1 });
+        return response.body.stackFrames[0];
+    }
+
+    async locals(frameId) {
+        const scopes = await this.request('scopes', { frameId });
+        const response = await this.request('variables', {
+            variablesReference: scopes.body.scopes[0].variablesReference,
+        });
+        return Object.fromEntries(response.body.variables.map((v) => [v.name, v]));
+    }
+
+    close() {
+        this.ws.close();
+        return this.closed;
+    }
+}
+
+describe('User Scenario: Debugging a Program', () => {
+    let server;
+    let wss;
+    let port;
+    let client;
+
+    beforeAll((done) => {
+        server = http.createServer();
+        wss = new WebSocket.Server({ server });
+        wss.on('connection', (ws, req) => handleDebugSocket(ws, req));
+        server.listen(0, () => {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    beforeEach(async () => {
+        await createTestStructure({ 'app.py': APP, 'helpers.py': HELPERS });
+        client = new DebugClient(port);
+    });
+
+    afterEach(async () => {
+        await client.close();
+        await waitFor(() => debugService.getSessionCount() === 0, 5000);
+    });
+
+    afterAll((done) => {
+        wss.close();
+        server.close(done);
+    });
+
+    describe('Scenario: Developer stops at a breakpoint', () => {
+        it('should show the call stack and local variables', async () => {
+            await client.start({ mode: 'file', file: 'app.py' }, { 'helpers.py': [2] });
+            const stopped = await client.waitForEvent('stopped');
+
+            expect(stopped.body.reason).toBe('breakpoint');
+
+            const stack = await client.request('stackTrace', { threadId: 1 });
+            expect(stack.body.stackFrames.map((f) => [f.name, f.source.path, f.line])).toEqual([
+                ['double', 'helpers.py', 2],
+                ['<module>', 'app.py', 6],
+            ]);
+
+            const locals = await client.locals(stack.body.stackFrames[0].id);
+            expect(locals.x.value).toBe('0');
+        });
+
+        it('should expand containers in the variables view', async () => {
+            await client.start({ mode: 'file', file: 'app.py' }, { 'app.py': [7] });
+            await client.waitForEvent('stopped');
+
+            const frame = await client.topFrame();
+            const locals = await client.locals(frame.id);
+            expect(locals.total.value).toBe('6');
+
+            const config = await client.request('variables', {
+                variablesReference: locals.config.variablesReference,
+            });
+            expect(config.body.variables.map((v) => [v.name, v.value])).toEqual([
+                ["'name'", "'demo'"],
+                ["'items'", '[1, 2, 3]'],
+            ]);
+        });
+
+        it('should only stop when the breakpoint condition holds', async () => {
+            await client.start(
+                { mode: 'file', file: 'app.py' },
+                { 'helpers.py': [{ line: 2, condition: 'x == 2' }] }
+            );
+            await client.waitForEvent('stopped');
+
+            const locals = await client.locals((await client.topFrame()).id);
+            expect(locals.x.value).toBe('2');
+        });
+    });
+
+    describe('Scenario: Developer steps through code', () => {
+        it('should step over, into and out of functions', async () => {
+            await client.start({ mode: 'file', file: 'app.py' }, { 'app.py': [6] });
+            await client.waitForEvent('stopped');
+
+            await client.step('stepIn');
+            expect(await client.topFrame()).toMatchObject({ name: 'double', line: 2 });
+
+            await client.step('next');
+            expect(await client.topFrame()).toMatchObject({ name: 'double', line: 3 });
+
+            await client.step('stepOut');
+            expect(await client.topFrame()).toMatchObject({ name: '<module>' });
+        });
+
+        it('should stop on the first line when asked to', async () => {
+            await client.start({ mode: 'file', file: 'app.py', stopOnEntry: true });
+            const stopped = await client.waitForEvent('stopped');
+
+            expect(stopped.body.reason).toBe('entry');
+            expect(await client.topFrame()).toMatchObject({ line: 1 });
+        });
+    });
+
+    describe('Scenario: Developer uses the watch and debug console', () => {
+        it('should evaluate expressions and run statements in the stopped frame', async () => {
+            await client.start({ mode: 'file', file: 'app.py' }, { 'helpers.py': [3] });
+            await client.waitForEvent('stopped');
+            const frame = await client.topFrame();
+
+            const watch = await client.request('evaluate', {
+                expression: 'y + 100',
+                frameId: frame.id,
+                context: 'watch',
+            });
+            expect(watch.body.result).toBe('100');
+
+            await client.request('evaluate', {
+                expression: 'z = x + 1',
+                frameId: frame.id,
+                context: 'repl',
+            });
+            const result = await client.request('evaluate', {
+                expression: 'z',
+                frameId: frame.id,
+                context: 'repl',
+            });
+            expect(result.body.result).toBe('1');
+
+            const error = await client.request('evaluate', {
+                expression: 'missing_name',
+                frameId: frame.id,
+                context: 'watch',
+            });
+            expect(error.success).toBe(false);
+            expect(error.message).toContain('NameError');
+        });
+    });
+
+    describe('Scenario: Program runs to completion', () => {
+        it('should forward program output and the exit code', async () => {
+            await client.start({ mode: 'file', file: 'app.py' });
+            const exited = await client.waitForEvent('exited');
+
+            expect(exited.body.exitCode).toBe(0);
+            expect(client.output).toContain('total 6');
+            await client.waitForEvent('terminated');
+        });
+
+        it('should report uncaught exceptions', async () => {
+            await createTestStructure({ 'crash.py': 'raise ValueError("bad input")' });
+
+            await client.start({ mode: 'file', file: 'crash.py' });
+            const exited = await client.waitForEvent('exited');
+
+            expect(exited.body.exitCode).toBe(1);
+            expect(client.output).toContain('ValueError: bad input');
+        });
+    });
+
+    describe('Scenario: Program debugged on a shared server', () => {
+        afterEach(() => {
+            delete process.env.PYEDITOR_TEST_SECRET;
+        });
+
+        it('should run sandboxed without the server environment', async () => {
+            process.env.PYEDITOR_TEST_SECRET = 'hunter2';
+            await createTestStructure({
+                'env.py': [
+                    'import os, resource',
+                    'print("secret", os.environ.get("PYEDITOR_TEST_SECRET"))',
+                    'print("files", resource.getrlimit(resource.RLIMIT_NOFILE)[0])',
+                ].join('\n'),
+            });
+
+            await client.start({ mode: 'file', file: 'env.py' });
+            await client.waitForEvent('exited');
+
+            expect(client.output).toContain('secret None');
+            expect(client.output).toContain('files 256');
+        });
+
+        it('should use the interpreter chosen for the workspace folder', async () => {
+            const venvPath = path.join(global.TEST_WORKSPACE, '.venv');
+            execFileSync('python3', ['-m', 'venv', '--without-pip', venvPath]);
+            await interpreterService.selectInterpreter(global.TEST_WORKSPACE, '.venv');
+            await createTestStructure({ 'prefix.py': 'import sys\nprint("prefix", sys.prefix)' });
+            // The adapter starts when the socket opens
+            await client.close();
+            client = new DebugClient(port);
+
+            await client.start({ mode: 'file', file: 'prefix.py' });
+            await client.waitForEvent('exited');
+
+            expect(client.output).toContain(`prefix ${venvPath}`);
+        });
+    });
+
+    describe('Scenario: Debug session cannot start', () => {
+        it('should refuse programs outside the workspace folder', async () => {
+            const launch = await client.start({ mode: 'file', file: '../../etc/passwd.py' });
+
+            expect(launch.success).toBe(false);
+            expect(launch.message).toContain('Path outside workspace');
+        });
+    });
+
+    describe('Scenario: Developer stops debugging', () => {
+        it('should end the session when the socket closes', async () => {
+            await client.start({ mode: 'file', file: 'app.py' }, { 'helpers.py': [2] });
+            await client.waitForEvent('stopped');
+            expect(debugService.getSessionCount()).toBe(1);
+
+            await client.close();
+
+            await waitFor(() => debugService.getSessionCount() === 0, 5000);
+        });
+    });
+});
@@ -0,0 +1,142 @@
+/**
+ * Integration Tests - In-Place Execution Scenarios
+ * Tests real user scenarios for running saved files from their real location
+ */
+
+const http = require('http');
+const WebSocket = require('ws');
+
+// Mock pathUtils so the workspace folder is the test workspace
+jest.mock('../../utils/pathUtils', () => require('../helpers/mockPathUtils'));
+
+const { handleExecutionSocket } = require('../../sockets/executionSocket');
+const { createTestStructure } = require('../helpers/testUtils');
+
+/**
+ * Run a saved workspace file over the execution socket
+ * @returns {Promise<Object>} { stdout, stderr, exit, error }
+ */
+function runFile(port, file, mode) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://localhost:${port}/ws/execute`);
+        const result = { stdout: '', stderr: '', exit: null, error: null };
+
+        ws.on('open', () => {
+            ws.send(JSON.stringify({ type: 'run', mode, file }));
+        });
+
+        ws.on('message', (raw) => {
+            const message = JSON.parse(raw);
+            if (message.type === 'stdout') {
+                result.stdout += message.data;
+            } else if (message.type === 'stderr') {
+                result.stderr += message.data;
+            } else if (message.type === 'exit' || message.type === 'error') {
+                result.exit = message.type === 'exit' ? message : null;
+                result.error = message.type === 'error' ? message.message : null;
+                ws.close();
+                resolve(result);
+            }
+        });
+
+        ws.on('error', reject);
+    });
+}
+
+describe('User Scenario: Running Saved Files In Place', () => {
+    let server;
+    let wss;
+    let port;
+
+    beforeAll((done) => {
+        server = http.createServer();
+        wss = new WebSocket.Server({ server });
+        wss.on('connection', (ws, req) => handleExecutionSocket(ws, req));
+        server.listen(0, () => {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        wss.close();
+        server.close(done);
+    });
+
+    describe('Scenario: Script reads files next to itself', () => {
+        it('should run the file from its real location', async () => {
+            await createTestStructure({
+                app: {
+                    'main.py': [
+                        'from pathlib import Path',
+                        'from helpers import greet',
+                        'print(greet((Path(__file__).parent / "name.txt").read_text()))',
+                    ].join('\n'),
+                    'helpers.py': 'def greet(name):\n    return f"Hello, {name}!"',
+                    'name.txt': 'World',
+                },
+            });
+
+            const result = await runFile(port, 'app/main.py', 'file');
+
+            expect(result.stderr).toBe('');
+            expect(result.stdout).toContain('Hello, World!');
+            expect(result.exit.exitCode).toBe(0);
+        });
+    });
+
+    describe('Scenario: Package module uses relative imports', () => {
+        beforeEach(async () => {
+            await createTestStructure({
+                shop: {
+                    '__init__.py': '',
+                    'prices.py': 'TAX = 0.1',
+                    'cart.py': 'from .prices import TAX\nprint(__name__, __package__, TAX)',
+                    '__main__.py': 'print("shop entry point")',
+                },
+            });
+        });
+
+        it('should run the file as python -m computed from the workspace root', async () => {
+            const result = await runFile(port, 'shop/cart.py', 'module');
+
+            expect(result.stdout).toContain('__main__ shop 0.1');
+        });
+
+        it('should run a package through its __main__.py', async () => {
+            const result = await runFile(port, 'shop/__main__.py', 'module');
+
+            expect(result.stdout).toContain('shop entry point');
+        });
+
+        it('should fail relative imports when run as a plain file', async () => {
+            const result = await runFile(port, 'shop/cart.py', 'file');
+
+            expect(result.stderr).toContain('ImportError');
+            expect(result.exit.exitCode).toBe(1);
+        });
+    });
+
+    describe('Scenario: File cannot be run', () => {
+        it('should reject module names that are not valid identifiers', async () => {
+            await createTestStructure({ 'my-scripts': { 'run.py': 'print("x")' } });
+
+            const result = await runFile(port, 'my-scripts/run.py', 'module');
+
+            expect(result.error).toContain('is not a valid name');
+        });
+
+        it('should refuse files outside the workspace folder', async () => {
+            const result = await runFile(port, '../../etc/passwd.py', 'file');
+
+            expect(result.error).toContain('Path outside workspace');
+        });
+
+        it('should report a missing file as a failed run', async () => {
+            const result = await runFile(port, 'missing.py', 'file');
+
+            expect(result.stderr).toContain("can't open file");
+            expect(result.exit.exitCode).toBe(2);
+        });
+    });
+});
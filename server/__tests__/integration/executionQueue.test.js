@@ -0,0 +1,272 @@
+/**
+ * Integration Tests - Execution Queue Scenarios
+ * Tests real user scenarios for many runs on a shared server: concurrency limits and waiting
+ */
+
+const http = require('http');
+const WebSocket = require('ws');
+
+// Mock pathUtils so the workspace folder is the test workspace
+jest.mock('../../utils/pathUtils', () => require('../helpers/mockPathUtils'));
+
+const {
+    ExecutionScheduler,
+    getExecutionScheduler,
+    getSchedulerUser,
+} = require('../../services/executionScheduler');
+const executionService = require('../../services/executionService');
+const { handleExecutionSocket } = require('../../sockets/executionSocket');
+const { waitFor } = require('../helpers/testUtils');
+
+// One run at a time per client, so a second run from the same client waits
+const scheduler = getExecutionScheduler({ maxConcurrent: 4, maxPerUser: 1 });
+
+/**
+ * Open an execution socket and collect its messages
+ */
+function openSocket(port, sockets, query = '') {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://localhost:${port}/ws/execute${query}`);
+        ws.messages = [];
+        ws.on('message', (raw) => ws.messages.push(JSON.parse(raw)));
+        ws.on('open', () => resolve(ws));
+        ws.on('error', reject);
+        sockets.push(ws);
+    });
+}
+
+/**
+ * Message types in order, repeats collapsed (output may arrive in several chunks)
+ */
+function messageTypes(ws) {
+    return ws.messages
+        .map((message) => message.type)
+        .filter((type, index, types) => type !== types[index - 1]);
+}
+
+function outputOf(ws) {
+    return ws.messages
+        .filter((message) => message.type === 'stdout')
+        .map((message) => message.data)
+        .join('');
+}
+
+describe('User Scenario: Execution Queue', () => {
+    describe('Scenario: More runs than the server allows at once', () => {
+        it('should start runs up to the global and per-user limits', async () => {
+            const queue = new ExecutionScheduler({ maxConcurrent: 3, maxPerUser: 2 });
+            const started = [];
+
+            ['alice', 'alice', 'alice', 'bob', 'carol'].forEach((user, index) => {
+                queue.enqueue(user).ready.then(() => started.push(index));
+            });
+            await new Promise((resolve) => setImmediate(resolve));
+
+            // alice's third run waits for her, carol's for the server
+            expect(started).toEqual([0, 1, 3]);
+            expect(queue.getStats()).toMatchObject({ running: 3, queued: 2, users: 2 });
+        });
+
+        it('should give a free slot to the oldest run that may start', async () => {
+            const queue = new ExecutionScheduler({ maxConcurrent: 2, maxPerUser: 1 });
+            const first = queue.enqueue('alice');
+            queue.enqueue('bob');
+            const aliceAgain = queue.enqueue('alice');
+            const carol = queue.enqueue('carol');
+            const started = [];
+            aliceAgain.ready.then(() => started.push('alice'));
+            carol.ready.then(() => started.push('carol'));
+
+            first.release();
+            await new Promise((resolve) => setImmediate(resolve));
+
+            // alice waited longest and may run again now that her first run ended
+            expect(started).toEqual(['alice']);
+
+            aliceAgain.release();
+            await new Promise((resolve) => setImmediate(resolve));
+
+            expect(started).toEqual(['alice', 'carol']);
+        });
+
+        it('should skip runs of users at their limit instead of holding up others', async () => {
+            const queue = new ExecutionScheduler({ maxConcurrent: 2, maxPerUser: 1 });
+            queue.enqueue('alice');
+            const bob = queue.enqueue('bob');
+            queue.enqueue('alice');
+            const carol = queue.enqueue('carol');
+            let carolStarted = false;
+            carol.ready.then(() => {
+                carolStarted = true;
+            });
+
+            bob.release();
+            await new Promise((resolve) => setImmediate(resolve));
+
+            expect(carolStarted).toBe(true);
+            expect(queue.getStats()).toMatchObject({ running: 2, queued: 1 });
+        });
+
+        it('should tell waiting runs how many runs are ahead of them', () => {
+            const queue = new ExecutionScheduler({ maxConcurrent: 1 });
+            const running = queue.enqueue('alice');
+            const positions = { bob: [], carol: [] };
+            queue.enqueue('bob', { onQueued: (ahead) => positions.bob.push(ahead) });
+            queue.enqueue('carol', { onQueued: (ahead) => positions.carol.push(ahead) });
+
+            running.release();
+
+            expect(positions).toEqual({ bob: [0], carol: [1, 0] });
+        });
+
+        it('should refuse runs when the queue is full', async () => {
+            const queue = new ExecutionScheduler({ maxConcurrent: 1, maxQueueLength: 1 });
+            queue.enqueue('alice');
+            queue.enqueue('bob');
+
+            await expect(queue.enqueue('carol').ready).rejects.toThrow(
+                'Too many programs are waiting to run'
+            );
+            expect(queue.getStats().queued).toBe(1);
+        });
+
+        it('should tell users apart by client, falling back to the workspace folder', () => {
+            expect(getSchedulerUser('3f9a0c1d2e4b', '/workspace')).toBe('client:3f9a0c1d2e4b');
+            expect(getSchedulerUser(undefined, '/workspace')).toBe('folder:/workspace');
+            expect(getSchedulerUser('../../x y', '/workspace')).toBe('folder:/workspace');
+        });
+
+        it('should drop a cancelled run from the queue', async () => {
+            const queue = new ExecutionScheduler({ maxConcurrent: 1 });
+            const running = queue.enqueue('alice');
+            const bob = queue.enqueue('bob');
+            const carolPositions = [];
+            queue.enqueue('carol', { onQueued: (ahead) => carolPositions.push(ahead) });
+
+            bob.cancel();
+
+            await expect(bob.ready).rejects.toThrow('Run cancelled while waiting');
+            expect(carolPositions).toEqual([1, 0]);
+
+            running.release();
+            bob.release(); // Releasing a ticket that never ran frees nothing
+
+            expect(queue.getStats()).toMatchObject({ running: 1, queued: 0, started: 2 });
+        });
+    });
+
+    describe('Scenario: Teammates run programs on the same server', () => {
+        let server;
+        let wss;
+        let port;
+        let sockets;
+
+        beforeAll((done) => {
+            server = http.createServer();
+            wss = new WebSocket.Server({ server });
+            wss.on('connection', (ws, req) => handleExecutionSocket(ws, req));
+            server.listen(0, () => {
+                port = server.address().port;
+                done();
+            });
+        });
+
+        beforeEach(() => {
+            sockets = [];
+        });
+
+        afterEach(async () => {
+            sockets.forEach((ws) => ws.close());
+            await waitFor(() => scheduler.getStats().running === 0);
+        });
+
+        afterAll((done) => {
+            wss.close();
+            server.close(done);
+        });
+
+        it('should queue a second run until the first one ended', async () => {
+            const first = await openSocket(port, sockets);
+            const second = await openSocket(port, sockets);
+
+            first.send(JSON.stringify({ type: 'run', code: 'input()', filename: 'a.py' }));
+            await waitFor(() => messageTypes(first).includes('started'));
+
+            second.send(JSON.stringify({ type: 'run', code: 'print("second")', filename: 'b.py' }));
+            await waitFor(() => messageTypes(second).includes('queued'));
+
+            expect(second.messages).toEqual([{ type: 'queued', ahead: 0 }]);
+            expect(scheduler.getStats()).toMatchObject({ running: 1, queued: 1 });
+
+            first.send(JSON.stringify({ type: 'stdin', data: '\n' }));
+            await waitFor(() => messageTypes(second).includes('exit'));
+
+            expect(messageTypes(second)).toEqual(['queued', 'started', 'stdout', 'exit']);
+            expect(outputOf(second)).toBe('second\n');
+        });
+
+        it('should not make clients of the same workspace folder wait for each other', async () => {
+            const alice = await openSocket(port, sockets, '?client=alice-browser');
+            const bob = await openSocket(port, sockets, '?client=bob-browser');
+
+            alice.send(JSON.stringify({ type: 'run', code: 'input()', filename: 'a.py' }));
+            await waitFor(() => messageTypes(alice).includes('started'));
+            bob.send(JSON.stringify({ type: 'run', code: 'print("bob")', filename: 'b.py' }));
+            await waitFor(() => messageTypes(bob).includes('exit'));
+
+            expect(messageTypes(bob)).toEqual(['started', 'stdout', 'exit']);
+            expect(scheduler.getStats().users).toBe(1);
+        });
+
+        it('should give up a waiting run when its socket closes', async () => {
+            const first = await openSocket(port, sockets);
+            const second = await openSocket(port, sockets);
+
+            first.send(JSON.stringify({ type: 'run', code: 'input()', filename: 'a.py' }));
+            await waitFor(() => messageTypes(first).includes('started'));
+            second.send(JSON.stringify({ type: 'run', code: 'print("never")', filename: 'b.py' }));
+            await waitFor(() => messageTypes(second).includes('queued'));
+
+            second.close();
+            await waitFor(() => scheduler.getStats().queued === 0);
+
+            expect(scheduler.getStats().running).toBe(1);
+        });
+
+        it('should stop a run whose socket closed while it was starting', async () => {
+            const { startExecution } = executionService;
+            let finishStart;
+            const startRequested = new Promise((resolve) => {
+                jest.spyOn(executionService, 'startExecution').mockImplementation(
+                    async (...args) => {
+                        resolve();
+                        await new Promise((done) => {
+                            finishStart = done;
+                        });
+                        const run = await startExecution(...args);
+                        runs.push(run);
+                        return run;
+                    }
+                );
+            });
+            const runs = [];
+
+            try {
+                const ws = await openSocket(port, sockets);
+                ws.send(JSON.stringify({ type: 'run', code: 'input()', filename: 'a.py' }));
+                await startRequested;
+
+                // The slot is taken and the run is on its way when the browser goes away
+                ws.close();
+                await waitFor(() => ws.readyState === WebSocket.CLOSED);
+                finishStart();
+                await new Promise((resolve) => setTimeout(resolve, 300));
+                await waitFor(() => scheduler.getStats().running === 0);
+
+                expect(runs.filter((run) => executionService.isRunning(run.id))).toEqual([]);
+            } finally {
+                jest.restoreAllMocks();
+            }
+        });
+    });
+});
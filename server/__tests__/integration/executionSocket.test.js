@@ -0,0 +1,265 @@
+/**
+ * Integration Tests - Streaming Execution Scenarios
+ * Tests real user scenarios for live program output over WebSocket
+ */
+
+const http = require('http');
+const request = require('supertest');
+const express = require('express');
+const WebSocket = require('ws');
+
+// Mock pathUtils so runs are recorded in the test workspace
+jest.mock('../../utils/pathUtils', () => require('../helpers/mockPathUtils'));
+
+const executionRouter = require('../../routes/execution');
+const executionService = require('../../services/executionService');
+const { handleExecutionSocket } = require('../../sockets/executionSocket');
+const { waitFor } = require('../helpers/testUtils');
+
+/**
+ * Check whether a process ID is still alive
+ */
+function isAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (_error) {
+        return false;
+    }
+}
+
+/**
+ * Run code over the execution socket and collect every message until exit
+ * @param {Function} onMessage - Optional hook called with (message, ws) for each message
+ */
+function runOverSocket(port, code, filename = 'stream.py', onMessage = () => {}) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://localhost:${port}/ws/execute`);
+        const messages = [];
+
+        ws.on('open', () => {
+            ws.send(JSON.stringify({ type: 'run', code, filename }));
+        });
+
+        ws.on('message', (raw) => {
+            const message = JSON.parse(raw);
+            messages.push(message);
+            onMessage(message, ws);
+            if (message.type === 'exit' || message.type === 'error') {
+                ws.close();
+                resolve(messages);
+            }
+        });
+
+        ws.on('error', reject);
+    });
+}
+
+describe('User Scenario: Streaming Execution', () => {
+    let app;
+    let server;
+    let wss;
+    let port;
+
+    beforeAll((done) => {
+        app = express();
+        app.use(express.json());
+        app.use('/api', executionRouter);
+
+        server = http.createServer(app);
+        wss = new WebSocket.Server({ server });
+        wss.on('connection', (ws, req) => handleExecutionSocket(ws, req));
+        server.listen(0, () => {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        wss.close();
+        server.close(done);
+    });
+
+    describe('Scenario: Developer watches a long-running script', () => {
+        it('should stream output chunks before the process exits', async () => {
+            const code = `
+import time
+print("first")
+time.sleep(0.3)
+print("second")
+`;
+            const messages = await runOverSocket(port, code);
+            const types = messages.map((m) => m.type);
+
+            expect(types[0]).toBe('started');
+            expect(types[types.length - 1]).toBe('exit');
+
+            const stdoutChunks = messages.filter((m) => m.type === 'stdout');
+            expect(stdoutChunks.length).toBeGreaterThanOrEqual(2);
+            expect(stdoutChunks.map((m) => m.data).join('')).toBe('first\nsecond\n');
+        });
+
+        it('should report exit code and execution time', async () => {
+            const messages = await runOverSocket(port, 'print("done")');
+            const exit = messages.find((m) => m.type === 'exit');
+
+            expect(exit.exitCode).toBe(0);
+            expect(exit.status).toBe('exited');
+            expect(exit.executionTime).toBeGreaterThan(0);
+        });
+    });
+
+    describe('Scenario: Student tests a script that prompts for input', () => {
+        it('should forward typed input to the running program', async () => {
+            const messages = await runOverSocket(
+                port,
+                'name = input("Name: ")\nprint(f"Hello, {name}!")',
+                'prompt.py',
+                (message, ws) => {
+                    if (message.type === 'stdout' && message.data.includes('Name:')) {
+                        ws.send(JSON.stringify({ type: 'stdin', data: 'Alice\n' }));
+                    }
+                }
+            );
+            const stdout = messages
+                .filter((m) => m.type === 'stdout')
+                .map((m) => m.data)
+                .join('');
+
+            expect(stdout).toContain('Hello, Alice!');
+            expect(messages.find((m) => m.type === 'exit').exitCode).toBe(0);
+        });
+
+        it('should signal end of input when stdin is closed', async () => {
+            const code = 'import sys\nprint("ready", flush=True)\nprint(len(sys.stdin.read()))';
+            const messages = await runOverSocket(port, code, 'eof.py', (message, ws) => {
+                if (message.type === 'stdout' && message.data.includes('ready')) {
+                    ws.send(JSON.stringify({ type: 'stdin', data: 'abc' }));
+                    ws.send(JSON.stringify({ type: 'stdin-eof' }));
+                }
+            });
+            const stdout = messages
+                .filter((m) => m.type === 'stdout')
+                .map((m) => m.data)
+                .join('');
+
+            expect(stdout).toContain('3');
+        });
+    });
+
+    describe('Scenario: Developer stops a runaway loop', () => {
+        it('should stop the run through DELETE /api/execute/:id', async () => {
+            const code = `
+import time
+print("looping", flush=True)
+while True:
+    time.sleep(0.1)
+`;
+            let stopResponse = null;
+            let runId = null;
+            const messages = await runOverSocket(port, code, 'loop.py', (message) => {
+                if (message.type === 'started') {
+                    runId = message.runId;
+                } else if (message.type === 'stdout' && !stopResponse) {
+                    stopResponse = request(app)
+                        .delete(`/api/execute/${runId}`)
+                        .then((response) => response);
+                }
+            });
+
+            const started = messages.find((m) => m.type === 'started');
+            const exit = messages.find((m) => m.type === 'exit');
+
+            expect(started.runId).toMatch(/^run_/);
+            expect(exit.runId).toBe(started.runId);
+            expect(exit.status).toBe('killed');
+            expect((await stopResponse).status).toBe(200);
+            expect(executionService.isRunning(started.runId)).toBe(false);
+        });
+
+        it('should kill child processes started by the script', async () => {
+            const code = `
+import subprocess, sys
+child = subprocess.Popen([sys.executable, "-c", "import time; time.sleep(60)"])
+print(child.pid, flush=True)
+child.wait()
+`;
+            let childPid = null;
+            let runId = null;
+            const messages = await runOverSocket(port, code, 'spawner.py', (message) => {
+                if (message.type === 'started') {
+                    runId = message.runId;
+                } else if (message.type === 'stdout' && !childPid) {
+                    childPid = parseInt(message.data.trim(), 10);
+                    executionService.stopExecution(runId);
+                }
+            });
+
+            expect(messages.find((m) => m.type === 'exit').status).toBe('killed');
+            // The orphaned child may take a moment to be reaped after the signal
+            await waitFor(() => !isAlive(childPid), 3000);
+        });
+
+        it('should return 404 for a run that is not active', async () => {
+            const response = await request(app).delete('/api/execute/run_unknown');
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('Scenario: Script exceeds the time limit', () => {
+        it('should report the run as timed out', async () => {
+            const result = await executionService.executeCode('import time\ntime.sleep(10)', {
+                filename: 'slow.py',
+                basePath: global.TEST_WORKSPACE,
+                timeout: 300,
+            });
+
+            expect(result.status).toBe('timeout');
+            expect(result.executionTime).toBeLessThan(5000);
+        });
+    });
+
+    describe('Scenario: Program writes to stderr', () => {
+        it('should keep stderr separate from stdout', async () => {
+            const code = `
+import sys
+print("to stdout")
+print("to stderr", file=sys.stderr)
+`;
+            const messages = await runOverSocket(port, code);
+
+            const stdout = messages.filter((m) => m.type === 'stdout').map((m) => m.data);
+            const stderr = messages.filter((m) => m.type === 'stderr').map((m) => m.data);
+
+            expect(stdout.join('')).toContain('to stdout');
+            expect(stderr.join('')).toContain('to stderr');
+            expect(stdout.join('')).not.toContain('to stderr');
+        });
+
+        it('should stream tracebacks and a non-zero exit code', async () => {
+            const messages = await runOverSocket(port, 'raise ValueError("boom")');
+            const stderr = messages
+                .filter((m) => m.type === 'stderr')
+                .map((m) => m.data)
+                .join('');
+            const exit = messages.find((m) => m.type === 'exit');
+
+            expect(stderr).toContain('ValueError: boom');
+            expect(exit.exitCode).toBe(1);
+        });
+
+        it('should report the temp file path so tracebacks can be mapped back', async () => {
+            const messages = await runOverSocket(port, 'raise ValueError("boom")', 'broken.py');
+            const started = messages.find((m) => m.type === 'started');
+            const stderr = messages
+                .filter((m) => m.type === 'stderr')
+                .map((m) => m.data)
+                .join('');
+
+            expect(started.tempFile).toMatch(/broken\.py$/);
+            expect(started.workspacePath).toBeTruthy();
+            expect(stderr).toContain(`File "${started.tempFile}", line 1`);
+        });
+    });
+});
@@ -0,0 +1,177 @@
+/**
+ * Integration Tests - Interpreter Selection Scenarios
+ * Tests real user scenarios for projects with their own virtual environments
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const request = require('supertest');
+const express = require('express');
+
+// Mock pathUtils so the workspace folder is the test workspace
+jest.mock('../../utils/pathUtils', () => require('../helpers/mockPathUtils'));
+
+const interpretersRouter = require('../../routes/interpreters');
+const executionService = require('../../services/executionService');
+const { createTestStructure } = require('../helpers/testUtils');
+
+/**
+ * Create a virtual environment (without pip, which is slow to install) in the test workspace
+ */
+function createVenv(folder) {
+    const venvPath = path.join(global.TEST_WORKSPACE, folder);
+    execFileSync('python3', ['-m', 'venv', '--without-pip', venvPath]);
+    return venvPath;
+}
+
+function run(code) {
+    return executionService.executeCode(code, {
+        filename: 'script.py',
+        basePath: global.TEST_WORKSPACE,
+    });
+}
+
+describe('User Scenario: Interpreter Selection', () => {
+    let app;
+
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api', interpretersRouter);
+    });
+
+    describe('Scenario: Developer opens a project with virtual environments', () => {
+        it('should list python3 and the virtual environments of the folder', async () => {
+            createVenv('.venv');
+            createVenv('services/api/venv');
+            await createTestStructure({
+                'notes/pyvenv.cfg': 'not a virtual environment without bin/python',
+                'deep/a/b/venv/pyvenv.cfg': 'too deep to search',
+            });
+
+            const response = await request(app).get('/api/interpreters').expect(200);
+
+            expect(response.body.selected).toBeNull();
+            expect(response.body.interpreters.map((i) => i.venv)).toEqual([
+                null,
+                '.venv',
+                'services/api/venv',
+            ]);
+            expect(response.body.interpreters[0].path).toBe('python3');
+            expect(response.body.interpreters[1]).toMatchObject({
+                path: path.join(global.TEST_WORKSPACE, '.venv', 'bin', 'python'),
+                version: expect.stringMatching(/^3\.\d+/),
+            });
+        });
+
+        it('should run programs with python3 until an interpreter is chosen', async () => {
+            createVenv('.venv');
+
+            const result = await run('import sys\nprint(sys.prefix == sys.base_prefix)');
+
+            expect(result.output).toBe('True\n');
+        });
+    });
+
+    describe('Scenario: Developer chooses the project virtual environment', () => {
+        it('should remember the choice for the workspace folder', async () => {
+            createVenv('.venv');
+
+            const response = await request(app)
+                .put('/api/interpreter')
+                .send({ venv: '.venv' })
+                .expect(200);
+
+            expect(response.body.interpreter.venv).toBe('.venv');
+            const settings = JSON.parse(
+                fs.readFileSync(
+                    path.join(global.TEST_WORKSPACE, '.pyeditor', 'interpreter.json'),
+                    'utf8'
+                )
+            );
+            expect(settings).toEqual({ venv: '.venv' });
+
+            const version = await request(app).get('/api/python-version').expect(200);
+            expect(version.body.venv).toBe('.venv');
+            expect(version.body.version).toMatch(/^Python 3\./);
+        });
+
+        it('should run programs in the chosen virtual environment', async () => {
+            const venvPath = createVenv('.venv');
+            await request(app).put('/api/interpreter').send({ venv: '.venv' }).expect(200);
+
+            const result = await run(
+                'import os, sys\nprint(sys.prefix)\nprint(os.environ["VIRTUAL_ENV"])'
+            );
+
+            expect(result.output).toBe(`${venvPath}\n${venvPath}\n`);
+        });
+
+        it('should check syntax with the chosen interpreter', async () => {
+            createVenv('.venv');
+            await request(app).put('/api/interpreter').send({ venv: '.venv' }).expect(200);
+
+            const result = await executionService.checkSyntax('def broken(:\n', 'broken.py', {
+                basePath: global.TEST_WORKSPACE,
+            });
+
+            expect(result.status).toBe('error');
+            expect(result.errors[0].line).toBe(1);
+        });
+
+        it('should refuse folders that are not virtual environments', async () => {
+            await createTestStructure({ src: { 'main.py': '' } });
+
+            const response = await request(app)
+                .put('/api/interpreter')
+                .send({ venv: 'src' })
+                .expect(400);
+
+            expect(response.body.error).toBe('Not a virtual environment: src');
+        });
+
+        it('should go back to python3 when the chosen environment was deleted', async () => {
+            const venvPath = createVenv('.venv');
+            await request(app).put('/api/interpreter').send({ venv: '.venv' }).expect(200);
+            fs.rmSync(venvPath, { recursive: true, force: true });
+
+            const response = await request(app).get('/api/interpreters').expect(200);
+            const result = await run('import sys\nprint(sys.prefix == sys.base_prefix)');
+
+            expect(response.body.selected).toBeNull();
+            expect(result.output).toBe('True\n');
+        });
+    });
+
+    describe('Scenario: Developer creates a virtual environment', () => {
+        it('should create it in the workspace folder and choose it', async () => {
+            const response = await request(app)
+                .post('/api/venvs')
+                .send({ path: 'env' })
+                .expect(200);
+
+            expect(response.body.interpreter.venv).toBe('env');
+            expect(fs.existsSync(path.join(global.TEST_WORKSPACE, 'env', 'pyvenv.cfg'))).toBe(true);
+
+            const result = await run('import sys\nprint(sys.prefix)');
+            expect(result.output).toBe(`${path.join(global.TEST_WORKSPACE, 'env')}\n`);
+        }, 120000);
+
+        it('should refuse existing folders and paths outside the workspace', async () => {
+            await createTestStructure({ env: {} });
+
+            const existing = await request(app)
+                .post('/api/venvs')
+                .send({ path: 'env' })
+                .expect(400);
+            const outside = await request(app)
+                .post('/api/venvs')
+                .send({ path: '../elsewhere' })
+                .expect(400);
+
+            expect(existing.body.error).toBe('Folder already exists: env');
+            expect(outside.body.error).toBe('Access denied: Path outside workspace');
+        });
+    });
+});
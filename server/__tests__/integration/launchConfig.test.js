@@ -0,0 +1,205 @@
+/**
+ * Integration Tests - Run Configuration Scenarios
+ * Tests real user scenarios for saved run configurations (.pyeditor/launch.json)
+ */
+
+const http = require('http');
+const request = require('supertest');
+const express = require('express');
+const WebSocket = require('ws');
+
+// Mock pathUtils so the workspace folder is the test workspace
+jest.mock('../../utils/pathUtils', () => require('../helpers/mockPathUtils'));
+
+const executionRouter = require('../../routes/execution');
+const { handleExecutionSocket } = require('../../sockets/executionSocket');
+const { createTestStructure } = require('../helpers/testUtils');
+
+/**
+ * Write launch.json and the given project files into the test workspace
+ */
+async function createProject(configurations, files = {}) {
+    await createTestStructure({
+        ...files,
+        '.pyeditor': { 'launch.json': JSON.stringify({ configurations }) },
+    });
+}
+
+/**
+ * Run a named configuration over the execution socket
+ * @returns {Promise<Object>} { stdout, stderr, exit, error }
+ */
+function runConfiguration(port, configuration, file) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://localhost:${port}/ws/execute`);
+        const result = { stdout: '', stderr: '', exit: null, error: null };
+
+        ws.on('open', () => {
+            ws.send(JSON.stringify({ type: 'run', configuration, file }));
+        });
+
+        ws.on('message', (raw) => {
+            const message = JSON.parse(raw);
+            if (message.type === 'stdout') {
+                result.stdout += message.data;
+            } else if (message.type === 'stderr') {
+                result.stderr += message.data;
+            } else if (message.type === 'exit' || message.type === 'error') {
+                result.exit = message.type === 'exit' ? message : null;
+                result.error = message.type === 'error' ? message.message : null;
+                ws.close();
+                resolve(result);
+            }
+        });
+
+        ws.on('error', reject);
+    });
+}
+
+describe('User Scenario: Run Configurations', () => {
+    let app;
+    let server;
+    let wss;
+    let port;
+
+    beforeAll((done) => {
+        app = express();
+        app.use(express.json());
+        app.use('/api', executionRouter);
+
+        server = http.createServer(app);
+        wss = new WebSocket.Server({ server });
+        wss.on('connection', (ws, req) => handleExecutionSocket(ws, req));
+        server.listen(0, () => {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        wss.close();
+        server.close(done);
+    });
+
+    describe('Scenario: Developer lists saved configurations', () => {
+        it('should return an empty list when launch.json does not exist', async () => {
+            const response = await request(app).get('/api/launch-configurations');
+
+            expect(response.status).toBe(200);
+            expect(response.body.configurations).toEqual([]);
+        });
+
+        it('should return configurations from .pyeditor/launch.json', async () => {
+            await createProject([
+                { name: 'Main', program: 'main.py' },
+                { name: 'CLI', module: 'tools.cli' },
+            ]);
+
+            const response = await request(app).get('/api/launch-configurations');
+
+            expect(response.status).toBe(200);
+            expect(response.body.configurations.map((c) => c.name)).toEqual(['Main', 'CLI']);
+        });
+
+        it('should report an invalid launch.json', async () => {
+            await createTestStructure({ '.pyeditor': { 'launch.json': '{ not json' } });
+
+            const response = await request(app).get('/api/launch-configurations');
+
+            expect(response.status).toBe(500);
+            expect(response.body.error).toContain('Invalid');
+        });
+    });
+
+    describe('Scenario: Developer runs a script with arguments and environment', () => {
+        it('should pass args, env and cwd to the program', async () => {
+            await createProject(
+                [
+                    {
+                        name: 'Report',
+                        program: 'app/report.py',
+                        args: ['--year', '2024'],
+                        env: { REPORT_MODE: 'full' },
+                        cwd: 'app',
+                    },
+                ],
+                {
+                    app: {
+                        'report.py': [
+                            'import os, sys',
+                            'print(sys.argv[1:])',
+                            'print(os.environ["REPORT_MODE"])',
+                            'print(os.path.basename(os.getcwd()))',
+                            'print(os.path.basename(__file__))',
+                        ].join('\n'),
+                    },
+                }
+            );
+
+            const result = await runConfiguration(port, 'Report');
+
+            expect(result.exit.exitCode).toBe(0);
+            expect(result.stdout).toContain("['--year', '2024']");
+            expect(result.stdout).toContain('full');
+            expect(result.stdout).toContain('app\n');
+            expect(result.stdout).toContain('report.py');
+        });
+
+        it('should run a module with -m from the workspace folder', async () => {
+            await createProject([{ name: 'CLI', module: 'tools.cli', args: ['sync'] }], {
+                tools: {
+                    '__init__.py': '',
+                    'cli.py': 'import sys\nprint(__name__, sys.argv[1])',
+                },
+            });
+
+            const result = await runConfiguration(port, 'CLI');
+
+            expect(result.stdout).toContain('__main__ sync');
+        });
+
+        it('should substitute ${file} with the active file', async () => {
+            await createProject([{ name: 'Current File', program: '${file}' }], {
+                'hello.py': 'print("hello from the active file")',
+            });
+
+            const result = await runConfiguration(port, 'Current File', 'hello.py');
+
+            expect(result.stdout).toContain('hello from the active file');
+        });
+
+        it('should stop the run after the configured timeout', async () => {
+            await createProject([{ name: 'Slow', program: 'slow.py', timeout: 0.3 }], {
+                'slow.py': 'import time\ntime.sleep(10)',
+            });
+
+            const result = await runConfiguration(port, 'Slow');
+
+            expect(result.exit.status).toBe('timeout');
+        });
+    });
+
+    describe('Scenario: Configuration is invalid', () => {
+        it('should report an unknown configuration', async () => {
+            const result = await runConfiguration(port, 'Missing');
+
+            expect(result.error).toContain('Run configuration not found');
+        });
+
+        it('should refuse programs outside the workspace folder', async () => {
+            await createProject([{ name: 'Escape', program: '../../outside.py' }]);
+
+            const result = await runConfiguration(port, 'Escape');
+
+            expect(result.error).toContain('Path outside workspace');
+        });
+
+        it('should require a program or module', async () => {
+            await createProject([{ name: 'Empty', args: ['x'] }]);
+
+            const result = await runConfiguration(port, 'Empty');
+
+            expect(result.error).toContain('needs a "program" or "module"');
+        });
+    });
+});
@@ -0,0 +1,314 @@
+/**
+ * Integration Tests - Package Manager Scenarios
+ * Tests real user scenarios for installing packages on an air-gapped server
+ */
+
+const http = require('http');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const request = require('supertest');
+const express = require('express');
+const WebSocket = require('ws');
+
+// Mock pathUtils so the workspace folder is the test workspace
+jest.mock('../../utils/pathUtils', () => require('../helpers/mockPathUtils'));
+
+const packagesRouter = require('../../routes/packages');
+const executionService = require('../../services/executionService');
+const interpreterService = require('../../services/interpreterService');
+const packageService = require('../../services/packageService');
+const { getExecutionScheduler } = require('../../services/executionScheduler');
+const { handlePackageSocket } = require('../../sockets/packageSocket');
+const { createTestStructure, waitFor } = require('../helpers/testUtils');
+
+// Builds a minimal pure-Python wheel: <folder>/<name>-<version>-py3-none-any.whl
+const BUILD_WHEEL = `
+import sys, zipfile
+folder, name, version = sys.argv[1:4]
+dist_info = f"{name}-{version}.dist-info"
+files = {
+    f"{name}/__init__.py": f"VERSION = {version!r}\\n",
+    f"{dist_info}/METADATA": f"Metadata-Version: 2.1\\nName: {name}\\nVersion: {version}\\n",
+    f"{dist_info}/WHEEL": "Wheel-Version: 1.0\\nRoot-Is-Purelib: true\\nTag: py3-none-any\\n",
+}
+files[f"{dist_info}/RECORD"] = "".join(f"{path},,\\n" for path in [*files, f"{dist_info}/RECORD"])
+with zipfile.ZipFile(f"{folder}/{name}-{version}-py3-none-any.whl", "w") as wheel:
+    for path, content in files.items():
+        wheel.writestr(path, content)
+`;
+
+/**
+ * Put wheels into a wheelhouse folder of the test workspace
+ */
+async function createWheelhouse(folder, wheels) {
+    await createTestStructure({ [folder]: {} });
+    wheels.forEach(([name, version]) => {
+        execFileSync('python3', [
+            '-c',
+            BUILD_WHEEL,
+            path.join(global.TEST_WORKSPACE, folder),
+            name,
+            version,
+        ]);
+    });
+}
+
+/**
+ * Create and choose a virtual environment that uses the server's pip
+ * (installing pip into it is slow; packages still go into the environment)
+ */
+async function createProjectVenv() {
+    execFileSync('python3', [
+        '-m',
+        'venv',
+        '--without-pip',
+        '--system-site-packages',
+        path.join(global.TEST_WORKSPACE, '.venv'),
+    ]);
+    await interpreterService.selectInterpreter(global.TEST_WORKSPACE, '.venv');
+}
+
+function hasPip() {
+    try {
+        execFileSync('python3', ['-m', 'pip', '--version'], { stdio: 'ignore' });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Send a package request and collect every message until exit
+ */
+function sendPackageRequest(port, message) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://localhost:${port}/ws/packages`);
+        const messages = [];
+
+        ws.on('open', () => {
+            ws.send(JSON.stringify(message));
+        });
+
+        ws.on('message', (raw) => {
+            const received = JSON.parse(raw);
+            messages.push(received);
+            if (received.type === 'exit' || received.type === 'error') {
+                ws.close();
+                resolve(messages);
+            }
+        });
+
+        ws.on('error', reject);
+    });
+}
+
+function outputOf(messages) {
+    return messages
+        .filter((message) => message.type === 'output')
+        .map((message) => message.data)
+        .join('');
+}
+
+function findPackage(packages, name) {
+    return packages.find((p) => p.name === name);
+}
+
+describe('User Scenario: Package Manager', () => {
+    let app;
+    let server;
+    let wss;
+    let port;
+
+    beforeAll((done) => {
+        app = express();
+        app.use('/api', packagesRouter);
+        server = http.createServer(app);
+        wss = new WebSocket.Server({ server });
+        wss.on('connection', (ws, req) => handlePackageSocket(ws, req));
+        server.listen(0, () => {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        wss.close();
+        server.close(done);
+    });
+
+    describe('Scenario: Developer looks at installed packages', () => {
+        it('should list the packages of the chosen environment with versions', async () => {
+            execFileSync('python3', [
+                '-m',
+                'venv',
+                '--without-pip',
+                path.join(global.TEST_WORKSPACE, '.venv'),
+            ]);
+            await interpreterService.selectInterpreter(global.TEST_WORKSPACE, '.venv');
+
+            const response = await request(app).get('/api/packages').expect(200);
+
+            expect(response.body.interpreter.venv).toBe('.venv');
+            expect(response.body.packages).toEqual([]);
+        });
+
+        it('should list the packages of python3 without an environment', async () => {
+            const response = await request(app).get('/api/packages').expect(200);
+
+            expect(response.body.interpreter.venv).toBeNull();
+            expect(response.body.packages.length).toBeGreaterThan(0);
+            expect(response.body.packages[0]).toEqual({
+                name: expect.any(String),
+                version: expect.any(String),
+            });
+        });
+    });
+
+    describe('Scenario: Developer installs packages on an air-gapped server', () => {
+        (hasPip() ? it : it.skip)(
+            'should install, upgrade and uninstall from a wheelhouse in the workspace',
+            async () => {
+                await createProjectVenv();
+                await createWheelhouse('wheels', [['demo_pkg', '1.0.0']]);
+
+                const installed = await sendPackageRequest(port, {
+                    type: 'install',
+                    packages: ['demo_pkg'],
+                    wheelhouse: 'wheels',
+                });
+                const exit = installed[installed.length - 1];
+
+                expect(installed[0]).toMatchObject({
+                    type: 'started',
+                    args: expect.arrayContaining(['install', '--no-index', 'demo_pkg']),
+                });
+                expect(exit).toMatchObject({ type: 'exit', exitCode: 0 });
+                expect(outputOf(installed)).toContain('Successfully installed demo_pkg-1.0.0');
+                expect(findPackage(exit.packages, 'demo_pkg')).toEqual({
+                    name: 'demo_pkg',
+                    version: '1.0.0',
+                });
+
+                await createWheelhouse('wheels', [['demo_pkg', '1.1.0']]);
+                const upgraded = await sendPackageRequest(port, {
+                    type: 'install',
+                    packages: ['demo_pkg'],
+                    upgrade: true,
+                    wheelhouse: 'wheels',
+                });
+                expect(
+                    findPackage(upgraded[upgraded.length - 1].packages, 'demo_pkg').version
+                ).toBe('1.1.0');
+
+                const removed = await sendPackageRequest(port, {
+                    type: 'uninstall',
+                    packages: ['demo_pkg'],
+                });
+                expect(
+                    findPackage(removed[removed.length - 1].packages, 'demo_pkg')
+                ).toBeUndefined();
+            },
+            60000
+        );
+
+        (hasPip() ? it : it.skip)(
+            'should install the requirements of requirements.txt and pyproject.toml',
+            async () => {
+                await createProjectVenv();
+                await createWheelhouse('wheels', [
+                    ['alpha_pkg', '1.0.0'],
+                    ['beta_pkg', '2.0.0'],
+                ]);
+                await createTestStructure({
+                    'requirements.txt': 'alpha_pkg==1.0.0\n',
+                    'pyproject.toml':
+                        '[project]\nname = "app"\nversion = "0.1.0"\ndependencies = ["beta_pkg>=2"]\n',
+                });
+
+                const fromRequirements = await sendPackageRequest(port, {
+                    type: 'requirements',
+                    file: 'requirements.txt',
+                    wheelhouse: 'wheels',
+                });
+                const fromPyproject = await sendPackageRequest(port, {
+                    type: 'requirements',
+                    file: 'pyproject.toml',
+                    wheelhouse: 'wheels',
+                });
+                const packages = fromPyproject[fromPyproject.length - 1].packages;
+
+                expect(fromRequirements[fromRequirements.length - 1].exitCode).toBe(0);
+                expect(fromPyproject[0].args).toContain('beta_pkg>=2');
+                expect(findPackage(packages, 'alpha_pkg').version).toBe('1.0.0');
+                expect(findPackage(packages, 'beta_pkg').version).toBe('2.0.0');
+            },
+            60000
+        );
+
+        it('should refuse to change the packages of the server python3', async () => {
+            const messages = await sendPackageRequest(port, {
+                type: 'install',
+                packages: ['demo_pkg'],
+            });
+
+            expect(messages).toEqual([
+                {
+                    type: 'error',
+                    message:
+                        'Packages can only be changed in a virtual environment: choose or create one first',
+                },
+            ]);
+        });
+
+        it('should stop pip when the page closed while it was starting', async () => {
+            // pip that takes its time to start and then runs until it is stopped
+            let finishStart;
+            const runs = [];
+            jest.spyOn(packageService, 'startPip').mockImplementationOnce(
+                async (basePath, request, handlers) => {
+                    await new Promise((resolve) => {
+                        finishStart = resolve;
+                    });
+                    const run = await executionService.startExecution(
+                        'input()',
+                        { basePath },
+                        handlers
+                    );
+                    runs.push(run);
+                    return { run, args: ['install', 'demo_pkg'] };
+                }
+            );
+
+            try {
+                const ws = new WebSocket(`ws://localhost:${port}/ws/packages`);
+                await new Promise((resolve) => ws.on('open', resolve));
+                ws.send(JSON.stringify({ type: 'install', packages: ['demo_pkg'] }));
+                await waitFor(() => finishStart);
+
+                ws.close();
+                await waitFor(() => ws.readyState === WebSocket.CLOSED);
+                // The slot stays taken until pip has been stopped
+                expect(getExecutionScheduler().getStats().running).toBe(1);
+
+                finishStart();
+                await waitFor(() => runs.length === 1 && !executionService.isRunning(runs[0].id));
+                await waitFor(() => getExecutionScheduler().getStats().running === 0);
+            } finally {
+                jest.restoreAllMocks();
+            }
+        });
+
+        it('should refuse pip options in place of packages', async () => {
+            await createProjectVenv();
+
+            const messages = await sendPackageRequest(port, {
+                type: 'install',
+                packages: ['--index-url=http://example.com', 'demo_pkg'],
+            });
+
+            expect(messages).toEqual([
+                { type: 'error', message: 'Invalid package: --index-url=http://example.com' },
+            ]);
+        });
+    });
+});
@@ -0,0 +1,185 @@
+/**
+ * Integration Tests - Profiler Scenarios
+ * Tests real user scenarios for finding out why code is slow
+ */
+
+const fs = require('fs').promises;
+const request = require('supertest');
+const express = require('express');
+
+// Mock pathUtils so the workspace folder is the test workspace
+jest.mock('../../utils/pathUtils', () => require('../helpers/mockPathUtils'));
+
+const profilerRouter = require('../../routes/profiler');
+const { createTestStructure } = require('../helpers/testUtils');
+
+const HANDLER = `import sys
+import time
+
+from helpers import parse
+
+
+def slow_query():
+    time.sleep(0.2)
+
+
+def handle():
+    for _ in range(3):
+        parse("a=1")
+    slow_query()
+
+
+handle()
+print("handled", sys.argv[1:])
+`;
+
+const HELPERS = `def parse(text):
+    return dict(item.split("=") for item in text.split("&"))
+`;
+
+function findFunction(profile, name) {
+    return profile.functions.find((f) => f.name === name);
+}
+
+/**
+ * Names along the flame graph's heaviest path
+ */
+function hottestPath(profile) {
+    const names = [];
+    let node = profile.flame;
+    while (node) {
+        names.push(profile.functions[node.function].name);
+        node = node.children[0];
+    }
+    return names;
+}
+
+describe('User Scenario: Profiler', () => {
+    let app;
+
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api', profilerRouter);
+    });
+
+    describe('Scenario: Developer profiles a slow handler', () => {
+        beforeEach(async () => {
+            await createTestStructure({
+                'app/handler.py': HANDLER,
+                'app/helpers.py': HELPERS,
+            });
+        });
+
+        it('should return call counts and times for each function', async () => {
+            const response = await request(app)
+                .post('/api/profile')
+                .send({ file: 'app/handler.py', args: ['--verbose'] })
+                .expect(200);
+            const { profile } = response.body;
+
+            expect(response.body.exitCode).toBe(0);
+            expect(response.body.output).toBe("handled ['--verbose']\n");
+            expect(profile.totalTime).toBeGreaterThanOrEqual(0.2);
+
+            expect(findFunction(profile, 'parse')).toMatchObject({
+                file: 'app/helpers.py',
+                line: 1,
+                calls: 3,
+                primitiveCalls: 3,
+            });
+            const slowQuery = findFunction(profile, 'slow_query');
+            expect(slowQuery).toMatchObject({ file: 'app/handler.py', line: 7, calls: 1 });
+            expect(slowQuery.cumulativeTime).toBeGreaterThanOrEqual(0.2);
+            expect(slowQuery.ownTime).toBeLessThan(0.1);
+
+            const sleep = findFunction(profile, '<built-in method time.sleep>');
+            expect(sleep).toMatchObject({ file: null, line: null });
+            expect(sleep.ownTime).toBeGreaterThanOrEqual(0.2);
+        });
+
+        it('should sort functions by cumulative time and build the call tree', async () => {
+            const response = await request(app)
+                .post('/api/profile')
+                .send({ file: 'app/handler.py' })
+                .expect(200);
+            const { profile } = response.body;
+
+            expect(profile.functions[0]).toMatchObject({ id: 0, name: '<module>' });
+            const cumulative = profile.functions.map((f) => f.cumulativeTime);
+            expect(cumulative).toEqual([...cumulative].sort((a, b) => b - a));
+
+            expect(hottestPath(profile)).toEqual([
+                '<module>',
+                'handle',
+                'slow_query',
+                '<built-in method time.sleep>',
+            ]);
+            expect(profile.flame.time).toBe(profile.totalTime);
+        });
+    });
+
+    describe('Scenario: Profiled program fails', () => {
+        it('should keep the profile and show the traceback without profiler frames', async () => {
+            await createTestStructure({
+                'crash.py':
+                    'def work():\n    return sum(range(1000))\n\nwork()\nraise ValueError("boom")\n',
+            });
+
+            const response = await request(app)
+                .post('/api/profile')
+                .send({ file: 'crash.py' })
+                .expect(200);
+
+            expect(response.body.exitCode).toBe(1);
+            expect(response.body.error).toContain('ValueError: boom');
+            expect(response.body.error).not.toContain('pyeditor_profile');
+            expect(findFunction(response.body.profile, 'work').calls).toBe(1);
+        });
+
+        it('should return no profile for a syntax error', async () => {
+            await createTestStructure({ 'broken.py': 'def broken(:\n' });
+
+            const response = await request(app)
+                .post('/api/profile')
+                .send({ file: 'broken.py' })
+                .expect(200);
+
+            expect(response.body.profile).toBeNull();
+            expect(response.body.error).toContain('SyntaxError');
+        });
+
+        it('should report a profile cut off while it was written as incomplete', async () => {
+            await createTestStructure({ 'handler.py': 'print("done")\n' });
+            const { readFile } = fs;
+            jest.spyOn(fs, 'readFile').mockImplementation((file, ...args) =>
+                /profile_[^/]*\.json$/.test(String(file))
+                    ? Promise.resolve('{"totalTime": 0.2, "functions": [{"na')
+                    : readFile(file, ...args)
+            );
+
+            try {
+                const response = await request(app)
+                    .post('/api/profile')
+                    .send({ file: 'handler.py' })
+                    .expect(200);
+
+                expect(response.body).toMatchObject({ profile: null, status: 'incomplete' });
+                expect(response.body.output).toBe('done\n');
+            } finally {
+                jest.restoreAllMocks();
+            }
+        });
+
+        it('should refuse files outside the workspace', async () => {
+            const missing = await request(app).post('/api/profile').send({}).expect(400);
+            const outside = await request(app)
+                .post('/api/profile')
+                .send({ file: '../outside.py' })
+                .expect(500);
+
+            expect(missing.body.error).toBe('No file to profile');
+            expect(outside.body.error).toBe('Access denied: Path outside workspace');
+        });
+    });
+});
@@ -0,0 +1,341 @@
+/**
+ * Integration Tests - Run History Scenarios
+ * Tests real user scenarios for reopening and repeating earlier runs
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const request = require('supertest');
+const express = require('express');
+const WebSocket = require('ws');
+
+// Mock pathUtils so the workspace folder is the test workspace
+jest.mock('../../utils/pathUtils', () => require('../helpers/mockPathUtils'));
+
+const runHistoryRouter = require('../../routes/runHistory');
+const runHistoryService = require('../../services/runHistoryService');
+const { handleExecutionSocket } = require('../../sockets/executionSocket');
+const { createTestStructure } = require('../helpers/testUtils');
+
+/**
+ * Send a run (or rerun) message and collect every message until exit
+ * @param {Function} onMessage - Optional hook called with (message, ws) for each message
+ */
+function runOverSocket(port, runMessage, onMessage = () => {}) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://localhost:${port}/ws/execute`);
+        const messages = [];
+
+        ws.on('open', () => {
+            ws.send(JSON.stringify(runMessage));
+        });
+
+        ws.on('message', (raw) => {
+            const message = JSON.parse(raw);
+            messages.push(message);
+            onMessage(message, ws);
+            if (message.type === 'exit' || message.type === 'error') {
+                ws.close();
+                resolve(messages);
+            }
+        });
+
+        ws.on('error', reject);
+    });
+}
+
+const PROMPT = 'name = input("Name: ")\nprint(f"Hello, {name}!")';
+
+// Saves a figure the way python/pyeditor_mpl_backend.py does, without needing matplotlib
+const REPORT_FIGURE = `import json, os
+print("before")
+os.makedirs(os.environ["PYEDITOR_ARTIFACT_DIR"], exist_ok=True)
+with open(os.path.join(os.environ["PYEDITOR_ARTIFACT_DIR"], "figure_1.svg"), "w") as f:
+    f.write("<svg xmlns='http://www.w3.org/2000/svg'/>")
+event = {"event": "figure", "name": "figure_1.svg", "mime": "image/svg+xml"}
+print(f"\\x1b]pyeditor;{json.dumps(event)}\\x07", end="")
+print("after")`;
+
+function hasMatplotlib() {
+    try {
+        execFileSync('python3', ['-c', 'import matplotlib'], { stdio: 'ignore' });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+describe('User Scenario: Run History', () => {
+    let app;
+    let server;
+    let wss;
+    let port;
+
+    beforeAll((done) => {
+        app = express();
+        app.use(express.json());
+        app.use('/api', runHistoryRouter);
+
+        server = http.createServer(app);
+        wss = new WebSocket.Server({ server });
+        wss.on('connection', (ws, req) => handleExecutionSocket(ws, req));
+        server.listen(0, () => {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        wss.close();
+        server.close(done);
+    });
+
+    describe('Scenario: Developer looks back at earlier runs', () => {
+        it('should list runs newest first with exit code and duration', async () => {
+            await runOverSocket(port, {
+                type: 'run',
+                code: 'print("first")',
+                filename: 'a.py',
+                file: 'src/a.py',
+            });
+            await runOverSocket(port, {
+                type: 'run',
+                code: 'raise SystemExit(3)',
+                filename: 'b.py',
+                file: 'b.py',
+            });
+
+            const response = await request(app).get('/api/runs').expect(200);
+
+            expect(response.body.runs.map((r) => [r.file, r.status, r.exitCode])).toEqual([
+                ['b.py', 'exited', 3],
+                ['src/a.py', 'exited', 0],
+            ]);
+            expect(response.body.runs[0].mode).toBe('buffer');
+            expect(response.body.runs[0].executionTime).toBeGreaterThan(0);
+            expect(Date.parse(response.body.runs[0].startedAt)).not.toBeNaN();
+        });
+
+        it('should reopen a run with its output and typed input', async () => {
+            const messages = await runOverSocket(
+                port,
+                { type: 'run', code: PROMPT, filename: 'hello.py', file: 'hello.py' },
+                (message, ws) => {
+                    if (message.type === 'stdout' && message.data.includes('Name:')) {
+                        ws.send(JSON.stringify({ type: 'stdin', data: 'Alice\n' }));
+                    }
+                }
+            );
+            const runId = messages.find((m) => m.type === 'started').runId;
+
+            const response = await request(app).get(`/api/runs/${runId}`).expect(200);
+
+            expect(response.body.input).toBe('Alice\n');
+            expect(response.body.request.code).toBe(PROMPT);
+            expect(response.body.output.map((chunk) => chunk.data).join('')).toBe(
+                'Name: Alice\nHello, Alice!\n'
+            );
+            expect(response.body.output.find((chunk) => chunk.stream === 'stdin').data).toBe(
+                'Alice\n'
+            );
+        });
+
+        it('should return 404 for runs that are not in the history', async () => {
+            await request(app).get('/api/runs/run_123_missing').expect(404);
+            await request(app).get('/api/runs/..%2F..%2Fetc%2Fpasswd').expect(404);
+        });
+    });
+
+    describe('Scenario: Developer re-runs an earlier attempt', () => {
+        it('should run the same code again with the same input', async () => {
+            const first = await runOverSocket(
+                port,
+                { type: 'run', code: PROMPT, filename: 'hello.py', file: 'hello.py' },
+                (message, ws) => {
+                    if (message.type === 'stdout' && message.data.includes('Name:')) {
+                        ws.send(JSON.stringify({ type: 'stdin', data: 'Bob\n' }));
+                    }
+                }
+            );
+            const firstId = first.find((m) => m.type === 'started').runId;
+
+            const second = await runOverSocket(port, { type: 'rerun', runId: firstId });
+            const started = second.find((m) => m.type === 'started');
+            const stdout = second
+                .filter((m) => m.type === 'stdout')
+                .map((m) => m.data)
+                .join('');
+
+            expect(started.rerunOf).toBe(firstId);
+            expect(stdout).toContain('Hello, Bob!');
+
+            const response = await request(app).get('/api/runs').expect(200);
+            expect(response.body.runs[0]).toMatchObject({ id: started.runId, rerunOf: firstId });
+        });
+
+        it('should re-run a saved file in place', async () => {
+            await createTestStructure({ 'tool.py': 'print("v1")' });
+            const first = await runOverSocket(port, { type: 'run', mode: 'file', file: 'tool.py' });
+            const firstId = first.find((m) => m.type === 'started').runId;
+
+            await createTestStructure({ 'tool.py': 'print("v2")' });
+            const second = await runOverSocket(port, { type: 'rerun', runId: firstId });
+
+            const stdout = second
+                .filter((m) => m.type === 'stdout')
+                .map((m) => m.data)
+                .join('');
+
+            expect(stdout).toBe('v2\n');
+        });
+
+        it('should report runs that are no longer in the history', async () => {
+            const messages = await runOverSocket(port, { type: 'rerun', runId: 'run_1_gone' });
+
+            expect(messages).toEqual([{ type: 'error', message: 'Run not found in history' }]);
+        });
+    });
+
+    describe('Scenario: Data scientist plots results from a script', () => {
+        it('should show figures in order with the output and serve their images', async () => {
+            const messages = await runOverSocket(port, {
+                type: 'run',
+                code: REPORT_FIGURE,
+                filename: 'plot.py',
+            });
+            const runId = messages.find((m) => m.type === 'started').runId;
+
+            // Output may arrive in any number of chunks; only the order matters
+            const order = messages.map((m) => m.type).filter((type, i, all) => type !== all[i - 1]);
+            expect(order).toEqual(['started', 'stdout', 'figure', 'stdout', 'exit']);
+            expect(messages.find((m) => m.type === 'figure')).toEqual({
+                type: 'figure',
+                name: 'figure_1.svg',
+                mime: 'image/svg+xml',
+            });
+
+            const image = await request(app)
+                .get(`/api/runs/${runId}/artifacts/figure_1.svg`)
+                .expect(200);
+            expect(image.headers['content-type']).toContain('image/svg+xml');
+
+            const response = await request(app).get(`/api/runs/${runId}`).expect(200);
+            expect(response.body.output.map((chunk) => chunk.stream)).toEqual([
+                'stdout',
+                'figure',
+                'stdout',
+            ]);
+        });
+
+        (hasMatplotlib() ? it : it.skip)('should save figures shown with plt.show()', async () => {
+            const messages = await runOverSocket(port, {
+                type: 'run',
+                code: 'import matplotlib.pyplot as plt\nplt.plot([1, 2, 3])\nplt.show()',
+                filename: 'plot.py',
+            });
+            const runId = messages.find((m) => m.type === 'started').runId;
+            const figure = messages.find((m) => m.type === 'figure');
+
+            expect(figure).toMatchObject({ name: 'figure_1.png', mime: 'image/png' });
+            await request(app).get(`/api/runs/${runId}/artifacts/figure_1.png`).expect(200);
+        });
+
+        it('should list the workspace files a run created or modified', async () => {
+            await createTestStructure({ 'data.csv': 'a,b\n', 'notes.txt': 'keep' });
+
+            const messages = await runOverSocket(port, {
+                type: 'run',
+                code: [
+                    'open("data.csv", "a").write("1,2\\n")',
+                    'import os',
+                    'os.makedirs("out", exist_ok=True)',
+                    'open("out/result.png", "wb").write(b"png")',
+                ].join('\n'),
+                filename: 'save.py',
+            });
+            const exit = messages.find((m) => m.type === 'exit');
+
+            expect(exit.files).toEqual([
+                { path: 'data.csv', change: 'modified' },
+                { path: 'out/result.png', change: 'created' },
+            ]);
+            const response = await request(app).get(`/api/runs/${exit.runId}`).expect(200);
+            expect(response.body.files).toEqual(exit.files);
+        });
+
+        it('should drop the figures of runs that fall out of the history', async () => {
+            const basePath = global.TEST_WORKSPACE;
+            const artifactDir = path.join(runHistoryService.getArtifactRoot(basePath), 'run_0_old');
+            fs.mkdirSync(artifactDir, { recursive: true });
+            fs.writeFileSync(path.join(artifactDir, 'figure_1.png'), 'png');
+
+            for (let i = 0; i <= runHistoryService.MAX_RUNS; i++) {
+                const record = runHistoryService.createRecord(`run_${i}_old`, { code: '' });
+                runHistoryService.finishRecord(record, { status: 'exited', exitCode: 0 });
+                await runHistoryService.saveRun(basePath, record);
+            }
+
+            expect(fs.existsSync(artifactDir)).toBe(false);
+        });
+
+        it("should only serve files from the run's artifact folder", async () => {
+            const messages = await runOverSocket(port, {
+                type: 'run',
+                code: REPORT_FIGURE,
+                filename: 'plot.py',
+            });
+            const runId = messages.find((m) => m.type === 'started').runId;
+
+            await request(app).get(`/api/runs/${runId}/artifacts/figure_9.png`).expect(404);
+            await request(app).get(`/api/runs/${runId}/artifacts/..%2F..%2Findex.json`).expect(404);
+            await request(app).get('/api/runs/..%2Fx/artifacts/figure_1.svg').expect(404);
+        });
+    });
+
+    describe('Scenario: History stays bounded', () => {
+        it('should keep only the most recent runs', async () => {
+            const basePath = global.TEST_WORKSPACE;
+            for (let i = 0; i < runHistoryService.MAX_RUNS + 2; i++) {
+                const record = runHistoryService.createRecord(`run_${i}_test`, {
+                    code: `print(${i})`,
+                    filename: 'loop.py',
+                });
+                runHistoryService.finishRecord(record, {
+                    status: 'exited',
+                    exitCode: 0,
+                    executionTime: 10,
+                });
+                await runHistoryService.saveRun(basePath, record);
+            }
+
+            const runs = await runHistoryService.listRuns(basePath);
+            expect(runs).toHaveLength(runHistoryService.MAX_RUNS);
+            expect(runs[0].id).toBe(`run_${runHistoryService.MAX_RUNS + 1}_test`);
+            expect(await runHistoryService.getRun(basePath, 'run_0_test')).toBeNull();
+        });
+
+        it('should cut off very long output', async () => {
+            const record = runHistoryService.createRecord('run_1_big', { code: '' });
+            runHistoryService.appendOutput(
+                record,
+                'stdout',
+                'x'.repeat(runHistoryService.MAX_OUTPUT_SIZE)
+            );
+            runHistoryService.appendOutput(record, 'stderr', 'more');
+
+            expect(record.truncated).toBe(true);
+            expect(record.output).toHaveLength(1);
+        });
+
+        it('should clear the history', async () => {
+            await runOverSocket(port, { type: 'run', code: 'print(1)', filename: 'x.py' });
+
+            await request(app).delete('/api/runs').expect(200);
+
+            const response = await request(app).get('/api/runs').expect(200);
+            expect(response.body.runs).toEqual([]);
+        });
+    });
+});
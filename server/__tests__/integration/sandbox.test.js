@@ -0,0 +1,183 @@
+/**
+ * Integration Tests - Execution Sandbox Scenarios
+ * Tests real user scenarios for runs on a shared server: limits, temp folders and environment
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const executionService = require('../../services/executionService');
+
+const SANDBOX_PATH = path.join(__dirname, '..', '..', 'python', 'pyeditor_sandbox.py');
+
+/**
+ * Check whether the kernel can confine writes (Landlock)
+ */
+function canConfineWrites() {
+    try {
+        const output = execFileSync('python3', [SANDBOX_PATH, '--check'], { encoding: 'utf8' });
+        return JSON.parse(output).landlock !== null;
+    } catch (error) {
+        return false;
+    }
+}
+
+function run(code, options = {}) {
+    return executionService.executeCode(code, {
+        filename: 'script.py',
+        basePath: global.TEST_WORKSPACE,
+        ...options,
+    });
+}
+
+describe('User Scenario: Sandboxed Execution', () => {
+    describe('Scenario: Teammate runs a script that writes files', () => {
+        let outside;
+
+        beforeEach(() => {
+            outside = fs.mkdtempSync(path.join(os.tmpdir(), 'pyeditor-outside-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(outside, { recursive: true, force: true });
+        });
+
+        (canConfineWrites() ? it : it.skip)(
+            'should allow writes in the workspace folder and block them elsewhere',
+            async () => {
+                const result = await run(
+                    [
+                        'open("inside.txt", "w").write("ok")',
+                        `open(${JSON.stringify(path.join(outside, 'other.txt'))}, "w")`,
+                    ].join('\n')
+                );
+
+                expect(
+                    fs.readFileSync(path.join(global.TEST_WORKSPACE, 'inside.txt'), 'utf8')
+                ).toBe('ok');
+                expect(fs.existsSync(path.join(outside, 'other.txt'))).toBe(false);
+                expect(result.error).toContain('PermissionError');
+                expect(result.limit).toEqual({
+                    limit: 'filesystem',
+                    message:
+                        'Permission denied: programs can only write inside the workspace folder',
+                });
+            }
+        );
+
+        it('should give each run its own temp folder and remove it afterwards', async () => {
+            const code = [
+                'import os, tempfile',
+                'with tempfile.NamedTemporaryFile(delete=False) as f:',
+                '    f.write(b"scratch")',
+                'print(tempfile.gettempdir())',
+                'print(os.path.dirname(f.name) == tempfile.gettempdir())',
+                'print(os.path.expanduser("~") == tempfile.gettempdir())',
+            ].join('\n');
+
+            const first = await run(code);
+            const second = await run(code);
+            const [tempDir, inTempDir, isHome] = first.output.trim().split('\n');
+
+            expect(first.exitCode).toBe(0);
+            expect(inTempDir).toBe('True');
+            expect(isHome).toBe('True');
+            expect(second.output.split('\n')[0]).not.toBe(tempDir);
+            expect(fs.existsSync(tempDir)).toBe(false);
+        });
+    });
+
+    describe('Scenario: Script looks for secrets in its environment', () => {
+        afterEach(() => {
+            delete process.env.PYEDITOR_TEST_SECRET;
+            delete process.env.SANDBOX_ENV;
+        });
+
+        it('should not pass the server environment to programs', async () => {
+            process.env.PYEDITOR_TEST_SECRET = 'hunter2';
+
+            const result = await run(
+                'import os\nprint(os.environ.get("PYEDITOR_TEST_SECRET"))\nprint("PATH" in os.environ)'
+            );
+
+            expect(result.output).toBe('None\nTrue\n');
+        });
+
+        it('should pass variables the administrator allowed and those of the run', async () => {
+            process.env.PYEDITOR_TEST_SECRET = 'shared';
+            process.env.SANDBOX_ENV = 'PYEDITOR_TEST_SECRET';
+
+            const result = await run(
+                'import os\nprint(os.environ["PYEDITOR_TEST_SECRET"], os.environ["MODE"])',
+                { env: { MODE: 'debug' } }
+            );
+
+            expect(result.output).toBe('shared debug\n');
+        });
+    });
+
+    describe('Scenario: Runaway script on a shared server', () => {
+        it('should stop a run that uses up its CPU time', async () => {
+            const result = await run('while True:\n    pass', {
+                limits: { cpuSeconds: 1 },
+                timeout: 10000,
+            });
+
+            expect(result.status).toBe('exited');
+            expect(result.limit).toEqual({
+                limit: 'cpuSeconds',
+                message: 'CPU time limit of 1s exceeded',
+            });
+        });
+
+        it('should report a run that runs out of memory', async () => {
+            const result = await run('data = bytearray(512 * 1024 * 1024)', {
+                limits: { memoryMb: 256 },
+            });
+
+            expect(result.exitCode).not.toBe(0);
+            expect(result.error).toContain('MemoryError');
+            expect(result.limit).toEqual({
+                limit: 'memoryMb',
+                message: 'Memory limit of 256 MB exceeded',
+            });
+        });
+
+        it('should report a run that opens too many files', async () => {
+            const result = await run('files = [open(__file__) for _ in range(100)]', {
+                limits: { openFiles: 32 },
+            });
+
+            expect(result.limit).toMatchObject({ limit: 'openFiles' });
+        });
+
+        it('should not blame limits for ordinary failures', async () => {
+            const result = await run('raise ValueError("bad input")');
+
+            expect(result.exitCode).toBe(1);
+            expect(result.limit).toBeNull();
+        });
+    });
+
+    describe('Scenario: Administrator turns the sandbox off', () => {
+        afterEach(() => {
+            delete process.env.SANDBOX;
+            delete process.env.PYEDITOR_TEST_SECRET;
+        });
+
+        it('should run with the server environment and without limits', async () => {
+            process.env.SANDBOX = 'off';
+            process.env.PYEDITOR_TEST_SECRET = 'visible';
+
+            const result = await run(
+                'import os, resource\nprint(os.environ["PYEDITOR_TEST_SECRET"])\nprint(resource.getrlimit(resource.RLIMIT_CPU)[0])',
+                { limits: { cpuSeconds: 1 } }
+            );
+
+            expect(result.output).toBe('visible\n-1\n');
+            expect(result.limit).toBeNull();
+        });
+    });
+});
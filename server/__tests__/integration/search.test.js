@@ -0,0 +1,314 @@
+/**
+ * Integration Tests - Find in Files Scenarios
+ * Tests real user scenarios for searching and replacing across a workspace folder
+ */
+
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const WebSocket = require('ws');
+
+// Mock pathUtils so the workspace folder is the test workspace
+jest.mock('../../utils/pathUtils', () => require('../helpers/mockPathUtils'));
+
+const searchRouter = require('../../routes/search');
+const { handleSearchSocket } = require('../../sockets/searchSocket');
+const { createTestStructure } = require('../helpers/testUtils');
+
+const MAIN = `from fastapi import FastAPI
+from users import get_user
+
+app = FastAPI()
+
+
+@app.get("/users/{user_id}")
+def read_user(user_id: int):
+    return get_user(user_id)
+`;
+
+const USERS = `USERS = {1: "ada"}
+
+
+def get_user(user_id):
+    return {"id": user_id, "name": USERS[user_id]}
+`;
+
+describe('User Scenario: Find in Files', () => {
+    let app;
+    let server;
+    let wss;
+    let port;
+
+    /**
+     * Run a search over the socket and collect what it streams
+     * @returns {Promise<Object>} { files, done, error }
+     */
+    const search = (options) =>
+        new Promise((resolve, reject) => {
+            const ws = new WebSocket(`ws://localhost:${port}/ws/search`);
+            const files = [];
+            ws.on('open', () => ws.send(JSON.stringify({ type: 'search', id: 1, ...options })));
+            ws.on('message', (raw) => {
+                const message = JSON.parse(raw);
+                if (message.type === 'file') {
+                    files.push({ path: message.path, matches: message.matches });
+                } else {
+                    ws.close();
+                    resolve({
+                        files,
+                        done: message.type === 'done' ? message : null,
+                        error: message.message,
+                    });
+                }
+            });
+            ws.on('error', reject);
+        });
+
+    const paths = (result) => result.files.map((file) => file.path);
+
+    beforeAll((done) => {
+        app = express();
+        app.use(express.json());
+        app.use('/api', searchRouter);
+
+        server = http.createServer(app);
+        wss = new WebSocket.Server({ server });
+        wss.on('connection', (ws, req) => handleSearchSocket(ws, req));
+        server.listen(0, () => {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    beforeEach(async () => {
+        await createTestStructure({
+            'main.py': MAIN,
+            'users.py': USERS,
+            '.gitignore': '# Build output\nbuild/\n*.log\n',
+            'app.log': 'get_user called\n',
+            build: { 'users.py': 'def get_user(): pass\n' },
+            node_modules: { 'pkg.js': 'get_user\n' },
+            tests: {
+                'test_users.py':
+                    'from users import get_user\n\n\ndef test_get_user():\n    assert get_user(1)["name"] == "ada"\n',
+            },
+        });
+        await fs.writeFile(
+            path.join(global.TEST_WORKSPACE, 'data.bin'),
+            Buffer.from('get_user\u0000\u0001')
+        );
+    });
+
+    afterAll((done) => {
+        wss.close();
+        server.close(done);
+    });
+
+    describe('Scenario: Developer searches the workspace', () => {
+        it('should stream matches grouped by file with line previews', async () => {
+            const result = await search({ query: 'get_user' });
+
+            // Ignored by .gitignore, skipped folders and binary files are left out
+            expect(paths(result)).toEqual(['main.py', 'tests/test_users.py', 'users.py']);
+            expect(result.done).toMatchObject({ fileCount: 3, matchCount: 6, limitHit: false });
+            expect(result.files[0].matches).toEqual([
+                {
+                    line: 2,
+                    column: 19,
+                    length: 8,
+                    before: 'from users import ',
+                    text: 'get_user',
+                    after: '',
+                },
+                {
+                    line: 9,
+                    column: 12,
+                    length: 8,
+                    before: '    return ',
+                    text: 'get_user',
+                    after: '(user_id)',
+                },
+            ]);
+        });
+
+        it('should search ignored files when asked', async () => {
+            const result = await search({ query: 'get_user', useIgnoreFiles: false });
+
+            expect(paths(result)).toEqual([
+                'app.log',
+                'build/users.py',
+                'main.py',
+                'tests/test_users.py',
+                'users.py',
+            ]);
+        });
+
+        it('should support regex, match case and whole word', async () => {
+            const regex = await search({ query: 'def \\w+_user\\(', regex: true });
+            expect(regex.done.matchCount).toBe(3);
+
+            const caseSensitive = await search({ query: 'USERS', caseSensitive: true });
+            expect(caseSensitive.done.matchCount).toBe(2);
+
+            const wholeWord = await search({ query: 'user', wholeWord: true });
+            expect(wholeWord.done.matchCount).toBe(0);
+            const wholeWordId = await search({ query: 'user_id', wholeWord: true });
+            expect(paths(wholeWordId)).toEqual(['main.py', 'users.py']);
+        });
+
+        it('should apply include and exclude globs', async () => {
+            const included = await search({ query: 'get_user', include: 'tests' });
+            expect(paths(included)).toEqual(['tests/test_users.py']);
+
+            const excluded = await search({ query: 'get_user', exclude: 'test_*.py, main.py' });
+            expect(paths(excluded)).toEqual(['users.py']);
+
+            const braces = await search({
+                query: 'get_user',
+                include: '**/*.{py,pyi}',
+                exclude: 'tests/**',
+            });
+            expect(paths(braces)).toEqual(['main.py', 'users.py']);
+        });
+
+        it('should report an invalid regular expression', async () => {
+            const result = await search({ query: 'get_user(', regex: true });
+
+            expect(result.files).toEqual([]);
+            expect(result.error).toMatch(/^Invalid regular expression/);
+        });
+
+        it('should stop a regular expression that takes too long', async () => {
+            await createTestStructure({ 'slow.txt': `${'a'.repeat(40)}!\n` });
+            process.env.SEARCH_TIMEOUT_SECONDS = '0.5';
+            try {
+                const started = Date.now();
+                const result = await search({ query: '^(a+)+$', regex: true });
+
+                expect(result.error).toBe('Search timed out');
+                expect(Date.now() - started).toBeLessThan(5000);
+
+                // The server kept answering and can search again
+                const next = await search({ query: 'FastAPI()' });
+                expect(paths(next)).toEqual(['main.py']);
+            } finally {
+                delete process.env.SEARCH_TIMEOUT_SECONDS;
+            }
+        });
+    });
+
+    describe('Scenario: Developer replaces across files', () => {
+        it('should preview each replacement before writing anything', async () => {
+            const result = await search({ query: 'get_(\\w+)', regex: true, replace: 'fetch_$1' });
+
+            expect(result.files[2].matches[0]).toMatchObject({
+                text: 'get_user',
+                replacement: 'fetch_user',
+            });
+            expect(await fs.readFile(path.join(global.TEST_WORKSPACE, 'users.py'), 'utf8')).toBe(
+                USERS
+            );
+        });
+
+        it('should replace in the reviewed files only', async () => {
+            const response = await request(app)
+                .post('/api/search/replace')
+                .send({
+                    query: 'get_(\\w+)',
+                    regex: true,
+                    replace: 'fetch_$1',
+                    files: ['main.py', 'users.py'],
+                })
+                .expect(200);
+
+            expect(response.body).toEqual({
+                files: [
+                    { path: 'main.py', replacements: 2 },
+                    { path: 'users.py', replacements: 1 },
+                ],
+                replacementCount: 3,
+            });
+            const main = await fs.readFile(path.join(global.TEST_WORKSPACE, 'main.py'), 'utf8');
+            expect(main).toBe(MAIN.replace(/get_user/g, 'fetch_user'));
+            const tests = await fs.readFile(
+                path.join(global.TEST_WORKSPACE, 'tests/test_users.py'),
+                'utf8'
+            );
+            expect(tests).toContain('get_user');
+        });
+
+        it('should keep Windows line endings and take the replacement literally without regex', async () => {
+            await createTestStructure({ 'win.py': 'a = 1\r\nb = a + 1\r\n' });
+
+            await request(app)
+                .post('/api/search/replace')
+                .send({ query: 'a', wholeWord: true, replace: '$count', files: ['win.py'] })
+                .expect(200);
+
+            const content = await fs.readFile(path.join(global.TEST_WORKSPACE, 'win.py'), 'utf8');
+            expect(content).toBe('$count = 1\r\nb = $count + 1\r\n');
+        });
+
+        it('should change nothing when a replacement times out', async () => {
+            await createTestStructure({ 'slow.txt': `${'a'.repeat(40)}!\n` });
+            process.env.SEARCH_TIMEOUT_SECONDS = '0.5';
+            try {
+                const response = await request(app)
+                    .post('/api/search/replace')
+                    .send({ query: '(a+)+$|get_user', regex: true, replace: 'x' })
+                    .expect(400);
+
+                expect(response.body.error).toBe('Search timed out');
+                const main = await fs.readFile(path.join(global.TEST_WORKSPACE, 'main.py'), 'utf8');
+                expect(main).toBe(MAIN);
+            } finally {
+                delete process.env.SEARCH_TIMEOUT_SECONDS;
+            }
+        });
+
+        it('should leave files that are not UTF-8 text alone', async () => {
+            const latin1 = Buffer.from('name = "get_user café"\n', 'latin1');
+            const lateNul = Buffer.concat([
+                Buffer.from(`${'# get_user\n'.repeat(1000)}`),
+                Buffer.from([0]),
+            ]);
+            const bom = Buffer.from('\ufeffget_user()\n');
+            await fs.writeFile(path.join(global.TEST_WORKSPACE, 'latin1.py'), latin1);
+            await fs.writeFile(path.join(global.TEST_WORKSPACE, 'late_nul.py'), lateNul);
+            await fs.writeFile(path.join(global.TEST_WORKSPACE, 'bom.py'), bom);
+
+            const result = await search({
+                query: 'get_user',
+                include: '*.py',
+                exclude: 'tests/**',
+            });
+            expect(paths(result)).toEqual(['bom.py', 'main.py', 'users.py']);
+
+            const response = await request(app)
+                .post('/api/search/replace')
+                .send({
+                    query: 'get_user',
+                    replace: 'fetch_user',
+                    files: ['latin1.py', 'late_nul.py', 'bom.py'],
+                })
+                .expect(200);
+
+            expect(response.body.files).toEqual([{ path: 'bom.py', replacements: 1 }]);
+            const read = (file) => fs.readFile(path.join(global.TEST_WORKSPACE, file));
+            expect(await read('latin1.py')).toEqual(latin1);
+            expect(await read('late_nul.py')).toEqual(lateNul);
+            expect(await read('bom.py')).toEqual(Buffer.from('\ufefffetch_user()\n'));
+        });
+
+        it('should refuse files outside the workspace', async () => {
+            const response = await request(app)
+                .post('/api/search/replace')
+                .send({ query: 'x', replace: 'y', files: ['../outside.py'] })
+                .expect(500);
+
+            expect(response.body.error).toBe('Access denied: Path outside workspace');
+        });
+    });
+});
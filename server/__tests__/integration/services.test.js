@@ -0,0 +1,273 @@
+/**
+ * Integration Tests - Dev Server Scenarios
+ * Tests real user scenarios for running a FastAPI app with uvicorn next to the editor
+ */
+
+const http = require('http');
+const net = require('net');
+const request = require('supertest');
+const express = require('express');
+const WebSocket = require('ws');
+
+// Mock pathUtils so the workspace folder is the test workspace
+jest.mock('../../utils/pathUtils', () => require('../helpers/mockPathUtils'));
+
+const servicesRouter = require('../../routes/services');
+const devServerService = require('../../services/devServerService');
+const { handleServiceSocket } = require('../../sockets/serviceSocket');
+const { createTestStructure, waitFor } = require('../helpers/testUtils');
+
+// Stands in for uvicorn (found first on sys.path with `python -m uvicorn` in the
+// workspace): serves "<app> <path>" on the given port and logs like uvicorn
+const FAKE_UVICORN = `import sys
+from http.server import BaseHTTPRequestHandler, HTTPServer
+
+args = sys.argv[1:]
+app = args[0]
+port = int(args[args.index("--port") + 1])
+
+
+class Handler(BaseHTTPRequestHandler):
+    def do_GET(self):
+        body = f"{app} {self.path} reload={'--reload' in args}".encode()
+        self.send_response(200)
+        self.send_header("Content-Length", str(len(body)))
+        self.end_headers()
+        self.wfile.write(body)
+
+    def log_message(self, format, *values):
+        print("INFO:", format % values, file=sys.stderr)
+
+
+server = HTTPServer(("127.0.0.1", port), Handler)
+print(f"INFO: Uvicorn running on http://127.0.0.1:{port}", file=sys.stderr)
+server.serve_forever()
+`;
+
+function fetchText(url) {
+    return new Promise((resolve, reject) => {
+        http.get(url, (res) => {
+            let body = '';
+            res.on('data', (chunk) => (body += chunk));
+            res.on('end', () => resolve(body));
+        }).on('error', reject);
+    });
+}
+
+describe('User Scenario: Dev Servers', () => {
+    let app;
+    let server;
+    let wss;
+    let port;
+
+    const getService = async (id) => {
+        const response = await request(app).get('/api/services').expect(200);
+        return response.body.services.find((service) => service.id === id);
+    };
+
+    const waitForStatus = (id, status) =>
+        waitFor(async () => (await getService(id)).status === status, 10000);
+
+    beforeAll((done) => {
+        app = express();
+        app.use(express.json());
+        app.use('/api', servicesRouter);
+
+        server = http.createServer(app);
+        wss = new WebSocket.Server({ server });
+        wss.on('connection', (ws, req) => handleServiceSocket(ws, req));
+        server.listen(0, () => {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    beforeEach(async () => {
+        await createTestStructure({ 'uvicorn.py': FAKE_UVICORN });
+    });
+
+    afterEach(async () => {
+        const response = await request(app).get('/api/services');
+        for (const service of response.body.services) {
+            await request(app).delete(`/api/services/${service.id}`);
+            await waitFor(async () => !(await fetchText(service.url).catch(() => false)), 10000);
+        }
+    });
+
+    afterAll((done) => {
+        wss.close();
+        server.close(done);
+    });
+
+    describe('Scenario: Developer starts their FastAPI app', () => {
+        it('should serve the app on the chosen port and keep its log', async () => {
+            const response = await request(app)
+                .post('/api/services')
+                .send({ app: 'main:app', port: 18731, reload: true })
+                .expect(201);
+            const { service } = response.body;
+
+            expect(service).toMatchObject({
+                app: 'main:app',
+                port: 18731,
+                url: 'http://127.0.0.1:18731',
+                status: 'starting',
+            });
+            await waitForStatus(service.id, 'running');
+
+            expect(await fetchText(`${service.url}/items`)).toBe('main:app /items reload=True');
+
+            const ws = new WebSocket(`ws://localhost:${port}/ws/services`);
+            const messages = [];
+            ws.on('message', (raw) => messages.push(JSON.parse(raw)));
+            await waitFor(() => messages.some((m) => m.type === 'output' && /GET/.test(m.text)));
+            ws.close();
+
+            expect(messages[0].type).toBe('services');
+            expect(messages[0].services.map((s) => s.id)).toEqual([service.id]);
+            const log = messages.filter((m) => m.type === 'output').map((m) => m.text);
+            expect(log[0]).toBe('$ uvicorn main:app --host 127.0.0.1 --port 18731 --reload\n');
+            expect(log.join('')).toContain('Uvicorn running on http://127.0.0.1:18731');
+        });
+
+        it('should pick a free port when none is given', async () => {
+            const response = await request(app)
+                .post('/api/services')
+                .send({ app: 'main:app' })
+                .expect(201);
+
+            expect(response.body.service.port).toBeGreaterThanOrEqual(8000);
+            await waitForStatus(response.body.service.id, 'running');
+        });
+
+        it('should give services started at the same time different ports', async () => {
+            // Answer "port is free" late, when the next service is already looking for one
+            const { createServer } = net;
+            jest.spyOn(net, 'createServer').mockImplementation((...args) => {
+                const probe = createServer(...args);
+                const { close } = probe;
+                probe.close = (callback) => close.call(probe, () => setTimeout(callback, 50));
+                return probe;
+            });
+
+            let started;
+            try {
+                started = await Promise.all(
+                    ['main:app', 'other:app'].map(async (name, index) => {
+                        await new Promise((resolve) => setTimeout(resolve, index * 20));
+                        return devServerService.startService(global.TEST_WORKSPACE, { app: name });
+                    })
+                );
+            } finally {
+                jest.restoreAllMocks();
+            }
+
+            expect(started[0].port).not.toBe(started[1].port);
+            for (const service of started) {
+                await waitForStatus(service.id, 'running');
+            }
+        });
+
+        it('should refuse a port that is already in use', async () => {
+            const first = await request(app)
+                .post('/api/services')
+                .send({ app: 'main:app', port: 18732 })
+                .expect(201);
+            await waitForStatus(first.body.service.id, 'running');
+
+            const response = await request(app)
+                .post('/api/services')
+                .send({ app: 'other:app', port: 18732 })
+                .expect(400);
+
+            expect(response.body.error).toBe('Port 18732 is already in use');
+        });
+
+        it('should refuse an app that is not module:attribute', async () => {
+            const response = await request(app)
+                .post('/api/services')
+                .send({ app: 'main.py; rm -rf /' })
+                .expect(400);
+
+            expect(response.body.error).toBe(
+                'Invalid app (expected module:attribute, e.g. main:app)'
+            );
+        });
+    });
+
+    describe('Scenario: Developer stops and restarts the app', () => {
+        it('should stop the service and start it again with the same settings', async () => {
+            const response = await request(app)
+                .post('/api/services')
+                .send({ app: 'main:app', port: 18733 })
+                .expect(201);
+            const { id, url } = response.body.service;
+            await waitForStatus(id, 'running');
+
+            await request(app).post(`/api/services/${id}/stop`).expect(200);
+            await waitForStatus(id, 'stopped');
+            await expect(fetchText(url)).rejects.toThrow();
+
+            await request(app).post(`/api/services/${id}/restart`).expect(200);
+            await waitForStatus(id, 'running');
+            expect(await fetchText(url)).toBe('main:app / reload=False');
+        });
+
+        it('should restart a running service', async () => {
+            const response = await request(app)
+                .post('/api/services')
+                .send({ app: 'main:app', port: 18734 })
+                .expect(201);
+            const { id } = response.body.service;
+            await waitForStatus(id, 'running');
+            const { startedAt } = await getService(id);
+
+            await request(app).post(`/api/services/${id}/restart`).expect(200);
+            await waitFor(async () => {
+                const service = await getService(id);
+                return service.status === 'running' && service.startedAt > startedAt;
+            }, 15000);
+        });
+
+        it('should start a stopped service once when it is restarted twice quickly', async () => {
+            const response = await request(app)
+                .post('/api/services')
+                .send({ app: 'main:app', port: 18736 })
+                .expect(201);
+            const { id } = response.body.service;
+            await waitForStatus(id, 'running');
+            await request(app).post(`/api/services/${id}/stop`).expect(200);
+            await waitForStatus(id, 'stopped');
+
+            const [first, second] = await Promise.all([
+                request(app).post(`/api/services/${id}/restart`),
+                request(app).post(`/api/services/${id}/restart`),
+            ]);
+
+            expect([first.status, second.status].sort()).toEqual([200, 400]);
+            expect([first.body.error, second.body.error]).toContain('Service is already starting');
+            await waitForStatus(id, 'running');
+            const starts = devServerService
+                .getServiceLog(global.TEST_WORKSPACE, id)
+                .filter((entry) => entry.text.startsWith('$ uvicorn'));
+            expect(starts).toHaveLength(2); // The first start and one restart
+        });
+
+        it('should report an app that exits on its own', async () => {
+            await createTestStructure({ 'uvicorn.py': 'raise SystemExit(3)\n' });
+
+            const response = await request(app)
+                .post('/api/services')
+                .send({ app: 'main:app', port: 18735 })
+                .expect(201);
+            await waitForStatus(response.body.service.id, 'exited');
+
+            expect((await getService(response.body.service.id)).exitCode).toBe(3);
+        });
+
+        it('should not touch services of another folder', async () => {
+            await request(app).post('/api/services/service_unknown/stop').expect(404);
+            await request(app).delete('/api/services/service_unknown').expect(404);
+        });
+    });
+});
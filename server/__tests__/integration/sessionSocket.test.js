@@ -0,0 +1,339 @@
+/**
+ * Integration Tests - Python Session Scenarios
+ * Tests real user scenarios for running selections and cells in a persistent Python session
+ */
+
+const http = require('http');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const WebSocket = require('ws');
+
+// Mock pathUtils so the workspace folder is the test workspace
+jest.mock('../../utils/pathUtils', () => require('../helpers/mockPathUtils'));
+
+const sessionService = require('../../services/sessionService');
+const interpreterService = require('../../services/interpreterService');
+const { handleSessionSocket } = require('../../sockets/sessionSocket');
+const { createTestStructure, waitFor } = require('../helpers/testUtils');
+
+/**
+ * Minimal session client: numbered requests, promise per response, collected output
+ */
+class SessionClient {
+    constructor(port, query = '') {
+        this.ws = new WebSocket(`ws://localhost:${port}/ws/session${query}`);
+        this.seq = 0;
+        this.pending = new Map();
+        this.events = [];
+        this.closed = new Promise((resolve) => this.ws.on('close', resolve));
+
+        this.ws.on('message', (raw) => {
+            const message = JSON.parse(raw);
+            if (message.type === 'response' && this.pending.has(message.request_seq)) {
+                this.pending.get(message.request_seq)(message);
+                this.pending.delete(message.request_seq);
+            } else if (message.type === 'event') {
+                this.events.push(message);
+            }
+        });
+    }
+
+    async open() {
+        if (this.ws.readyState !== WebSocket.OPEN) {
+            await new Promise((resolve, reject) => {
+                this.ws.on('open', resolve);
+                this.ws.on('error', reject);
+            });
+        }
+        await waitFor(() => this.events.some((e) => e.event === 'started'), 10000);
+    }
+
+    request(command, args = {}) {
+        const seq = ++this.seq;
+        return new Promise((resolve) => {
+            this.pending.set(seq, resolve);
+            this.ws.send(JSON.stringify({ seq, type: 'request', command, arguments: args }));
+        });
+    }
+
+    execute(code, file = 'app.py', line = 1) {
+        return this.request('execute', { code, file, line });
+    }
+
+    /**
+     * Output of a stream since the given event index
+     */
+    output(category = 'stdout', from = 0) {
+        return this.events
+            .slice(from)
+            .filter((e) => e.event === 'output' && e.body.category === category)
+            .map((e) => e.body.output)
+            .join('');
+    }
+
+    close() {
+        this.ws.close();
+        return this.closed;
+    }
+}
+
+describe('User Scenario: Running Code in a Python Session', () => {
+    let server;
+    let wss;
+    let port;
+    let client;
+
+    beforeAll((done) => {
+        server = http.createServer();
+        wss = new WebSocket.Server({ server });
+        wss.on('connection', (ws, req) => handleSessionSocket(ws, req));
+        server.listen(0, () => {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    beforeEach(async () => {
+        await createTestStructure({ 'helpers.py': 'def double(x):\n    return x * 2\n' });
+        client = new SessionClient(port);
+        await client.open();
+    });
+
+    afterEach(async () => {
+        await client.close();
+        await waitFor(() => sessionService.getSessionCount() === 0, 5000);
+    });
+
+    afterAll((done) => {
+        wss.close();
+        server.close(done);
+    });
+
+    describe('Scenario: Developer runs cells one after another', () => {
+        it('should keep variables and imports between runs', async () => {
+            await client.execute('from helpers import double\ntotal = double(4)');
+            const from = client.events.length;
+            const response = await client.execute('print("total", total)', 'app.py', 3);
+
+            expect(response.success).toBe(true);
+            expect(response.body.error).toBeNull();
+            expect(client.output('stdout', from)).toBe('total 8\n');
+        });
+
+        it('should return the value of a trailing expression', async () => {
+            const response = await client.execute('items = [1, 2, 3]\nitems + [4]');
+
+            expect(response.body.result).toBe('[1, 2, 3, 4]');
+            const last = await client.execute('_[-1] * 10');
+            expect(last.body.result).toBe('40');
+        });
+
+        it('should run a selection from inside a block', async () => {
+            const response = await client.execute('    x = 1\n    x + 1', 'app.py', 5);
+
+            expect(response.body.result).toBe('2');
+        });
+    });
+
+    describe('Scenario: Code raises an error', () => {
+        it('should report the error with the file and line it came from', async () => {
+            const from = client.events.length;
+            const response = await client.execute('a = 1\nb = a / 0', 'app.py', 10);
+
+            expect(response.body.error).toEqual({
+                type: 'ZeroDivisionError',
+                message: 'division by zero',
+            });
+            const stderr = client.output('stderr', from);
+            expect(stderr).toContain(
+                `File "${path.join(global.TEST_WORKSPACE, 'app.py')}", line 11, in <module>`
+            );
+            expect(stderr).toContain('b = a / 0');
+            expect(stderr).not.toContain('pyeditor_session.py');
+        });
+
+        it('should report syntax errors without running anything', async () => {
+            const response = await client.execute('value = (1 +', 'app.py', 2);
+
+            expect(response.body.error.type).toBe('SyntaxError');
+        });
+
+        it('should keep the session usable after an error', async () => {
+            await client.execute('kept = "yes"');
+            await client.execute('raise SystemExit(3)');
+            const response = await client.execute('kept');
+
+            expect(response.body.result).toBe("'yes'");
+        });
+    });
+
+    describe('Scenario: Developer types into the REPL', () => {
+        it('should show the typed source in tracebacks of earlier inputs', async () => {
+            await client.request('execute', { code: 'def fail():\n    return 1 / 0' });
+            const from = client.events.length;
+            const response = await client.request('execute', { code: 'fail()' });
+
+            expect(response.body.error.type).toBe('ZeroDivisionError');
+            const stderr = client.output('stderr', from);
+            expect(stderr).toContain('File "<input-2>", line 1, in <module>');
+            expect(stderr).toContain('File "<input-1>", line 2, in fail');
+            expect(stderr).toContain('return 1 / 0');
+        });
+    });
+
+    describe('Scenario: Data scientist runs notebook cells', () => {
+        let notebook;
+
+        beforeEach(async () => {
+            await createTestStructure({
+                'analysis/data.csv': 'a,b\n1,2\n',
+                'analysis/local_helpers.py': 'LABEL = "local"\n',
+            });
+            notebook = new SessionClient(port, '?cwd=analysis');
+            await notebook.open();
+        });
+
+        afterEach(async () => {
+            await notebook.close();
+        });
+
+        it('should start in the notebook folder and import modules next to it', async () => {
+            const started = notebook.events.find((e) => e.event === 'started');
+            expect(started.body.cwd).toBe(path.join(global.TEST_WORKSPACE, 'analysis'));
+
+            const response = await notebook.request('execute', {
+                code: 'import local_helpers\nopen("data.csv").readline().strip(), local_helpers.LABEL',
+                rich: true,
+            });
+
+            expect(response.body.result).toBe("('a,b', 'local')");
+        });
+
+        it('should return rich representations of results and displayed objects', async () => {
+            const response = await notebook.request('execute', {
+                code: [
+                    'class Table:',
+                    '    def _repr_html_(self):',
+                    '        return "<table></table>"',
+                    '    def _repr_png_(self):',
+                    '        return b"png"',
+                    'print("before")',
+                    'display(Table())',
+                    'Table()',
+                ].join('\n'),
+                rich: true,
+            });
+
+            expect(response.body.data['text/html']).toBe('<table></table>');
+            expect(response.body.data['image/png']).toBe(Buffer.from('png').toString('base64'));
+            expect(response.body.data['text/plain']).toMatch(/^<__main__\.Table object/);
+
+            const output = notebook.events.findIndex((e) => e.event === 'output');
+            const display = notebook.events.findIndex((e) => e.event === 'display');
+            expect(output).toBeGreaterThan(-1);
+            expect(display).toBeGreaterThan(output);
+            expect(notebook.events[display].body.data['text/html']).toBe('<table></table>');
+        });
+
+        it('should keep the traceback with the error instead of printing it', async () => {
+            const response = await notebook.request('execute', {
+                code: 'missing_name',
+                rich: true,
+            });
+
+            expect(response.body.error.type).toBe('NameError');
+            expect(response.body.error.traceback.join('')).toContain('File "<input-1>", line 1');
+            expect(notebook.output('stderr')).toBe('');
+        });
+
+        it('should refuse to start outside the workspace', async () => {
+            const outside = new SessionClient(port, '?cwd=../..');
+
+            await outside.closed;
+            expect(outside.output('stderr')).toContain('Access denied');
+        });
+    });
+
+    describe('Scenario: Developer interrupts long-running code', () => {
+        it('should stop the code and keep the session state', async () => {
+            await client.execute('counter = 0');
+            const running = client.execute(
+                'import time\nwhile True:\n    counter += 1\n    time.sleep(0.01)'
+            );
+            await new Promise((resolve) => setTimeout(resolve, 300));
+            await client.request('interrupt');
+
+            const response = await running;
+            expect(response.body.error.type).toBe('KeyboardInterrupt');
+
+            const counter = await client.execute('counter > 0');
+            expect(counter.body.result).toBe('True');
+        });
+    });
+
+    describe('Scenario: Developer restarts the session', () => {
+        it('should start over with an empty namespace', async () => {
+            await client.execute('gone = 1');
+            const started = client.events.filter((e) => e.event === 'started').length;
+
+            const restart = await client.request('restart');
+            expect(restart.success).toBe(true);
+            await waitFor(
+                () => client.events.filter((e) => e.event === 'started').length > started,
+                10000
+            );
+
+            const response = await client.execute("'gone' in globals()");
+            expect(response.body.result).toBe('False');
+            await waitFor(() => sessionService.getSessionCount() === 1, 5000);
+        });
+    });
+
+    describe('Scenario: Session code on a shared server', () => {
+        let other;
+
+        afterEach(async () => {
+            delete process.env.PYEDITOR_TEST_SECRET;
+            if (other) {
+                await other.close();
+                other = null;
+            }
+        });
+
+        it('should run sandboxed without the server environment', async () => {
+            process.env.PYEDITOR_TEST_SECRET = 'hunter2';
+            other = new SessionClient(port);
+            await other.open();
+
+            const secret = await other.execute('import os\n"PYEDITOR_TEST_SECRET" in os.environ');
+            const files = await other.execute(
+                'import resource\nresource.getrlimit(resource.RLIMIT_NOFILE)[0]'
+            );
+
+            expect(secret.body.result).toBe('False');
+            expect(files.body.result).toBe('256');
+        });
+
+        it('should use the interpreter chosen for the workspace folder', async () => {
+            const venvPath = path.join(global.TEST_WORKSPACE, '.venv');
+            execFileSync('python3', ['-m', 'venv', '--without-pip', venvPath]);
+            await interpreterService.selectInterpreter(global.TEST_WORKSPACE, '.venv');
+            other = new SessionClient(port);
+            await other.open();
+
+            const response = await other.execute('import sys\nsys.prefix');
+
+            expect(response.body.result).toBe(`'${venvPath}'`);
+        });
+    });
+
+    describe('Scenario: Developer closes the editor', () => {
+        it('should end the session when the socket closes', async () => {
+            expect(sessionService.getSessionCount()).toBe(1);
+
+            await client.close();
+
+            await waitFor(() => sessionService.getSessionCount() === 0, 5000);
+        });
+    });
+});
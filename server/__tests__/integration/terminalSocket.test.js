@@ -0,0 +1,174 @@
+/**
+ * Integration Tests - Integrated Terminal Scenarios
+ * Tests real user scenarios for shell sessions over WebSocket
+ */
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+
+// Mock pathUtils so workspace folders resolve inside the test workspace
+jest.mock('../../utils/pathUtils', () => require('../helpers/mockPathUtils'));
+
+const terminalService = require('../../services/terminalService');
+const { handleTerminalSocket } = require('../../sockets/terminalSocket');
+const { createTestStructure, waitFor } = require('../helpers/testUtils');
+
+/**
+ * Open a terminal socket and collect its output
+ * Resolves once the shell reports it is ready
+ */
+function openTerminal(port, query = '') {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://localhost:${port}/ws/terminal${query}`);
+        const session = { ws, output: '', messages: [] };
+
+        ws.on('message', (raw) => {
+            const message = JSON.parse(raw);
+            session.messages.push(message);
+            if (message.type === 'output') {
+                session.output += message.data;
+            } else if (message.type === 'ready') {
+                session.terminalId = message.terminalId;
+                resolve(session);
+            } else if (message.type === 'error') {
+                reject(new Error(message.message));
+            }
+        });
+
+        ws.on('error', reject);
+    });
+}
+
+/**
+ * Type a command into the terminal
+ */
+function type(session, text) {
+    session.ws.send(JSON.stringify({ type: 'input', data: text }));
+}
+
+describe('User Scenario: Integrated Terminal', () => {
+    let server;
+    let wss;
+    let port;
+
+    beforeAll((done) => {
+        server = http.createServer();
+        wss = new WebSocket.Server({ server });
+        wss.on('connection', (ws, req) => handleTerminalSocket(ws, req));
+        server.listen(0, () => {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    afterEach(async () => {
+        // Shells exit asynchronously after their socket closes
+        await waitFor(() => terminalService.getTerminalCount() === 0, 5000);
+    });
+
+    afterAll((done) => {
+        wss.clients.forEach((client) => client.terminate());
+        wss.close();
+        server.close(done);
+    });
+
+    describe('Scenario: Developer runs shell commands', () => {
+        it('should stream command output back to the client', async () => {
+            const session = await openTerminal(port);
+
+            type(session, 'echo "hello from $((20 + 22))"\r');
+            await waitFor(() => session.output.includes('hello from 42'), 5000);
+
+            session.ws.close();
+        });
+
+        it('should start the shell in the workspace folder', async () => {
+            await createTestStructure({ project: { 'app.py': 'print("app")' } });
+            const session = await openTerminal(port, '?folder=project');
+
+            type(session, 'ls\r');
+            await waitFor(() => session.output.includes('app.py'), 5000);
+
+            session.ws.close();
+        });
+    });
+
+    describe('Scenario: Terminal on a shared server', () => {
+        it("should not see the server's secrets or write outside the workspace", async () => {
+            const outside = path.join(os.tmpdir(), `pyeditor-terminal-${process.pid}`);
+            process.env.PYEDITOR_TEST_SECRET = 'hunter2';
+            try {
+                const session = await openTerminal(port);
+
+                // Markers are computed by the shell, so the echoed input doesn't match them
+                type(session, 'echo "secret$((1 + 1))=[$PYEDITOR_TEST_SECRET]"\r');
+                await waitFor(() => session.output.includes('secret2='), 5000);
+                type(session, `touch ${outside} || echo "refused$((1 + 1))"\r`);
+                await waitFor(() => session.output.includes('refused2'), 5000);
+                type(session, 'touch inside.txt && echo "allowed$((1 + 1))"\r');
+                await waitFor(() => session.output.includes('allowed2'), 5000);
+
+                expect(session.output).toContain('secret2=[]');
+                expect(fs.existsSync(outside)).toBe(false);
+                expect(fs.existsSync(path.join(global.TEST_WORKSPACE, 'inside.txt'))).toBe(true);
+                session.ws.close();
+            } finally {
+                delete process.env.PYEDITOR_TEST_SECRET;
+            }
+        });
+    });
+
+    describe('Scenario: Developer resizes the panel', () => {
+        it('should apply the initial size and later resizes to the shell', async () => {
+            const session = await openTerminal(port, '?cols=100&rows=30');
+
+            type(session, 'stty size\r');
+            await waitFor(() => session.output.includes('30 100'), 5000);
+
+            session.ws.send(JSON.stringify({ type: 'resize', cols: 120, rows: 40 }));
+            type(session, 'stty size\r');
+            await waitFor(() => session.output.includes('40 120'), 5000);
+
+            session.ws.close();
+        });
+    });
+
+    describe('Scenario: Developer opens several terminals', () => {
+        it('should keep each terminal independent', async () => {
+            const first = await openTerminal(port);
+            const second = await openTerminal(port);
+
+            expect(first.terminalId).not.toBe(second.terminalId);
+
+            type(first, 'echo only-in-first\r');
+            await waitFor(() => first.output.includes('only-in-first'), 5000);
+            expect(second.output).not.toContain('only-in-first');
+
+            first.ws.close();
+            second.ws.close();
+        });
+
+        it('should kill the shell when the socket closes', async () => {
+            const session = await openTerminal(port);
+
+            expect(terminalService.getTerminalCount()).toBe(1);
+
+            session.ws.close();
+            await waitFor(() => terminalService.getTerminalCount() === 0, 5000);
+        });
+
+        it('should report exit when the shell ends', async () => {
+            const session = await openTerminal(port);
+            const closed = new Promise((resolve) => session.ws.on('close', resolve));
+
+            type(session, 'exit 3\r');
+            await closed;
+
+            const exit = session.messages.find((m) => m.type === 'exit');
+            expect(exit.exitCode).toBe(3);
+        });
+    });
+});
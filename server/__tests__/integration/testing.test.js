@@ -0,0 +1,197 @@
+/**
+ * Integration Tests - Test Explorer Scenarios
+ * Tests real user scenarios for discovering and running pytest tests
+ */
+
+const request = require('supertest');
+const express = require('express');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Mock pathUtils so the workspace folder is the test workspace
+jest.mock('../../utils/pathUtils', () => require('../helpers/mockPathUtils'));
+
+const testingRouter = require('../../routes/testing');
+const { createTestStructure } = require('../helpers/testUtils');
+
+const CALC_TESTS = `import pytest
+
+
+def add(a, b):
+    return a + b
+
+
+def test_add():
+    assert add(1, 2) == 3
+
+
+def test_broken():
+    assert add(1, 1) == 3
+
+
+class TestMore:
+    def test_skip(self):
+        pytest.skip("not ready")
+
+    @pytest.mark.parametrize("x", [1, 2])
+    def test_param(self, x):
+        assert x
+`;
+
+describe('User Scenario: Test Explorer', () => {
+    let app;
+
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api', testingRouter);
+    });
+
+    beforeEach(async () => {
+        await createTestStructure({ tests: { 'test_calc.py': CALC_TESTS } });
+    });
+
+    describe('Scenario: Developer opens the Test panel', () => {
+        it('should discover tests with their file and line', async () => {
+            const response = await request(app).get('/api/tests');
+
+            expect(response.status).toBe(200);
+            expect(response.body.tests.map((t) => t.nodeid)).toEqual([
+                'tests/test_calc.py::test_add',
+                'tests/test_calc.py::test_broken',
+                'tests/test_calc.py::TestMore::test_skip',
+                'tests/test_calc.py::TestMore::test_param[1]',
+                'tests/test_calc.py::TestMore::test_param[2]',
+            ]);
+
+            const testAdd = response.body.tests[0];
+            expect(testAdd.path).toBe('tests/test_calc.py');
+            expect(testAdd.line).toBe(8);
+        });
+
+        it('should report files that fail to import', async () => {
+            await createTestStructure({ tests: { 'test_bad.py': 'import missing_module' } });
+
+            const response = await request(app).get('/api/tests');
+
+            expect(response.body.errors).toHaveLength(1);
+            expect(response.body.errors[0].path).toBe('tests/test_bad.py');
+            expect(response.body.errors[0].traceback).toContain('missing_module');
+        });
+    });
+
+    describe('Scenario: Developer runs the whole suite', () => {
+        it('should report pass, fail and skip per test', async () => {
+            const response = await request(app).post('/api/tests/run').send({});
+
+            expect(response.status).toBe(200);
+            expect(response.body.summary).toEqual({ passed: 3, failed: 1, skipped: 1, error: 0 });
+
+            const outcomes = Object.fromEntries(
+                response.body.results.map((r) => [r.nodeid, r.outcome])
+            );
+            expect(outcomes['tests/test_calc.py::test_add']).toBe('passed');
+            expect(outcomes['tests/test_calc.py::TestMore::test_skip']).toBe('skipped');
+        });
+
+        it('should point failures at the failing line', async () => {
+            const response = await request(app).post('/api/tests/run').send({});
+            const broken = response.body.results.find(
+                (r) => r.nodeid === 'tests/test_calc.py::test_broken'
+            );
+
+            expect(broken.outcome).toBe('failed');
+            expect(broken.path).toBe('tests/test_calc.py');
+            expect(broken.line).toBe(13);
+            expect(broken.message).toContain('assert 2 == 3');
+            expect(broken.traceback).toContain('tests/test_calc.py:13');
+        });
+
+        it('should report fixture errors as errors', async () => {
+            await createTestStructure({
+                tests: {
+                    'test_fixture.py': `import pytest
+
+
+@pytest.fixture
+def db():
+    raise RuntimeError("no database")
+
+
+def test_query(db):
+    pass
+`,
+                },
+            });
+
+            const response = await request(app)
+                .post('/api/tests/run')
+                .send({ nodeids: ['tests/test_fixture.py'] });
+
+            expect(response.body.results).toHaveLength(1);
+            expect(response.body.results[0].outcome).toBe('error');
+            expect(response.body.results[0].message).toContain('no database');
+        });
+
+        it('should keep the results reported before the run was cut off', async () => {
+            // The report as a killed run leaves it: its last line half written
+            const { readFile } = fs;
+            jest.spyOn(fs, 'readFile').mockImplementation(async (file, ...args) => {
+                const content = await readFile(file, ...args);
+                return /pytest_[^/]*\.jsonl$/.test(String(file))
+                    ? `${content}{"event": "result", "nodeid": "tests/te`
+                    : content;
+            });
+
+            try {
+                const response = await request(app).post('/api/tests/run').send({}).expect(200);
+
+                expect(response.body.status).toBe('incomplete');
+                expect(response.body.summary).toEqual({
+                    passed: 3,
+                    failed: 1,
+                    skipped: 1,
+                    error: 0,
+                });
+            } finally {
+                jest.restoreAllMocks();
+            }
+        });
+
+        it('should not leave caches in the workspace', async () => {
+            await request(app).post('/api/tests/run').send({});
+
+            const entries = await fs.readdir(global.TEST_WORKSPACE);
+            const testEntries = await fs.readdir(path.join(global.TEST_WORKSPACE, 'tests'));
+            expect(entries).not.toContain('.pytest_cache');
+            expect(testEntries).not.toContain('__pycache__');
+        });
+    });
+
+    describe('Scenario: Developer reruns selected tests', () => {
+        it('should run only the given tests', async () => {
+            const response = await request(app)
+                .post('/api/tests/run')
+                .send({
+                    nodeids: [
+                        'tests/test_calc.py::test_add',
+                        'tests/test_calc.py::TestMore::test_param[2]',
+                    ],
+                });
+
+            expect(response.body.results.map((r) => r.nodeid)).toEqual([
+                'tests/test_calc.py::test_add',
+                'tests/test_calc.py::TestMore::test_param[2]',
+            ]);
+            expect(response.body.exitCode).toBe(0);
+        });
+
+        it('should reject test IDs that look like pytest options', async () => {
+            const response = await request(app)
+                .post('/api/tests/run')
+                .send({ nodeids: ['--basetemp=/etc'] });
+
+            expect(response.status).toBe(400);
+        });
+    });
+});
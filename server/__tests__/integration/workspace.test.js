@@ -13,6 +13,8 @@ const fs = require('fs').promises;
 jest.mock('../../utils/pathUtils', () => require('../helpers/mockPathUtils'));
 
 const workspaceRouter = require('../../routes/workspace');
+const filesRouter = require('../../routes/files');
+const { invalidateFileIndex } = require('../../services/fileIndexService');
 const { createTestFile, createTestStructure } = require('../helpers/testUtils');
 
 describe('User Scenario: Workspace Management', () => {
@@ -22,6 +24,7 @@ describe('User Scenario: Workspace Management', () => {
         app = express();
         app.use(cors());
         app.use(express.json());
+        app.use('/api/files', filesRouter);
         app.use('/api', workspaceRouter);
     });
 
@@ -372,6 +375,71 @@ describe('User Scenario: Workspace Management', () => {
         });
     });
 
+    describe('Scenario: Finding files with quick open', () => {
+        beforeEach(async () => {
+            await createTestStructure({
+                'main.py': 'print("main")',
+                '.gitignore': 'dist/\n',
+                src: { 'app.py': '', api: { 'users.py': '' } },
+                dist: { 'app.py': '' },
+                node_modules: { 'pkg.js': '' },
+                '.venv': { 'pyvenv.cfg': '' },
+            });
+            // The workspace folder is emptied between tests
+            invalidateFileIndex(global.TEST_WORKSPACE);
+        });
+
+        it('should list the files of the workspace folder', async () => {
+            const response = await request(app).get('/api/file-index').expect(200);
+
+            // Ignored, tool and environment folders are left out
+            expect(response.body).toEqual({
+                files: ['.gitignore', 'main.py', 'src/api/users.py', 'src/app.py'],
+                limitHit: false,
+            });
+        });
+
+        it('should keep the index up to date with file changes', async () => {
+            await request(app).get('/api/file-index').expect(200);
+
+            await request(app).post('/api/files/src/models.py').send({ content: '' });
+            await request(app)
+                .post('/api/move')
+                .send({ sourcePath: 'main.py', targetPath: 'src/main.py' });
+            await request(app).delete('/api/files/src/api');
+
+            const response = await request(app).get('/api/file-index').expect(200);
+            expect(response.body.files).toEqual([
+                '.gitignore',
+                'src/app.py',
+                'src/main.py',
+                'src/models.py',
+            ]);
+        });
+
+        it('should keep the indexes of a folder and its subfolders in step', async () => {
+            await request(app).get('/api/file-index').expect(200);
+            await request(app).get('/api/file-index?folder=src').expect(200);
+
+            // Written through the root folder: src's index lists it too
+            await request(app).post('/api/files/src/api/orders.py').send({ content: '' });
+            const src = await request(app).get('/api/file-index?folder=src').expect(200);
+            expect(src.body.files).toEqual(['api/orders.py', 'api/users.py', 'app.py']);
+
+            // Written through src: the root folder's index lists it too
+            await request(app).post('/api/files/db.py?folder=src').send({ content: '' });
+            const root = await request(app).get('/api/file-index').expect(200);
+            expect(root.body.files).toEqual([
+                '.gitignore',
+                'main.py',
+                'src/api/orders.py',
+                'src/api/users.py',
+                'src/app.py',
+                'src/db.py',
+            ]);
+        });
+    });
+
     describe('Scenario: Complex workspace reorganization', () => {
         beforeEach(async () => {
             await createTestStructure({
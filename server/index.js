@@ -5,13 +5,32 @@ const WebSocket = require('ws');
 
 // Import utilities
 const logger = require('./utils/logger');
+const { encodeMessage, createMessageReader } = require('./utils/messageFraming');
 const { WORKSPACE_ROOT } = require('./utils/pathUtils');
 const { getLSPProcessPool } = require('./services/lspProcessPool');
+const { getExecutionScheduler } = require('./services/executionScheduler');
+const interpreterService = require('./services/interpreterService');
+const { getSocketBasePath } = require('./sockets/socketUtils');
+const { handleExecutionSocket } = require('./sockets/executionSocket');
+const { handleTerminalSocket } = require('./sockets/terminalSocket');
+const { handleDebugSocket } = require('./sockets/debugSocket');
+const { handleSessionSocket } = require('./sockets/sessionSocket');
+const { handlePackageSocket } = require('./sockets/packageSocket');
+const { handleServiceSocket } = require('./sockets/serviceSocket');
+const { handleSearchSocket } = require('./sockets/searchSocket');
 
 // Import routes
 const filesRouter = require('./routes/files');
 const workspaceRouter = require('./routes/workspace');
 const executionRouter = require('./routes/execution');
+const testingRouter = require('./routes/testing');
+const profilerRouter = require('./routes/profiler');
+const coverageRouter = require('./routes/coverage');
+const servicesRouter = require('./routes/services');
+const searchRouter = require('./routes/search');
+const runHistoryRouter = require('./routes/runHistory');
+const interpretersRouter = require('./routes/interpreters');
+const packagesRouter = require('./routes/packages');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -28,25 +47,21 @@ app.use('/workspace', express.static('/app/workspace'));
 app.use('/api/files', filesRouter);
 app.use('/api', workspaceRouter);
 app.use('/api', executionRouter);
+app.use('/api', testingRouter);
+app.use('/api', profilerRouter);
+app.use('/api', coverageRouter);
+app.use('/api', servicesRouter);
+app.use('/api', searchRouter);
+app.use('/api', runHistoryRouter);
+app.use('/api', interpretersRouter);
+app.use('/api', packagesRouter);
 
 // Version endpoint
 app.get('/api/version', (req, res) => {
     res.json({ version: process.env.APP_VERSION || 'dev' });
 });
 
-// Python version endpoint
-app.get('/api/python-version', (req, res) => {
-    const { exec } = require('child_process');
-    exec('python3 --version', (error, stdout, stderr) => {
-        if (error) {
-            return res.json({ version: 'Python 3.11' });
-        }
-        const version = stdout.trim() || stderr.trim() || 'Python 3.11';
-        res.json({ version });
-    });
-});
-
-// WebSocket server for language server
+// WebSocket server for language server, streaming execution, terminals and debugging
 const server = require('http').createServer(app);
 const wss = new WebSocket.Server({ server });
 
@@ -56,19 +71,62 @@ const lspPool = getLSPProcessPool({
     idleTimeout: 300000, // 5 minutes
 });
 
-wss.on('connection', (ws) => {
+// Initialize execution scheduler (program runs at once, in total and per client)
+const executionScheduler = getExecutionScheduler({
+    maxConcurrent: parseInt(process.env.EXECUTION_MAX_CONCURRENT, 10) || 8,
+    maxPerUser: parseInt(process.env.EXECUTION_MAX_PER_USER, 10) || 2,
+});
+
+// Server load: language servers and program runs
+app.get('/api/stats', (req, res) => {
+    res.json({ lsp: lspPool.getStats(), execution: executionScheduler.getStats() });
+});
+
+wss.on('connection', (ws, req) => {
+    // Streaming execution, terminals, debugging, Python sessions, pip, dev server logs
+    // and search share the WebSocket server with the LSP bridge
+    if (req.url && req.url.startsWith('/ws/execute')) {
+        handleExecutionSocket(ws, req);
+        return;
+    }
+    if (req.url && req.url.startsWith('/ws/terminal')) {
+        handleTerminalSocket(ws, req);
+        return;
+    }
+    if (req.url && req.url.startsWith('/ws/debug')) {
+        handleDebugSocket(ws, req);
+        return;
+    }
+    if (req.url && req.url.startsWith('/ws/session')) {
+        handleSessionSocket(ws, req);
+        return;
+    }
+    if (req.url && req.url.startsWith('/ws/packages')) {
+        handlePackageSocket(ws, req);
+        return;
+    }
+    if (req.url && req.url.startsWith('/ws/services')) {
+        handleServiceSocket(ws, req);
+        return;
+    }
+    if (req.url && req.url.startsWith('/ws/search')) {
+        handleSearchSocket(ws, req);
+        return;
+    }
+
     logger.info('Language server client connected');
 
     // Generate unique user ID for this connection
     const userId = `ws_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
+    // The language server analyzes code with the workspace folder's interpreter
+    const basePath = getSocketBasePath(req);
+
     // Send userId to client
     ws.send(JSON.stringify({ type: 'userId', userId }));
 
     let pylsp = null;
-    let messageBuffer = '';
     let pendingRequests = new Map();
-    const MAX_BUFFER_SIZE = 1024 * 1024; // 1MB buffer limit for memory optimization
     const REQUEST_TIMEOUT = 30000; // 30 seconds timeout for pending requests
 
     // Periodic cleanup of stale pending requests for memory optimization
@@ -82,6 +140,37 @@ wss.on('connection', (ws) => {
         }
     }, 60000); // Run every minute
 
+    // Process complete LSP messages from pylsp
+    const messageReader = createMessageReader((content) => {
+        try {
+            const response = JSON.parse(content);
+
+            // Get the original request method and clean up
+            let originalMethod = null;
+            if (response.id) {
+                const reqData = pendingRequests.get(response.id);
+                originalMethod = typeof reqData === 'object' ? reqData.method : reqData;
+                if (reqData) {
+                    pendingRequests.delete(response.id);
+                }
+            }
+
+            logger.debug('Sending LSP response', {
+                id: response.id,
+                method: response.method,
+                originalMethod: originalMethod,
+                hasResult: !!response.result,
+                hasError: !!response.error,
+            });
+
+            ws.send(JSON.stringify(response));
+        } catch (parseError) {
+            logger.error('Failed to parse LSP response', {
+                error: parseError.message,
+            });
+        }
+    });
+
     ws.on('message', (message) => {
         try {
             const data = JSON.parse(message);
@@ -97,8 +186,11 @@ wss.on('connection', (ws) => {
 
             if (data.method === 'initialize') {
                 // Get pylsp process from pool (reuse if available)
-                lspPool
-                    .getProcess(userId)
+                interpreterService
+                    .getInterpreter(basePath)
+                    .then((interpreter) =>
+                        lspPool.getProcess(userId, { venvPath: interpreter.venvPath })
+                    )
                     .then((process) => {
                         pylsp = process;
 
@@ -124,98 +216,7 @@ wss.on('connection', (ws) => {
                         // Setup stdout handler inside Promise
                         pylsp.stdout.on('data', (chunk) => {
                             try {
-                                messageBuffer += chunk.toString();
-
-                                // Memory optimization: limit buffer size to prevent memory bloat
-                                if (messageBuffer.length > MAX_BUFFER_SIZE) {
-                                    logger.warn(
-                                        'Message buffer exceeded limit, clearing old data',
-                                        {
-                                            bufferLength: messageBuffer.length,
-                                        }
-                                    );
-                                    // Keep only the last 100KB to avoid losing incomplete messages
-                                    messageBuffer = messageBuffer.slice(-100 * 1024);
-                                }
-
-                                logger.debug('Received chunk from pylsp', {
-                                    bufferLength: messageBuffer.length,
-                                });
-
-                                // Process complete LSP messages
-                                // eslint-disable-next-line no-constant-condition
-                                while (true) {
-                                    // Look for Content-Length header anywhere in the header section
-                                    const contentLengthMatch =
-                                        messageBuffer.match(/Content-Length:\s*(\d+)/);
-                                    if (!contentLengthMatch) {
-                                        logger.debug('No Content-Length header found yet');
-                                        break;
-                                    }
-
-                                    // Find the end of all headers (double newline)
-                                    const headerEndMatch = messageBuffer.match(/\r?\n\r?\n/);
-                                    if (!headerEndMatch) {
-                                        logger.debug('No complete header section found yet');
-                                        break;
-                                    }
-
-                                    const contentLength = parseInt(contentLengthMatch[1]);
-                                    const headerEndIndex =
-                                        headerEndMatch.index + headerEndMatch[0].length;
-
-                                    const totalNeeded = headerEndIndex + contentLength;
-                                    if (messageBuffer.length < totalNeeded) {
-                                        logger.debug('Waiting for more data', {
-                                            have: messageBuffer.length,
-                                            need: totalNeeded,
-                                        });
-                                        break;
-                                    }
-
-                                    const content = messageBuffer.slice(
-                                        headerEndIndex,
-                                        headerEndIndex + contentLength
-                                    );
-                                    messageBuffer = messageBuffer.slice(
-                                        headerEndIndex + contentLength
-                                    );
-                                    logger.debug('Processing complete LSP message', {
-                                        contentLength,
-                                        remainingBuffer: messageBuffer.length,
-                                    });
-
-                                    try {
-                                        const response = JSON.parse(content);
-
-                                        // Get the original request method and clean up
-                                        let originalMethod = null;
-                                        if (response.id) {
-                                            const reqData = pendingRequests.get(response.id);
-                                            originalMethod =
-                                                typeof reqData === 'object'
-                                                    ? reqData.method
-                                                    : reqData;
-                                            if (reqData) {
-                                                pendingRequests.delete(response.id);
-                                            }
-                                        }
-
-                                        logger.debug('Sending LSP response', {
-                                            id: response.id,
-                                            method: response.method,
-                                            originalMethod: originalMethod,
-                                            hasResult: !!response.result,
-                                            hasError: !!response.error,
-                                        });
-
-                                        ws.send(JSON.stringify(response));
-                                    } catch (parseError) {
-                                        logger.error('Failed to parse LSP response', {
-                                            error: parseError.message,
-                                        });
-                                    }
-                                }
+                                messageReader.push(chunk);
                             } catch (error) {
                                 logger.error('Error processing pylsp output', {
                                     error: error.message,
@@ -247,13 +248,11 @@ wss.on('connection', (ws) => {
 
                         // Send initialize request after pylsp is ready
                         if (pylsp && pylsp.stdin.writable) {
-                            const content = JSON.stringify(data);
-                            const header = `Content-Length: ${Buffer.byteLength(content)}\r\n\r\n`;
                             logger.debug('Sending initialize to pylsp', {
                                 method: data.method,
                                 id: data.id,
                             });
-                            pylsp.stdin.write(header + content);
+                            pylsp.stdin.write(encodeMessage(data));
                         } else {
                             logger.error('pylsp stdin not writable after creation');
                         }
@@ -277,10 +276,8 @@ wss.on('connection', (ws) => {
                     });
             } else if (pylsp && pylsp.stdin.writable) {
                 // Send other requests (non-initialize) to already initialized pylsp
-                const content = JSON.stringify(data);
-                const header = `Content-Length: ${Buffer.byteLength(content)}\r\n\r\n`;
                 logger.debug('Sending to pylsp', { method: data.method, id: data.id });
-                pylsp.stdin.write(header + content);
+                pylsp.stdin.write(encodeMessage(data));
             } else if (data.method !== 'initialize') {
                 logger.error('pylsp not ready or stdin not writable', { method: data.method });
             }
@@ -299,7 +296,7 @@ wss.on('connection', (ws) => {
         pendingRequests.clear();
 
         // Clear message buffer to free memory
-        messageBuffer = '';
+        messageReader.clear();
 
         // Release process back to pool (don't kill it)
         if (pylsp) {
@@ -313,7 +310,7 @@ wss.on('connection', (ws) => {
         // Cleanup on error
         clearInterval(cleanupInterval);
         pendingRequests.clear();
-        messageBuffer = '';
+        messageReader.clear();
 
         if (pylsp) {
             lspPool.releaseProcess(userId);
@@ -4,6 +4,7 @@ module.exports = {
     collectCoverageFrom: [
         'routes/**/*.js',
         'services/**/*.js',
+        'sockets/**/*.js',
         'utils/**/*.js',
         'api-proxy.js',
         '!**/__tests__/**',
@@ -0,0 +1,136 @@
+"""
+Line coverage used by "Run with Coverage" (server/services/coverageService.js)
+
+Run as `python -m pyeditor_coverage REPORT --program PROGRAM [ARGS...]` or
+`python -m pyeditor_coverage REPORT --module MODULE [ARGS...]` (e.g. pytest). Runs
+the program like `python PROGRAM` or `python -m MODULE` while a trace function
+records the lines executed in the working directory (the workspace folder), and
+writes them to REPORT as JSON, also when the program fails or calls sys.exit():
+
+  {"files": [{"path", "executed", "missing"}]}
+
+Only files inside the working directory are measured, leaving out installed
+packages (site-packages, e.g. of a virtual environment in the workspace). Paths
+are relative to the working directory. executed and missing are sorted 1-based
+line numbers; the lines that can run are taken from the compiled code, so
+blank lines, comments and docstrings are neither.
+"""
+
+import json
+import os
+import runpy
+import sys
+import threading
+import traceback
+
+_root = os.getcwd()
+_executed = {}  # absolute path -> executed lines
+_measured = {}  # co_filename -> absolute path if the file is measured, else None
+
+
+def _measured_path(filename):
+    if filename not in _measured:
+        path = os.path.abspath(filename)
+        relative = os.path.relpath(path, _root)
+        inside = not relative.startswith("..") and path.endswith(".py")
+        installed = {"site-packages", "dist-packages"} & set(path.split(os.sep))
+        _measured[filename] = path if inside and not installed else None
+    return _measured[filename]
+
+
+def _trace_lines(frame, event, arg):
+    if event == "line":
+        _executed[_measured[frame.f_code.co_filename]].add(frame.f_lineno)
+    return _trace_lines
+
+
+def _trace_calls(frame, event, arg):
+    path = _measured_path(frame.f_code.co_filename)
+    if path is None:
+        return None
+    _executed.setdefault(path, set())
+    return _trace_lines
+
+
+def _executable_lines(path):
+    """Lines with code of a file, from its compiled code objects"""
+    with open(path, "rb") as f:
+        code = compile(f.read(), path, "exec")
+
+    lines = set()
+    pending = [code]
+    while pending:
+        code = pending.pop()
+        lines.update(line for _, _, line in code.co_lines() if line)
+        pending.extend(const for const in code.co_consts if hasattr(const, "co_lines"))
+    return lines
+
+
+def build_report():
+    files = []
+    for path, executed in _executed.items():
+        try:
+            executable = _executable_lines(path)
+        except (OSError, SyntaxError, ValueError):
+            continue  # Deleted or changed while running
+        files.append(
+            {
+                "path": os.path.relpath(path, _root),
+                "executed": sorted(executable & executed),
+                "missing": sorted(executable - executed),
+            }
+        )
+    files.sort(key=lambda f: f["path"])
+    return {"files": files}
+
+
+def _print_program_traceback(error):
+    """Print a traceback without the frames of this module and runpy"""
+    skipped = {os.path.abspath(__file__), os.path.abspath(runpy.__file__)}
+    tb = error.__traceback__
+    while tb is not None and os.path.abspath(tb.tb_frame.f_code.co_filename) in skipped:
+        tb = tb.tb_next
+    traceback.print_exception(type(error), error, tb or error.__traceback__)
+
+
+def main():
+    report, kind, target, *args = sys.argv[1:]
+
+    # Same argv and import path as `python PROGRAM ARGS` / `python -m MODULE ARGS`
+    if kind == "--program":
+        target = os.path.abspath(target)
+        sys.argv = [target, *args]
+        sys.path[0] = os.path.dirname(target)
+
+        def run():
+            runpy.run_path(target, run_name="__main__")
+
+    else:
+        sys.argv = [target, *args]
+        sys.path[0] = _root
+
+        def run():
+            runpy.run_module(target, run_name="__main__", alter_sys=True)
+
+    exit_code = 0
+    threading.settrace(_trace_calls)
+    sys.settrace(_trace_calls)
+    try:
+        run()
+    except SystemExit as error:
+        exit_code = error.code
+    except BaseException as error:  # Includes KeyboardInterrupt
+        _print_program_traceback(error)
+        exit_code = 1
+    finally:
+        sys.settrace(None)
+        threading.settrace(None)
+        sys.stdout.flush()
+        with open(report, "w", encoding="utf-8") as f:
+            json.dump(build_report(), f)
+
+    sys.exit(exit_code)
+
+
+if __name__ == "__main__":
+    main()
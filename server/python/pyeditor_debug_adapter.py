@@ -0,0 +1,550 @@
+"""
+Debug adapter used by the debugger (server/sockets/debugSocket.js)
+
+Speaks the Debug Adapter Protocol over stdin/stdout (Content-Length framed JSON)
+and runs the program in this process under bdb, the debugger framework pdb is
+built on. Requests are read on a background thread; the program runs on the
+main thread and blocks there while it is stopped.
+
+    python3 -u pyeditor_debug_adapter.py <workspace folder>
+
+Paths in requests and responses are relative to the workspace folder when they
+are inside it, absolute otherwise. Lines are 1-based. The program's own output
+is captured and sent as "output" events; it has no stdin.
+
+Supported requests: initialize, launch, setBreakpoints, configurationDone,
+threads, stackTrace, scopes, variables, evaluate, continue, next, stepIn,
+stepOut, pause, terminate, disconnect.
+"""
+
+import bdb
+import json
+import os
+import reprlib
+import runpy
+import sys
+import threading
+import traceback
+import types
+
+THREAD_ID = 1
+ADAPTER_FILE = os.path.abspath(__file__)
+
+_repr = reprlib.Repr()
+_repr.maxstring = 200
+_repr.maxother = 200
+_repr.maxlist = _repr.maxdict = _repr.maxtuple = _repr.maxset = 20
+
+
+class Channel:
+    """DAP message framing on the adapter's own copies of stdin/stdout"""
+
+    def __init__(self, reader, writer):
+        self.reader = reader
+        self.writer = writer
+        self.seq = 1
+        self.lock = threading.Lock()
+
+    def read(self):
+        headers = {}
+        while True:
+            line = self.reader.readline()
+            if not line:
+                return None
+            line = line.decode("ascii").strip()
+            if not line:
+                break
+            name, _, value = line.partition(":")
+            headers[name.strip().lower()] = value.strip()
+        length = int(headers.get("content-length", 0))
+        return json.loads(self.reader.read(length).decode("utf-8"))
+
+    def send(self, message):
+        with self.lock:
+            message["seq"] = self.seq
+            self.seq += 1
+            body = json.dumps(message).encode("utf-8")
+            self.writer.write(b"Content-Length: %d\r\n\r\n" % len(body) + body)
+            self.writer.flush()
+
+    def event(self, event, body=None):
+        self.send({"type": "event", "event": event, "body": body or {}})
+
+    def respond(self, request, body=None, error=None):
+        response = {
+            "type": "response",
+            "request_seq": request["seq"],
+            "command": request["command"],
+            "success": error is None,
+            "body": body or {},
+        }
+        if error is not None:
+            response["message"] = error
+        self.send(response)
+
+
+class Scope:
+    """Locals or globals of a stopped frame, as a variables reference"""
+
+    def __init__(self, frame, kind):
+        self.frame = frame
+        self.kind = kind
+
+    def items(self):
+        values = self.frame.f_locals if self.kind == "locals" else self.frame.f_globals
+        return [
+            (name, value)
+            for name, value in values.items()
+            if not (name.startswith("__") and name.endswith("__"))
+        ]
+
+
+class Debugger(bdb.Bdb):
+    """bdb debugger that stops only in workspace files and waits for DAP commands"""
+
+    def __init__(self, channel, root):
+        super().__init__()
+        self.channel = channel
+        self.root = root
+        self.stop_on_entry = False
+        self.pause_requested = False
+        self.paused = threading.Event()
+        self.resume = threading.Event()
+        self.resume_action = None
+        self.frame = None  # Frame the program is stopped in
+        self.frames = {}  # frameId -> frame, valid while stopped
+        self.references = {}  # variablesReference -> Scope or expandable value
+        self.started = False
+
+    # Paths
+
+    def to_client_path(self, filename):
+        path = os.path.abspath(filename)
+        relative = os.path.relpath(path, self.root)
+        return path if relative.startswith("..") else relative
+
+    def to_server_path(self, path):
+        return os.path.abspath(os.path.join(self.root, path))
+
+    def is_user_code(self, frame):
+        filename = frame.f_code.co_filename
+        if filename.startswith("<") or os.path.abspath(filename) == ADAPTER_FILE:
+            return False
+        path = os.path.abspath(filename)
+        if "site-packages" in path or "dist-packages" in path:
+            return False
+        return not os.path.relpath(path, self.root).startswith("..")
+
+    # bdb hooks
+
+    def stop_here(self, frame):
+        if not self.is_user_code(frame):
+            return False
+        if self.pause_requested:
+            return True
+        return super().stop_here(frame)
+
+    def break_anywhere(self, frame):
+        # Trace every workspace frame so pause and new breakpoints work anywhere
+        return self.is_user_code(frame) or super().break_anywhere(frame)
+
+    def set_continue(self):
+        # Unlike bdb, keep tracing so pause works while the program runs
+        self._set_stopinfo(self.botframe, None, -1)
+
+    def user_line(self, frame):
+        if not self.started:
+            # bdb starts in step mode; run to the first breakpoint unless asked to stop
+            self.started = True
+            if self.stop_on_entry:
+                self.wait(frame, "entry")
+            elif self.break_here(frame):
+                self.wait(frame, "breakpoint")
+            else:
+                self.set_continue()
+        elif self.pause_requested:
+            self.wait(frame, "pause")
+        elif self.stop_here(frame):
+            self.wait(frame, "step")
+        else:
+            self.wait(frame, "breakpoint")
+
+    def wait(self, frame, reason):
+        """Block the program until a resume request arrives"""
+        self.pause_requested = False
+        self.frame = frame
+        self.frames = {}
+        self.references = {}
+        self.resume.clear()
+        self.paused.set()
+        self.channel.event(
+            "stopped", {"reason": reason, "threadId": THREAD_ID, "allThreadsStopped": True}
+        )
+
+        self.resume.wait()
+        self.paused.clear()
+        action = self.resume_action
+        self.frame = None
+        self.frames = {}
+        self.references = {}
+
+        if action == "next":
+            self.set_next(frame)
+        elif action == "stepIn":
+            self.set_step()
+        elif action == "stepOut":
+            self.set_return(frame)
+        else:
+            self.set_continue()
+
+    def do_resume(self, action):
+        self.resume_action = action
+        self.resume.set()
+
+    # Inspection (only called while stopped)
+
+    def stack(self):
+        stack, _ = self.get_stack(self.frame, None)
+        frames = [f for f, _ in stack if self.is_user_code(f)]
+        frames.reverse()
+        result = []
+        for frame in frames:
+            frame_id = len(self.frames) + 1
+            self.frames[frame_id] = frame
+            filename = frame.f_code.co_filename
+            result.append(
+                {
+                    "id": frame_id,
+                    "name": frame.f_code.co_name,
+                    "source": {
+                        "name": os.path.basename(filename),
+                        "path": self.to_client_path(filename),
+                    },
+                    "line": frame.f_lineno,
+                    "column": 1,
+                }
+            )
+        return result
+
+    def reference(self, value):
+        """variablesReference for values that can be expanded, 0 otherwise"""
+        if isinstance(value, (dict, list, tuple, set, frozenset)):
+            expandable = len(value) > 0
+        else:
+            expandable = (
+                hasattr(value, "__dict__")
+                and not callable(value)
+                and not isinstance(value, types.ModuleType)
+                and bool(vars(value))
+            )
+        if not expandable:
+            return 0
+        ref = len(self.references) + 1
+        self.references[ref] = value
+        return ref
+
+    def variable(self, name, value):
+        try:
+            text = _repr.repr(value)
+        except Exception as error:  # repr() of user objects can fail
+            text = f"<repr failed: {error}>"
+        return {
+            "name": str(name),
+            "value": text,
+            "type": type(value).__name__,
+            "variablesReference": self.reference(value),
+        }
+
+    def scopes(self, frame):
+        scopes = []
+        for name, kind in (("Locals", "locals"), ("Globals", "globals")):
+            if kind == "globals" and frame.f_globals is frame.f_locals:
+                continue
+            ref = len(self.references) + 1
+            self.references[ref] = Scope(frame, kind)
+            scopes.append({"name": name, "variablesReference": ref, "expensive": False})
+        return scopes
+
+    def variables(self, ref):
+        target = self.references.get(ref)
+        if target is None:
+            return []
+        if isinstance(target, Scope):
+            items = target.items()
+        elif isinstance(target, dict):
+            items = [(_repr.repr(key), value) for key, value in target.items()]
+        elif isinstance(target, (list, tuple)):
+            items = list(enumerate(target))
+        elif isinstance(target, (set, frozenset)):
+            items = list(enumerate(sorted(target, key=repr)))
+        else:
+            items = [(name, value) for name, value in vars(target).items()]
+        return [self.variable(name, value) for name, value in items[:1000]]
+
+    def evaluate(self, expression, frame_id, context):
+        frame = self.frames.get(frame_id) or self.frame
+        if frame is None:
+            raise RuntimeError("The program is not paused")
+        try:
+            code = compile(expression, "<debug console>", "eval")
+        except SyntaxError:
+            if context != "repl":
+                raise
+            # Statements (assignments, imports) are allowed in the debug console
+            exec(compile(expression, "<debug console>", "exec"), frame.f_globals, frame.f_locals)
+            return {"result": "", "variablesReference": 0}
+        value = eval(code, frame.f_globals, frame.f_locals)
+        result = self.variable("result", value)
+        return {
+            "result": result["value"],
+            "type": result["type"],
+            "variablesReference": result["variablesReference"],
+        }
+
+
+class Adapter:
+    def __init__(self, channel, root):
+        self.channel = channel
+        self.root = root
+        self.debugger = Debugger(channel, root)
+        self.launch = None
+        self.configured = threading.Event()
+
+    def handle(self, request):
+        command = request.get("command")
+        handler = getattr(self, "on_" + command, None)
+        if handler is None:
+            self.channel.respond(request, error=f"Unsupported request: {command}")
+            return
+        try:
+            handler(request, request.get("arguments") or {})
+        except Exception as error:
+            self.channel.respond(request, error=str(error))
+
+    def on_initialize(self, request, args):
+        self.channel.respond(
+            request,
+            {
+                "supportsConfigurationDoneRequest": True,
+                "supportsEvaluateForHovers": True,
+                "supportsConditionalBreakpoints": True,
+                "supportsTerminateRequest": True,
+            },
+        )
+        self.channel.event("initialized")
+
+    def on_launch(self, request, args):
+        if not args.get("program") and not args.get("module"):
+            raise ValueError('Launch needs a "program" or "module"')
+        self.launch = args
+        self.debugger.stop_on_entry = bool(args.get("stopOnEntry"))
+        self.channel.respond(request)
+
+    def on_setBreakpoints(self, request, args):
+        path = self.debugger.to_server_path(args["source"]["path"])
+        self.debugger.clear_all_file_breaks(path)
+        breakpoints = []
+        for bp in args.get("breakpoints", []):
+            line = bp["line"]
+            error = self.debugger.set_break(path, line, cond=bp.get("condition") or None)
+            breakpoints.append(
+                {"verified": error is None, "line": line, "message": error or None}
+            )
+        self.channel.respond(request, {"breakpoints": breakpoints})
+
+    def on_configurationDone(self, request, args):
+        self.channel.respond(request)
+        self.configured.set()
+
+    def on_threads(self, request, args):
+        self.channel.respond(request, {"threads": [{"id": THREAD_ID, "name": "MainThread"}]})
+
+    def require_paused(self):
+        if not self.debugger.paused.is_set():
+            raise RuntimeError("The program is not paused")
+
+    def on_stackTrace(self, request, args):
+        self.require_paused()
+        frames = self.debugger.stack()
+        self.channel.respond(request, {"stackFrames": frames, "totalFrames": len(frames)})
+
+    def on_scopes(self, request, args):
+        self.require_paused()
+        frame = self.debugger.frames.get(args["frameId"])
+        if frame is None:
+            raise ValueError("Unknown frame")
+        self.channel.respond(request, {"scopes": self.debugger.scopes(frame)})
+
+    def on_variables(self, request, args):
+        self.require_paused()
+        variables = self.debugger.variables(args["variablesReference"])
+        self.channel.respond(request, {"variables": variables})
+
+    def on_evaluate(self, request, args):
+        self.require_paused()
+        try:
+            body = self.debugger.evaluate(
+                args["expression"], args.get("frameId"), args.get("context")
+            )
+        except Exception as error:
+            self.channel.respond(request, error=f"{type(error).__name__}: {error}")
+            return
+        self.channel.respond(request, body)
+
+    def resume(self, request, action):
+        self.require_paused()
+        self.channel.respond(request, {"allThreadsContinued": True})
+        self.debugger.do_resume(action)
+
+    def on_continue(self, request, args):
+        self.resume(request, "continue")
+
+    def on_next(self, request, args):
+        self.resume(request, "next")
+
+    def on_stepIn(self, request, args):
+        self.resume(request, "stepIn")
+
+    def on_stepOut(self, request, args):
+        self.resume(request, "stepOut")
+
+    def on_pause(self, request, args):
+        self.debugger.pause_requested = True
+        self.channel.respond(request)
+
+    def on_terminate(self, request, args):
+        self.channel.respond(request)
+        self.channel.event("terminated")
+        os._exit(0)
+
+    def on_disconnect(self, request, args):
+        self.channel.respond(request)
+        os._exit(0)
+
+    # Program
+
+    def run(self):
+        self.configured.wait()
+        launch = self.launch
+        os.environ.update({k: str(v) for k, v in (launch.get("env") or {}).items()})
+        os.chdir(launch.get("cwd") or self.root)
+        args = [str(arg) for arg in launch.get("args") or []]
+
+        exit_code = 0
+        try:
+            if launch.get("module"):
+                # Like python -m: the working directory is importable
+                sys.path.insert(0, os.getcwd())
+                sys.argv = [launch["module"]] + args
+                self.debugger.runcall(
+                    runpy.run_module, launch["module"], run_name="__main__", alter_sys=True
+                )
+            else:
+                program = os.path.abspath(launch["program"])
+                sys.path.insert(0, os.path.dirname(program))
+                sys.argv = [program] + args
+                with open(program, "rb") as source:
+                    code = compile(source.read(), program, "exec")
+
+                # Run as the real __main__ module so pickle and `import __main__` work
+                import __main__
+
+                __main__.__dict__.clear()
+                __main__.__dict__.update(
+                    {"__name__": "__main__", "__file__": program, "__builtins__": __builtins__}
+                )
+                self.debugger.run(code, __main__.__dict__)
+        except SystemExit as error:
+            if error.code is None or isinstance(error.code, int):
+                exit_code = error.code or 0
+            else:
+                print(error.code, file=sys.stderr)
+                exit_code = 1
+        except bdb.BdbQuit:
+            exit_code = 0
+        except BaseException:
+            exit_code = 1
+            # Hide the adapter's own frames from the traceback
+            exc_type, exc, tb = sys.exc_info()
+            while tb is not None and not self.debugger.is_user_code(tb.tb_frame):
+                tb = tb.tb_next
+            traceback.print_exception(exc_type, exc, tb)
+        return exit_code
+
+
+class OutputCapture:
+    """Redirect fds 1 and 2 to pipes and forward them as output events"""
+
+    def __init__(self, channel):
+        self.channel = channel
+        self.threads = []
+
+    def start(self):
+        for fd, category in ((1, "stdout"), (2, "stderr")):
+            read_fd, write_fd = os.pipe()
+            os.dup2(write_fd, fd)
+            os.close(write_fd)
+            thread = threading.Thread(target=self.forward, args=(read_fd, category), daemon=True)
+            thread.start()
+            self.threads.append(thread)
+
+    def forward(self, read_fd, category):
+        with os.fdopen(read_fd, "rb", buffering=0) as pipe:
+            while True:
+                data = pipe.read(4096)
+                if not data:
+                    break
+                self.channel.event(
+                    "output", {"category": category, "output": data.decode("utf-8", "replace")}
+                )
+
+    def finish(self):
+        sys.stdout.flush()
+        sys.stderr.flush()
+        devnull = os.open(os.devnull, os.O_WRONLY)
+        os.dup2(devnull, 1)
+        os.dup2(devnull, 2)
+        for thread in self.threads:
+            thread.join(timeout=2)
+
+
+def main():
+    root = os.path.abspath(sys.argv[1] if len(sys.argv) > 1 else os.getcwd())
+
+    # The protocol keeps private copies of stdin/stdout; the program gets none
+    channel = Channel(os.fdopen(os.dup(0), "rb"), os.fdopen(os.dup(1), "wb"))
+    devnull = os.open(os.devnull, os.O_RDONLY)
+    os.dup2(devnull, 0)
+    os.close(devnull)
+
+    output = OutputCapture(channel)
+    output.start()
+    adapter = Adapter(channel, root)
+
+    def read_requests():
+        while True:
+            try:
+                message = channel.read()
+            except (ValueError, OSError):
+                message = None
+            if message is None:
+                # Client went away
+                os._exit(0)
+            if message.get("type") == "request":
+                adapter.handle(message)
+
+    threading.Thread(target=read_requests, daemon=True).start()
+
+    exit_code = adapter.run()
+    output.finish()
+    channel.event("exited", {"exitCode": exit_code})
+    channel.event("terminated")
+    # Wait for the client to disconnect
+    threading.Event().wait()
+
+
+if __name__ == "__main__":
+    # The program being debugged takes over __main__, so run from the imported module
+    from pyeditor_debug_adapter import main as run_adapter
+
+    run_adapter()
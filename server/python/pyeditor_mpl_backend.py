@@ -0,0 +1,57 @@
+"""
+matplotlib backend for program runs (server/services/executionService.js)
+
+Selected with MPLBACKEND=module://pyeditor_mpl_backend. Figures are drawn with
+Agg; instead of opening a window, plt.show() saves every open figure to the
+run's artifact directory (PYEDITOR_ARTIFACT_DIR) and reports it in stdout,
+framed like a terminal escape sequence so it stays in order with the output:
+
+  ESC ] pyeditor; {"event": "figure", "name": "figure_1.png", "mime": "image/png"} BEL
+
+PYEDITOR_FIGURE_FORMAT chooses the file format: png (default) or svg.
+"""
+
+import json
+import os
+import sys
+
+from matplotlib._pylab_helpers import Gcf
+from matplotlib.backend_bases import FigureManagerBase
+from matplotlib.backends.backend_agg import FigureCanvasAgg
+
+FigureCanvas = FigureCanvasAgg
+FigureManager = FigureManagerBase
+
+MIME_TYPES = {"png": "image/png", "svg": "image/svg+xml"}
+
+_count = 0
+
+
+def _emit(data):
+    # The real stdout, even while the program redirects sys.stdout
+    sys.__stdout__.write(f"\x1b]pyeditor;{json.dumps(data)}\x07")
+    sys.__stdout__.flush()
+
+
+def show(*args, **kwargs):
+    """Save and close all open figures (nothing blocks, so `block` is ignored)"""
+    global _count
+    directory = os.environ.get("PYEDITOR_ARTIFACT_DIR")
+    figure_format = os.environ.get("PYEDITOR_FIGURE_FORMAT", "png").lower()
+    if figure_format not in MIME_TYPES:
+        figure_format = "png"
+
+    # The figures belong after what the program printed before showing them
+    sys.stdout.flush()
+
+    managers = Gcf.get_all_fig_managers()
+    if directory and managers:
+        os.makedirs(directory, exist_ok=True)
+        for manager in managers:
+            _count += 1
+            name = f"figure_{_count}.{figure_format}"
+            manager.canvas.figure.savefig(
+                os.path.join(directory, name), format=figure_format, bbox_inches="tight"
+            )
+            _emit({"event": "figure", "name": name, "mime": MIME_TYPES[figure_format]})
+    Gcf.destroy_all()
@@ -0,0 +1,149 @@
+"""
+Profiler used by "Run with Profiler" (server/services/profileService.js)
+
+Run as `python -m pyeditor_profile REPORT PROGRAM [ARGS...]`. Runs PROGRAM as
+__main__ under cProfile, like `python -m cProfile PROGRAM`, and writes the stats to
+REPORT as JSON, also when the program fails or calls sys.exit():
+
+  {"totalTime", "functions": [{"id", "name", "file", "line", "calls",
+   "primitiveCalls", "ownTime", "cumulativeTime"}],
+   "flame": {"function", "time", "children": [...]}}
+
+Times are in seconds; functions are sorted by cumulative time and flame nodes
+refer to them by id. Paths are relative to the working directory (the workspace
+folder) when they are inside it, absolute otherwise, and null for built-in
+functions. Lines are 1-based.
+
+The flame graph is the call tree below the program's module code. cProfile only
+records time per caller/callee pair, so the time a function spends below a caller
+is shared out between the paths that reach that caller, in proportion to their time.
+"""
+
+import builtins
+import cProfile
+import json
+import os
+import pstats
+import sys
+import traceback
+import types
+
+MAX_DEPTH = 64
+MIN_SHARE = 0.001  # Flame graph nodes under this share of the total time are left out
+
+_root = os.getcwd()
+
+
+def _relative(path):
+    path = os.path.abspath(path)
+    relative = os.path.relpath(path, _root)
+    return path if relative.startswith("..") else relative
+
+
+def _function(key, index, stat):
+    filename, line, name = key
+    primitive_calls, calls, own_time, cumulative_time, _ = stat
+    builtin = filename == "~"
+    return {
+        "id": index,
+        "name": name,
+        "file": None if builtin else _relative(filename),
+        "line": None if builtin else line,
+        "calls": calls,
+        "primitiveCalls": primitive_calls,
+        "ownTime": own_time,
+        "cumulativeTime": cumulative_time,
+    }
+
+
+def _flame(stats, callees, ids, key, time, total, path):
+    node = {"function": ids[key], "time": time, "children": []}
+    cumulative = stats[key][3]
+    if len(path) >= MAX_DEPTH or cumulative <= 0:
+        return node
+
+    scale = min(time / cumulative, 1.0)
+    path = path | {key}
+    for callee, edge_time in callees.get(key, []):
+        share = edge_time * scale
+        # Recursive calls are already part of the caller's time
+        if callee in path or share < total * MIN_SHARE:
+            continue
+        node["children"].append(_flame(stats, callees, ids, callee, share, total, path))
+    node["children"].sort(key=lambda child: -child["time"])
+    return node
+
+
+def build_report(profiler, program):
+    stats = pstats.Stats(profiler).stats
+    root = next(
+        (key for key in stats if key[0] == program and key[2] == "<module>"),
+        None,
+    )
+    # Only the program's module code and the profiler's own disable() have no caller
+    keys = [key for key, stat in stats.items() if stat[4] or key == root]
+    keys.sort(key=lambda key: -stats[key][3])
+    ids = {key: index for index, key in enumerate(keys)}
+
+    callees = {}
+    for key in keys:
+        for caller, edge in stats[key][4].items():
+            if caller in ids:
+                callees.setdefault(caller, []).append((key, edge[3]))
+
+    total = stats[root][3] if root else 0.0
+    return {
+        "totalTime": total,
+        "functions": [_function(key, ids[key], stats[key]) for key in keys],
+        "flame": _flame(stats, callees, ids, root, total, total, frozenset()) if root else None,
+    }
+
+
+def _print_program_traceback(error, program):
+    """Print a traceback without the profiler's own frames"""
+    tb = error.__traceback__
+    while tb is not None and tb.tb_frame.f_code.co_filename != program:
+        tb = tb.tb_next
+    traceback.print_exception(type(error), error, tb or error.__traceback__)
+
+
+def main():
+    report, program, *args = sys.argv[1:]
+    program = os.path.abspath(program)
+
+    # Same globals, argv and import path as `python PROGRAM ARGS`
+    sys.argv = [program, *args]
+    sys.path[0] = os.path.dirname(program)
+    with open(program, "rb") as f:
+        code = compile(f.read(), program, "exec")
+    globs = {
+        "__file__": program,
+        "__name__": "__main__",
+        "__package__": None,
+        "__cached__": None,
+        "__builtins__": builtins,
+    }
+
+    # Called as a function rather than with exec(), so the program's own exec() calls
+    # (e.g. imports) aren't mixed up with the run as a whole
+    program_function = types.FunctionType(code, globs)
+
+    profiler = cProfile.Profile()
+    exit_code = 0
+    try:
+        profiler.runcall(program_function)
+    except SystemExit as error:
+        exit_code = error.code
+    except BaseException as error:  # Includes KeyboardInterrupt
+        _print_program_traceback(error, program)
+        exit_code = 1
+    finally:
+        sys.stdout.flush()
+        with open(report, "w", encoding="utf-8") as f:
+            json.dump(build_report(profiler, program), f)
+
+    sys.exit(exit_code)
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,131 @@
+"""
+pytest plugin used by the test explorer (server/services/testService.js)
+
+Loaded with `-p pyeditor_pytest_plugin`. Writes one JSON event per line to the
+file named by the PYEDITOR_PYTEST_REPORT environment variable:
+
+  {"event": "collected", "tests": [{"nodeid", "path", "line", "name"}]}
+  {"event": "collect_error", "nodeid", "path", "message", "traceback"}
+  {"event": "result", "nodeid", "outcome", "duration", "message", "traceback",
+   "path", "line"}
+
+Paths are relative to the working directory (the workspace folder) when they are
+inside it, absolute otherwise. Lines are 1-based.
+"""
+
+import json
+import os
+
+_root = os.getcwd()
+_report = None
+
+
+def _emit(data):
+    global _report
+    report_path = os.environ.get("PYEDITOR_PYTEST_REPORT")
+    if not report_path:
+        return
+    if _report is None:
+        _report = open(report_path, "a", encoding="utf-8")
+    _report.write(json.dumps(data) + "\n")
+    _report.flush()
+
+
+def _relative(path):
+    path = os.path.abspath(str(path))
+    relative = os.path.relpath(path, _root)
+    return path if relative.startswith("..") else relative
+
+
+def _item_path(item):
+    return getattr(item, "path", None) or item.fspath
+
+
+def _failure_location(report):
+    """Innermost traceback frame inside the workspace, e.g. the failing assert"""
+    reprtraceback = getattr(report.longrepr, "reprtraceback", None)
+    for entry in reversed(getattr(reprtraceback, "reprentries", [])):
+        fileloc = getattr(entry, "reprfileloc", None)
+        if fileloc is None:
+            continue
+        path = _relative(fileloc.path)
+        if not os.path.isabs(path):
+            return path, fileloc.lineno
+    return None
+
+
+def _message(report):
+    longrepr = report.longrepr
+    if longrepr is None:
+        return ""
+    if isinstance(longrepr, tuple):
+        # Skips are reported as (path, line, reason)
+        return str(longrepr[2]).replace("Skipped: ", "", 1)
+    crash = getattr(longrepr, "reprcrash", None)
+    if crash is not None:
+        return crash.message
+    lines = str(longrepr).strip().splitlines()
+    return lines[-1] if lines else ""
+
+
+def pytest_collection_finish(session):
+    tests = []
+    for item in session.items:
+        line = item.location[1]
+        tests.append(
+            {
+                "nodeid": item.nodeid,
+                "path": _relative(_item_path(item)),
+                "line": line + 1 if line is not None else 1,
+                "name": item.name,
+            }
+        )
+    _emit({"event": "collected", "tests": tests})
+
+
+def pytest_collectreport(report):
+    if report.failed:
+        _emit(
+            {
+                "event": "collect_error",
+                "nodeid": report.nodeid,
+                "path": report.nodeid.split("::")[0],
+                "message": _message(report),
+                "traceback": report.longreprtext,
+            }
+        )
+
+
+def pytest_runtest_logreport(report):
+    # Report the test body, plus setup/teardown only when they fail or skip the test
+    if report.when != "call" and report.passed:
+        return
+
+    outcome = report.outcome
+    if report.when != "call" and report.failed:
+        outcome = "error"
+
+    path, line = report.location[0], (report.location[1] or 0) + 1
+    location = _failure_location(report) if report.failed else None
+    if location is not None:
+        path, line = location
+
+    _emit(
+        {
+            "event": "result",
+            "nodeid": report.nodeid,
+            "outcome": outcome,
+            "duration": report.duration,
+            "message": _message(report) if not report.passed else "",
+            "traceback": report.longreprtext if report.failed else "",
+            "path": path,
+            "line": line,
+        }
+    )
+
+
+def pytest_sessionfinish(session, exitstatus):
+    global _report
+    if _report is not None:
+        _report.close()
+        _report = None
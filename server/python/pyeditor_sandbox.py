@@ -0,0 +1,185 @@
+"""
+Sandbox launcher for program runs (server/services/sandboxService.js)
+
+    python3 -I -S pyeditor_sandbox.py <command> [<args>...]
+    python3 -I -S pyeditor_sandbox.py --check
+
+Applies the run's limits to itself, then replaces itself with the command, so
+the program and everything it starts inherit them. The configuration comes as
+JSON in the PYEDITOR_SANDBOX environment variable:
+
+    {"limits": {"cpuSeconds", "memoryMb", "openFiles", "processes"},
+     "writable": [<folder or file>, ...], "confineWrites": true, "env": {...}}
+
+Limits of 0 are not set. With confineWrites, Landlock (Linux 5.13+) only lets
+the program create, change or delete files below the writable folders, and
+write to the writable files (reading is not restricted); where Landlock is not
+available the program runs with a warning on stderr. "env" is the complete
+environment of the program.
+
+--check prints {"landlock": <ABI version or null>} and exits.
+"""
+
+import ctypes
+import json
+import os
+import resource
+import sys
+
+# Linux system call numbers, the same on every architecture
+SYS_LANDLOCK_CREATE_RULESET = 444
+SYS_LANDLOCK_ADD_RULE = 445
+SYS_LANDLOCK_RESTRICT_SELF = 446
+LANDLOCK_CREATE_RULESET_VERSION = 1
+LANDLOCK_RULE_PATH_BENEATH = 1
+PR_SET_NO_NEW_PRIVS = 38
+
+# Landlock filesystem rights that change the filesystem (ABI 1), see linux/landlock.h
+ACCESS_WRITE_FILE = 1 << 1
+ACCESS_REMOVE_DIR = 1 << 4
+ACCESS_REMOVE_FILE = 1 << 5
+ACCESS_MAKE_CHAR = 1 << 6
+ACCESS_MAKE_DIR = 1 << 7
+ACCESS_MAKE_REG = 1 << 8
+ACCESS_MAKE_SOCK = 1 << 9
+ACCESS_MAKE_FIFO = 1 << 10
+ACCESS_MAKE_BLOCK = 1 << 11
+ACCESS_MAKE_SYM = 1 << 12
+ACCESS_REFER = 1 << 13  # ABI 2: moving and linking files between folders
+ACCESS_TRUNCATE = 1 << 14  # ABI 3
+
+WRITE_ACCESS = (
+    ACCESS_WRITE_FILE
+    | ACCESS_REMOVE_DIR
+    | ACCESS_REMOVE_FILE
+    | ACCESS_MAKE_CHAR
+    | ACCESS_MAKE_DIR
+    | ACCESS_MAKE_REG
+    | ACCESS_MAKE_SOCK
+    | ACCESS_MAKE_FIFO
+    | ACCESS_MAKE_BLOCK
+    | ACCESS_MAKE_SYM
+)
+
+RLIMITS = [
+    ("cpuSeconds", resource.RLIMIT_CPU, 1),
+    ("memoryMb", resource.RLIMIT_AS, 1024 * 1024),
+    ("openFiles", resource.RLIMIT_NOFILE, 1),
+    ("processes", resource.RLIMIT_NPROC, 1),
+]
+
+
+class RulesetAttr(ctypes.Structure):
+    _fields_ = [("handled_access_fs", ctypes.c_uint64)]
+
+
+class PathBeneathAttr(ctypes.Structure):
+    _pack_ = 1
+    _fields_ = [("allowed_access", ctypes.c_uint64), ("parent_fd", ctypes.c_int32)]
+
+
+_libc = ctypes.CDLL(None, use_errno=True)
+_libc.syscall.restype = ctypes.c_long
+
+
+def landlock_abi():
+    """Landlock ABI version of the kernel, or None if Landlock is not available"""
+    version = _libc.syscall(SYS_LANDLOCK_CREATE_RULESET, None, 0, LANDLOCK_CREATE_RULESET_VERSION)
+    return version if version > 0 else None
+
+
+def set_limits(limits):
+    for name, kind, unit in RLIMITS:
+        soft = int(limits.get(name) or 0) * unit
+        if soft <= 0:
+            continue
+        # The CPU limit sends SIGXCPU; the hard limit a second later kills for sure
+        hard = soft + 1 if kind == resource.RLIMIT_CPU else soft
+        _current, maximum = resource.getrlimit(kind)
+        if maximum != resource.RLIM_INFINITY:
+            soft, hard = min(soft, maximum), min(hard, maximum)
+        resource.setrlimit(kind, (soft, hard))
+
+
+def _check(result, action):
+    if result < 0:
+        errno = ctypes.get_errno()
+        raise OSError(errno, f"{action}: {os.strerror(errno)}")
+    return result
+
+
+def confine_writes(writable):
+    """Only allow changes to the filesystem below the writable folders (and to writable files)"""
+    abi = landlock_abi()
+    if abi is None:
+        raise OSError("Landlock is not available")
+
+    handled = WRITE_ACCESS
+    if abi >= 2:
+        handled |= ACCESS_REFER
+    if abi >= 3:
+        handled |= ACCESS_TRUNCATE
+    file_access = ACCESS_WRITE_FILE | (handled & ACCESS_TRUNCATE)
+
+    attr = RulesetAttr(handled)
+    ruleset = _check(
+        _libc.syscall(SYS_LANDLOCK_CREATE_RULESET, ctypes.byref(attr), ctypes.sizeof(attr), 0),
+        "landlock_create_ruleset",
+    )
+    try:
+        # /dev for /dev/null and terminals, /dev/shm for multiprocessing's semaphores
+        rules = [(path, handled if os.path.isdir(path) else file_access) for path in writable]
+        rules += [("/dev", file_access), ("/dev/shm", handled)]
+        for path, allowed in rules:
+            try:
+                fd = os.open(path, os.O_PATH | os.O_CLOEXEC)
+            except OSError:
+                continue  # What doesn't exist can't be written to anyway
+            try:
+                rule = PathBeneathAttr(allowed, fd)
+                _check(
+                    _libc.syscall(
+                        SYS_LANDLOCK_ADD_RULE,
+                        ruleset,
+                        LANDLOCK_RULE_PATH_BENEATH,
+                        ctypes.byref(rule),
+                        0,
+                    ),
+                    f"landlock_add_rule({path})",
+                )
+            finally:
+                os.close(fd)
+
+        _check(_libc.prctl(PR_SET_NO_NEW_PRIVS, 1, 0, 0, 0), "prctl(PR_SET_NO_NEW_PRIVS)")
+        _check(_libc.syscall(SYS_LANDLOCK_RESTRICT_SELF, ruleset, 0), "landlock_restrict_self")
+    finally:
+        os.close(ruleset)
+
+
+def main():
+    if sys.argv[1:] == ["--check"]:
+        print(json.dumps({"landlock": landlock_abi()}))
+        return
+
+    if len(sys.argv) < 2:
+        sys.exit("usage: pyeditor_sandbox.py <command> [<args>...]")
+
+    config = json.loads(os.environ.get("PYEDITOR_SANDBOX", "{}"))
+    env = config.get("env", {})
+
+    set_limits(config.get("limits", {}))
+    if config.get("confineWrites"):
+        try:
+            confine_writes(config.get("writable", []))
+        except OSError as error:
+            print(f"Warning: writes are not confined to the workspace ({error})", file=sys.stderr)
+
+    command = sys.argv[1]
+    try:
+        os.execvpe(command, sys.argv[1:], env)
+    except OSError as error:
+        sys.exit(f"Cannot start {command}: {error}")
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,326 @@
+"""
+Persistent Python session used by Run Selection / Run Cell (server/sockets/sessionSocket.js)
+
+Runs code sent from the editor in one namespace that lives as long as the
+process, so variables, imports and definitions carry over between runs.
+
+    python3 -u pyeditor_session.py <workspace folder> [<working directory>]
+
+Speaks the same Content-Length framed JSON as the debug adapter on
+stdin/stdout. Requests are handled one at a time, in order:
+
+    execute  {"code", "file", "line", "rich"}  ->  {"result", "data", "error", "executionTime"}
+
+"file" is the workspace-relative file the code comes from and "line" the line
+it starts on, so tracebacks point at the right place in the editor. Code
+without a file (typed into the REPL) is named <input-N>. If the
+code ends with an expression, its repr is the result (like the interactive
+interpreter). Output is sent as "output" events; the code has no stdin.
+SIGINT interrupts the code that is running (KeyboardInterrupt).
+
+Notebooks run cells with "rich": the result also comes as a MIME bundle
+("data": {"text/plain", "text/html", "image/png", ...} from the _repr_*_
+methods, like Jupyter), display(obj) sends a "display" event with the
+bundle of obj instead of printing it, and errors carry their traceback
+lines instead of printing them. Notebook sessions start in the notebook's
+folder (the working directory argument).
+"""
+
+import ast
+import base64
+import builtins
+import io
+import linecache
+import os
+import signal
+import sys
+import textwrap
+import threading
+import time
+import traceback
+
+from pyeditor_debug_adapter import Channel, OutputCapture
+
+MAX_RESULT_LENGTH = 10000  # Characters of a result's repr sent to the editor
+SESSION_FILE = os.path.abspath(__file__)
+
+# Rich representations of objects, by the method that makes them (IPython's display protocol)
+MIME_METHODS = [
+    ("text/html", "_repr_html_"),
+    ("text/markdown", "_repr_markdown_"),
+    ("text/latex", "_repr_latex_"),
+    ("image/svg+xml", "_repr_svg_"),
+    ("image/png", "_repr_png_"),
+    ("image/jpeg", "_repr_jpeg_"),
+    ("application/json", "_repr_json_"),
+]
+
+
+def get_mime_bundle(obj):
+    """All representations of obj: its repr, plus whatever its _repr_*_ methods return"""
+    data = {"text/plain": repr(obj)[:MAX_RESULT_LENGTH]}
+    if isinstance(obj, type):
+        return data  # Classes have the methods of their instances
+
+    for mime, method in MIME_METHODS:
+        try:
+            value = getattr(obj, method)()
+        except Exception:  # Missing, or failed to render
+            continue
+        if isinstance(value, tuple):
+            value = value[0]  # (data, metadata)
+        if isinstance(value, bytes):
+            value = base64.b64encode(value).decode("ascii")
+        if value is not None:
+            data[mime] = value
+
+    try:
+        bundle = obj._repr_mimebundle_(include=None, exclude=None)
+    except Exception:
+        bundle = None
+    if isinstance(bundle, tuple):
+        bundle = bundle[0]
+    if isinstance(bundle, dict):
+        for mime, value in bundle.items():
+            if isinstance(value, bytes):
+                value = base64.b64encode(value).decode("ascii")
+            data[mime] = value
+    return data
+
+
+class OutputStream(io.TextIOBase):
+    """sys.stdout/sys.stderr of the session: sends lines as output events
+
+    Writes go out from the thread that makes them, so output of a run always
+    arrives before its response (output written straight to the file
+    descriptors, e.g. by subprocesses, is forwarded by OutputCapture)
+    """
+
+    def __init__(self, channel, category, fd):
+        self.channel = channel
+        self.category = category
+        self.fd = fd
+        self.buffer_text = ""
+        self.lock = threading.Lock()
+
+    @property
+    def encoding(self):
+        return "utf-8"
+
+    def writable(self):
+        return True
+
+    def isatty(self):
+        return False
+
+    def fileno(self):
+        return self.fd
+
+    def write(self, text):
+        if not isinstance(text, str):
+            raise TypeError("write() argument must be str, not %s" % type(text).__name__)
+        with self.lock:
+            self.buffer_text += text
+            send = "\n" in text or len(self.buffer_text) >= 4096
+        if send:
+            self.flush()
+        return len(text)
+
+    def flush(self):
+        with self.lock:
+            text, self.buffer_text = self.buffer_text, ""
+        if text:
+            self.channel.event("output", {"category": self.category, "output": text})
+
+
+class Session:
+    def __init__(self, channel, root):
+        self.channel = channel
+        self.root = root
+        self.executing = False
+        self.rich = False  # Whether the running code was sent by a notebook
+        self.input_count = 0  # Runs without a file, numbered for their tracebacks
+
+        # Run as the real __main__ module so pickle and `import __main__` work
+        import __main__
+
+        self.namespace = __main__.__dict__
+        self.namespace.clear()
+        self.namespace.update({"__name__": "__main__", "__builtins__": __builtins__})
+        builtins.display = self.display
+
+    def handle(self, request):
+        command = request.get("command")
+        args = request.get("arguments") or {}
+        if command != "execute":
+            self.channel.respond(request, error="Unknown request: %s" % command)
+            return
+        try:
+            body = self.execute(
+                args.get("code") or "",
+                args.get("file"),
+                args.get("line") or 1,
+                bool(args.get("rich")),
+            )
+        except Exception as error:
+            self.channel.respond(request, error=str(error))
+            return
+        self.channel.respond(request, body)
+
+    def get_filename(self, file):
+        if file:
+            return os.path.abspath(os.path.join(self.root, file))
+        self.input_count += 1
+        return "<input-%d>" % self.input_count
+
+    def cache_source(self, filename, source, line):
+        """Show the code that ran in tracebacks, even if the file is not saved"""
+        if filename.startswith("<"):
+            lines = []
+        else:
+            try:
+                with open(filename, encoding="utf-8") as file:
+                    lines = file.readlines()
+            except (OSError, UnicodeDecodeError):
+                lines = []
+        code_lines = source.splitlines(True)
+        lines.extend(["\n"] * max(0, line - 1 + len(code_lines) - len(lines)))
+        lines[line - 1 : line - 1 + len(code_lines)] = code_lines
+        linecache.cache[filename] = (len("".join(lines)), None, lines, filename)
+
+    def execute(self, code, file, line, rich=False):
+        filename = self.get_filename(file)
+        if not filename.startswith("<"):
+            # Imports of sibling modules work like in a script run from the file
+            directory = os.path.dirname(filename)
+            if directory not in sys.path:
+                sys.path.insert(1, directory)
+
+        # A selection from inside a block is run as top-level code
+        source = textwrap.dedent(code)
+        self.cache_source(filename, source, line)
+        started = time.time()
+        result = None
+        data = None
+        error = None
+
+        try:
+            # Padded so line numbers in tracebacks match the file
+            tree = ast.parse("\n" * (line - 1) + source, filename, "exec")
+        except SyntaxError as exc:
+            lines = traceback.format_exception_only(type(exc), exc)
+            return {
+                "result": None,
+                "data": None,
+                "error": self.report_error(exc, lines, rich),
+                "executionTime": 0,
+            }
+
+        self.executing = True
+        self.rich = rich
+        try:
+            last = None
+            if tree.body and isinstance(tree.body[-1], ast.Expr):
+                last = ast.Expression(tree.body.pop().value)
+            exec(compile(tree, filename, "exec"), self.namespace)
+            if last is not None:
+                value = eval(compile(last, filename, "eval"), self.namespace)
+                if value is not None:
+                    self.namespace["_"] = value
+                    result = repr(value)[:MAX_RESULT_LENGTH]
+                    if rich:
+                        data = get_mime_bundle(value)
+        except BaseException as exc:  # Includes SystemExit and KeyboardInterrupt
+            error = self.report_error(exc, self.format_traceback(exc), rich)
+        finally:
+            self.executing = False
+            self.rich = False
+            sys.stdout.flush()
+            sys.stderr.flush()
+
+        return {
+            "result": result,
+            "data": data,
+            "error": error,
+            "executionTime": int((time.time() - started) * 1000),
+        }
+
+    def report_error(self, exc, lines, rich):
+        """Error of a run: notebooks keep the traceback with the cell, otherwise it is printed"""
+        error = {"type": type(exc).__name__, "message": str(exc)}
+        if rich:
+            error["traceback"] = lines
+        else:
+            sys.stderr.write("".join(lines))
+            sys.stderr.flush()
+        return error
+
+    def format_traceback(self, exc):
+        """Traceback lines like the interpreter prints, without the session's own frames"""
+        tb = exc.__traceback__
+        while tb is not None and os.path.abspath(tb.tb_frame.f_code.co_filename) == SESSION_FILE:
+            tb = tb.tb_next
+        return traceback.format_exception(type(exc), exc, tb)
+
+    def display(self, *objects):
+        """display() of notebooks: shows objects in the cell's output (prints them elsewhere)"""
+        for obj in objects:
+            if not self.rich:
+                print(repr(obj))
+                continue
+            # Output printed before the object comes first
+            sys.stdout.flush()
+            sys.stderr.flush()
+            self.channel.event("display", {"data": get_mime_bundle(obj)})
+
+    def interrupt(self, signum, frame):
+        # Interrupts between runs are ignored so the session keeps reading requests
+        if self.executing:
+            raise KeyboardInterrupt
+
+
+def main():
+    root = os.path.abspath(sys.argv[1] if len(sys.argv) > 1 else os.getcwd())
+    cwd = os.path.abspath(sys.argv[2]) if len(sys.argv) > 2 else root
+
+    # The protocol keeps private copies of stdin/stdout; the code gets none
+    channel = Channel(os.fdopen(os.dup(0), "rb"), os.fdopen(os.dup(1), "wb"))
+    devnull = os.open(os.devnull, os.O_RDONLY)
+    os.dup2(devnull, 0)
+    os.close(devnull)
+
+    OutputCapture(channel).start()
+    sys.stdout = OutputStream(channel, "stdout", 1)
+    sys.stderr = OutputStream(channel, "stderr", 2)
+    sys.stdin = open(os.devnull)
+
+    # Workspace modules are importable; this folder is not
+    sys.path[0] = root
+    if cwd != root:
+        # Notebooks import and open files next to them, like in Jupyter
+        sys.path.insert(0, cwd)
+    os.chdir(cwd)
+
+    session = Session(channel, root)
+    signal.signal(signal.SIGINT, session.interrupt)
+    channel.event(
+        "started", {"workspacePath": root, "cwd": cwd, "pythonVersion": sys.version.split()[0]}
+    )
+
+    while True:
+        try:
+            message = channel.read()
+        except (ValueError, OSError):
+            message = None
+        if message is None:
+            # Client went away
+            os._exit(0)
+        if message.get("type") == "request":
+            session.handle(message)
+
+
+if __name__ == "__main__":
+    # The session's namespace is __main__, so run from the imported module
+    from pyeditor_session import main as run_session
+
+    run_session()
@@ -0,0 +1,31 @@
+/**
+ * coverage.js - Line coverage routes
+ * (tests run with coverage through POST /api/tests/run, see routes/testing.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const coverageService = require('../services/coverageService');
+const { getBasePath } = require('../utils/pathUtils');
+
+// POST /api/coverage - Run a workspace file with line coverage
+router.post('/coverage', async (req, res) => {
+    try {
+        const basePath = getBasePath(req);
+        const { file, args = [] } = req.body;
+
+        if (!file) {
+            return res.status(400).json({ error: 'No file to run' });
+        }
+        if (!Array.isArray(args)) {
+            return res.status(400).json({ error: 'Invalid arguments' });
+        }
+
+        const result = await coverageService.coverFile(basePath, file, args.map(String));
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
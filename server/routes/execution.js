@@ -5,6 +5,7 @@
 const express = require('express');
 const router = express.Router();
 const executionService = require('../services/executionService');
+const launchConfigService = require('../services/launchConfigService');
 const { getBasePath } = require('../utils/pathUtils');
 const { proxyRequest } = require('../api-proxy');
 
@@ -12,7 +13,9 @@ const { proxyRequest } = require('../api-proxy');
 router.post('/check-syntax', async (req, res) => {
     try {
         const { code, filename } = req.body;
-        const result = await executionService.checkSyntax(code, filename);
+        const result = await executionService.checkSyntax(code, filename, {
+            basePath: getBasePath(req),
+        });
         res.json(result);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -29,6 +32,7 @@ router.post('/execute', async (req, res) => {
             filename,
             basePath,
             input,
+            clientId: req.headers['x-client-id'],
         });
 
         res.json(result);
@@ -37,6 +41,30 @@ router.post('/execute', async (req, res) => {
     }
 });
 
+// DELETE /api/execute/:id - Stop a running execution
+router.delete('/execute/:id', (req, res) => {
+    try {
+        const stopped = executionService.stopExecution(req.params.id);
+        if (!stopped) {
+            return res.status(404).json({ error: 'Run not found or already finished' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/launch-configurations - List run configurations of the workspace folder
+router.get('/launch-configurations', async (req, res) => {
+    try {
+        const basePath = getBasePath(req);
+        const configurations = await launchConfigService.getConfigurations(basePath);
+        res.json({ configurations, path: launchConfigService.LAUNCH_FILE });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // POST /api/proxy-request - Proxy API requests
 router.post('/proxy-request', async (req, res) => {
     try {
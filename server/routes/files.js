@@ -6,6 +6,7 @@ const express = require('express');
 const path = require('path');
 const router = express.Router();
 const fileService = require('../services/fileService');
+const { invalidateFileIndex } = require('../services/fileIndexService');
 const { getBasePath } = require('../utils/pathUtils');
 
 // GET /api/files - List directory structure
@@ -49,6 +50,7 @@ router.post('/*', async (req, res) => {
         const { content } = req.body;
 
         await fileService.writeFile(filePath, content);
+        invalidateFileIndex(basePath, path.relative(basePath, filePath));
         res.json({ success: true });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -63,6 +65,7 @@ router.delete('/*', async (req, res) => {
         const filePath = path.join(basePath, decodedPath);
 
         await fileService.deleteItem(filePath);
+        invalidateFileIndex(basePath);
         res.json({ success: true });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -0,0 +1,56 @@
+/**
+ * interpreters.js - Python interpreter and virtual environment routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const interpreterService = require('../services/interpreterService');
+const { getBasePath } = require('../utils/pathUtils');
+
+// GET /api/python-version - Version of the interpreter the workspace folder uses
+router.get('/python-version', async (req, res) => {
+    try {
+        const interpreter = await interpreterService.getInterpreter(getBasePath(req));
+        res.json({
+            version: interpreter.version ? `Python ${interpreter.version}` : 'Python 3.11',
+            venv: interpreter.venv,
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/interpreters - python3 and the virtual environments of the workspace folder
+router.get('/interpreters', async (req, res) => {
+    try {
+        const result = await interpreterService.listInterpreters(getBasePath(req));
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/interpreter - Choose the interpreter ({ venv }, null for python3)
+router.put('/interpreter', async (req, res) => {
+    try {
+        const interpreter = await interpreterService.selectInterpreter(
+            getBasePath(req),
+            req.body.venv || null
+        );
+        res.json({ interpreter });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// POST /api/venvs - Create a virtual environment ({ path }) and choose it
+router.post('/venvs', async (req, res) => {
+    try {
+        const interpreter = await interpreterService.createVenv(getBasePath(req), req.body.path);
+        res.json({ interpreter });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,21 @@
+/**
+ * packages.js - Installed packages routes
+ * (installs and uninstalls stream pip's output over /ws/packages, see sockets/packageSocket.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const packageService = require('../services/packageService');
+const { getBasePath } = require('../utils/pathUtils');
+
+// GET /api/packages - Installed packages of the workspace folder's interpreter
+router.get('/packages', async (req, res) => {
+    try {
+        const result = await packageService.listPackages(getBasePath(req));
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
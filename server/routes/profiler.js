@@ -0,0 +1,30 @@
+/**
+ * profiler.js - Profiled run routes (cProfile)
+ */
+
+const express = require('express');
+const router = express.Router();
+const profileService = require('../services/profileService');
+const { getBasePath } = require('../utils/pathUtils');
+
+// POST /api/profile - Run a workspace file under the profiler and return its stats
+router.post('/profile', async (req, res) => {
+    try {
+        const basePath = getBasePath(req);
+        const { file, args = [] } = req.body;
+
+        if (!file) {
+            return res.status(400).json({ error: 'No file to profile' });
+        }
+        if (!Array.isArray(args)) {
+            return res.status(400).json({ error: 'Invalid arguments' });
+        }
+
+        const result = await profileService.profileFile(basePath, file, args.map(String));
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
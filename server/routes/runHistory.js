@@ -0,0 +1,67 @@
+/**
+ * runHistory.js - Run history routes
+ */
+
+const express = require('express');
+const fs = require('fs').promises;
+const router = express.Router();
+const runHistoryService = require('../services/runHistoryService');
+const { getBasePath } = require('../utils/pathUtils');
+
+// GET /api/runs - List recent runs of the workspace folder, newest first
+router.get('/runs', async (req, res) => {
+    try {
+        const basePath = getBasePath(req);
+        const runs = await runHistoryService.listRuns(basePath);
+        res.json({ runs });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/runs/:id - A run with its input and output
+router.get('/runs/:id', async (req, res) => {
+    try {
+        const basePath = getBasePath(req);
+        const run = await runHistoryService.getRun(basePath, req.params.id);
+        if (!run) {
+            return res.status(404).json({ error: 'Run not found in history' });
+        }
+        res.json(run);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/runs/:id/artifacts/:name - A file a run produced, e.g. a figure it showed
+router.get('/runs/:id/artifacts/:name', async (req, res) => {
+    try {
+        const basePath = getBasePath(req);
+        const artifactPath = runHistoryService.getArtifactPath(
+            basePath,
+            req.params.id,
+            req.params.name
+        );
+        const stat = artifactPath ? await fs.stat(artifactPath).catch(() => null) : null;
+        if (!stat || !stat.isFile()) {
+            return res.status(404).json({ error: 'Artifact not found' });
+        }
+        // The history folder is .pyeditor, which send() would refuse as a dotfile
+        res.sendFile(artifactPath, { dotfiles: 'allow' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /api/runs - Clear the run history
+router.delete('/runs', async (req, res) => {
+    try {
+        const basePath = getBasePath(req);
+        await runHistoryService.clearRuns(basePath);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,31 @@
+/**
+ * search.js - Replace in files
+ * (searching streams its results over /ws/search, see sockets/searchSocket.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const searchService = require('../services/searchService');
+const { getBasePath } = require('../utils/pathUtils');
+
+// POST /api/search/replace - Replace the matches of a search
+// Body: search options with replace, and files (the files to change, all if not given)
+router.post('/search/replace', async (req, res) => {
+    try {
+        const { files, ...options } = req.body || {};
+        if (
+            files !== undefined &&
+            !(Array.isArray(files) && files.every((f) => typeof f === 'string'))
+        ) {
+            return res.status(400).json({ error: 'Invalid files' });
+        }
+
+        const result = await searchService.replaceInFiles(getBasePath(req), options, files || null);
+        res.json(result);
+    } catch (error) {
+        const badSearch = error.code === 'INVALID_SEARCH' || error.code === 'SEARCH_TIMEOUT';
+        res.status(badSearch ? 400 : 500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
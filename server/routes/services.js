@@ -0,0 +1,63 @@
+/**
+ * services.js - Long-running dev server routes (uvicorn)
+ * (logs and status changes are streamed over /ws/services, see sockets/serviceSocket.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const devServerService = require('../services/devServerService');
+const { getBasePath } = require('../utils/pathUtils');
+
+/**
+ * Send the error of a service action: 404 for an unknown service, else 400
+ */
+function sendError(res, error) {
+    res.status(error.code === 'NOT_FOUND' ? 404 : 400).json({ error: error.message });
+}
+
+// GET /api/services - Services of the workspace folder
+router.get('/services', (req, res) => {
+    res.json({ services: devServerService.listServices(getBasePath(req)) });
+});
+
+// POST /api/services - Start a service ({ app, port, reload, args })
+router.post('/services', async (req, res) => {
+    try {
+        const service = await devServerService.startService(getBasePath(req), req.body || {});
+        res.status(201).json({ service });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// POST /api/services/:id/restart - Restart a service with the same settings
+router.post('/services/:id/restart', async (req, res) => {
+    try {
+        const service = await devServerService.restartService(getBasePath(req), req.params.id);
+        res.json({ service });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// POST /api/services/:id/stop - Stop a service (it stays in the list with its log)
+router.post('/services/:id/stop', (req, res) => {
+    try {
+        const service = devServerService.stopService(getBasePath(req), req.params.id);
+        res.json({ service });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// DELETE /api/services/:id - Stop a service and remove it from the list
+router.delete('/services/:id', (req, res) => {
+    try {
+        devServerService.removeService(getBasePath(req), req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+/**
+ * testing.js - Test explorer routes (pytest)
+ */
+
+const express = require('express');
+const router = express.Router();
+const testService = require('../services/testService');
+const { getBasePath } = require('../utils/pathUtils');
+
+// GET /api/tests - Discover tests in the workspace folder
+router.get('/tests', async (req, res) => {
+    try {
+        const basePath = getBasePath(req);
+        const result = await testService.discoverTests(basePath);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/tests/run - Run all tests, or the tests given by node ID (with coverage: true,
+// also collect line coverage)
+router.post('/tests/run', async (req, res) => {
+    try {
+        const basePath = getBasePath(req);
+        const { nodeids = [], coverage = false } = req.body;
+
+        // Node IDs are passed to pytest as arguments, so they must not look like options
+        if (!Array.isArray(nodeids) || nodeids.some((id) => String(id).startsWith('-'))) {
+            return res.status(400).json({ error: 'Invalid test IDs' });
+        }
+
+        const result = await testService.runTests(basePath, nodeids, {
+            coverage: Boolean(coverage),
+        });
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -9,6 +9,7 @@ const archiver = require('archiver');
 const fs = require('fs').promises;
 const router = express.Router();
 const fileService = require('../services/fileService');
+const { getFileIndex, invalidateFileIndex } = require('../services/fileIndexService');
 const { getBasePath } = require('../utils/pathUtils');
 const logger = require('../utils/logger');
 
@@ -37,6 +38,7 @@ router.post('/move', async (req, res) => {
         const fullTargetPath = path.join(basePath, targetPath);
 
         await fileService.moveItem(fullSourcePath, fullTargetPath);
+        invalidateFileIndex(basePath);
         res.json({ success: true });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -52,6 +54,7 @@ router.post('/duplicate', async (req, res) => {
         const fullTargetPath = path.join(basePath, targetPath);
 
         await fileService.copyItem(fullSourcePath, fullTargetPath);
+        invalidateFileIndex(basePath);
         res.json({ success: true });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -78,6 +81,7 @@ router.post('/upload', upload.array('files'), async (req, res) => {
             });
         }
 
+        invalidateFileIndex(basePath);
         res.json({
             success: true,
             files: uploadedFiles,
@@ -116,6 +120,17 @@ router.get('/download/*', async (req, res) => {
     }
 });
 
+// GET /api/file-index - All files of the workspace folder (quick open)
+router.get('/file-index', async (req, res) => {
+    try {
+        const basePath = getBasePath(req);
+        const { files, limitHit } = await getFileIndex(basePath);
+        res.json({ files, limitHit });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // GET /api/snippets - Get Python snippets
 router.get('/snippets', async (req, res) => {
     try {
@@ -0,0 +1,103 @@
+/**
+ * coverageService.js - Line coverage of runs
+ *
+ * A program or module (e.g. pytest) runs through a small wrapper
+ * (python/pyeditor_coverage.py) that records which lines of the workspace
+ * folder's files were executed, without needing coverage.py in the interpreter.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const executionService = require('./executionService');
+const logger = require('../utils/logger');
+
+const PYTHON_DIR = path.join(__dirname, '..', 'python');
+const COVERAGE_TIMEOUT = 5 * 60 * 1000; // Covered runs are slower and may be test suites
+
+/**
+ * Run a program or module with line coverage
+ * Takes the options of executionService.executeCode (program or module, args, env,
+ * timeout, writable) and waits for a free scheduler slot like any other run
+ * @param {string} basePath - Workspace folder (the run's cwd; its files are measured)
+ * @returns {Promise<Object>} The result of executeCode and coverage:
+ *     { files: [{ path, executed, missing }] } (see pyeditor_coverage.py), or null
+ *     if the run ended before writing it (e.g. the timeout). status is the run's, or
+ *     'incomplete' if the report was cut off while being written
+ */
+async function collectCoverage(basePath, options) {
+    const { program, module, args = [], env = {}, writable = [] } = options;
+    const reportFile = path.join(
+        os.tmpdir(),
+        `coverage_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.json`
+    );
+    const pythonPath = [PYTHON_DIR, env.PYTHONPATH || process.env.PYTHONPATH]
+        .filter(Boolean)
+        .join(path.delimiter);
+    const target = program ? ['--program', program] : ['--module', module];
+    // Created up front: the sandbox only lets the run write to files that exist
+    await fs.writeFile(reportFile, '');
+
+    const result = await executionService.executeCode('', {
+        timeout: COVERAGE_TIMEOUT,
+        ...options,
+        basePath,
+        program: null,
+        module: 'pyeditor_coverage',
+        args: [reportFile, ...target, ...args],
+        env: { ...env, PYTHONPATH: pythonPath },
+        writable: [...writable, reportFile],
+    });
+
+    let content = '';
+    try {
+        content = await fs.readFile(reportFile, 'utf8');
+        await fs.unlink(reportFile);
+    } catch (error) {
+        // Already gone: nothing to report
+    }
+
+    let coverage = null;
+    let { status } = result;
+    if (content) {
+        try {
+            coverage = JSON.parse(content);
+        } catch (error) {
+            // The run was stopped while the report was written
+            logger.warn('Incomplete coverage report', { error: error.message });
+            status = 'incomplete';
+        }
+    }
+
+    return { ...result, status, coverage };
+}
+
+/**
+ * Run a workspace file in place with line coverage
+ * @param {string} basePath - Workspace folder
+ * @param {string} file - File path relative to the workspace folder
+ * @param {string[]} args - Program arguments
+ * @returns {Promise<Object>} { coverage, output, error, exitCode, status, executionTime,
+ *     limit, workspacePath } (workspacePath maps paths in tracebacks to workspace files)
+ * @throws {Error} If the file is outside the workspace folder
+ */
+async function coverFile(basePath, file, args = []) {
+    const { program } = executionService.resolveFileTarget(basePath, file);
+    const result = await collectCoverage(basePath, { program, args });
+
+    return {
+        coverage: result.coverage,
+        output: result.output,
+        error: result.error,
+        exitCode: result.exitCode,
+        status: result.status,
+        executionTime: result.executionTime,
+        limit: result.limit,
+        workspacePath: basePath,
+    };
+}
+
+module.exports = {
+    collectCoverage,
+    coverFile,
+};
@@ -0,0 +1,101 @@
+/**
+ * debugService.js
+ *
+ * Debug sessions: one debug adapter process per session
+ * (python/pyeditor_debug_adapter.py), which runs the program under bdb and
+ * speaks the Debug Adapter Protocol over stdio. The adapter runs the program in
+ * its own process, so it uses the workspace folder's interpreter and is
+ * sandboxed like program runs (see sandboxService).
+ */
+
+const path = require('path');
+const executionService = require('./executionService');
+const launchConfigService = require('./launchConfigService');
+const { createFramedProcessPool } = require('./framedProcessPool');
+
+const ADAPTER_PATH = path.join(__dirname, '..', 'python', 'pyeditor_debug_adapter.py');
+const MAX_DEBUG_SESSIONS = 20; // Upper bound on concurrent debug sessions across all users
+
+const sessions = createFramedProcessPool({
+    name: 'debug adapter',
+    source: 'debug-adapter',
+    idPrefix: 'debug',
+    startFailureEvents: [{ type: 'event', event: 'terminated', body: {} }],
+});
+
+/**
+ * Start a debug adapter for a workspace folder
+ * The adapter starts in the background; messages sent before it runs are queued.
+ * If it cannot start, onMessage receives the error as an output event, then onExit runs.
+ * @param {string} basePath - Workspace folder (paths in DAP messages are relative to it)
+ * @param {Object} handlers - { onMessage(message), onExit({ exitCode, signal }) }
+ * @returns {{ id: string }} Session handle
+ * @throws {Error} If the session limit is reached
+ */
+function createDebugSession(basePath, handlers = {}) {
+    if (sessions.count() >= MAX_DEBUG_SESSIONS) {
+        throw new Error(`Too many debug sessions (limit ${MAX_DEBUG_SESSIONS})`);
+    }
+
+    return sessions.start(basePath, ['-u', ADAPTER_PATH, basePath], handlers);
+}
+
+/**
+ * Send a DAP message to a session's adapter
+ */
+function sendToAdapter(sessionId, message) {
+    sessions.send(sessionId, message);
+}
+
+/**
+ * Stop a debug session and the program it is debugging
+ */
+function stopDebugSession(sessionId) {
+    sessions.stop(sessionId);
+}
+
+/**
+ * Turn the arguments of a client "launch" request into what the adapter runs
+ * The client names what to debug; paths are resolved here so programs stay
+ * inside the workspace folder:
+ *   { configuration, file }  - a run configuration from .pyeditor/launch.json
+ *   { mode, file }           - the saved file, as a script ('file') or module ('module')
+ * @returns {Promise<Object>} { program | module, args, env, cwd, stopOnEntry }
+ * @throws {Error} If the target cannot be resolved
+ */
+async function resolveLaunchArguments(basePath, args = {}) {
+    let target;
+    if (args.configuration) {
+        const config = await launchConfigService.getConfiguration(basePath, args.configuration);
+        if (!config) {
+            throw new Error(`Run configuration not found: ${args.configuration}`);
+        }
+        target = launchConfigService.resolveConfiguration(config, { basePath, file: args.file });
+    } else {
+        target = executionService.resolveFileTarget(basePath, args.file, args.mode || 'file');
+    }
+
+    return {
+        program: target.program,
+        module: target.module,
+        args: target.args || [],
+        env: target.env || {},
+        cwd: target.cwd || basePath,
+        stopOnEntry: Boolean(args.stopOnEntry),
+    };
+}
+
+/**
+ * Number of running debug sessions
+ */
+function getSessionCount() {
+    return sessions.count();
+}
+
+module.exports = {
+    createDebugSession,
+    sendToAdapter,
+    stopDebugSession,
+    resolveLaunchArguments,
+    getSessionCount,
+};
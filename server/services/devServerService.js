@@ -0,0 +1,452 @@
+/**
+ * devServerService.js - Long-running dev servers (uvicorn) of workspace folders
+ *
+ * A service runs `python -m uvicorn APP --host 127.0.0.1 --port PORT [--reload]`
+ * in a workspace folder with its interpreter, until it is stopped: unlike program
+ * runs it has no timeout, no CPU time limit and doesn't take a slot of the
+ * execution scheduler. It is still sandboxed otherwise (see sandboxService).
+ *
+ * Services outlive the connections of the browser that started them. Their output
+ * is kept (the last MAX_LOG_SIZE characters) so a page that opens later sees it, and
+ * subscribers of a workspace folder get status changes and new output as they happen.
+ *
+ * Status: 'starting' (until the port accepts connections), 'running', 'stopping',
+ * 'stopped' (by the user) or 'exited' (ended on its own, see exitCode).
+ */
+
+const { spawn } = require('child_process');
+const net = require('net');
+const interpreterService = require('./interpreterService');
+const sandboxService = require('./sandboxService');
+const logger = require('../utils/logger');
+
+const HOST = '127.0.0.1';
+const DEFAULT_PORT = 8000;
+const MAX_SERVICES = 20; // Upper bound on running services across all users
+const MAX_SERVICES_PER_WORKSPACE = 5;
+const MAX_LOG_SIZE = 200000; // Characters of output kept per service
+const KILL_GRACE_PERIOD = 5000; // ms between SIGTERM and SIGKILL (graceful shutdown)
+const READY_POLL_INTERVAL = 300;
+const READY_TIMEOUT = 2 * 60 * 1000;
+
+// Services: serviceId -> service
+const services = new Map();
+// Subscribers: workspace folder -> Set of listener(event)
+const subscribers = new Map();
+
+/**
+ * Create a unique service identifier
+ */
+function createServiceId() {
+    return `service_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function isActive(service) {
+    return ['starting', 'running', 'stopping'].includes(service.status);
+}
+
+/**
+ * What clients see of a service
+ */
+function describeService(service) {
+    return {
+        id: service.id,
+        app: service.app,
+        port: service.port,
+        reload: service.reload,
+        args: service.args,
+        url: `http://${HOST}:${service.port}`,
+        status: service.status,
+        exitCode: service.exitCode,
+        startedAt: service.startedAt,
+    };
+}
+
+function notify(basePath, event) {
+    const listeners = subscribers.get(basePath);
+    if (listeners) {
+        listeners.forEach((listener) => listener(event));
+    }
+}
+
+function notifyStatus(service) {
+    notify(service.basePath, { type: 'status', service: describeService(service) });
+}
+
+/**
+ * Add output to a service's log and pass it on to subscribers
+ * @param {string} stream - 'stdout', 'stderr' or 'stdin' (the command line)
+ */
+function appendLog(service, stream, text) {
+    service.log.push({ stream, text });
+    service.logSize += text.length;
+    while (service.logSize > MAX_LOG_SIZE && service.log.length > 1) {
+        service.logSize -= service.log.shift().text.length;
+    }
+    notify(service.basePath, { type: 'output', id: service.id, stream, text });
+}
+
+/**
+ * Check whether something accepts connections on a port
+ */
+function isListening(port) {
+    return new Promise((resolve) => {
+        const socket = net.connect({ host: HOST, port });
+        socket.once('connect', () => {
+            socket.destroy();
+            resolve(true);
+        });
+        socket.once('error', () => resolve(false));
+    });
+}
+
+/**
+ * Check whether a port can be listened on
+ */
+function isPortFree(port) {
+    return new Promise((resolve) => {
+        const server = net.createServer();
+        server.once('error', () => resolve(false));
+        server.listen(port, HOST, () => server.close(() => resolve(true)));
+    });
+}
+
+function isPortTaken(port, except = null) {
+    return Array.from(services.values()).some(
+        (service) => service !== except && isActive(service) && service.port === port
+    );
+}
+
+/**
+ * Give a service its port: the one asked for, or the first free one from DEFAULT_PORT on
+ * Each port is claimed (service.port) before checking that it's free, so services
+ * started at the same time never end up with the same port
+ * @param {Object} service - Service already in the services map
+ * @param {number|null} port - Port asked for, null for any
+ * @throws {Error} If the port (or every port tried) is in use
+ */
+async function reservePort(service, port) {
+    const first = port === null ? DEFAULT_PORT : port;
+    const last = port === null ? DEFAULT_PORT + 99 : port;
+    for (let candidate = first; candidate <= last; candidate++) {
+        if (!isPortTaken(candidate, service)) {
+            service.port = candidate;
+            if (await isPortFree(candidate)) {
+                return;
+            }
+        }
+    }
+    throw new Error(port === null ? 'No free port found' : `Port ${port} is already in use`);
+}
+
+/**
+ * Check the settings of a service
+ * @returns {Object} { app, port, reload, args } with port null when not given
+ * @throws {Error} If a setting is invalid
+ */
+function validateSettings(settings) {
+    const { app, port = null, reload = false, args = [] } = settings;
+
+    if (typeof app !== 'string' || !/^[A-Za-z_][\w.]*:[A-Za-z_][\w.]*(\(\))?$/.test(app)) {
+        throw new Error('Invalid app (expected module:attribute, e.g. main:app)');
+    }
+    if (port !== null && !(Number.isInteger(port) && port >= 1024 && port <= 65535)) {
+        throw new Error('Invalid port (expected 1024-65535)');
+    }
+    if (!Array.isArray(args) || !args.every((arg) => typeof arg === 'string')) {
+        throw new Error('Invalid arguments');
+    }
+    return { app, port, reload: Boolean(reload), args };
+}
+
+/**
+ * Start the process of a service (also used to restart it)
+ */
+async function spawnService(service) {
+    const interpreter = await interpreterService.getInterpreter(service.basePath);
+    const sandbox = await sandboxService.createSandbox(service.basePath, {
+        limits: { cpuSeconds: 0 },
+    });
+    if (!services.has(service.id)) {
+        await sandbox.cleanup(); // Removed while starting
+        return;
+    }
+    const uvicornArgs = [service.app, '--host', HOST, '--port', String(service.port)];
+    if (service.reload) {
+        uvicornArgs.push('--reload');
+    }
+    uvicornArgs.push(...service.args);
+
+    const env = interpreterService.getActivationEnv(interpreter, sandbox.env);
+    const command = sandbox.wrap(interpreter.path, ['-u', '-m', 'uvicorn', ...uvicornArgs], env);
+
+    // Detached so the reloader's worker processes are stopped with it
+    const child = spawn(command.command, command.args, {
+        cwd: service.basePath,
+        env: command.env,
+        detached: true,
+    });
+
+    service.process = child;
+    service.status = 'starting';
+    service.exitCode = null;
+    service.startedAt = Date.now();
+    appendLog(service, 'stdin', `$ uvicorn ${uvicornArgs.join(' ')}\n`);
+    notifyStatus(service);
+    logger.info('Service started', { serviceId: service.id, app: service.app, pid: child.pid });
+
+    child.stdout.on('data', (data) => appendLog(service, 'stdout', data.toString()));
+    child.stderr.on('data', (data) => appendLog(service, 'stderr', data.toString()));
+
+    child.on('error', (error) => {
+        appendLog(service, 'stderr', `${error.message}\n`);
+    });
+
+    child.on('close', async (exitCode, signal) => {
+        clearTimeout(service.killTimer);
+        service.killTimer = null;
+        service.process = null;
+        await sandbox.cleanup();
+        logger.info('Service ended', { serviceId: service.id, exitCode, signal });
+
+        if (!services.has(service.id)) {
+            return; // Removed
+        }
+        if (service.restarting) {
+            service.restarting = false;
+            spawnService(service).catch((error) => {
+                appendLog(service, 'stderr', `${error.message}\n`);
+                service.status = 'exited';
+                notifyStatus(service);
+            });
+            return;
+        }
+
+        service.status = service.stopRequested ? 'stopped' : 'exited';
+        service.exitCode = exitCode;
+        service.stopRequested = false;
+        notifyStatus(service);
+    });
+
+    waitUntilReady(service, child);
+}
+
+/**
+ * Mark a service running once its port accepts connections
+ */
+async function waitUntilReady(service, child) {
+    const deadline = Date.now() + READY_TIMEOUT;
+    while (service.process === child && service.status === 'starting' && Date.now() < deadline) {
+        if (await isListening(service.port)) {
+            if (service.process === child && service.status === 'starting') {
+                service.status = 'running';
+                notifyStatus(service);
+            }
+            return;
+        }
+        await new Promise((resolve) => setTimeout(resolve, READY_POLL_INTERVAL));
+    }
+}
+
+/**
+ * Send a signal to a service's process group
+ */
+function signalService(service, signal) {
+    try {
+        process.kill(-service.process.pid, signal);
+    } catch (error) {
+        // Process group already gone
+    }
+}
+
+/**
+ * Ask a service's process to end, and kill it if it doesn't in time
+ */
+function terminate(service) {
+    if (!service.process || service.killTimer) {
+        return;
+    }
+    signalService(service, 'SIGTERM');
+    service.killTimer = setTimeout(() => signalService(service, 'SIGKILL'), KILL_GRACE_PERIOD);
+}
+
+/**
+ * Look up a service of a workspace folder
+ * @throws {Error} If the folder has no such service
+ */
+function getService(basePath, serviceId) {
+    const service = services.get(serviceId);
+    if (!service || service.basePath !== basePath) {
+        const error = new Error('Service not found');
+        error.code = 'NOT_FOUND';
+        throw error;
+    }
+    return service;
+}
+
+/**
+ * Start a uvicorn service in a workspace folder
+ * @param {string} basePath - Workspace folder (cwd of the service)
+ * @param {Object} settings - { app, port, reload, args }: app is module:attribute (e.g.
+ *     main:app); without port the first free one from 8000 is used
+ * @returns {Promise<Object>} The service (see describeService)
+ * @throws {Error} If a setting is invalid, the port is in use or a limit is reached
+ */
+async function startService(basePath, settings) {
+    const { app, port, reload, args } = validateSettings(settings);
+    const active = Array.from(services.values()).filter(isActive);
+
+    if (active.length >= MAX_SERVICES) {
+        throw new Error(`Too many services (limit ${MAX_SERVICES})`);
+    }
+    if (
+        active.filter((service) => service.basePath === basePath).length >=
+        MAX_SERVICES_PER_WORKSPACE
+    ) {
+        throw new Error(`Too many services in this folder (limit ${MAX_SERVICES_PER_WORKSPACE})`);
+    }
+
+    const service = {
+        id: createServiceId(),
+        basePath,
+        app,
+        port: null,
+        reload,
+        args,
+        status: 'starting',
+        exitCode: null,
+        startedAt: null,
+        process: null,
+        killTimer: null,
+        stopRequested: false,
+        restarting: false,
+        log: [],
+        logSize: 0,
+    };
+    // Added before anything is awaited, so it counts for the limits and its port is taken
+    services.set(service.id, service);
+
+    try {
+        await reservePort(service, port);
+        await spawnService(service);
+    } catch (error) {
+        services.delete(service.id);
+        throw error;
+    }
+    return describeService(service);
+}
+
+/**
+ * Stop a service; it stays in the list (with its log) until removed
+ * @returns {Object} The service (see describeService)
+ * @throws {Error} If the folder has no such service
+ */
+function stopService(basePath, serviceId) {
+    const service = getService(basePath, serviceId);
+    if (service.process) {
+        service.restarting = false;
+        service.stopRequested = true;
+        service.status = 'stopping';
+        notifyStatus(service);
+        terminate(service);
+    }
+    return describeService(service);
+}
+
+/**
+ * Restart a service with the same settings (starts it again if it ended)
+ * @returns {Promise<Object>} The service (see describeService)
+ * @throws {Error} If the folder has no such service, it is already starting or its port
+ *     is now in use
+ */
+async function restartService(basePath, serviceId) {
+    const service = getService(basePath, serviceId);
+
+    if (service.process) {
+        service.restarting = true;
+        service.stopRequested = false;
+        service.status = 'stopping';
+        notifyStatus(service);
+        terminate(service);
+    } else {
+        if (service.status === 'starting') {
+            throw new Error('Service is already starting');
+        }
+        // Set before anything is awaited, so a second restart can't start it twice
+        const { status } = service;
+        service.status = 'starting';
+        try {
+            await reservePort(service, service.port);
+            await spawnService(service);
+        } catch (error) {
+            service.status = status;
+            throw error;
+        }
+    }
+    return describeService(service);
+}
+
+/**
+ * Stop a service and forget it
+ * @throws {Error} If the folder has no such service
+ */
+function removeService(basePath, serviceId) {
+    const service = getService(basePath, serviceId);
+    services.delete(serviceId);
+    if (service.process) {
+        service.restarting = false;
+        service.stopRequested = true;
+        terminate(service);
+    }
+    notify(basePath, { type: 'removed', id: serviceId });
+}
+
+/**
+ * Services of a workspace folder, oldest first
+ */
+function listServices(basePath) {
+    return Array.from(services.values())
+        .filter((service) => service.basePath === basePath)
+        .map(describeService);
+}
+
+/**
+ * Output kept of a service
+ * @returns {Array} [{ stream, text }]
+ */
+function getServiceLog(basePath, serviceId) {
+    return getService(basePath, serviceId).log.slice();
+}
+
+/**
+ * Follow the services of a workspace folder
+ * @param {Function} listener - Called with { type: 'status', service },
+ *     { type: 'output', id, stream, text } and { type: 'removed', id }
+ * @returns {Function} Unsubscribe
+ */
+function subscribe(basePath, listener) {
+    if (!subscribers.has(basePath)) {
+        subscribers.set(basePath, new Set());
+    }
+    subscribers.get(basePath).add(listener);
+
+    return () => {
+        const listeners = subscribers.get(basePath);
+        if (listeners) {
+            listeners.delete(listener);
+            if (listeners.size === 0) {
+                subscribers.delete(basePath);
+            }
+        }
+    };
+}
+
+module.exports = {
+    startService,
+    stopService,
+    restartService,
+    removeService,
+    listServices,
+    getServiceLog,
+    subscribe,
+};
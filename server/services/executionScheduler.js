@@ -0,0 +1,198 @@
+/**
+ * executionScheduler.js - Execution Scheduler
+ * Limits how many program runs (Python processes) execute at once, in total and
+ * per user, so a burst of runs can't starve the server and the pylsp pool.
+ * Runs over the limits wait in a FIFO queue; a waiting run starts as soon as a
+ * slot is free for it, so a user at their own limit doesn't hold up others.
+ *
+ * Users are the clients (browsers) that ask for runs, identified by the id each
+ * sends with its requests (see getSchedulerUser); clients that send none are
+ * grouped by workspace folder. The id is not a credential: it only keeps users
+ * from sharing one limit, while maxConcurrent still bounds the server as a whole.
+ */
+
+const logger = require('../utils/logger');
+
+const CLIENT_ID_PATTERN = /^[\w-]{8,64}$/;
+
+class ExecutionScheduler {
+    constructor(options = {}) {
+        this.maxConcurrent = options.maxConcurrent || 8; // Runs executing at once, in total
+        this.maxPerUser = options.maxPerUser || 2; // Runs executing at once, per user
+        this.maxQueueLength = options.maxQueueLength || 100; // Runs waiting, in total
+        this.running = new Map(); // user -> number of runs executing
+        this.runningCount = 0;
+        this.queue = []; // Waiting tickets, oldest first
+        this.startedCount = 0;
+        this.totalWaitTime = 0; // Of started runs, for the average
+        this.nextTicketId = 1;
+    }
+
+    /**
+     * Ask for a slot to run a program
+     * @param {string} user - Who the run is for (see getSchedulerUser)
+     * @param {Object} options - { onQueued(ahead) } called when the run has to wait, and
+     *     again whenever the number of runs ahead of it in the queue changes
+     * @returns {Object} Ticket: { id, ready, release(), cancel() }. ready resolves when the
+     *     run may start (then call release() when it ended) and rejects if the queue is
+     *     full or the ticket was cancelled while waiting.
+     */
+    enqueue(user, options = {}) {
+        const ticket = {
+            id: this.nextTicketId++,
+            user,
+            onQueued: options.onQueued || (() => {}),
+            queuedAt: Date.now(),
+            ahead: null,
+            state: 'waiting', // waiting -> running -> done, or waiting -> cancelled
+        };
+
+        ticket.ready = new Promise((resolve, reject) => {
+            ticket.resolve = resolve;
+            ticket.reject = reject;
+        });
+        ticket.release = () => this.release(ticket);
+        ticket.cancel = () => this.cancel(ticket);
+
+        if (this.canStart(user)) {
+            this.start(ticket);
+        } else if (this.queue.length >= this.maxQueueLength) {
+            ticket.state = 'cancelled';
+            ticket.reject(new Error('Too many programs are waiting to run, try again later'));
+        } else {
+            this.queue.push(ticket);
+            logger.info('Execution queued', {
+                user,
+                queueLength: this.queue.length,
+                running: this.runningCount,
+            });
+            this.notifyQueued();
+        }
+        return ticket;
+    }
+
+    canStart(user) {
+        return (
+            this.runningCount < this.maxConcurrent &&
+            (this.running.get(user) || 0) < this.maxPerUser
+        );
+    }
+
+    start(ticket) {
+        ticket.state = 'running';
+        this.running.set(ticket.user, (this.running.get(ticket.user) || 0) + 1);
+        this.runningCount += 1;
+        this.startedCount += 1;
+        this.totalWaitTime += Date.now() - ticket.queuedAt;
+        ticket.resolve();
+    }
+
+    /**
+     * A run ended: give its slot to the next waiting run that may start
+     */
+    release(ticket) {
+        if (ticket.state !== 'running') return;
+        ticket.state = 'done';
+
+        const count = this.running.get(ticket.user) - 1;
+        if (count > 0) {
+            this.running.set(ticket.user, count);
+        } else {
+            this.running.delete(ticket.user);
+        }
+        this.runningCount -= 1;
+        this.processQueue();
+    }
+
+    /**
+     * Stop waiting (e.g. the client went away); a started run is released instead
+     */
+    cancel(ticket) {
+        if (ticket.state === 'running') {
+            this.release(ticket);
+            return;
+        }
+        if (ticket.state !== 'waiting') return;
+
+        ticket.state = 'cancelled';
+        this.queue = this.queue.filter((queued) => queued !== ticket);
+        ticket.reject(new Error('Run cancelled while waiting'));
+        this.notifyQueued();
+    }
+
+    /**
+     * Start waiting runs, oldest first, as long as there are free slots for them
+     */
+    processQueue() {
+        let index = 0;
+        while (index < this.queue.length && this.runningCount < this.maxConcurrent) {
+            const ticket = this.queue[index];
+            if (this.canStart(ticket.user)) {
+                this.queue.splice(index, 1);
+                this.start(ticket);
+            } else {
+                index += 1;
+            }
+        }
+        this.notifyQueued();
+    }
+
+    /**
+     * Tell waiting runs how many runs are ahead of them, when that changed
+     */
+    notifyQueued() {
+        this.queue.forEach((ticket, index) => {
+            if (ticket.ahead !== index) {
+                ticket.ahead = index;
+                ticket.onQueued(index);
+            }
+        });
+    }
+
+    /**
+     * Get scheduler statistics
+     */
+    getStats() {
+        return {
+            running: this.runningCount,
+            queued: this.queue.length,
+            users: this.running.size,
+            maxConcurrent: this.maxConcurrent,
+            maxPerUser: this.maxPerUser,
+            maxQueueLength: this.maxQueueLength,
+            started: this.startedCount,
+            averageWaitTime: this.startedCount
+                ? Math.round(this.totalWaitTime / this.startedCount)
+                : 0,
+        };
+    }
+}
+
+/**
+ * Who a run counts against
+ * @param {string} clientId - Id the client sent (query parameter or header), if any
+ * @param {string} basePath - Workspace folder of the request
+ * @returns {string} The client, or the workspace folder if the id is missing or invalid
+ */
+function getSchedulerUser(clientId, basePath) {
+    if (typeof clientId === 'string' && CLIENT_ID_PATTERN.test(clientId)) {
+        return `client:${clientId}`;
+    }
+    return `folder:${basePath}`;
+}
+
+// Singleton instance
+let schedulerInstance = null;
+
+function getExecutionScheduler(options) {
+    if (!schedulerInstance) {
+        schedulerInstance = new ExecutionScheduler(options);
+    }
+    return schedulerInstance;
+}
+
+module.exports = {
+    ExecutionScheduler,
+    getExecutionScheduler,
+    getSchedulerUser,
+};
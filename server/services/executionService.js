@@ -6,17 +6,36 @@ const { spawn } = require('child_process');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../utils/logger');
+const { resolveWithinBase } = require('../utils/pathUtils');
+const sandboxService = require('./sandboxService');
+const interpreterService = require('./interpreterService');
+const { getExecutionScheduler, getSchedulerUser } = require('./executionScheduler');
+
+// Helpers imported by runs, e.g. the matplotlib backend (python/pyeditor_mpl_backend.py)
+const PYTHON_DIR = path.join(__dirname, '..', 'python');
+const FIGURE_BACKEND = 'module://pyeditor_mpl_backend';
+// The backend reports saved figures in stdout, framed like a terminal escape sequence
+// (ESC ] pyeditor; <json> BEL), so they stay in order with the printed output
+const EVENT_START = '\u001b]pyeditor;';
+const EVENT_END = '\u0007';
+const MAX_PENDING_EVENT = 64 * 1024;
+const STDERR_TAIL_SIZE = 4096;
 
 /**
  * Check Python syntax
+ * With options.basePath, the workspace folder's interpreter parses the code (syntax
+ * depends on the Python version)
  */
-async function checkSyntax(code, filename = 'syntax_check.py') {
+async function checkSyntax(code, filename = 'syntax_check.py', options = {}) {
+    const python = options.basePath
+        ? (await interpreterService.getInterpreter(options.basePath)).path
+        : interpreterService.SYSTEM_PYTHON;
     // Use /tmp for temp files to prevent workspace pollution
     const tempFile = path.join('/tmp', `syntax_${Date.now()}_${filename}`);
     await fs.writeFile(tempFile, code);
 
     return new Promise((resolve) => {
-        const python = spawn('python3', [
+        const checker = spawn(python, [
             '-c',
             `
 import sys, ast, json
@@ -61,15 +80,15 @@ except Exception as e:
         let output = '';
         let error = '';
 
-        python.stdout.on('data', (data) => {
+        checker.stdout.on('data', (data) => {
             output += data.toString();
         });
 
-        python.stderr.on('data', (data) => {
+        checker.stderr.on('data', (data) => {
             error += data.toString();
         });
 
-        python.on('close', async (_code) => {
+        checker.on('close', async (_code) => {
             try {
                 await fs.unlink(tempFile).catch(() => {});
                 await fs.unlink(tempFile + 'c').catch(() => {});
@@ -93,74 +112,372 @@ except Exception as e:
     });
 }
 
+// Grace period between SIGINT and SIGKILL when stopping a run
+const KILL_GRACE_PERIOD = 2000;
+
+// Runs that are still executing: runId -> { process, stopReason, killTimer }
+const activeRuns = new Map();
+
 /**
- * Execute Python code
+ * Generate a unique run ID
  */
-async function executeCode(code, options = {}) {
+function createRunId() {
+    return `run_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Send a signal to the whole process group of a run
+ * Python is spawned detached so that children it starts are stopped as well
+ */
+function signalRun(run, signal) {
+    try {
+        process.kill(-run.process.pid, signal);
+    } catch (error) {
+        if (error.code !== 'ESRCH') {
+            logger.warn('Failed to signal execution process group', {
+                pid: run.process.pid,
+                signal,
+                error: error.message,
+            });
+        }
+    }
+}
+
+/**
+ * Stop a running execution: SIGINT first, then SIGKILL after a grace period
+ * @param {string} runId - ID returned when the run was started
+ * @param {string} reason - How the run ended ('killed' or 'timeout')
+ * @returns {boolean} False if no such run is active
+ */
+function stopExecution(runId, reason = 'killed') {
+    const run = activeRuns.get(runId);
+    if (!run) {
+        return false;
+    }
+
+    // Already stopping - keep the original reason and timer
+    if (run.stopReason) {
+        return true;
+    }
+
+    logger.info('Stopping execution', { runId, reason });
+    run.stopReason = reason;
+    signalRun(run, 'SIGINT');
+    run.killTimer = setTimeout(() => signalRun(run, 'SIGKILL'), KILL_GRACE_PERIOD);
+    return true;
+}
+
+/**
+ * Write to the stdin of a running execution (interactive input)
+ * @returns {boolean} False if no such run is active or its stdin is closed
+ */
+function writeInput(runId, data) {
+    const run = activeRuns.get(runId);
+    if (!run || !run.process.stdin.writable) {
+        return false;
+    }
+    run.process.stdin.write(data);
+    return true;
+}
+
+/**
+ * Close the stdin of a running execution (EOF, like Ctrl+D in a terminal)
+ */
+function closeInput(runId) {
+    const run = activeRuns.get(runId);
+    if (!run || !run.process.stdin.writable) {
+        return false;
+    }
+    run.process.stdin.end();
+    return true;
+}
+
+/**
+ * Check whether a run is still executing
+ */
+function isRunning(runId) {
+    return activeRuns.has(runId);
+}
+
+/**
+ * Compute the dotted module name of a file relative to the workspace folder
+ * e.g. pkg/sub/mod.py -> pkg.sub.mod, pkg/__init__.py -> pkg, pkg/__main__.py -> pkg
+ * @throws {Error} If the path cannot be imported as a module
+ */
+function getModuleName(basePath, filePath) {
+    const relativePath = path.relative(basePath, filePath);
+    if (!relativePath.endsWith('.py')) {
+        throw new Error(`Not a Python file: ${relativePath}`);
+    }
+
+    const parts = relativePath.slice(0, -3).split(path.sep);
+    const last = parts[parts.length - 1];
+    if (parts.length > 1 && (last === '__init__' || last === '__main__')) {
+        parts.pop();
+    }
+
+    const invalid = parts.find((part) => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(part));
+    if (invalid !== undefined) {
+        throw new Error(`Cannot run ${relativePath} as a module: "${invalid}" is not a valid name`);
+    }
+
+    return parts.join('.');
+}
+
+/**
+ * Build execution options that run a saved workspace file from its real location
+ * @param {string} basePath - Workspace folder
+ * @param {string} file - File path relative to the workspace folder
+ * @param {string} mode - 'file' (python path/to/file.py) or 'module' (python -m pkg.mod)
+ * @returns {Object} { program } or { module }, run with the workspace folder as cwd
+ */
+function resolveFileTarget(basePath, file, mode = 'file') {
+    if (!file) {
+        throw new Error('No file to run');
+    }
+
+    const filePath = resolveWithinBase(basePath, file);
+    if (mode === 'module') {
+        return { module: getModuleName(basePath, filePath), cwd: basePath };
+    }
+    return { program: filePath, cwd: basePath };
+}
+
+/**
+ * Start Python code execution and stream output through callbacks
+ * @param {string} code - Python source to run (ignored when program or module is set)
+ * @param {Object} options - Execution options (filename, basePath, timeout, input, artifactRoot,
+ *     limits, writable) and run configuration options (program, module, args, env, cwd)
+ * @param {Object} handlers - Callbacks: onStdout(text), onStderr(text), onFigure(figure),
+ *     onExit(result)
+ * @returns {Promise<Object>} The run: { id, process, tempFile, artifactDir }
+ *
+ * Runs use the workspace folder's interpreter (see interpreterService), with its
+ * virtual environment activated.
+ * Runs are sandboxed (see sandboxService): limits overrides the configured resource
+ * limits, and only the workspace folder, the run's own temp folder and the paths in
+ * writable can be written to.
+ * Without program/module the code is written to a temp file in that temp folder and
+ * run from there (tempFile is its path, null otherwise).
+ * With artifactRoot, matplotlib draws off screen: plt.show() saves the open figures
+ * to <artifactRoot>/<runId>/ (artifactDir) and onFigure receives { name, mime } for
+ * each, in order with the output printed before it.
+ * onExit receives { runId, status, exitCode, signal, executionTime, limit } where status
+ * is 'exited' (process ended on its own), 'killed' (stopped by user) or 'timeout', and
+ * limit is { limit, message } if the run was stopped by one of its limits (else null).
+ */
+async function startExecution(code, options = {}, handlers = {}) {
     const {
         filename = 'temp.py',
         basePath = '/app/workspace',
         timeout = 30000,
         input = '',
+        program = null,
+        module = null,
+        args = [],
+        env = {},
+        cwd = basePath,
+        artifactRoot = null,
+        limits = {},
+        writable = [],
     } = options;
+    const {
+        onStdout = () => {},
+        onStderr = () => {},
+        onFigure = () => {},
+        onExit = () => {},
+    } = handlers;
 
-    // Use /tmp for execution temp files to prevent workspace pollution
-    const tempFile = path.join('/tmp', `exec_${Date.now()}_${filename}`);
-    await fs.writeFile(tempFile, code);
+    const interpreter = await interpreterService.getInterpreter(basePath);
+    const sandbox = await sandboxService.createSandbox(basePath, { limits, writable });
 
-    return new Promise((resolve) => {
-        const python = spawn('python3', ['-u', tempFile], {
-            cwd: basePath,
-            timeout,
-        });
+    let tempFile = null;
+    let target;
+    if (module) {
+        target = ['-m', module];
+    } else if (program) {
+        target = [program];
+    } else {
+        // The run's temp folder keeps the workspace clean
+        tempFile = path.join(sandbox.tempDir, path.basename(filename));
+        try {
+            await fs.writeFile(tempFile, code);
+        } catch (error) {
+            await sandbox.cleanup();
+            throw error;
+        }
+        target = [tempFile];
+    }
 
-        let stdout = '';
-        let stderr = '';
-        const startTime = Date.now();
+    const runId = createRunId();
+    let artifactDir = null;
+    let runEnv = { ...interpreterService.getActivationEnv(interpreter, sandbox.env), ...env };
+    if (artifactRoot) {
+        artifactDir = path.join(artifactRoot, runId);
+        // A backend set by the run configuration wins; PYTHONPATH is extended, not replaced
+        runEnv = {
+            MPLBACKEND: FIGURE_BACKEND,
+            ...runEnv,
+            PYTHONPATH: [PYTHON_DIR, runEnv.PYTHONPATH].filter(Boolean).join(path.delimiter),
+            PYEDITOR_ARTIFACT_DIR: artifactDir,
+        };
+    }
 
-        if (input) {
-            python.stdin.write(input);
-            python.stdin.end();
-        }
+    const command = sandbox.wrap(interpreter.path, ['-u', ...target, ...args], runEnv);
 
-        python.stdout.on('data', (data) => {
-            stdout += data.toString();
-        });
+    // Detached so the run gets its own process group and can be stopped as a whole
+    const python = spawn(command.command, command.args, {
+        cwd,
+        env: command.env,
+        detached: true,
+    });
 
-        python.stderr.on('data', (data) => {
-            stderr += data.toString();
-        });
+    const run = { id: runId, process: python, stopReason: null, killTimer: null };
+    activeRuns.set(runId, run);
 
-        python.on('close', async (code) => {
-            const executionTime = Date.now() - startTime;
+    const startTime = Date.now();
+    const timeoutTimer = setTimeout(() => stopExecution(runId, 'timeout'), timeout);
+    let finished = false;
 
-            try {
-                await fs.unlink(tempFile).catch(() => {});
-                await fs.unlink(tempFile + 'c').catch(() => {});
-            } catch (error) {
-                logger.warn('Failed to cleanup temp files', { error: error.message });
-            }
+    const finish = async (result) => {
+        if (finished) return;
+        finished = true;
 
-            resolve({
-                output: stdout,
-                error: stderr,
-                exitCode: code,
-                executionTime,
-            });
+        clearTimeout(timeoutTimer);
+        clearTimeout(run.killTimer);
+        activeRuns.delete(runId);
+
+        await sandbox.cleanup();
+
+        onExit({
+            runId,
+            status: run.stopReason || 'exited',
+            executionTime: Date.now() - startTime,
+            limit: sandboxService.detectLimitViolation(sandbox, { ...result, stderr: stderrTail }),
+            ...result,
         });
+    };
 
-        python.on('error', async (error) => {
-            try {
-                await fs.unlink(tempFile).catch(() => {});
-            } catch (_e) {
-                // Ignore cleanup errors
+    if (input) {
+        python.stdin.write(input);
+        python.stdin.end();
+    }
+
+    // Ignore EPIPE when input arrives after the program stopped reading
+    python.stdin.on('error', (error) => {
+        logger.debug('Execution stdin closed', { runId, error: error.message });
+    });
+
+    const handleEvent = (json) => {
+        let event;
+        try {
+            event = JSON.parse(json);
+        } catch (error) {
+            logger.debug('Ignoring malformed run event', { runId });
+            return;
+        }
+        if (event.event === 'figure' && typeof event.name === 'string') {
+            onFigure({ name: path.basename(event.name), mime: event.mime });
+        }
+    };
+
+    // Events are taken out of stdout; one cut off at the end of a chunk waits for the next
+    let pendingStdout = '';
+    python.stdout.on('data', (data) => {
+        let content = pendingStdout + data.toString();
+        pendingStdout = '';
+        if (artifactDir) {
+            let start = content.indexOf(EVENT_START);
+            while (start !== -1) {
+                const end = content.indexOf(EVENT_END, start);
+                if (end === -1) {
+                    if (content.length - start < MAX_PENDING_EVENT) {
+                        pendingStdout = content.slice(start);
+                        content = content.slice(0, start);
+                    }
+                    break;
+                }
+                if (start > 0) onStdout(content.slice(0, start));
+                handleEvent(content.slice(start + EVENT_START.length, end));
+                content = content.slice(end + EVENT_END.length);
+                start = content.indexOf(EVENT_START);
+            }
+            const escape = content.lastIndexOf(EVENT_START[0]);
+            if (!pendingStdout && escape !== -1 && EVENT_START.startsWith(content.slice(escape))) {
+                pendingStdout = content.slice(escape);
+                content = content.slice(0, escape);
             }
+        }
+        if (content) onStdout(content);
+    });
+
+    // The end of stderr tells whether the program failed because of a limit
+    let stderrTail = '';
+    python.stderr.on('data', (data) => {
+        const text = data.toString();
+        stderrTail = (stderrTail + text).slice(-STDERR_TAIL_SIZE);
+        onStderr(text);
+    });
+
+    python.on('close', (code, signal) => {
+        if (pendingStdout) onStdout(pendingStdout);
+        finish({ exitCode: code, signal });
+    });
+
+    python.on('error', (error) => {
+        if (finished) return;
+        onStderr(error.message);
+        finish({ exitCode: 1, signal: null });
+    });
+
+    return { id: runId, process: python, tempFile, artifactDir };
+}
 
+/**
+ * Execute Python code
+ * Waits for a free slot of the execution scheduler first, for options.clientId (the
+ * id the client sent, see executionScheduler) or else the workspace folder
+ */
+async function executeCode(code, options = {}) {
+    let stdout = '';
+    let stderr = '';
+
+    const slot = getExecutionScheduler().enqueue(
+        getSchedulerUser(options.clientId, options.basePath)
+    );
+    try {
+        await slot.ready;
+    } catch (error) {
+        return { output: '', error: error.message, exitCode: 1, executionTime: 0 };
+    }
+
+    return new Promise((resolve) => {
+        startExecution(code, options, {
+            onStdout: (text) => {
+                stdout += text;
+            },
+            onStderr: (text) => {
+                stderr += text;
+            },
+            onExit: ({ runId, status, exitCode, executionTime, limit }) => {
+                slot.release();
+                resolve({
+                    output: stdout,
+                    error: stderr,
+                    exitCode,
+                    executionTime,
+                    runId,
+                    status,
+                    limit,
+                });
+            },
+        }).catch((error) => {
+            slot.release();
             resolve({
                 output: '',
                 error: error.message,
                 exitCode: 1,
-                executionTime: Date.now() - startTime,
+                executionTime: 0,
             });
         });
     });
@@ -168,5 +485,11 @@ async function executeCode(code, options = {}) {
 
 module.exports = {
     checkSyntax,
+    startExecution,
+    stopExecution,
+    writeInput,
+    closeInput,
+    isRunning,
+    resolveFileTarget,
     executeCode,
 };
@@ -0,0 +1,142 @@
+/**
+ * fileIndexService.js - Cached list of the files of each workspace folder
+ *
+ * Quick open matches against every file path of a workspace folder, so the list is
+ * kept here instead of walking the folder on each request. It holds the files a
+ * search would look at (see searchService.walkFiles: tool folders, environments and
+ * what .gitignore ignores are left out). File routes invalidate it when they add or
+ * remove files, along with the indexes of the folders around and inside the changed
+ * one (the root folder's index lists the files of its subfolders too); changes made
+ * by programs and the terminal are picked up by refreshing an index older than
+ * INDEX_MAX_AGE in the background.
+ */
+
+const path = require('path');
+const { walkFiles } = require('./searchService');
+const logger = require('../utils/logger');
+
+const INDEX_MAX_AGE = 10000; // ms before an index is refreshed (in the background)
+const INDEX_IDLE_TIME = 10 * 60 * 1000; // Indexes unused this long are dropped
+const MAX_INDEXED_FILES = 50000;
+
+// basePath -> { files, limitHit, builtAt, usedAt, dirty, building }
+const indexes = new Map();
+
+/**
+ * Walk a workspace folder for its files
+ * @returns {Promise<Object>} { files, limitHit } with paths sorted
+ */
+async function buildIndex(basePath) {
+    const files = [];
+    let limitHit = false;
+
+    for await (const relativePath of walkFiles(basePath, {}, () => limitHit)) {
+        if (files.length >= MAX_INDEXED_FILES) {
+            limitHit = true;
+            break;
+        }
+        files.push(relativePath);
+    }
+    return { files, limitHit };
+}
+
+/**
+ * Rebuild the index of a folder (one build at a time per folder)
+ */
+function refreshIndex(basePath, index) {
+    if (!index.building) {
+        index.dirty = false;
+        index.building = buildIndex(basePath)
+            .then(({ files, limitHit }) => {
+                index.files = files;
+                index.limitHit = limitHit;
+                index.builtAt = Date.now();
+            })
+            .finally(() => {
+                index.building = null;
+            });
+    }
+    return index.building;
+}
+
+function dropIdleIndexes(now) {
+    indexes.forEach((index, basePath) => {
+        if (!index.building && now - index.usedAt > INDEX_IDLE_TIME) {
+            indexes.delete(basePath);
+        }
+    });
+}
+
+/**
+ * Files of a workspace folder
+ * Built on first use and after invalidation; an old index is returned as is while it
+ * is refreshed for the next request
+ * @param {string} basePath - Workspace folder
+ * @returns {Promise<Object>} { files, limitHit } with paths relative to the folder
+ */
+async function getFileIndex(basePath) {
+    const now = Date.now();
+    dropIdleIndexes(now);
+
+    let index = indexes.get(basePath);
+    if (!index) {
+        index = {
+            files: null,
+            limitHit: false,
+            builtAt: 0,
+            usedAt: now,
+            dirty: true,
+            building: null,
+        };
+        indexes.set(basePath, index);
+    }
+    index.usedAt = now;
+
+    // A build already running may have started before the last invalidation
+    while (index.files === null || index.dirty) {
+        await refreshIndex(basePath, index);
+    }
+    if (now - index.builtAt > INDEX_MAX_AGE) {
+        refreshIndex(basePath, index).catch((error) => {
+            logger.error('Failed to refresh file index', { basePath, error: error.message });
+        });
+    }
+
+    return { files: index.files, limitHit: index.limitHit };
+}
+
+/**
+ * Whether a path is a folder or inside it
+ */
+function isWithin(folder, target) {
+    const relative = path.relative(folder, target);
+    return !relative.startsWith(`..${path.sep}`) && relative !== '..' && !path.isAbsolute(relative);
+}
+
+/**
+ * Note that files of a workspace folder were added, removed or moved
+ * Every index that lists the changed files is invalidated: the folder's own, those of
+ * folders it is in and those of its subfolders
+ * @param {string} basePath - Workspace folder
+ * @param {string} relativePath - File written, if that is the change: files already
+ *     in an index don't change it
+ */
+function invalidateFileIndex(basePath, relativePath = null) {
+    const changed = relativePath ? path.join(basePath, relativePath) : basePath;
+
+    indexes.forEach((index, indexBase) => {
+        if (!index.files) return;
+        if (!isWithin(indexBase, changed) && !isWithin(changed, indexBase)) return;
+
+        const indexPath = path.relative(indexBase, changed).split(path.sep).join('/');
+        if (relativePath && index.files.includes(indexPath)) {
+            return;
+        }
+        index.dirty = true;
+    });
+}
+
+module.exports = {
+    getFileIndex,
+    invalidateFileIndex,
+};
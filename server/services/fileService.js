@@ -5,6 +5,19 @@
 const fs = require('fs').promises;
 const path = require('path');
 
+// Folders left out when looking for files changed by runs (tool state, caches and environments)
+const SNAPSHOT_SKIPPED_DIRS = new Set([
+    '.git',
+    '.pyeditor',
+    '.venv',
+    'venv',
+    'node_modules',
+    '__pycache__',
+    '.pytest_cache',
+    '.mypy_cache',
+]);
+const MAX_SNAPSHOT_FILES = 10000;
+
 /**
  * Get directory structure recursively
  */
@@ -100,6 +113,60 @@ async function copyItem(sourcePath, targetPath) {
     }
 }
 
+/**
+ * Files of a workspace folder created or modified since a point in time, e.g. by a run
+ * One walk after the run: modification times are compared with its start, and files
+ * born after it count as created
+ * @param {string} basePath - Workspace folder
+ * @param {number} since - Start of the run (Date.now())
+ * @returns {Promise<Array<Object>>} [{ path, change: 'created' | 'modified' }] sorted by
+ *     path, empty if the folder has more than MAX_SNAPSHOT_FILES files
+ */
+async function findChangedFiles(basePath, since) {
+    const changes = [];
+    const pending = [basePath];
+    let fileCount = 0;
+
+    while (pending.length > 0) {
+        const dirPath = pending.pop();
+        let entries;
+        try {
+            entries = await fs.readdir(dirPath, { withFileTypes: true });
+        } catch (error) {
+            continue; // Removed or unreadable meanwhile
+        }
+
+        for (const entry of entries) {
+            const fullPath = path.join(dirPath, entry.name);
+            if (entry.isDirectory()) {
+                if (!SNAPSHOT_SKIPPED_DIRS.has(entry.name)) {
+                    pending.push(fullPath);
+                }
+            } else if (entry.isFile()) {
+                if (++fileCount > MAX_SNAPSHOT_FILES) {
+                    return [];
+                }
+                try {
+                    const stat = await fs.stat(fullPath);
+                    // File timestamps may lag Date.now() by a clock tick, well under an interpreter's startup
+                    if (stat.mtimeMs >= since) {
+                        // birthtimeMs is 0 where the filesystem doesn't record it
+                        const created = stat.birthtimeMs > 0 && stat.birthtimeMs >= since;
+                        changes.push({
+                            path: path.relative(basePath, fullPath),
+                            change: created ? 'created' : 'modified',
+                        });
+                    }
+                } catch (error) {
+                    // Removed meanwhile
+                }
+            }
+        }
+    }
+
+    return changes.sort((a, b) => a.path.localeCompare(b.path));
+}
+
 module.exports = {
     getDirectoryStructure,
     readFile,
@@ -108,4 +175,5 @@ module.exports = {
     createDirectory,
     moveItem,
     copyItem,
+    findChangedFiles,
 };
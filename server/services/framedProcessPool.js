@@ -0,0 +1,204 @@
+/**
+ * framedProcessPool.js
+ *
+ * Long-lived Python helper processes that speak Content-Length framed JSON
+ * over stdio (see utils/messageFraming), such as Python sessions and debug
+ * adapters. Each process uses the workspace folder's interpreter and runs in
+ * its own sandbox (see sandboxService); it starts in the background, and
+ * messages sent before it runs are queued.
+ */
+
+const { spawn } = require('child_process');
+const logger = require('../utils/logger');
+const { encodeMessage, createMessageReader } = require('../utils/messageFraming');
+const sandboxService = require('./sandboxService');
+const interpreterService = require('./interpreterService');
+
+const KILL_GRACE_PERIOD = 2000; // ms between SIGTERM and SIGKILL
+
+/**
+ * Create a pool of framed processes of one kind
+ * @param {Object} options - { name, source, idPrefix, sandboxOptions, startFailureEvents }
+ *     name: what the logs call a process ('Python session'), source: logger source of its
+ *     stderr, idPrefix: prefix of process ids, sandboxOptions: passed to createSandbox,
+ *     startFailureEvents: messages sent after the error output when a process cannot start
+ * @returns {Object} { start, send, interrupt, stop, count }
+ */
+function createFramedProcessPool(options) {
+    const { name, source, idPrefix, sandboxOptions = {}, startFailureEvents = [] } = options;
+    const title = name.charAt(0).toUpperCase() + name.slice(1);
+
+    // Active processes: id -> { id, process, pending, stopRequested, killTimer }
+    const entries = new Map();
+
+    /**
+     * Start a process in a workspace folder
+     * If it cannot start, onMessage receives the error as stderr output, then onExit runs.
+     * @param {string} basePath - Workspace folder (sandbox and interpreter)
+     * @param {Array<string>} args - Interpreter arguments (script and its arguments)
+     * @param {Object} handlers - { onMessage(message), onExit({ exitCode, signal }) }
+     * @param {string} cwd - Folder to start in (defaults to basePath)
+     * @returns {{ id: string }} Process handle
+     */
+    function start(basePath, args, handlers = {}, cwd = basePath) {
+        const { onMessage = () => {}, onExit = () => {} } = handlers;
+        const id = `${idPrefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const entry = { id, process: null, pending: [], stopRequested: false, killTimer: null };
+        entries.set(id, entry);
+
+        spawnProcess(entry, basePath, args, cwd, onMessage, onExit).catch((error) => {
+            entries.delete(id);
+            logger.error(`Failed to start ${name}`, { sessionId: id, error: error.message });
+            onMessage({
+                type: 'event',
+                event: 'output',
+                body: { category: 'stderr', output: `${error.message}\n` },
+            });
+            startFailureEvents.forEach((message) => onMessage(message));
+            onExit({ exitCode: null, signal: null });
+        });
+
+        return { id };
+    }
+
+    /**
+     * Spawn the process of an entry with the workspace folder's interpreter, in its sandbox
+     */
+    async function spawnProcess(entry, basePath, args, cwd, onMessage, onExit) {
+        const { id } = entry;
+        const interpreter = await interpreterService.getInterpreter(basePath);
+        const sandbox = await sandboxService.createSandbox(basePath, sandboxOptions);
+
+        if (entry.stopRequested) {
+            // Stopped while starting
+            entries.delete(id);
+            await sandbox.cleanup();
+            onExit({ exitCode: null, signal: null });
+            return;
+        }
+
+        const env = {
+            ...interpreterService.getActivationEnv(interpreter, sandbox.env),
+            PYTHONDONTWRITEBYTECODE: '1',
+        };
+        const command = sandbox.wrap(interpreter.path, args, env);
+
+        // Detached so children started by the code are stopped with the process
+        const child = spawn(command.command, command.args, {
+            cwd,
+            env: command.env,
+            detached: true,
+        });
+        entry.process = child;
+
+        const reader = createMessageReader((content) => {
+            try {
+                onMessage(JSON.parse(content));
+            } catch (error) {
+                logger.error(`Failed to parse ${name} message`, { error: error.message });
+            }
+        });
+
+        child.stdout.on('data', (chunk) => reader.push(chunk));
+        child.stderr.on('data', (data) => {
+            logger.debug(data.toString().trim(), { source, sessionId: id });
+        });
+
+        // Ignore EPIPE when a message arrives after the process stopped reading
+        child.stdin.on('error', (error) => {
+            logger.debug(`${title} stdin closed`, { sessionId: id, error: error.message });
+        });
+
+        child.on('error', (error) => {
+            logger.error(`Failed to start ${name}`, { sessionId: id, error: error.message });
+        });
+
+        child.on('close', async (exitCode, signal) => {
+            clearTimeout(entry.killTimer);
+            entries.delete(id);
+            reader.clear();
+            await sandbox.cleanup();
+            logger.info(`${title} ended`, { sessionId: id, exitCode, signal });
+            onExit({ exitCode, signal });
+        });
+
+        entry.pending.forEach((message) => child.stdin.write(encodeMessage(message)));
+        entry.pending = [];
+
+        logger.info(`${title} started`, { sessionId: id, cwd, python: interpreter.path });
+    }
+
+    /**
+     * Send a message to a process
+     */
+    function send(id, message) {
+        const entry = entries.get(id);
+        if (!entry) {
+            return;
+        }
+        if (!entry.process) {
+            entry.pending.push(message);
+        } else if (entry.process.stdin.writable) {
+            entry.process.stdin.write(encodeMessage(message));
+        }
+    }
+
+    /**
+     * Interrupt what a process is running (SIGINT)
+     * @returns {boolean} Whether the process exists
+     */
+    function interrupt(id) {
+        const entry = entries.get(id);
+        if (!entry) {
+            return false;
+        }
+        if (!entry.process) {
+            return true; // Nothing is running yet
+        }
+
+        try {
+            entry.process.kill('SIGINT');
+        } catch (error) {
+            // Process already gone
+        }
+        return true;
+    }
+
+    /**
+     * Stop a process and everything it started
+     */
+    function stop(id) {
+        const entry = entries.get(id);
+        if (!entry || entry.stopRequested) {
+            return;
+        }
+        entry.stopRequested = true;
+        if (!entry.process) {
+            return; // Ended as soon as it has started
+        }
+
+        const signal = (signalName) => {
+            try {
+                process.kill(-entry.process.pid, signalName);
+            } catch (error) {
+                // Process group already gone
+            }
+        };
+
+        signal('SIGTERM');
+        entry.killTimer = setTimeout(() => signal('SIGKILL'), KILL_GRACE_PERIOD);
+    }
+
+    /**
+     * Number of running processes
+     */
+    function count() {
+        return entries.size;
+    }
+
+    return { start, send, interrupt, stop, count };
+}
+
+module.exports = {
+    createFramedProcessPool,
+};
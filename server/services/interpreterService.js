@@ -0,0 +1,264 @@
+/**
+ * interpreterService.js - Python interpreter of a workspace folder
+ *
+ * A workspace folder runs its programs, syntax checks and language server with
+ * either the server's python3 or a virtual environment inside the folder. The
+ * choice lives in <workspace>/.pyeditor/interpreter.json:
+ *   { "venv": ".venv" }       (folder of the virtual environment, relative to the workspace)
+ *   { "venv": null }          (the server's python3, also used without the file)
+ *
+ * Virtual environments are found by their pyvenv.cfg, up to three folders deep.
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { resolveWithinBase } = require('../utils/pathUtils');
+
+const SYSTEM_PYTHON = 'python3';
+const SETTINGS_FILE = path.join('.pyeditor', 'interpreter.json');
+const SEARCH_DEPTH = 3;
+// Folders that never hold a project's virtual environment (or are too big to search)
+const SKIPPED_FOLDERS = new Set(['.git', '.pyeditor', 'node_modules', '__pycache__']);
+const CREATE_TIMEOUT = 120000;
+
+let systemVersion = null;
+
+/**
+ * Version of the server's python3 (looked up once)
+ * @returns {Promise<string|null>} e.g. '3.11.7'
+ */
+function getSystemVersion() {
+    if (!systemVersion) {
+        systemVersion = new Promise((resolve) => {
+            execFile(SYSTEM_PYTHON, ['--version'], (error, stdout, stderr) => {
+                const match = /Python (\S+)/.exec(stdout || stderr || '');
+                resolve(error || !match ? null : match[1]);
+            });
+        });
+    }
+    return systemVersion;
+}
+
+/**
+ * Python executable of a virtual environment folder
+ */
+function getVenvPython(venvPath) {
+    return path.join(venvPath, 'bin', 'python');
+}
+
+/**
+ * Read a virtual environment's pyvenv.cfg
+ * @returns {Promise<Object|null>} { version } or null if the folder is not a virtual environment
+ */
+async function readVenv(venvPath) {
+    let content;
+    try {
+        content = await fs.readFile(path.join(venvPath, 'pyvenv.cfg'), 'utf8');
+        await fs.access(getVenvPython(venvPath));
+    } catch (error) {
+        return null;
+    }
+
+    const values = {};
+    content.split('\n').forEach((line) => {
+        const separator = line.indexOf('=');
+        if (separator > 0) {
+            values[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        }
+    });
+    // venv writes "version", virtualenv and uv write "version_info"
+    return { version: values.version || values.version_info || null };
+}
+
+/**
+ * Find the virtual environments of a workspace folder
+ * @returns {Promise<Object[]>} [{ venv, version }] with venv relative to the folder, sorted
+ */
+async function findVenvs(basePath) {
+    const venvs = [];
+
+    const search = async (folder, depth) => {
+        let entries;
+        try {
+            entries = await fs.readdir(folder, { withFileTypes: true });
+        } catch (error) {
+            return;
+        }
+
+        for (const entry of entries) {
+            if (!entry.isDirectory() || SKIPPED_FOLDERS.has(entry.name)) continue;
+
+            const entryPath = path.join(folder, entry.name);
+            const venv = await readVenv(entryPath);
+            if (venv) {
+                venvs.push({ venv: path.relative(basePath, entryPath), version: venv.version });
+            } else if (depth < SEARCH_DEPTH) {
+                await search(entryPath, depth + 1);
+            }
+        }
+    };
+
+    await search(basePath, 1);
+    return venvs.sort((a, b) => a.venv.localeCompare(b.venv));
+}
+
+/**
+ * The stored choice of a workspace folder
+ * @returns {Promise<string|null>} Virtual environment folder (relative), null for python3
+ */
+async function getSelectedVenv(basePath) {
+    try {
+        const content = await fs.readFile(path.join(basePath, SETTINGS_FILE), 'utf8');
+        const { venv } = JSON.parse(content);
+        return typeof venv === 'string' && venv ? venv : null;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn('Invalid interpreter settings', { basePath, error: error.message });
+        }
+        return null;
+    }
+}
+
+function describeSystem(version) {
+    return { venv: null, name: 'python3', path: SYSTEM_PYTHON, venvPath: null, version };
+}
+
+function describeVenv(basePath, venv, version) {
+    const venvPath = resolveWithinBase(basePath, venv);
+    return { venv, name: venv, path: getVenvPython(venvPath), venvPath, version };
+}
+
+/**
+ * Interpreter a workspace folder uses
+ * A chosen virtual environment that no longer exists falls back to python3.
+ * @returns {Promise<Object>} { venv, name, path, venvPath, version }: path is the
+ *     executable to run, venv and venvPath are null for python3
+ */
+async function getInterpreter(basePath) {
+    const venv = await getSelectedVenv(basePath);
+    if (venv) {
+        try {
+            const info = await readVenv(resolveWithinBase(basePath, venv));
+            if (info) {
+                return describeVenv(basePath, venv, info.version);
+            }
+        } catch (error) {
+            // Path outside the workspace folder: ignored like a missing one
+        }
+        logger.warn('Selected virtual environment not found, using python3', { basePath, venv });
+    }
+    return describeSystem(await getSystemVersion());
+}
+
+/**
+ * All interpreters a workspace folder can choose from
+ * @returns {Promise<Object>} { interpreters: [...], selected } where selected is the
+ *     venv of the interpreter in use (null for python3)
+ */
+async function listInterpreters(basePath) {
+    const [venvs, current, version] = await Promise.all([
+        findVenvs(basePath),
+        getInterpreter(basePath),
+        getSystemVersion(),
+    ]);
+    return {
+        interpreters: [
+            describeSystem(version),
+            ...venvs.map((found) => describeVenv(basePath, found.venv, found.version)),
+        ],
+        selected: current.venv,
+    };
+}
+
+/**
+ * Choose the interpreter of a workspace folder
+ * @param {string|null} venv - Virtual environment folder (relative), null for python3
+ * @returns {Promise<Object>} The interpreter (see getInterpreter)
+ * @throws {Error} If venv is not a virtual environment inside the folder
+ */
+async function selectInterpreter(basePath, venv) {
+    let normalized = null;
+    if (venv) {
+        const venvPath = resolveWithinBase(basePath, venv);
+        if (!(await readVenv(venvPath))) {
+            throw new Error(`Not a virtual environment: ${venv}`);
+        }
+        normalized = path.relative(basePath, venvPath);
+    }
+
+    const settingsPath = path.join(basePath, SETTINGS_FILE);
+    await fs.mkdir(path.dirname(settingsPath), { recursive: true });
+    await fs.writeFile(settingsPath, JSON.stringify({ venv: normalized }, null, 4) + '\n');
+    logger.info('Interpreter selected', { basePath, venv: normalized });
+
+    return getInterpreter(basePath);
+}
+
+/**
+ * Create a virtual environment in a workspace folder (python3 -m venv) and choose it
+ * @param {string} venv - Folder to create, relative to the workspace folder
+ * @returns {Promise<Object>} The new interpreter (see getInterpreter)
+ * @throws {Error} If the folder exists or venv fails
+ */
+async function createVenv(basePath, venv) {
+    if (!venv || !venv.trim()) {
+        throw new Error('Virtual environment name is required');
+    }
+    const venvPath = resolveWithinBase(basePath, venv.trim());
+    if (venvPath === basePath) {
+        throw new Error('Virtual environment needs its own folder');
+    }
+
+    try {
+        await fs.access(venvPath);
+        throw new Error(`Folder already exists: ${venv}`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    await new Promise((resolve, reject) => {
+        execFile(
+            SYSTEM_PYTHON,
+            ['-m', 'venv', venvPath],
+            { cwd: basePath, timeout: CREATE_TIMEOUT },
+            (error, stdout, stderr) => {
+                if (error) {
+                    reject(new Error((stderr || stdout).trim() || error.message));
+                } else {
+                    resolve();
+                }
+            }
+        );
+    });
+    logger.info('Virtual environment created', { basePath, venvPath });
+
+    return selectInterpreter(basePath, path.relative(basePath, venvPath));
+}
+
+/**
+ * Environment variables that activate an interpreter (like bin/activate does)
+ * @param {Object} interpreter - From getInterpreter
+ * @param {Object} env - Environment to extend
+ * @returns {Object} env with VIRTUAL_ENV and the venv's bin first in PATH (unchanged for python3)
+ */
+function getActivationEnv(interpreter, env) {
+    if (!interpreter.venvPath) {
+        return env;
+    }
+    return {
+        ...env,
+        VIRTUAL_ENV: interpreter.venvPath,
+        PATH: [path.join(interpreter.venvPath, 'bin'), env.PATH].filter(Boolean).join(':'),
+    };
+}
+
+module.exports = {
+    SYSTEM_PYTHON,
+    getInterpreter,
+    listInterpreters,
+    selectInterpreter,
+    createVenv,
+    getActivationEnv,
+};
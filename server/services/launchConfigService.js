@@ -0,0 +1,118 @@
+/**
+ * launchConfigService.js - Run configurations stored in the workspace
+ *
+ * Configurations live in <workspace>/.pyeditor/launch.json:
+ *   {
+ *     "configurations": [
+ *       { "name": "Server", "program": "app/main.py", "args": ["--port", "8000"],
+ *         "env": { "DEBUG": "1" }, "cwd": "app", "timeout": 120 },
+ *       { "name": "CLI", "module": "tools.cli", "args": ["sync"] }
+ *     ]
+ *   }
+ *
+ * "program" and "cwd" are relative to the workspace folder. ${workspaceFolder} and
+ * ${file} (the active file) may be used in program, args, env values and cwd.
+ * "timeout" is in seconds.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { resolveWithinBase } = require('../utils/pathUtils');
+
+const LAUNCH_FILE = path.join('.pyeditor', 'launch.json');
+
+/**
+ * Read all run configurations of a workspace folder
+ * @param {string} basePath - Workspace folder
+ * @returns {Promise<Object[]>} Configurations (empty if launch.json does not exist)
+ * @throws {Error} If launch.json is not valid
+ */
+async function getConfigurations(basePath) {
+    let content;
+    try {
+        content = await fs.readFile(path.join(basePath, LAUNCH_FILE), 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Invalid ${LAUNCH_FILE}: ${error.message}`);
+    }
+
+    const configurations = Array.isArray(data.configurations) ? data.configurations : [];
+    return configurations.filter((config) => config && typeof config.name === 'string');
+}
+
+/**
+ * Find a run configuration by name
+ * @returns {Promise<Object|null>} The configuration, or null if not found
+ */
+async function getConfiguration(basePath, name) {
+    const configurations = await getConfigurations(basePath);
+    return configurations.find((config) => config.name === name) || null;
+}
+
+/**
+ * Turn a stored configuration into execution options for executionService
+ * @param {Object} config - Configuration from launch.json
+ * @param {Object} context - { basePath, file } where file is the active file (workspace-relative)
+ * @returns {Object} { program | module, args, env, cwd, timeout }
+ * @throws {Error} If the configuration is invalid
+ */
+function resolveConfiguration(config, { basePath, file }) {
+    const substitute = (value) => {
+        let result = String(value).replace(/\$\{workspaceFolder\}/g, basePath);
+        if (result.includes('${file}')) {
+            if (!file) {
+                throw new Error('${file} requires an active file');
+            }
+            result = result.replace(/\$\{file\}/g, resolveWithinBase(basePath, file));
+        }
+        return result;
+    };
+
+    const options = {};
+
+    if (config.module) {
+        options.module = substitute(config.module);
+    } else if (config.program) {
+        options.program = resolveWithinBase(basePath, substitute(config.program));
+    } else {
+        throw new Error(`Configuration "${config.name}" needs a "program" or "module"`);
+    }
+
+    if (config.args !== undefined && !Array.isArray(config.args)) {
+        throw new Error(`Configuration "${config.name}": "args" must be an array`);
+    }
+    options.args = (config.args || []).map(substitute);
+
+    options.env = {};
+    Object.entries(config.env || {}).forEach(([key, value]) => {
+        options.env[key] = substitute(value);
+    });
+
+    options.cwd = config.cwd ? resolveWithinBase(basePath, substitute(config.cwd)) : basePath;
+
+    if (config.timeout !== undefined) {
+        const seconds = Number(config.timeout);
+        if (!Number.isFinite(seconds) || seconds <= 0) {
+            throw new Error(`Configuration "${config.name}": "timeout" must be a positive number`);
+        }
+        options.timeout = seconds * 1000;
+    }
+
+    return options;
+}
+
+module.exports = {
+    LAUNCH_FILE,
+    getConfigurations,
+    getConfiguration,
+    resolveConfiguration,
+};
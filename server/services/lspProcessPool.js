@@ -5,6 +5,7 @@
  */
 
 const { spawn } = require('child_process');
+const path = require('path');
 const logger = require('../utils/logger');
 const { WORKSPACE_ROOT } = require('../utils/pathUtils');
 
@@ -23,8 +24,11 @@ class LSPProcessPool {
 
     /**
      * Get or create a pylsp process for a user
+     * @param {string} userId - Connection the process is for
+     * @param {Object} options - { venvPath }: virtual environment the language server
+     *     analyzes code with (used when the process is created; null for python3)
      */
-    async getProcess(userId) {
+    async getProcess(userId, options = {}) {
         // Check if user already has a process
         if (this.processes.has(userId)) {
             const processInfo = this.processes.get(userId);
@@ -39,7 +43,7 @@ class LSPProcessPool {
             const reclaimedProcess = this.reclaimIdleProcess();
             if (reclaimedProcess) {
                 this.processes.delete(reclaimedProcess.userId);
-                return this.createProcess(userId);
+                return this.createProcess(userId, options);
             }
 
             // Queue is full, wait for a process to become available
@@ -55,6 +59,7 @@ class LSPProcessPool {
 
                 this.waitQueue.push({
                     userId,
+                    options,
                     resolve: (process) => {
                         clearTimeout(timeout);
                         resolve(process);
@@ -65,25 +70,45 @@ class LSPProcessPool {
         }
 
         // Create new process
-        return this.createProcess(userId);
+        return this.createProcess(userId, options);
+    }
+
+    /**
+     * Environment of a pylsp process
+     * With a virtual environment, jedi (pylsp's analysis) finds it through VIRTUAL_ENV and
+     * starts its python with this environment, so the server's Python paths are left out
+     */
+    getProcessEnv(venvPath) {
+        if (!venvPath) {
+            return {
+                ...process.env,
+                PYTHONPATH:
+                    WORKSPACE_ROOT +
+                    ':/usr/local/lib/python3.11:/usr/local/lib/python3.11/site-packages',
+                PYTHONHOME: '/usr/local',
+            };
+        }
+
+        const env = {
+            ...process.env,
+            PYTHONPATH: WORKSPACE_ROOT,
+            VIRTUAL_ENV: venvPath,
+            PATH: [path.join(venvPath, 'bin'), process.env.PATH].filter(Boolean).join(':'),
+        };
+        delete env.PYTHONHOME;
+        return env;
     }
 
     /**
      * Create a new pylsp process
      */
-    createProcess(userId) {
+    createProcess(userId, options = {}) {
         return new Promise((resolve, reject) => {
             try {
                 const pylsp = spawn('pylsp', ['-v'], {
                     stdio: ['pipe', 'pipe', 'pipe'],
                     cwd: WORKSPACE_ROOT,
-                    env: {
-                        ...process.env,
-                        PYTHONPATH:
-                            WORKSPACE_ROOT +
-                            ':/usr/local/lib/python3.11:/usr/local/lib/python3.11/site-packages',
-                        PYTHONHOME: '/usr/local',
-                    },
+                    env: this.getProcessEnv(options.venvPath),
                 });
 
                 pylsp.on('error', (error) => {
@@ -112,6 +137,7 @@ class LSPProcessPool {
 
                 logger.info('Created pylsp process in pool', {
                     userId,
+                    venvPath: options.venvPath || null,
                     poolSize: this.processes.size,
                 });
 
@@ -154,7 +180,7 @@ class LSPProcessPool {
         if (this.processes.size < this.maxProcesses) {
             const queued = this.waitQueue.shift();
             try {
-                const process = await this.createProcess(queued.userId);
+                const process = await this.createProcess(queued.userId, queued.options);
                 queued.resolve(process);
             } catch (error) {
                 queued.reject(error);
@@ -0,0 +1,193 @@
+/**
+ * packageService.js - Packages of a workspace folder's interpreter (pip)
+ *
+ * Packages are listed and changed in the interpreter chosen for the workspace
+ * folder (see interpreterService). Installs only go into virtual environments:
+ * the server's python3 belongs to the server (and the sandbox keeps runs from
+ * writing to it anyway).
+ *
+ * Air-gapped servers install from a wheelhouse, a folder of wheels and sdists:
+ * PIP_WHEELHOUSE names one on the server, or a request names one in the
+ * workspace folder. pip then doesn't contact an index (--no-index --find-links).
+ */
+
+const { execFile } = require('child_process');
+const path = require('path');
+const executionService = require('./executionService');
+const interpreterService = require('./interpreterService');
+const { resolveWithinBase } = require('../utils/pathUtils');
+
+const PIP_TIMEOUT = 10 * 60 * 1000; // Builds from sdists can take a while
+
+// Installed distributions of the interpreter, without needing pip
+const LIST_SCRIPT = `
+import json
+from importlib import metadata
+
+packages = {}
+for dist in metadata.distributions():
+    name = dist.metadata["Name"]
+    if name and name.lower() not in packages:
+        packages[name.lower()] = {"name": name, "version": dist.version}
+print(json.dumps(sorted(packages.values(), key=lambda p: p["name"].lower())))
+`;
+
+// Requirements of a pyproject.toml ([project] dependencies), read with the server's python3
+const PYPROJECT_SCRIPT = `
+import json, sys, tomllib
+
+with open(sys.argv[1], "rb") as f:
+    project = tomllib.load(f).get("project", {})
+print(json.dumps(project.get("dependencies", [])))
+`;
+
+function runPython(command, args, env) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { env, maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                reject(new Error((stderr || '').trim() || error.message));
+            } else {
+                resolve(stdout);
+            }
+        });
+    });
+}
+
+/**
+ * Installed packages of the workspace folder's interpreter
+ * @returns {Promise<Object>} { interpreter, packages: [{ name, version }], wheelhouse }
+ *     where wheelhouse is the server's PIP_WHEELHOUSE (null if not set)
+ */
+async function listPackages(basePath) {
+    const interpreter = await interpreterService.getInterpreter(basePath);
+    const env = interpreterService.getActivationEnv(interpreter, { PATH: process.env.PATH });
+    const output = await runPython(interpreter.path, ['-I', '-c', LIST_SCRIPT], env);
+
+    return {
+        interpreter,
+        packages: JSON.parse(output),
+        wheelhouse: process.env.PIP_WHEELHOUSE || null,
+    };
+}
+
+/**
+ * pip options that install from a wheelhouse instead of an index
+ * @param {string} wheelhouse - Folder in the workspace folder (else the server's PIP_WHEELHOUSE)
+ */
+function getWheelhouseArgs(basePath, wheelhouse) {
+    const folder = wheelhouse
+        ? resolveWithinBase(basePath, wheelhouse)
+        : process.env.PIP_WHEELHOUSE;
+    return folder ? ['--no-index', '--find-links', folder] : [];
+}
+
+/**
+ * Check requirement specifiers (e.g. "requests", "numpy>=1.26", "pkg[extra]")
+ * Options are refused so a request can't point pip somewhere else (--index-url, -r ...)
+ * @throws {Error} If there are none or one is an option
+ */
+function checkPackages(packages) {
+    if (!Array.isArray(packages) || packages.length === 0) {
+        throw new Error('No packages given');
+    }
+    packages.forEach((spec) => {
+        if (typeof spec !== 'string' || !spec.trim() || spec.trim().startsWith('-')) {
+            throw new Error(`Invalid package: ${spec}`);
+        }
+    });
+    return packages.map((spec) => spec.trim());
+}
+
+/**
+ * Requirements listed in a pyproject.toml
+ * @throws {Error} If the file can't be read or has no dependencies
+ */
+async function readPyprojectDependencies(filePath) {
+    const output = await runPython(interpreterService.SYSTEM_PYTHON, [
+        '-c',
+        PYPROJECT_SCRIPT,
+        filePath,
+    ]);
+    const dependencies = JSON.parse(output);
+    if (dependencies.length === 0) {
+        throw new Error('No dependencies in the [project] table of pyproject.toml');
+    }
+    return dependencies;
+}
+
+/**
+ * Turn a package request into pip arguments
+ * @param {Object} request - { action: 'install', packages, upgrade, wheelhouse },
+ *     { action: 'uninstall', packages } or { action: 'requirements', file, wheelhouse }
+ *     where file is a requirements file or a pyproject.toml in the workspace folder
+ * @returns {Promise<string[]>} Arguments for python -m pip
+ * @throws {Error} If the request is invalid
+ */
+async function buildPipArgs(basePath, request) {
+    const { action, wheelhouse } = request;
+
+    if (action === 'install') {
+        const packages = checkPackages(request.packages);
+        return [
+            'install',
+            ...(request.upgrade ? ['--upgrade'] : []),
+            ...getWheelhouseArgs(basePath, wheelhouse),
+            ...packages,
+        ];
+    }
+    if (action === 'uninstall') {
+        return ['uninstall', '--yes', ...checkPackages(request.packages)];
+    }
+    if (action === 'requirements') {
+        if (!request.file) {
+            throw new Error('No requirements file given');
+        }
+        const filePath = resolveWithinBase(basePath, request.file);
+        const wheelhouseArgs = getWheelhouseArgs(basePath, wheelhouse);
+        if (path.basename(filePath) === 'pyproject.toml') {
+            const dependencies = await readPyprojectDependencies(filePath);
+            return ['install', ...wheelhouseArgs, ...checkPackages(dependencies)];
+        }
+        return ['install', ...wheelhouseArgs, '-r', filePath];
+    }
+    throw new Error(`Unknown package action: ${action}`);
+}
+
+/**
+ * Run pip for a package request in the workspace folder's virtual environment
+ * @param {Object} request - See buildPipArgs
+ * @param {Object} handlers - Callbacks of executionService.startExecution (onStdout,
+ *     onStderr, onExit)
+ * @returns {Promise<Object>} { run, args }: the run (see startExecution) and pip's arguments
+ * @throws {Error} If the request is invalid or no virtual environment is chosen
+ */
+async function startPip(basePath, request, handlers) {
+    const interpreter = await interpreterService.getInterpreter(basePath);
+    if (!interpreter.venv) {
+        throw new Error(
+            'Packages can only be changed in a virtual environment: choose or create one first'
+        );
+    }
+
+    const args = await buildPipArgs(basePath, request);
+    const run = await executionService.startExecution(
+        '',
+        {
+            basePath,
+            module: 'pip',
+            args,
+            env: { PIP_DISABLE_PIP_VERSION_CHECK: '1', PIP_NO_INPUT: '1' },
+            timeout: PIP_TIMEOUT,
+            // pip can use a lot of CPU time building packages; the timeout still applies
+            limits: { cpuSeconds: 0 },
+        },
+        handlers
+    );
+    return { run, args };
+}
+
+module.exports = {
+    listPackages,
+    buildPipArgs,
+    startPip,
+};
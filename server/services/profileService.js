@@ -0,0 +1,85 @@
+/**
+ * profileService.js - Profiled runs (cProfile)
+ *
+ * A workspace file runs in place under cProfile through a small wrapper
+ * (python/pyeditor_profile.py) that writes the stats as JSON: every profiled
+ * function with its call counts and own/cumulative time, and the call tree for
+ * the flame graph.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const executionService = require('./executionService');
+const logger = require('../utils/logger');
+
+const PYTHON_DIR = path.join(__dirname, '..', 'python');
+const PROFILE_TIMEOUT = 5 * 60 * 1000; // Slow code is what gets profiled
+
+/**
+ * Run a workspace file under the profiler
+ * Waits for a free slot of the execution scheduler like any other run
+ * @param {string} basePath - Workspace folder (the program's cwd)
+ * @param {string} file - File path relative to the workspace folder
+ * @param {string[]} args - Program arguments
+ * @returns {Promise<Object>} { profile, output, error, exitCode, status, executionTime, limit,
+ *     workspacePath } where profile is { totalTime, functions, flame } (see
+ *     pyeditor_profile.py), or null if the program couldn't be profiled (e.g. a syntax
+ *     error or the timeout), and workspacePath maps paths in tracebacks to workspace files.
+ *     status is the run's, or 'incomplete' if the report was cut off while being written
+ * @throws {Error} If the file is outside the workspace folder
+ */
+async function profileFile(basePath, file, args = []) {
+    const { program } = executionService.resolveFileTarget(basePath, file);
+    const reportFile = path.join(
+        os.tmpdir(),
+        `profile_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.json`
+    );
+    const pythonPath = [PYTHON_DIR, process.env.PYTHONPATH].filter(Boolean).join(path.delimiter);
+    // Created up front: the sandbox only lets the run write to files that exist
+    await fs.writeFile(reportFile, '');
+
+    const result = await executionService.executeCode('', {
+        basePath,
+        module: 'pyeditor_profile',
+        args: [reportFile, program, ...args],
+        env: { PYTHONPATH: pythonPath },
+        timeout: PROFILE_TIMEOUT,
+        writable: [reportFile],
+    });
+
+    let content = '';
+    try {
+        content = await fs.readFile(reportFile, 'utf8');
+        await fs.unlink(reportFile);
+    } catch (error) {
+        // Already gone: nothing to report
+    }
+
+    let profile = null;
+    let status = result.status;
+    if (content) {
+        try {
+            profile = JSON.parse(content);
+        } catch (error) {
+            // The run was stopped while the report was written
+            logger.warn('Incomplete profile report', { file, error: error.message });
+            status = 'incomplete';
+        }
+    }
+
+    return {
+        profile,
+        output: result.output,
+        error: result.error,
+        exitCode: result.exitCode,
+        status,
+        executionTime: result.executionTime,
+        limit: result.limit,
+        workspacePath: basePath,
+    };
+}
+
+module.exports = {
+    profileFile,
+};
@@ -0,0 +1,271 @@
+/**
+ * runHistoryService.js - History of program runs, kept per workspace folder
+ *
+ * Runs live in <workspace>/.pyeditor/runs/:
+ *   index.json     summaries of the most recent runs, newest first
+ *   <runId>.json   one run with its request, typed input and output
+ *   <runId>/       files the run produced, such as its matplotlib figures
+ *
+ * The request is what was sent to start the run ({ code, filename },
+ * { mode, file } or { configuration, file }), so a run can be started again
+ * the same way, with the same input.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const HISTORY_DIR = path.join('.pyeditor', 'runs');
+const INDEX_FILE = 'index.json';
+const MAX_RUNS = 50;
+const MAX_OUTPUT_SIZE = 1024 * 1024; // Characters of output kept per run
+
+// Writes are queued per workspace folder so concurrent runs don't lose index entries
+const writeQueues = new Map();
+
+/**
+ * Start recording a run
+ * @param {string} runId - Execution run ID, also the history ID
+ * @param {Object} request - Run request from the client (code/filename, mode/file or configuration/file)
+ * @param {Object} details - { tempFile, workspacePath, input, rerunOf }
+ * @returns {Object} The run record, completed with appendOutput/appendInput/finishRecord
+ */
+function createRecord(runId, request, details = {}) {
+    const { tempFile = null, workspacePath = null, input = '', rerunOf = null } = details;
+
+    return {
+        id: runId,
+        file: request.file || request.filename || null,
+        label: request.configuration || null,
+        request: {
+            code: request.code,
+            filename: request.filename,
+            mode: request.mode,
+            file: request.file,
+            configuration: request.configuration,
+        },
+        startedAt: new Date().toISOString(),
+        tempFile,
+        workspacePath,
+        rerunOf,
+        input,
+        inputClosed: Boolean(input),
+        output: [],
+        files: [],
+        outputSize: 0,
+        truncated: false,
+        status: 'running',
+        exitCode: null,
+        executionTime: null,
+    };
+}
+
+/**
+ * Add a chunk of output, merging it with the previous chunk of the same stream
+ */
+function appendOutput(record, stream, data) {
+    if (record.truncated) return;
+
+    let text = data;
+    if (record.outputSize + text.length > MAX_OUTPUT_SIZE) {
+        text = text.slice(0, MAX_OUTPUT_SIZE - record.outputSize);
+        record.truncated = true;
+    }
+    record.outputSize += text.length;
+
+    const last = record.output[record.output.length - 1];
+    if (last && last.stream === stream) {
+        last.data += text;
+    } else if (text) {
+        record.output.push({ stream, data: text });
+    }
+}
+
+/**
+ * Add a figure the run showed; its image is in the run's artifact directory
+ * @param {Object} figure - { name, mime } from executionService's onFigure
+ */
+function appendFigure(record, figure) {
+    record.output.push({ stream: 'figure', data: figure.name, mime: figure.mime });
+}
+
+/**
+ * Add typed input (also echoed into the output, like the panel shows it)
+ */
+function appendInput(record, data) {
+    record.input += data;
+    appendOutput(record, 'stdin', data);
+}
+
+/**
+ * Complete a record with how the run ended
+ * @param {Object} result - onExit result of executionService.startExecution
+ */
+function finishRecord(record, result) {
+    record.status = result.status;
+    record.exitCode = result.exitCode;
+    record.signal = result.signal || null;
+    record.executionTime = result.executionTime;
+    record.limit = result.limit || null;
+    return record;
+}
+
+/**
+ * Summary of a run for the history list (no request body, input or output)
+ */
+function summarize(record) {
+    return {
+        id: record.id,
+        file: record.file,
+        label: record.label,
+        mode: record.request.configuration ? 'configuration' : record.request.mode || 'buffer',
+        startedAt: record.startedAt,
+        rerunOf: record.rerunOf,
+        status: record.status,
+        exitCode: record.exitCode,
+        executionTime: record.executionTime,
+        limit: record.limit || null,
+        truncated: record.truncated,
+    };
+}
+
+function getHistoryDir(basePath) {
+    return path.join(basePath, HISTORY_DIR);
+}
+
+/**
+ * Folder the artifact directories of runs are created in (see executionService's artifactRoot)
+ */
+function getArtifactRoot(basePath) {
+    return getHistoryDir(basePath);
+}
+
+/**
+ * Run IDs are used as file names, so only accept the format executionService creates
+ */
+function isValidRunId(runId) {
+    return typeof runId === 'string' && /^run_[A-Za-z0-9_]+$/.test(runId);
+}
+
+/**
+ * Path of a file in a run's artifact directory
+ * @returns {string|null} Null for names that could point outside the directory
+ */
+function getArtifactPath(basePath, runId, name) {
+    if (!isValidRunId(runId) || typeof name !== 'string' || !/^[A-Za-z0-9_-][\w.-]*$/.test(name)) {
+        return null;
+    }
+    return path.join(getHistoryDir(basePath), runId, name);
+}
+
+async function readIndex(basePath) {
+    try {
+        const content = await fs.readFile(path.join(getHistoryDir(basePath), INDEX_FILE), 'utf8');
+        const index = JSON.parse(content);
+        return Array.isArray(index) ? index : [];
+    } catch (error) {
+        // Missing or unreadable index: start a new history
+        return [];
+    }
+}
+
+/**
+ * Run a write operation after the previous ones of the same workspace folder
+ */
+function enqueueWrite(basePath, operation) {
+    const previous = writeQueues.get(basePath) || Promise.resolve();
+    const next = previous.catch(() => {}).then(operation);
+    writeQueues.set(basePath, next);
+    next.finally(() => {
+        if (writeQueues.get(basePath) === next) {
+            writeQueues.delete(basePath);
+        }
+    }).catch(() => {});
+    return next;
+}
+
+/**
+ * Save a finished run and drop the oldest runs beyond the limit
+ * @param {string} basePath - Workspace folder
+ * @param {Object} record - Run record from createRecord
+ */
+function saveRun(basePath, record) {
+    return enqueueWrite(basePath, async () => {
+        const dir = getHistoryDir(basePath);
+        await fs.mkdir(dir, { recursive: true });
+
+        const { outputSize: _outputSize, ...stored } = record;
+        await fs.writeFile(path.join(dir, `${record.id}.json`), JSON.stringify(stored));
+
+        const index = [summarize(record), ...(await readIndex(basePath))].filter(
+            (entry, position, all) => all.findIndex((e) => e.id === entry.id) === position
+        );
+        const removed = index.splice(MAX_RUNS);
+        await fs.writeFile(path.join(dir, INDEX_FILE), JSON.stringify(index, null, 2));
+
+        await Promise.all(
+            removed.map((entry) =>
+                Promise.all([
+                    fs.unlink(path.join(dir, `${entry.id}.json`)).catch(() => {}),
+                    fs.rm(path.join(dir, entry.id), { recursive: true, force: true }),
+                ])
+            )
+        );
+    });
+}
+
+/**
+ * List runs of a workspace folder, newest first
+ * @returns {Promise<Object[]>} Run summaries
+ */
+async function listRuns(basePath) {
+    return readIndex(basePath);
+}
+
+/**
+ * Load a run with its request, input and output
+ * @returns {Promise<Object|null>} The run, or null if it is not in the history
+ */
+async function getRun(basePath, runId) {
+    if (!isValidRunId(runId)) {
+        return null;
+    }
+
+    try {
+        const content = await fs.readFile(
+            path.join(getHistoryDir(basePath), `${runId}.json`),
+            'utf8'
+        );
+        return JSON.parse(content);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Delete the whole history of a workspace folder
+ */
+function clearRuns(basePath) {
+    return enqueueWrite(basePath, () =>
+        fs.rm(getHistoryDir(basePath), { recursive: true, force: true })
+    );
+}
+
+module.exports = {
+    HISTORY_DIR,
+    MAX_RUNS,
+    MAX_OUTPUT_SIZE,
+    createRecord,
+    appendOutput,
+    appendInput,
+    appendFigure,
+    finishRecord,
+    saveRun,
+    listRuns,
+    getRun,
+    getArtifactRoot,
+    getArtifactPath,
+    clearRuns,
+};
@@ -0,0 +1,217 @@
+/**
+ * sandboxService.js - Limits for program runs
+ *
+ * Every run gets its own temp folder (TMPDIR and HOME), removed when it ends.
+ * Unless SANDBOX=off, runs are also started through python/pyeditor_sandbox.py,
+ * which applies resource limits (rlimits) and confines writes to the workspace
+ * folder and the temp folder (Landlock) before starting the program, and the
+ * program only sees a few variables of the server's environment.
+ *
+ * Limits are configured with environment variables of the server (0 = no limit):
+ *   SANDBOX_CPU_SECONDS   CPU time per run (default 60)
+ *   SANDBOX_MEMORY_MB     address space per process (default 2048)
+ *   SANDBOX_OPEN_FILES    open files per process (default 256)
+ *   SANDBOX_PROCESSES     processes and threads of the server's user (default 512)
+ *   SANDBOX_FILESYSTEM    'off' to allow writes outside the workspace folder
+ *   SANDBOX_ENV           comma-separated extra variables passed to programs
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const SANDBOX_PATH = path.join(__dirname, '..', 'python', 'pyeditor_sandbox.py');
+
+const DEFAULT_LIMITS = {
+    cpuSeconds: 60,
+    memoryMb: 2048,
+    openFiles: 256,
+    processes: 512,
+};
+
+const LIMIT_VARIABLES = {
+    cpuSeconds: 'SANDBOX_CPU_SECONDS',
+    memoryMb: 'SANDBOX_MEMORY_MB',
+    openFiles: 'SANDBOX_OPEN_FILES',
+    processes: 'SANDBOX_PROCESSES',
+};
+
+// Server environment variables programs get; everything else (tokens, keys, ...) is left out
+const PASSED_VARIABLES = [
+    'PATH',
+    'LANG',
+    'LANGUAGE',
+    'LC_ALL',
+    'LC_CTYPE',
+    'TZ',
+    'TERM',
+    'PYTHONPATH',
+    'PYTHONIOENCODING',
+];
+
+// How a run that hit a limit ends: checked against the signal and the end of stderr
+const VIOLATIONS = [
+    {
+        limit: 'cpuSeconds',
+        matches: ({ signal }) => signal === 'SIGXCPU',
+        message: (value) => `CPU time limit of ${value}s exceeded`,
+    },
+    {
+        limit: 'memoryMb',
+        matches: ({ stderr }) => /\bMemoryError\b/.test(stderr),
+        message: (value) => `Memory limit of ${value} MB exceeded`,
+    },
+    {
+        limit: 'openFiles',
+        matches: ({ stderr }) => /Too many open files/.test(stderr),
+        message: (value) => `Open file limit of ${value} exceeded`,
+    },
+    {
+        limit: 'processes',
+        matches: ({ stderr }) =>
+            /can't start new thread|BlockingIOError: \[Errno 11\]/.test(stderr),
+        message: (value) => `Process limit of ${value} reached (processes and threads)`,
+    },
+    {
+        limit: 'filesystem',
+        matches: ({ stderr }) =>
+            /PermissionError: \[Errno 13\]|OSError: \[Errno 18\] Invalid cross-device link/.test(
+                stderr
+            ),
+        message: () => 'Permission denied: programs can only write inside the workspace folder',
+    },
+];
+
+function isEnabled() {
+    return process.env.SANDBOX !== 'off';
+}
+
+/**
+ * Limits for a run: server configuration, then overrides (e.g. from tests)
+ * @param {Object} overrides - Limits to use instead of the configured ones
+ * @returns {Object} { cpuSeconds, memoryMb, openFiles, processes }
+ */
+function getLimits(overrides = {}) {
+    const limits = {};
+    Object.entries(DEFAULT_LIMITS).forEach(([name, fallback]) => {
+        const configured = parseInt(process.env[LIMIT_VARIABLES[name]], 10);
+        limits[name] = Number.isNaN(configured) ? fallback : Math.max(configured, 0);
+        if (overrides[name] !== undefined) {
+            limits[name] = overrides[name];
+        }
+    });
+    return limits;
+}
+
+/**
+ * The part of the server's environment programs get
+ */
+function getPassedEnvironment() {
+    const extra = (process.env.SANDBOX_ENV || '')
+        .split(',')
+        .map((name) => name.trim())
+        .filter(Boolean);
+
+    const env = {};
+    [...PASSED_VARIABLES, ...extra].forEach((name) => {
+        if (process.env[name] !== undefined) {
+            env[name] = process.env[name];
+        }
+    });
+    return env;
+}
+
+/**
+ * Prepare the sandbox of a run
+ * @param {string} basePath - Workspace folder (writable)
+ * @param {Object} options - { limits, writable }: limit overrides (see getLimits) and
+ *     more folders or existing files the program may write to
+ * @returns {Promise<Object>} { tempDir, limits, confineWrites, env, wrap(command, args, env),
+ *     cleanup() }
+ *     env is the base environment of the program; wrap turns the program's command,
+ *     arguments and environment into what to spawn; limits is null without sandbox
+ */
+async function createSandbox(basePath, options = {}) {
+    const { limits: limitOverrides = {}, writable = [] } = options;
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pyeditor-run-'));
+    const enabled = isEnabled();
+    const limits = enabled ? getLimits(limitOverrides) : null;
+    const confineWrites = enabled && process.env.SANDBOX_FILESYSTEM !== 'off';
+
+    const env = {
+        ...(enabled ? getPassedEnvironment() : process.env),
+        HOME: tempDir,
+        TMPDIR: tempDir,
+        TEMP: tempDir,
+        TMP: tempDir,
+    };
+
+    const wrap = (command, args, programEnv) => {
+        if (!enabled) {
+            return { command, args, env: programEnv };
+        }
+        // The program's environment goes through the launcher's configuration, so
+        // nothing in it (LD_PRELOAD, PYTHONPATH, ...) runs before the limits apply
+        const config = {
+            limits,
+            writable: [basePath, tempDir, ...writable],
+            confineWrites,
+            env: programEnv,
+        };
+        return {
+            command: 'python3',
+            args: ['-I', '-S', SANDBOX_PATH, command, ...args],
+            env: {
+                PATH: programEnv.PATH || process.env.PATH,
+                PYEDITOR_SANDBOX: JSON.stringify(config),
+            },
+        };
+    };
+
+    const cleanup = async () => {
+        try {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        } catch (error) {
+            logger.warn('Failed to remove run temp folder', { tempDir, error: error.message });
+        }
+    };
+
+    return { tempDir, limits, confineWrites, env, wrap, cleanup };
+}
+
+/**
+ * Tell whether a run ended because of one of its limits
+ * @param {Object} sandbox - Sandbox from createSandbox
+ * @param {Object} outcome - { signal, stderr } (stderr: the last part of it is enough)
+ * @returns {Object|null} { limit, message }, limit is a name from getLimits or 'filesystem'
+ */
+function detectLimitViolation(sandbox, outcome) {
+    if (!sandbox.limits) {
+        return null;
+    }
+
+    const violation = VIOLATIONS.find((candidate) => {
+        const applies =
+            candidate.limit === 'filesystem'
+                ? sandbox.confineWrites
+                : sandbox.limits[candidate.limit] > 0;
+        return (
+            applies && candidate.matches({ signal: outcome.signal, stderr: outcome.stderr || '' })
+        );
+    });
+    if (!violation) {
+        return null;
+    }
+    return {
+        limit: violation.limit,
+        message: violation.message(sandbox.limits[violation.limit]),
+    };
+}
+
+module.exports = {
+    DEFAULT_LIMITS,
+    getLimits,
+    createSandbox,
+    detectLimitViolation,
+};
@@ -0,0 +1,300 @@
+/**
+ * searchService.js - Find and replace across the files of a workspace folder
+ *
+ * Text files are searched line by line, like an editor's find: a regular
+ * expression never spans lines and ^ / $ match at the start and end of each line.
+ * Folders of tools and environments (.git, node_modules, venv, ...) are skipped, and
+ * so is everything the folder's .gitignore files ignore (unless useIgnoreFiles is
+ * false). Files over MAX_FILE_SIZE and files that aren't text (a NUL byte or not valid
+ * UTF-8) are left out, so replacing never rewrites bytes it couldn't decode.
+ *
+ * Matching runs in a worker thread (see searchWorker.js), so a regular expression that
+ * backtracks catastrophically can't hold up the server: a file taking longer than
+ * SEARCH_TIMEOUT_SECONDS (5 by default) ends the search with "Search timed out".
+ *
+ * Search options: { query, regex, caseSensitive, wholeWord, include, exclude,
+ * useIgnoreFiles, replace } where include and exclude are comma-separated globs
+ * (see utils/globUtils.js) and replace, if given, is what matches are replaced with
+ * ($1, $<name> and $& refer to the match in regex mode).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { resolveWithinBase } = require('../utils/pathUtils');
+const {
+    splitGlobList,
+    createGlobMatcher,
+    parseIgnoreRules,
+    isIgnored,
+} = require('../utils/globUtils');
+const { invalidSearch, createSearchRegExp } = require('../utils/searchMatching');
+
+const SKIPPED_DIRS = new Set([
+    '.git',
+    '.pyeditor',
+    '.venv',
+    'venv',
+    'node_modules',
+    '__pycache__',
+    '.pytest_cache',
+    '.mypy_cache',
+]);
+const MAX_FILE_SIZE = 2 * 1024 * 1024;
+const MAX_MATCHES = 20000; // The search stops here (limitHit)
+const WORKER_PATH = path.join(__dirname, 'searchWorker.js');
+
+/**
+ * Time one file's matching may take, in milliseconds
+ */
+function getTimeout() {
+    const seconds = parseFloat(process.env.SEARCH_TIMEOUT_SECONDS);
+    return (seconds > 0 ? seconds : 5) * 1000;
+}
+
+/**
+ * Start the worker thread that matches a search in file contents
+ * Once a file times out the worker is stopped and every later call fails as well.
+ * @returns {Object} { search(content), replace(content), close() }, search and replace
+ *     resolve to what searchMatching's searchContent and replaceContent return
+ */
+function createMatcher(options) {
+    const worker = new Worker(WORKER_PATH, { workerData: { options } });
+    const pending = new Map(); // id -> { resolve, reject, timer }
+    let nextId = 1;
+    let failure = null;
+
+    const fail = (error) => {
+        if (failure) return;
+        failure = error;
+        pending.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        pending.clear();
+    };
+
+    worker.on('message', ({ id, result }) => {
+        const request = pending.get(id);
+        if (request) {
+            pending.delete(id);
+            clearTimeout(request.timer);
+            request.resolve(result);
+        }
+    });
+    worker.on('error', fail);
+    worker.on('exit', () => fail(new Error('Search stopped')));
+
+    const run = (action, content) => {
+        if (failure) {
+            return Promise.reject(failure);
+        }
+        return new Promise((resolve, reject) => {
+            const id = nextId++;
+            const timer = setTimeout(() => {
+                const error = new Error('Search timed out');
+                error.code = 'SEARCH_TIMEOUT';
+                fail(error);
+                worker.terminate();
+            }, getTimeout());
+            pending.set(id, { resolve, reject, timer });
+            worker.postMessage({ id, action, content });
+        });
+    };
+
+    return {
+        search: (content) => run('search', content),
+        replace: (content) => run('replace', content),
+        close: () => worker.terminate(),
+    };
+}
+
+/**
+ * Read a file for searching
+ * @returns {Promise<string|null>} Its text (a byte order mark kept), null for oversized
+ *     files and files with a NUL byte or invalid UTF-8
+ */
+async function readTextFile(filePath) {
+    const stat = await fs.stat(filePath);
+    if (!stat.isFile() || stat.size > MAX_FILE_SIZE) {
+        return null;
+    }
+    const buffer = await fs.readFile(filePath);
+    if (buffer.includes(0)) {
+        return null;
+    }
+    try {
+        return new TextDecoder('utf-8', { fatal: true, ignoreBOM: true }).decode(buffer);
+    } catch (error) {
+        return null; // Another encoding, e.g. Latin-1 or UTF-16
+    }
+}
+
+/**
+ * Files of a workspace folder to search, in path order
+ * @param {Function} shouldStop - Checked before each folder; true ends the walk
+ */
+async function* walkFiles(basePath, options, shouldStop) {
+    const { useIgnoreFiles = true } = options;
+    const include = splitGlobList(options.include);
+    const isIncluded = include.length > 0 ? createGlobMatcher(include) : () => true;
+    const isExcluded = createGlobMatcher(splitGlobList(options.exclude));
+
+    async function* walk(folder, rules) {
+        if (shouldStop()) return;
+
+        const relativeFolder = path.relative(basePath, folder).split(path.sep).join('/');
+        let entries;
+        try {
+            entries = await fs.readdir(folder, { withFileTypes: true });
+        } catch (error) {
+            return; // Removed or unreadable
+        }
+
+        let folderRules = rules;
+        if (useIgnoreFiles && entries.some((e) => e.isFile() && e.name === '.gitignore')) {
+            try {
+                const content = await fs.readFile(path.join(folder, '.gitignore'), 'utf8');
+                folderRules = [...rules, ...parseIgnoreRules(content, relativeFolder)];
+            } catch (error) {
+                // Unreadable: no rules
+            }
+        }
+
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+        for (const entry of entries) {
+            const relativePath = relativeFolder ? `${relativeFolder}/${entry.name}` : entry.name;
+            const isDirectory = entry.isDirectory();
+
+            if (isDirectory && SKIPPED_DIRS.has(entry.name)) continue;
+            if (isExcluded(relativePath) || isIgnored(folderRules, relativePath, isDirectory)) {
+                continue;
+            }
+
+            if (isDirectory) {
+                yield* walk(path.join(folder, entry.name), folderRules);
+            } else if (entry.isFile() && isIncluded(relativePath)) {
+                yield relativePath;
+            }
+        }
+    }
+
+    yield* walk(basePath, []);
+}
+
+/**
+ * Search the files of a workspace folder
+ * @param {string} basePath - Workspace folder
+ * @param {Object} options - Search options (see the top of this file)
+ * @param {Object} handlers - { onFile({ path, matches }) for each file with matches,
+ *     isCancelled() checked between files }
+ * @returns {Promise<Object>} { fileCount, matchCount, limitHit, cancelled }
+ * @throws {Error} If the query is invalid (code INVALID_SEARCH) or matching a file took
+ *     too long (code SEARCH_TIMEOUT)
+ */
+async function searchWorkspace(basePath, options, handlers = {}) {
+    const { onFile = () => {}, isCancelled = () => false } = handlers;
+    createSearchRegExp(options); // Report an invalid query before starting the worker
+    const matcher = createMatcher(options);
+    let fileCount = 0;
+    let matchCount = 0;
+    let limitHit = false;
+
+    try {
+        for await (const relativePath of walkFiles(
+            basePath,
+            options,
+            () => limitHit || isCancelled()
+        )) {
+            if (limitHit || isCancelled()) break;
+
+            let content;
+            try {
+                content = await readTextFile(path.join(basePath, relativePath));
+            } catch (error) {
+                continue; // Removed while searching
+            }
+            if (content === null) continue;
+
+            let matches = await matcher.search(content);
+            if (matches.length === 0) continue;
+
+            if (matchCount + matches.length >= MAX_MATCHES) {
+                matches = matches.slice(0, MAX_MATCHES - matchCount);
+                limitHit = true;
+            }
+            fileCount++;
+            matchCount += matches.length;
+            onFile({ path: relativePath, matches });
+        }
+    } finally {
+        matcher.close();
+    }
+
+    return { fileCount, matchCount, limitHit, cancelled: isCancelled() };
+}
+
+/**
+ * Replace the matches of a search in files of a workspace folder
+ * @param {string} basePath - Workspace folder
+ * @param {Object} options - Search options with replace (see the top of this file)
+ * @param {string[]} files - Files to replace in, e.g. the results the user reviewed
+ *     (all files the search finds if not given)
+ * @returns {Promise<Object>} { files: [{ path, replacements }], replacementCount }
+ * @throws {Error} If the query is invalid (code INVALID_SEARCH), a file is outside the
+ *     workspace folder or matching a file took too long (code SEARCH_TIMEOUT)
+ */
+async function replaceInFiles(basePath, options, files = null) {
+    if (typeof options.replace !== 'string') {
+        throw invalidSearch('No replacement given');
+    }
+    createSearchRegExp(options);
+
+    let targets = files;
+    if (!targets) {
+        targets = [];
+        for await (const relativePath of walkFiles(basePath, options, () => false)) {
+            targets.push(relativePath);
+        }
+    }
+    // Check them all before changing any
+    const resolved = targets.map((file) => ({ file, fullPath: resolveWithinBase(basePath, file) }));
+
+    // Work out every replacement before writing, so a search that times out changes nothing
+    const matcher = createMatcher(options);
+    const changes = [];
+    try {
+        for (const { file, fullPath } of resolved) {
+            let content;
+            try {
+                content = await readTextFile(fullPath);
+            } catch (error) {
+                continue; // Removed since the search
+            }
+            if (content === null) continue;
+
+            const { content: replaced, replacements } = await matcher.replace(content);
+            if (replacements > 0) {
+                changes.push({ file, fullPath, replaced, replacements });
+            }
+        }
+    } finally {
+        matcher.close();
+    }
+
+    const changed = [];
+    let replacementCount = 0;
+    for (const { file, fullPath, replaced, replacements } of changes) {
+        await fs.writeFile(fullPath, replaced, 'utf8');
+        changed.push({ path: file, replacements });
+        replacementCount += replacements;
+    }
+
+    return { files: changed, replacementCount };
+}
+
+module.exports = {
+    walkFiles,
+    searchWorkspace,
+    replaceInFiles,
+};
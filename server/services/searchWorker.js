@@ -0,0 +1,23 @@
+/**
+ * searchWorker.js - Worker thread that matches a search in file contents
+ *
+ * Started by searchService for each search, with the search options as workerData.
+ * A user's regular expression can backtrack for practically forever on some lines;
+ * here it only blocks this thread, which searchService stops after the time limit.
+ *
+ * Messages: { id, action: 'search' | 'replace', content } -> { id, result }
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { createSearchRegExp, searchContent, replaceContent } = require('../utils/searchMatching');
+
+const { options } = workerData;
+const searchRegExp = createSearchRegExp(options);
+
+parentPort.on('message', ({ id, action, content }) => {
+    const result =
+        action === 'replace'
+            ? replaceContent(content, searchRegExp, options)
+            : searchContent(content, searchRegExp, options);
+    parentPort.postMessage({ id, result });
+});
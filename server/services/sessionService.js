@@ -0,0 +1,80 @@
+/**
+ * sessionService.js
+ *
+ * Persistent Python sessions for Run Selection / Run Cell: one long-lived
+ * Python process per session (python/pyeditor_session.py) that runs code in
+ * the same namespace every time, so state carries over between runs.
+ * Sessions use the workspace folder's interpreter and are sandboxed like
+ * program runs (see sandboxService), except for the CPU time limit: a session
+ * lives as long as the editor that uses it.
+ */
+
+const path = require('path');
+const { createFramedProcessPool } = require('./framedProcessPool');
+
+const SESSION_PATH = path.join(__dirname, '..', 'python', 'pyeditor_session.py');
+const MAX_PYTHON_SESSIONS = 20; // Upper bound on concurrent sessions across all users
+
+const sessions = createFramedProcessPool({
+    name: 'Python session',
+    source: 'python-session',
+    idPrefix: 'session',
+    sandboxOptions: { limits: { cpuSeconds: 0 } },
+});
+
+/**
+ * Start a Python session in a workspace folder
+ * The process starts in the background; requests sent before it runs are queued.
+ * If it cannot start, onMessage receives the error as stderr output, then onExit runs.
+ * @param {string} basePath - Workspace folder (cwd of the session, first on sys.path)
+ * @param {Object} handlers - { onMessage(message), onExit({ exitCode, signal }) }
+ * @param {Object} options - { cwd } folder inside the workspace to start in instead (notebooks)
+ * @returns {{ id: string }} Session handle
+ * @throws {Error} If the session limit is reached
+ */
+function createPythonSession(basePath, handlers = {}, options = {}) {
+    const cwd = options.cwd || basePath;
+
+    if (sessions.count() >= MAX_PYTHON_SESSIONS) {
+        throw new Error(`Too many Python sessions (limit ${MAX_PYTHON_SESSIONS})`);
+    }
+
+    return sessions.start(basePath, ['-u', SESSION_PATH, basePath, cwd], handlers, cwd);
+}
+
+/**
+ * Send a request to a session
+ */
+function sendToSession(sessionId, message) {
+    sessions.send(sessionId, message);
+}
+
+/**
+ * Interrupt the code a session is running (KeyboardInterrupt); the session keeps its state
+ * @returns {boolean} Whether the session exists
+ */
+function interruptPythonSession(sessionId) {
+    return sessions.interrupt(sessionId);
+}
+
+/**
+ * Stop a session and everything it started
+ */
+function stopPythonSession(sessionId) {
+    sessions.stop(sessionId);
+}
+
+/**
+ * Number of running sessions
+ */
+function getSessionCount() {
+    return sessions.count();
+}
+
+module.exports = {
+    createPythonSession,
+    sendToSession,
+    interruptPythonSession,
+    stopPythonSession,
+    getSessionCount,
+};
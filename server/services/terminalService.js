@@ -0,0 +1,168 @@
+/**
+ * terminalService.js
+ *
+ * Interactive shell sessions backed by a pseudo-terminal (node-pty)
+ *
+ * Shells are sandboxed like program runs (see sandboxService): they get the scrubbed
+ * environment and their own temp folder (also HOME), and run with the resource limits
+ * and confined writes, except for the CPU time limit (a shell runs as long as it is open).
+ */
+
+const fs = require('fs');
+const pty = require('node-pty');
+const sandboxService = require('./sandboxService');
+const logger = require('../utils/logger');
+
+const MAX_TERMINALS = 20; // Upper bound on concurrent shells across all users
+const DEFAULT_COLS = 80;
+const DEFAULT_ROWS = 24;
+
+// Active terminals: terminalId -> pty process
+const terminals = new Map();
+let starting = 0; // Terminals whose sandbox is being prepared
+
+/**
+ * Create a unique terminal identifier
+ */
+function createTerminalId() {
+    return `term_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Pick the shell to spawn (prefer the user's shell, then bash, then sh)
+ */
+function getShell() {
+    if (process.env.SHELL && fs.existsSync(process.env.SHELL)) {
+        return process.env.SHELL;
+    }
+    return fs.existsSync('/bin/bash') ? '/bin/bash' : '/bin/sh';
+}
+
+/**
+ * Clamp terminal dimensions to a sane range
+ */
+function normalizeSize(value, fallback) {
+    const size = parseInt(value, 10);
+    if (!Number.isFinite(size) || size < 1) {
+        return fallback;
+    }
+    return Math.min(size, 500);
+}
+
+/**
+ * Start a shell session in the given directory
+ * @param {Object} options - { cwd, cols, rows }: cwd is the workspace folder, the only
+ *     place (besides its temp folder) the shell may write to
+ * @param {Object} handlers - { onData(text), onExit({ exitCode, signal }) }
+ * @returns {Promise<{ id: string, shell: string }>} Terminal handle
+ * @throws {Error} If the terminal limit is reached
+ */
+async function createTerminal(options = {}, handlers = {}) {
+    const { cwd, cols, rows } = options;
+    const { onData = () => {}, onExit = () => {} } = handlers;
+
+    if (terminals.size + starting >= MAX_TERMINALS) {
+        throw new Error(`Terminal limit reached (${MAX_TERMINALS})`);
+    }
+
+    let sandbox;
+    starting++;
+    try {
+        sandbox = await sandboxService.createSandbox(cwd, { limits: { cpuSeconds: 0 } });
+    } finally {
+        starting--;
+    }
+
+    const id = createTerminalId();
+    const shell = getShell();
+    const { command, args, env } = sandbox.wrap(shell, [], {
+        ...sandbox.env,
+        TERM: 'xterm-256color',
+        COLORTERM: 'truecolor',
+    });
+    let term;
+    try {
+        term = pty.spawn(command, args, {
+            name: 'xterm-256color',
+            cols: normalizeSize(cols, DEFAULT_COLS),
+            rows: normalizeSize(rows, DEFAULT_ROWS),
+            cwd,
+            env,
+        });
+    } catch (error) {
+        await sandbox.cleanup();
+        throw error;
+    }
+
+    terminals.set(id, term);
+    logger.info('Terminal started', { terminalId: id, shell, pid: term.pid });
+
+    term.onData((data) => onData(data));
+    term.onExit(async ({ exitCode, signal }) => {
+        terminals.delete(id);
+        logger.info('Terminal exited', { terminalId: id, exitCode, signal });
+        await sandbox.cleanup();
+        onExit({ exitCode, signal });
+    });
+
+    return { id, shell };
+}
+
+/**
+ * Write user input to a terminal
+ * @returns {boolean} False if the terminal does not exist
+ */
+function writeTerminal(terminalId, data) {
+    const term = terminals.get(terminalId);
+    if (!term) {
+        return false;
+    }
+    term.write(data);
+    return true;
+}
+
+/**
+ * Resize a terminal to match the client viewport
+ * @returns {boolean} False if the terminal does not exist
+ */
+function resizeTerminal(terminalId, cols, rows) {
+    const term = terminals.get(terminalId);
+    if (!term) {
+        return false;
+    }
+    term.resize(normalizeSize(cols, term.cols), normalizeSize(rows, term.rows));
+    return true;
+}
+
+/**
+ * Kill a terminal's shell
+ * @returns {boolean} False if the terminal does not exist
+ */
+function killTerminal(terminalId) {
+    const term = terminals.get(terminalId);
+    if (!term) {
+        return false;
+    }
+    terminals.delete(terminalId);
+    try {
+        term.kill();
+    } catch (error) {
+        logger.warn('Failed to kill terminal', { terminalId, error: error.message });
+    }
+    return true;
+}
+
+/**
+ * Number of running terminals
+ */
+function getTerminalCount() {
+    return terminals.size;
+}
+
+module.exports = {
+    createTerminal,
+    writeTerminal,
+    resizeTerminal,
+    killTerminal,
+    getTerminalCount,
+};
@@ -0,0 +1,144 @@
+/**
+ * testService.js - pytest discovery and test runs
+ *
+ * pytest runs in the workspace folder with a small plugin
+ * (python/pyeditor_pytest_plugin.py) that reports collected tests and results
+ * as JSON lines, so the output format of pytest itself doesn't matter.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const executionService = require('./executionService');
+const coverageService = require('./coverageService');
+
+const PLUGIN_DIR = path.join(__dirname, '..', 'python');
+const PLUGIN_NAME = 'pyeditor_pytest_plugin';
+const TEST_TIMEOUT = 5 * 60 * 1000; // Test suites can take a while
+
+/**
+ * Run pytest with the reporting plugin
+ * @param {string} basePath - Workspace folder (pytest rootdir and cwd)
+ * @param {string[]} args - Extra pytest arguments
+ * @param {Object} options - { coverage }: also collect line coverage (see coverageService)
+ * @returns {Promise<Object>} { events, output, exitCode, status, coverage }
+ *     (coverage is null unless collected); status is 'incomplete' if the report was
+ *     cut off, e.g. by the timeout, and only its complete lines are in events
+ * @throws {Error} If pytest is not installed
+ */
+async function runPytest(basePath, args, options = {}) {
+    const reportFile = path.join(
+        os.tmpdir(),
+        `pytest_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.jsonl`
+    );
+    const pythonPath = [PLUGIN_DIR, process.env.PYTHONPATH].filter(Boolean).join(path.delimiter);
+    // Created up front: the sandbox only lets the run write to files that exist
+    await fs.writeFile(reportFile, '');
+
+    const runOptions = {
+        basePath,
+        module: 'pytest',
+        args: ['-p', PLUGIN_NAME, '-p', 'no:cacheprovider', '--rootdir', basePath, ...args],
+        env: {
+            PYEDITOR_PYTEST_REPORT: reportFile,
+            PYTHONPATH: pythonPath,
+            // Keep __pycache__ and .pytest_cache out of the workspace
+            PYTHONDONTWRITEBYTECODE: '1',
+        },
+        timeout: TEST_TIMEOUT,
+        writable: [reportFile],
+    };
+    const result = options.coverage
+        ? await coverageService.collectCoverage(basePath, runOptions)
+        : await executionService.executeCode('', runOptions);
+
+    let content = '';
+    try {
+        content = await fs.readFile(reportFile, 'utf8');
+        await fs.unlink(reportFile);
+    } catch (error) {
+        // No report file: pytest failed before loading the plugin
+    }
+
+    if (!content && result.error.includes('No module named pytest')) {
+        throw new Error('pytest is not installed');
+    }
+
+    const events = [];
+    let { status } = result;
+    content
+        .split('\n')
+        .filter((line) => line.trim())
+        .forEach((line) => {
+            try {
+                events.push(JSON.parse(line));
+            } catch (error) {
+                status = 'incomplete'; // Written when the run was stopped
+            }
+        });
+
+    return {
+        events,
+        output: result.output + result.error,
+        exitCode: result.exitCode,
+        status,
+        coverage: result.coverage || null,
+    };
+}
+
+/**
+ * Discover tests in a workspace folder
+ * @returns {Promise<Object>} { tests: [{ nodeid, path, line, name }], errors }
+ */
+async function discoverTests(basePath) {
+    const { events, output } = await runPytest(basePath, ['--collect-only', '-q']);
+
+    const collected = events.find((event) => event.event === 'collected');
+    return {
+        tests: collected ? collected.tests : [],
+        errors: events.filter((event) => event.event === 'collect_error'),
+        output,
+    };
+}
+
+/**
+ * Run tests (all tests when no IDs are given)
+ * @param {string} basePath - Workspace folder
+ * @param {string[]} nodeids - pytest node IDs, e.g. tests/test_app.py::TestApi::test_get
+ * @param {Object} options - { coverage }: also collect line coverage of the workspace files
+ * @returns {Promise<Object>} { results, errors, summary, output, exitCode, status, coverage }
+ */
+async function runTests(basePath, nodeids = [], options = {}) {
+    const run = await runPytest(basePath, ['--tb=short', '-q', ...nodeids], options);
+
+    // setup/call/teardown may each report; keep the last (worst) result per test
+    const results = new Map();
+    run.events
+        .filter((event) => event.event === 'result')
+        .forEach((event) => {
+            const previous = results.get(event.nodeid);
+            if (!previous || previous.outcome === 'passed' || event.outcome !== 'passed') {
+                results.set(event.nodeid, event);
+            }
+        });
+
+    const summary = { passed: 0, failed: 0, skipped: 0, error: 0 };
+    results.forEach((result) => {
+        summary[result.outcome] = (summary[result.outcome] || 0) + 1;
+    });
+
+    return {
+        results: Array.from(results.values()),
+        errors: run.events.filter((event) => event.event === 'collect_error'),
+        summary,
+        output: run.output,
+        exitCode: run.exitCode,
+        status: run.status,
+        coverage: run.coverage,
+    };
+}
+
+module.exports = {
+    discoverTests,
+    runTests,
+};
@@ -0,0 +1,106 @@
+/**
+ * debugSocket.js - Debug Adapter Protocol bridge over WebSocket
+ *
+ * Each connection owns one debug adapter, started in the workspace folder when
+ * the socket opens. Messages are DAP requests, responses and events as JSON,
+ * passed through unchanged except for "launch": its arguments name what to
+ * debug ({ configuration, file } or { mode, file }, see
+ * debugService.resolveLaunchArguments) and are resolved on the server.
+ *
+ * Closing the socket ends the session and the program being debugged.
+ */
+
+const debugService = require('../services/debugService');
+const { getSocketBasePath } = require('./socketUtils');
+const logger = require('../utils/logger');
+
+/**
+ * Handle a WebSocket connection on the debug channel
+ * @param {WebSocket} ws - Connected socket
+ * @param {http.IncomingMessage} req - Upgrade request
+ */
+function handleDebugSocket(ws, req) {
+    const basePath = getSocketBasePath(req);
+    let session = null;
+
+    const send = (message) => {
+        if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    };
+
+    // Error response for requests the server answers itself
+    const sendError = (request, message) => {
+        send({
+            type: 'response',
+            request_seq: request.seq,
+            command: request.command,
+            success: false,
+            message,
+        });
+    };
+
+    try {
+        session = debugService.createDebugSession(basePath, {
+            onMessage: send,
+            onExit: () => {
+                session = null;
+                ws.close();
+            },
+        });
+    } catch (error) {
+        logger.error('Failed to start debug session', { error: error.message });
+        send({
+            type: 'event',
+            event: 'output',
+            body: { category: 'stderr', output: error.message },
+        });
+        send({ type: 'event', event: 'terminated', body: {} });
+        ws.close();
+        return;
+    }
+
+    ws.on('message', async (message) => {
+        let data;
+        try {
+            data = JSON.parse(message);
+        } catch (error) {
+            logger.warn('Invalid debug message');
+            return;
+        }
+
+        if (!session) {
+            return;
+        }
+
+        if (data.type === 'request' && data.command === 'launch') {
+            try {
+                data.arguments = await debugService.resolveLaunchArguments(
+                    basePath,
+                    data.arguments
+                );
+            } catch (error) {
+                sendError(data, error.message);
+                return;
+            }
+        }
+
+        if (session) {
+            debugService.sendToAdapter(session.id, data);
+        }
+    });
+
+    ws.on('close', () => {
+        if (session) {
+            debugService.stopDebugSession(session.id);
+        }
+    });
+
+    ws.on('error', (error) => {
+        logger.error('Debug socket error', { error: error.message });
+    });
+}
+
+module.exports = {
+    handleDebugSocket,
+};
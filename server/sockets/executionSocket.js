@@ -0,0 +1,252 @@
+/**
+ * executionSocket.js - Streaming Python execution over WebSocket
+ *
+ * Protocol (JSON messages):
+ *   client -> server: { type: 'run', code, filename, file }  (editor buffer, run from /tmp;
+ *                                                             file is the editor's file)
+ *                     { type: 'run', mode, file }            (saved file run in place;
+ *                                                             mode is 'file' or 'module')
+ *                     { type: 'run', configuration, file }   (named run configuration)
+ *                     { type: 'rerun', runId }               (run from the history again, with
+ *                                                             the same input)
+ *                     { type: 'stdin', data }                (written to the running program)
+ *                     { type: 'stdin-eof' }                  (closes the program's stdin)
+ *   server -> client: { type: 'queued', ahead }              (run waits for a free slot; sent
+ *                                                             again when ahead changes)
+ *                     { type: 'started', runId, tempFile, workspacePath, rerunOf }
+ *                     { type: 'stdout', data } / { type: 'stderr', data }
+ *                     { type: 'figure', name, mime }         (matplotlib figure shown, served
+ *                                                             by GET /api/runs/:runId/artifacts/:name)
+ *                     { type: 'exit', runId, status, exitCode, signal, executionTime, files }
+ *                     { type: 'error', message }
+ *
+ * tempFile (null unless the buffer is run) and workspacePath let the client map
+ * file paths in tracebacks back to workspace files. files lists the workspace
+ * files the run created or modified: [{ path, change: 'created' | 'modified' }].
+ *
+ * Runs start through the execution scheduler, which limits how many run at once
+ * in total and per client (the ?client= id of the socket, see executionScheduler).
+ * A run is stopped with
+ * DELETE /api/execute/:runId, or when the socket closes (which also gives up a
+ * run still waiting in the queue).
+ * Every run is saved to the workspace's run history (see runHistoryService)
+ * before its exit message is sent.
+ */
+
+const executionService = require('../services/executionService');
+const launchConfigService = require('../services/launchConfigService');
+const runHistoryService = require('../services/runHistoryService');
+const fileService = require('../services/fileService');
+const { getExecutionScheduler, getSchedulerUser } = require('../services/executionScheduler');
+const { getSocketQuery, getSocketBasePath } = require('./socketUtils');
+const logger = require('../utils/logger');
+
+/**
+ * Load a named run configuration and turn it into execution options
+ * @throws {Error} If the configuration does not exist or is invalid
+ */
+async function resolveConfiguration(basePath, data) {
+    const config = await launchConfigService.getConfiguration(basePath, data.configuration);
+    if (!config) {
+        throw new Error(`Run configuration not found: ${data.configuration}`);
+    }
+    return launchConfigService.resolveConfiguration(config, { basePath, file: data.file });
+}
+
+/**
+ * Handle a WebSocket connection on the execution channel
+ * @param {WebSocket} ws - Connected socket
+ * @param {http.IncomingMessage} req - Upgrade request
+ */
+function handleExecutionSocket(ws, req) {
+    const basePath = getSocketBasePath(req);
+    const user = getSchedulerUser(getSocketQuery(req).client, basePath);
+    let run = null;
+    let record = null; // History record of the active run
+    let slot = null; // Scheduler ticket of the active or waiting run
+    let starting = false; // A run got its slot and is being started
+    let closed = false;
+
+    const send = (message) => {
+        if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    };
+
+    /**
+     * Give up starting a run because the socket closed while waiting for something
+     * @throws {Error} With code SOCKET_CLOSED if the socket closed
+     */
+    const throwIfClosed = () => {
+        if (closed) {
+            const error = new Error('Connection closed before the run started');
+            error.code = 'SOCKET_CLOSED';
+            throw error;
+        }
+    };
+
+    /**
+     * Wait until the scheduler lets this socket's next run start
+     * @throws {Error} If the queue is full or the socket closed while waiting
+     */
+    const acquireSlot = async () => {
+        throwIfClosed();
+        slot = getExecutionScheduler().enqueue(user, {
+            onQueued: (ahead) => send({ type: 'queued', ahead }),
+        });
+        await slot.ready;
+    };
+
+    const releaseSlot = () => {
+        if (slot) {
+            slot.release();
+            slot = null;
+        }
+    };
+
+    /**
+     * Start a run request, streaming its output and recording it in the history
+     * @param {Object} request - { code, filename, file }, { mode, file } or { configuration, file }
+     * @param {string} input - Input written to stdin up front (re-runs), stdin is then closed
+     * @param {string} rerunOf - History ID of the run this one repeats
+     */
+    const startRun = async (request, input = '', rerunOf = null) => {
+        let options = {
+            filename: request.filename,
+            basePath,
+            input,
+            artifactRoot: runHistoryService.getArtifactRoot(basePath),
+        };
+        if (request.configuration) {
+            options = { ...options, ...(await resolveConfiguration(basePath, request)) };
+            throwIfClosed();
+        } else if (request.mode === 'file' || request.mode === 'module') {
+            options = {
+                ...options,
+                ...executionService.resolveFileTarget(basePath, request.file, request.mode),
+            };
+        }
+
+        const startedAt = Date.now();
+        let runRecord = null;
+        run = await executionService.startExecution(request.code, options, {
+            onStdout: (text) => {
+                runHistoryService.appendOutput(runRecord, 'stdout', text);
+                send({ type: 'stdout', data: text });
+            },
+            onStderr: (text) => {
+                runHistoryService.appendOutput(runRecord, 'stderr', text);
+                send({ type: 'stderr', data: text });
+            },
+            onFigure: (figure) => {
+                runHistoryService.appendFigure(runRecord, figure);
+                send({ type: 'figure', ...figure });
+            },
+            onExit: async (result) => {
+                run = null;
+                record = null;
+                releaseSlot();
+                const files = await fileService.findChangedFiles(basePath, startedAt);
+                runHistoryService.finishRecord(runRecord, result);
+                runRecord.files = files;
+                try {
+                    await runHistoryService.saveRun(basePath, runRecord);
+                } catch (error) {
+                    logger.warn('Failed to save run history', { error: error.message });
+                }
+                send({ type: 'exit', ...result, files });
+            },
+        });
+
+        runRecord = runHistoryService.createRecord(run.id, request, {
+            tempFile: run.tempFile,
+            workspacePath: basePath,
+            input,
+            rerunOf,
+        });
+        record = runRecord;
+        send({
+            type: 'started',
+            runId: run.id,
+            tempFile: run.tempFile,
+            workspacePath: basePath,
+            rerunOf,
+        });
+
+        if (closed) {
+            // Closed while the process started: stop it, its exit releases the slot
+            executionService.stopExecution(run.id);
+        }
+    };
+
+    ws.on('message', async (message) => {
+        let data;
+        try {
+            data = JSON.parse(message);
+        } catch (error) {
+            send({ type: 'error', message: 'Invalid message' });
+            return;
+        }
+
+        if (data.type === 'run' || data.type === 'rerun') {
+            if (run || slot) {
+                send({ type: 'error', message: 'A program is already running' });
+                return;
+            }
+
+            try {
+                if (data.type === 'rerun') {
+                    const previous = await runHistoryService.getRun(basePath, data.runId);
+                    if (!previous) {
+                        throw new Error('Run not found in history');
+                    }
+                    await acquireSlot();
+                    starting = true;
+                    await startRun(previous.request, previous.input, previous.id);
+                } else {
+                    await acquireSlot();
+                    starting = true;
+                    await startRun(data);
+                }
+            } catch (error) {
+                releaseSlot();
+                if (error.code !== 'SOCKET_CLOSED') {
+                    logger.error('Failed to start execution', { error: error.message });
+                    send({ type: 'error', message: error.message });
+                }
+            } finally {
+                starting = false;
+            }
+        } else if (data.type === 'stdin') {
+            if (run && typeof data.data === 'string') {
+                executionService.writeInput(run.id, data.data);
+                runHistoryService.appendInput(record, data.data);
+            }
+        } else if (data.type === 'stdin-eof') {
+            if (run) {
+                executionService.closeInput(run.id);
+                record.inputClosed = true;
+            }
+        }
+    });
+
+    ws.on('close', () => {
+        closed = true;
+        // Don't leave orphaned interpreters behind when the browser goes away
+        if (run) {
+            executionService.stopExecution(run.id);
+            run = null;
+        } else if (slot && !starting) {
+            slot.cancel();
+        }
+        // A run being started keeps its slot and stops itself (see startRun)
+    });
+
+    ws.on('error', (error) => {
+        logger.error('Execution socket error', { error: error.message });
+    });
+}
+
+module.exports = {
+    handleExecutionSocket,
+};
@@ -0,0 +1,133 @@
+/**
+ * packageSocket.js - pip installs with streamed output over WebSocket
+ *
+ * Protocol (JSON messages):
+ *   client -> server: { type: 'install', packages, upgrade, wheelhouse }
+ *                     { type: 'uninstall', packages }
+ *                     { type: 'requirements', file, wheelhouse }
+ *                                       (file: requirements.txt or pyproject.toml)
+ *   server -> client: { type: 'queued', ahead }
+ *                     { type: 'started', args }          (pip's arguments)
+ *                     { type: 'output', data }           (pip's stdout and stderr)
+ *                     { type: 'exit', status, exitCode, packages }
+ *                                       (packages: installed packages afterwards)
+ *                     { type: 'error', message }
+ *
+ * pip runs in the workspace folder's virtual environment (see packageService),
+ * through the execution scheduler like program runs. One pip run at a time per
+ * socket; closing the socket stops it.
+ */
+
+const executionService = require('../services/executionService');
+const packageService = require('../services/packageService');
+const { getExecutionScheduler, getSchedulerUser } = require('../services/executionScheduler');
+const { getSocketQuery, getSocketBasePath } = require('./socketUtils');
+const logger = require('../utils/logger');
+
+const ACTIONS = ['install', 'uninstall', 'requirements'];
+
+/**
+ * Handle a WebSocket connection on the packages channel
+ * @param {WebSocket} ws - Connected socket
+ * @param {http.IncomingMessage} req - Upgrade request
+ */
+function handlePackageSocket(ws, req) {
+    const basePath = getSocketBasePath(req);
+    const user = getSchedulerUser(getSocketQuery(req).client, basePath);
+    let run = null;
+    let slot = null; // Scheduler ticket of the active or waiting pip run
+    let starting = false; // pip got its slot and is being started
+    let closed = false;
+
+    const send = (message) => {
+        if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    };
+
+    const releaseSlot = () => {
+        if (slot) {
+            slot.release();
+            slot = null;
+        }
+    };
+
+    const onExit = async (result) => {
+        run = null;
+        releaseSlot();
+
+        let packages = null;
+        try {
+            ({ packages } = await packageService.listPackages(basePath));
+        } catch (error) {
+            logger.warn('Failed to list packages after pip', { error: error.message });
+        }
+        send({ type: 'exit', status: result.status, exitCode: result.exitCode, packages });
+    };
+
+    ws.on('message', async (message) => {
+        let data;
+        try {
+            data = JSON.parse(message);
+        } catch (error) {
+            send({ type: 'error', message: 'Invalid message' });
+            return;
+        }
+
+        if (!ACTIONS.includes(data.type)) {
+            send({ type: 'error', message: `Unknown message type: ${data.type}` });
+            return;
+        }
+        if (run || slot) {
+            send({ type: 'error', message: 'pip is already running' });
+            return;
+        }
+
+        try {
+            slot = getExecutionScheduler().enqueue(user, {
+                onQueued: (ahead) => send({ type: 'queued', ahead }),
+            });
+            await slot.ready;
+            starting = true;
+
+            const output = (text) => send({ type: 'output', data: text });
+            const started = await packageService.startPip(
+                basePath,
+                { ...data, action: data.type },
+                { onStdout: output, onStderr: output, onExit }
+            );
+            run = started.run;
+            logger.info('pip started', { basePath, args: started.args });
+            send({ type: 'started', args: started.args });
+
+            if (closed) {
+                // Closed while pip started: stop it, its exit releases the slot
+                executionService.stopExecution(run.id);
+            }
+        } catch (error) {
+            releaseSlot();
+            send({ type: 'error', message: error.message });
+        } finally {
+            starting = false;
+        }
+    });
+
+    ws.on('close', () => {
+        closed = true;
+        if (run) {
+            executionService.stopExecution(run.id);
+            run = null;
+        } else if (slot && !starting) {
+            slot.cancel();
+        }
+        // pip being started keeps its slot and is stopped once it runs (see above)
+    });
+
+    ws.on('error', (error) => {
+        logger.error('Package socket error', { error: error.message });
+    });
+}
+
+module.exports = {
+    handlePackageSocket,
+};
@@ -0,0 +1,95 @@
+/**
+ * searchSocket.js - Find in files with streamed results over WebSocket
+ *
+ * Protocol (JSON messages):
+ *   client -> server: { type: 'search', id, query, regex, caseSensitive, wholeWord,
+ *                       include, exclude, useIgnoreFiles, replace }
+ *                     { type: 'cancel' }
+ *   server -> client: { type: 'file', id, path, matches }   (one per file with matches)
+ *                     { type: 'done', id, fileCount, matchCount, limitHit }
+ *                     { type: 'error', id, message }
+ *
+ * id is chosen by the client and tells its searches apart. Starting a search
+ * cancels the one still running. See searchService for the options and matches.
+ */
+
+const searchService = require('../services/searchService');
+const { getSocketBasePath } = require('./socketUtils');
+const logger = require('../utils/logger');
+
+/**
+ * Handle a WebSocket connection on the search channel
+ * @param {WebSocket} ws - Connected socket
+ * @param {http.IncomingMessage} req - Upgrade request
+ */
+function handleSearchSocket(ws, req) {
+    const basePath = getSocketBasePath(req);
+    let current = null; // Search running: { id, cancelled }
+
+    const send = (message) => {
+        if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    };
+
+    const cancel = () => {
+        if (current) {
+            current.cancelled = true;
+            current = null;
+        }
+    };
+
+    const search = async (options) => {
+        cancel();
+        const search = { id: options.id, cancelled: false };
+        current = search;
+
+        try {
+            const result = await searchService.searchWorkspace(basePath, options, {
+                onFile: (file) => send({ type: 'file', id: search.id, ...file }),
+                isCancelled: () => search.cancelled,
+            });
+            if (!result.cancelled) {
+                send({
+                    type: 'done',
+                    id: search.id,
+                    fileCount: result.fileCount,
+                    matchCount: result.matchCount,
+                    limitHit: result.limitHit,
+                });
+            }
+        } catch (error) {
+            send({ type: 'error', id: search.id, message: error.message });
+        } finally {
+            if (current === search) {
+                current = null;
+            }
+        }
+    };
+
+    ws.on('message', (message) => {
+        let data;
+        try {
+            data = JSON.parse(message);
+        } catch (error) {
+            logger.warn('Invalid search message');
+            return;
+        }
+
+        if (data.type === 'search') {
+            search(data);
+        } else if (data.type === 'cancel') {
+            cancel();
+        }
+    });
+
+    ws.on('close', cancel);
+
+    ws.on('error', (error) => {
+        logger.error('Search socket error', { error: error.message });
+    });
+}
+
+module.exports = {
+    handleSearchSocket,
+};
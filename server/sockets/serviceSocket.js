@@ -0,0 +1,52 @@
+/**
+ * serviceSocket.js - Logs and status of dev servers over WebSocket
+ *
+ * Protocol (JSON messages, server -> client only; services are started and
+ * stopped through /api/services):
+ *   { type: 'services', services }          (on connect: the folder's services)
+ *   { type: 'output', id, stream, text }    (on connect the kept log of each
+ *                                            service, then new output)
+ *   { type: 'status', service }             (a service started or changed status)
+ *   { type: 'removed', id }
+ *
+ * Closing the socket doesn't stop the services.
+ */
+
+const devServerService = require('../services/devServerService');
+const { getSocketBasePath } = require('./socketUtils');
+const logger = require('../utils/logger');
+
+/**
+ * Handle a WebSocket connection on the services channel
+ * @param {WebSocket} ws - Connected socket
+ * @param {http.IncomingMessage} req - Upgrade request
+ */
+function handleServiceSocket(ws, req) {
+    const basePath = getSocketBasePath(req);
+
+    const send = (message) => {
+        if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    };
+
+    const services = devServerService.listServices(basePath);
+    send({ type: 'services', services });
+    services.forEach((service) => {
+        devServerService
+            .getServiceLog(basePath, service.id)
+            .forEach(({ stream, text }) => send({ type: 'output', id: service.id, stream, text }));
+    });
+
+    const unsubscribe = devServerService.subscribe(basePath, send);
+
+    ws.on('close', unsubscribe);
+
+    ws.on('error', (error) => {
+        logger.error('Service socket error', { error: error.message });
+    });
+}
+
+module.exports = {
+    handleServiceSocket,
+};
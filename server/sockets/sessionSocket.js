@@ -0,0 +1,131 @@
+/**
+ * sessionSocket.js - Persistent Python session over WebSocket
+ *
+ * Each connection owns one Python session, started in the workspace folder
+ * when the socket opens (or in the folder given as ?cwd=, e.g. a notebook's).
+ * Messages are framed like the debug channel: requests
+ * ({ seq, type: 'request', command, arguments }), responses and events, passed
+ * to and from the session process unchanged (see python/pyeditor_session.py).
+ *
+ * Two requests are answered by the server itself:
+ *   interrupt - stop the code that is running; the session keeps its state
+ *   restart   - replace the session with a new one (all state is lost)
+ *
+ * Closing the socket ends the session; the socket is closed when the session
+ * process exits.
+ */
+
+const sessionService = require('../services/sessionService');
+const { getSocketQuery, getSocketBasePath } = require('./socketUtils');
+const { resolveWithinBase } = require('../utils/pathUtils');
+const logger = require('../utils/logger');
+
+/**
+ * Handle a WebSocket connection on the session channel
+ * @param {WebSocket} ws - Connected socket
+ * @param {http.IncomingMessage} req - Upgrade request
+ */
+function handleSessionSocket(ws, req) {
+    const basePath = getSocketBasePath(req);
+    const query = getSocketQuery(req);
+    let session = null;
+
+    const send = (message) => {
+        if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    };
+
+    const respond = (request, error = null) => {
+        const response = {
+            type: 'response',
+            request_seq: request.seq,
+            command: request.command,
+            success: !error,
+            body: {},
+        };
+        if (error) {
+            response.message = error;
+        }
+        send(response);
+    };
+
+    const start = (cwd) => {
+        const started = sessionService.createPythonSession(
+            basePath,
+            {
+                onMessage: send,
+                onExit: () => {
+                    // A replaced session exits without taking the socket with it
+                    if (session === started) {
+                        session = null;
+                        ws.close();
+                    }
+                },
+            },
+            { cwd }
+        );
+        session = started;
+    };
+
+    let cwd;
+    try {
+        cwd = query.cwd ? resolveWithinBase(basePath, query.cwd) : basePath;
+        start(cwd);
+    } catch (error) {
+        logger.error('Failed to start Python session', { error: error.message });
+        send({
+            type: 'event',
+            event: 'output',
+            body: { category: 'stderr', output: error.message },
+        });
+        ws.close();
+        return;
+    }
+
+    ws.on('message', (message) => {
+        let data;
+        try {
+            data = JSON.parse(message);
+        } catch (error) {
+            logger.warn('Invalid session message');
+            return;
+        }
+
+        if (!session || data.type !== 'request') {
+            return;
+        }
+
+        if (data.command === 'interrupt') {
+            sessionService.interruptPythonSession(session.id);
+            respond(data);
+        } else if (data.command === 'restart') {
+            sessionService.stopPythonSession(session.id);
+            try {
+                start(cwd);
+                respond(data);
+            } catch (error) {
+                session = null;
+                respond(data, error.message);
+                ws.close();
+            }
+        } else {
+            sessionService.sendToSession(session.id, data);
+        }
+    });
+
+    ws.on('close', () => {
+        if (session) {
+            sessionService.stopPythonSession(session.id);
+            session = null;
+        }
+    });
+
+    ws.on('error', (error) => {
+        logger.error('Session socket error', { error: error.message });
+    });
+}
+
+module.exports = {
+    handleSessionSocket,
+};
@@ -0,0 +1,30 @@
+/**
+ * socketUtils.js - Helpers shared by WebSocket handlers
+ */
+
+const { getBasePath } = require('../utils/pathUtils');
+
+/**
+ * Parse the query string of a WebSocket upgrade request
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @returns {Object} Query parameters
+ */
+function getSocketQuery(req) {
+    const url = new URL(req.url, 'http://localhost');
+    return Object.fromEntries(url.searchParams.entries());
+}
+
+/**
+ * Resolve the workspace folder for a WebSocket connection
+ * Builds an Express-like request object so getBasePath works for upgrade requests
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @returns {string} The base path
+ */
+function getSocketBasePath(req) {
+    return getBasePath({ query: getSocketQuery(req), headers: req.headers });
+}
+
+module.exports = {
+    getSocketQuery,
+    getSocketBasePath,
+};
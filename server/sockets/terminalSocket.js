@@ -0,0 +1,102 @@
+/**
+ * terminalSocket.js - Interactive shell sessions over WebSocket
+ *
+ * Each connection owns one shell, spawned in the workspace folder when the
+ * socket opens. Initial size is passed as ?cols=&rows= on the socket URL.
+ *
+ * Protocol (JSON messages):
+ *   client -> server: { type: 'input', data }
+ *                     { type: 'resize', cols, rows }
+ *   server -> client: { type: 'ready', terminalId, shell }
+ *                     { type: 'output', data }
+ *                     { type: 'exit', exitCode, signal }
+ *                     { type: 'error', message }
+ *
+ * Closing the socket kills the shell.
+ */
+
+const terminalService = require('../services/terminalService');
+const { getSocketQuery, getSocketBasePath } = require('./socketUtils');
+const logger = require('../utils/logger');
+
+/**
+ * Handle a WebSocket connection on the terminal channel
+ * @param {WebSocket} ws - Connected socket
+ * @param {http.IncomingMessage} req - Upgrade request
+ */
+function handleTerminalSocket(ws, req) {
+    const query = getSocketQuery(req);
+    let terminal = null;
+    let closed = false;
+
+    const send = (message) => {
+        if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    };
+
+    terminalService
+        .createTerminal(
+            { cwd: getSocketBasePath(req), cols: query.cols, rows: query.rows },
+            {
+                onData: (data) => send({ type: 'output', data }),
+                onExit: (result) => {
+                    terminal = null;
+                    send({ type: 'exit', ...result });
+                    ws.close();
+                },
+            }
+        )
+        .then((started) => {
+            if (closed) {
+                // The page went away while the shell started
+                terminalService.killTerminal(started.id);
+                return;
+            }
+            terminal = started;
+            send({ type: 'ready', terminalId: terminal.id, shell: terminal.shell });
+        })
+        .catch((error) => {
+            logger.error('Failed to start terminal', { error: error.message });
+            send({ type: 'error', message: error.message });
+            ws.close();
+        });
+
+    ws.on('message', (message) => {
+        let data;
+        try {
+            data = JSON.parse(message);
+        } catch (error) {
+            send({ type: 'error', message: 'Invalid message' });
+            return;
+        }
+
+        if (!terminal) {
+            return;
+        }
+
+        if (data.type === 'input') {
+            if (typeof data.data === 'string') {
+                terminalService.writeTerminal(terminal.id, data.data);
+            }
+        } else if (data.type === 'resize') {
+            terminalService.resizeTerminal(terminal.id, data.cols, data.rows);
+        }
+    });
+
+    ws.on('close', () => {
+        closed = true;
+        if (terminal) {
+            terminalService.killTerminal(terminal.id);
+            terminal = null;
+        }
+    });
+
+    ws.on('error', (error) => {
+        logger.error('Terminal socket error', { error: error.message });
+    });
+}
+
+module.exports = {
+    handleTerminalSocket,
+};
@@ -0,0 +1,161 @@
+/**
+ * globUtils.js
+ *
+ * Glob patterns (search include/exclude) and .gitignore rules, matched against
+ * paths relative to the workspace folder with '/' separators
+ */
+
+/**
+ * Turn a glob into a regular expression source
+ * Supports *, ?, ** (any number of folders), {a,b} and [...] character classes
+ */
+function globToSource(glob) {
+    let source = '';
+    let braces = 0;
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === '*') {
+            if (glob[i + 1] === '*') {
+                // '**/' matches zero or more folders, a trailing '**' everything below
+                if (glob[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i += 1;
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = glob.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                const body = glob
+                    .slice(i + 1, end)
+                    .replace(/^!/, '^')
+                    .replace(/\\/g, '\\\\');
+                source += `[${body}]`;
+                i = end;
+            }
+        } else if (char === '{') {
+            braces++;
+            source += '(?:';
+        } else if (char === '}' && braces > 0) {
+            braces--;
+            source += ')';
+        } else if (char === ',' && braces > 0) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+        }
+    }
+    return source + ')'.repeat(braces);
+}
+
+/**
+ * Split a comma-separated list of globs (commas inside {...} belong to the glob)
+ * e.g. "src, *.{py,pyi}" -> ['src', '*.{py,pyi}']
+ */
+function splitGlobList(text) {
+    const globs = [];
+    let current = '';
+    let braces = 0;
+
+    for (const char of text || '') {
+        if (char === ',' && braces === 0) {
+            globs.push(current);
+            current = '';
+            continue;
+        }
+        if (char === '{') braces++;
+        if (char === '}' && braces > 0) braces--;
+        current += char;
+    }
+    globs.push(current);
+    return globs.map((glob) => glob.trim()).filter(Boolean);
+}
+
+/**
+ * Build a matcher for search include/exclude globs
+ * A glob without '/' matches a file or folder name at any depth ("*.py", "tests"),
+ * one with '/' the path from the workspace folder ("src/api/*.py"). A folder that
+ * matches covers everything inside it.
+ * @param {string[]} globs - Glob patterns
+ * @returns {Function} (relativePath) => boolean
+ */
+function createGlobMatcher(globs) {
+    const sources = globs.map((glob) => {
+        const pattern = glob.replace(/^\.\//, '').replace(/\/+$/, '');
+        const anchored = pattern.includes('/');
+        return `${anchored ? '' : '(?:.*/)?'}${globToSource(pattern.replace(/^\//, ''))}`;
+    });
+    if (sources.length === 0) {
+        return () => false;
+    }
+
+    const regex = new RegExp(`^(?:${sources.join('|')})(?:/.*)?$`);
+    return (relativePath) => regex.test(relativePath);
+}
+
+/**
+ * Parse the rules of a .gitignore file
+ * @param {string} content - File content
+ * @param {string} folder - Folder of the file relative to the workspace folder ('' at the top)
+ * @returns {Array} Rules for isIgnored
+ */
+function parseIgnoreRules(content, folder = '') {
+    const prefix = folder ? `${folder.replace(/[.+^${}()|[\]\\*?]/g, '\\$&')}/` : '';
+
+    return content
+        .split(/\r?\n/)
+        .map((line) => line.replace(/(?<!\\)\s+$/, ''))
+        .filter((line) => line && !line.startsWith('#'))
+        .map((line) => {
+            let pattern = line;
+            const negate = pattern.startsWith('!');
+            if (negate) {
+                pattern = pattern.slice(1);
+            }
+            pattern = pattern.replace(/^\\([#!])/, '$1');
+
+            const directoryOnly = pattern.endsWith('/');
+            pattern = pattern.replace(/\/+$/, '');
+            // Like .gitignore: a pattern with a slash (other than at the end) is relative
+            // to the file's folder, one without matches a name at any depth below it
+            const anchored = pattern.includes('/');
+            pattern = pattern.replace(/^\//, '');
+
+            const source = `^${prefix}${anchored ? '' : '(?:.*/)?'}${globToSource(pattern)}$`;
+            return { regex: new RegExp(source), negate, directoryOnly };
+        });
+}
+
+/**
+ * Whether a path is ignored by .gitignore rules (the last matching rule wins)
+ * Folders are checked while walking, so a file inside an ignored folder is never asked about
+ * @param {Array} rules - Rules from parseIgnoreRules, outer files first
+ * @param {string} relativePath - Path relative to the workspace folder
+ * @param {boolean} isDirectory - Whether the path is a folder
+ */
+function isIgnored(rules, relativePath, isDirectory) {
+    let ignored = false;
+    rules.forEach((rule) => {
+        if ((!rule.directoryOnly || isDirectory) && rule.regex.test(relativePath)) {
+            ignored = !rule.negate;
+        }
+    });
+    return ignored;
+}
+
+module.exports = {
+    splitGlobList,
+    createGlobMatcher,
+    parseIgnoreRules,
+    isIgnored,
+};
@@ -0,0 +1,86 @@
+/**
+ * messageFraming.js - Content-Length framed JSON over stdio
+ *
+ * The language server (pylsp) and the debug adapter speak the same base
+ * protocol: a "Content-Length: N" header, a blank line, then N bytes of JSON.
+ */
+
+const logger = require('./logger');
+
+const HEADER_END = /\r?\n\r?\n/;
+const DEFAULT_MAX_BUFFER_SIZE = 1024 * 1024; // 1MB buffer limit for memory optimization
+
+/**
+ * Frame a message for writing to a process's stdin
+ * @param {Object} message - JSON-serializable message
+ * @returns {string} Header and content
+ */
+function encodeMessage(message) {
+    const content = JSON.stringify(message);
+    return `Content-Length: ${Buffer.byteLength(content)}\r\n\r\n${content}`;
+}
+
+/**
+ * Create a reader that collects stdout chunks and emits complete messages
+ * @param {Function} onMessage - Called with each message body (string, not yet parsed)
+ * @param {Object} options - { maxBufferSize }
+ * @returns {{ push: Function, clear: Function }} push(chunk) feeds data, clear() drops it
+ */
+function createMessageReader(onMessage, options = {}) {
+    const maxBufferSize = options.maxBufferSize || DEFAULT_MAX_BUFFER_SIZE;
+    let buffer = Buffer.alloc(0);
+
+    const push = (chunk) => {
+        buffer = Buffer.concat([buffer, Buffer.from(chunk)]);
+
+        // Memory optimization: limit buffer size to prevent memory bloat
+        if (buffer.length > maxBufferSize) {
+            logger.warn('Message buffer exceeded limit, clearing old data', {
+                bufferLength: buffer.length,
+            });
+            // Keep only the last 100KB to avoid losing incomplete messages
+            buffer = buffer.subarray(buffer.length - 100 * 1024);
+        }
+
+        // Content-Length counts bytes, so headers are located in the raw buffer
+        // eslint-disable-next-line no-constant-condition
+        while (true) {
+            const text = buffer.toString('latin1');
+            const headerEndMatch = text.match(HEADER_END);
+            if (!headerEndMatch) {
+                break;
+            }
+
+            const contentLengthMatch = text
+                .slice(0, headerEndMatch.index)
+                .match(/Content-Length:\s*(\d+)/i);
+            const headerEndIndex = headerEndMatch.index + headerEndMatch[0].length;
+
+            if (!contentLengthMatch) {
+                // Not a header (stray output); skip past it
+                buffer = buffer.subarray(headerEndIndex);
+                continue;
+            }
+
+            const contentLength = parseInt(contentLengthMatch[1]);
+            if (buffer.length < headerEndIndex + contentLength) {
+                break;
+            }
+
+            const content = buffer.toString('utf8', headerEndIndex, headerEndIndex + contentLength);
+            buffer = buffer.subarray(headerEndIndex + contentLength);
+            onMessage(content);
+        }
+    };
+
+    const clear = () => {
+        buffer = Buffer.alloc(0);
+    };
+
+    return { push, clear };
+}
+
+module.exports = {
+    encodeMessage,
+    createMessageReader,
+};
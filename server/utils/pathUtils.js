@@ -55,8 +55,26 @@ function getBasePath(req) {
     }
 }
 
+/**
+ * Resolve a path relative to a workspace folder, refusing paths outside it
+ * @param {string} basePath - Workspace folder (from getBasePath)
+ * @param {string} relativePath - Path relative to the folder (or absolute inside it)
+ * @returns {string} The resolved full path
+ * @throws {Error} If path is outside the workspace folder
+ */
+function resolveWithinBase(basePath, relativePath) {
+    const fullPath = path.resolve(basePath, relativePath);
+
+    if (fullPath !== basePath && !fullPath.startsWith(basePath + path.sep)) {
+        throw new Error('Access denied: Path outside workspace');
+    }
+
+    return fullPath;
+}
+
 module.exports = {
     WORKSPACE_ROOT,
     validateAndResolvePath,
     getBasePath,
+    resolveWithinBase,
 };
@@ -0,0 +1,144 @@
+/**
+ * searchMatching.js
+ *
+ * Matching of find in files: the regular expression of a search and its matches and
+ * replacements in the text of one file, line by line (see services/searchService.js).
+ * Kept free of anything else so services/searchWorker.js can load it on its own.
+ */
+
+const PREVIEW_BEFORE = 40; // Characters of the line shown before a match
+const PREVIEW_LENGTH = 200; // Characters of the match and after it
+
+/**
+ * Error of a search that can't run as asked (code INVALID_SEARCH)
+ */
+function invalidSearch(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_SEARCH';
+    return error;
+}
+
+/**
+ * Build the regular expression of a search
+ * @throws {Error} If the query is empty or not a valid regular expression
+ */
+function createSearchRegExp(options) {
+    const { query, regex = false, caseSensitive = false, wholeWord = false } = options;
+    if (typeof query !== 'string' || query === '') {
+        throw invalidSearch('Nothing to search for');
+    }
+
+    let source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (wholeWord) {
+        source = `\\b(?:${source})\\b`;
+    }
+    try {
+        return new RegExp(source, caseSensitive ? 'g' : 'gi');
+    } catch (error) {
+        throw invalidSearch(`Invalid regular expression: ${error.message}`);
+    }
+}
+
+/**
+ * Non-empty matches of a search in one line
+ */
+function findMatches(line, searchRegExp) {
+    const matches = [];
+    searchRegExp.lastIndex = 0;
+    let match = searchRegExp.exec(line);
+    while (match !== null) {
+        if (match[0] === '') {
+            searchRegExp.lastIndex++;
+        } else {
+            matches.push(match);
+        }
+        match = searchRegExp.exec(line);
+    }
+    return matches;
+}
+
+/**
+ * What one match is replaced with
+ * In regex mode the replacement pattern is expanded the way String.replace does,
+ * with the whole line around the match (so lookbehinds and $` work)
+ */
+function getReplacement(line, match, searchRegExp, options) {
+    if (!options.regex) {
+        return options.replace;
+    }
+    const sticky = new RegExp(searchRegExp.source, searchRegExp.flags.replace('g', '') + 'y');
+    sticky.lastIndex = match.index;
+    const replaced = line.replace(sticky, options.replace);
+    const end = match.index + match[0].length;
+    return replaced.slice(match.index, replaced.length - (line.length - end));
+}
+
+/**
+ * Split file content into lines and their line endings
+ */
+function splitLines(content) {
+    return content.split('\n').map((line) => {
+        const carriageReturn = line.endsWith('\r');
+        return {
+            text: carriageReturn ? line.slice(0, -1) : line,
+            eol: carriageReturn ? '\r' : '',
+        };
+    });
+}
+
+/**
+ * Matches of a file, with a preview of their line
+ * @returns {Array} [{ line, column, length, before, text, after, replacement }] with
+ *     1-based line and column; replacement only when options.replace is a string
+ */
+function searchContent(content, searchRegExp, options) {
+    const results = [];
+    splitLines(content).forEach(({ text: line }, index) => {
+        findMatches(line, searchRegExp).forEach((match) => {
+            const start = match.index;
+            const end = start + match[0].length;
+            const previewStart = Math.max(0, start - PREVIEW_BEFORE);
+
+            const result = {
+                line: index + 1,
+                column: start + 1,
+                length: match[0].length,
+                before: (previewStart > 0 ? '…' : '') + line.slice(previewStart, start),
+                text: line.slice(start, Math.min(end, start + PREVIEW_LENGTH)),
+                after: line.slice(end, Math.max(end, start + PREVIEW_LENGTH)),
+            };
+            if (typeof options.replace === 'string') {
+                result.replacement = getReplacement(line, match, searchRegExp, options);
+            }
+            results.push(result);
+        });
+    });
+    return results;
+}
+
+/**
+ * Replace the matches of a search in file content
+ * @returns {Object} { content, replacements } with the content's line endings kept
+ */
+function replaceContent(content, searchRegExp, options) {
+    let replacements = 0;
+    const lines = splitLines(content).map(({ text: line, eol }) => {
+        let result = '';
+        let last = 0;
+        findMatches(line, searchRegExp).forEach((match) => {
+            result += line.slice(last, match.index);
+            result += getReplacement(line, match, searchRegExp, options);
+            last = match.index + match[0].length;
+            replacements++;
+        });
+        return result + line.slice(last) + eol;
+    });
+    return { content: lines.join('\n'), replacements };
+}
+
+module.exports = {
+    invalidSearch,
+    createSearchRegExp,
+    searchContent,
+    replaceContent,
+};